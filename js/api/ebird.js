@@ -2,6 +2,147 @@
  * eBird API client module
  */
 import { CONFIG, ErrorTypes, ErrorMessages } from '../utils/constants.js';
+import { openDatabase } from '../services/species-search.js';
+
+const { RESPONSE_STORE_NAME } = CONFIG.SPECIES_DB;
+const { EBIRD_CACHE } = CONFIG;
+
+/**
+ * Endpoints whose responses are persisted across page reloads, matched
+ * against the endpoint path (query parameters are part of the cache key, not
+ * the match). Anything not listed here is never persisted — taxonomy has its
+ * own cache in species-search.js, and the regional "product" endpoints are
+ * cheap, non-critical extras.
+ */
+const PERSISTENT_CACHE_RULES = [
+    { pattern: /^\/data\/obs\/geo\/recent\/notable$/, policy: EBIRD_CACHE.NOTABLE_OBSERVATIONS },
+    { pattern: /^\/data\/obs\/L\d+\/recent$/, policy: EBIRD_CACHE.HOTSPOT_OBSERVATIONS },
+    { pattern: /^\/ref\/hotspot\/info\/L\d+$/, policy: EBIRD_CACHE.HOTSPOT_INFO },
+    { pattern: /^\/ref\/hotspot\/geo$/, policy: EBIRD_CACHE.NEARBY_HOTSPOTS },
+    { pattern: /^\/data\/obs\/L\d+\/historic\/\d{4}\/\d{1,2}\/\d{1,2}$/, policy: EBIRD_CACHE.HISTORIC_OBSERVATIONS },
+    { pattern: /^\/product\/checklist\/view\/S\d+$/, policy: EBIRD_CACHE.CHECKLIST }
+];
+
+/**
+ * Look up the persistent cache policy for an eBird endpoint.
+ * @param {string} endpoint - API endpoint path (e.g. '/data/obs/L123/recent')
+ * @returns {{freshMs: number, maxStaleMs: number}|null} Policy, or null if the endpoint isn't persisted
+ */
+export function getPersistentCachePolicy(endpoint) {
+    const rule = PERSISTENT_CACHE_RULES.find(r => r.pattern.test(endpoint));
+    if (!rule) return null;
+    return { freshMs: rule.policy.FRESH_MS, maxStaleMs: rule.policy.MAX_STALE_MS };
+}
+
+// Single long-lived connection for the response store; the taxonomy cache
+// opens and closes its own, so the two never block each other's upgrades.
+let responseDbPromise = null;
+
+function getResponseDb() {
+    if (!responseDbPromise) {
+        responseDbPromise = openDatabase()
+            .then(db => {
+                // Let a newer version of the app (another tab) upgrade the schema
+                db.onversionchange = () => {
+                    db.close();
+                    responseDbPromise = null;
+                };
+                return db;
+            })
+            .catch(error => {
+                responseDbPromise = null;
+                throw error;
+            });
+    }
+    return responseDbPromise;
+}
+
+/**
+ * Run a single request against the response object store.
+ * @param {IDBTransactionMode} mode
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<any>}
+ */
+async function withResponseStore(mode, makeRequest) {
+    const db = await getResponseDb();
+    return new Promise((resolve, reject) => {
+        const store = db.transaction([RESPONSE_STORE_NAME], mode).objectStore(RESPONSE_STORE_NAME);
+        const request = makeRequest(store);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+    });
+}
+
+/**
+ * IndexedDB-backed persistent response cache. Every method swallows its own
+ * errors — a missing or broken IndexedDB (private browsing, Node tests) just
+ * means every lookup is a miss.
+ */
+export const idbResponseCache = {
+    /**
+     * @param {string} key
+     * @returns {Promise<{data: any, fetchedAt: number}|null>}
+     */
+    async get(key) {
+        if (typeof indexedDB === 'undefined') return null;
+        try {
+            const record = await withResponseStore('readonly', store => store.get(key));
+            return record ? { data: record.data, fetchedAt: record.fetchedAt } : null;
+        } catch (e) {
+            console.warn('Could not read eBird response cache:', e);
+            return null;
+        }
+    },
+
+    /**
+     * @param {string} key
+     * @param {any} data
+     * @returns {Promise<void>}
+     */
+    async put(key, data) {
+        if (typeof indexedDB === 'undefined') return;
+        try {
+            await withResponseStore('readwrite', store => store.put({ id: key, data, fetchedAt: Date.now() }));
+        } catch (e) {
+            console.warn('Could not write eBird response cache:', e);
+        }
+    },
+
+    /**
+     * Delete entries older than their endpoint's policy will still serve.
+     * @returns {Promise<void>}
+     */
+    async prune() {
+        if (typeof indexedDB === 'undefined') return;
+        try {
+            const records = await withResponseStore('readonly', store => store.getAll());
+            for (const id of getExpiredResponseKeys(records || [])) {
+                await withResponseStore('readwrite', store => store.delete(id));
+            }
+        } catch (e) {
+            console.warn('Could not prune eBird response cache:', e);
+        }
+    }
+};
+
+/**
+ * Pick the persisted responses that are dead weight: older than their own
+ * endpoint's MAX_STALE_MS, or from an endpoint that is no longer persisted.
+ * @param {Array<{id: string, fetchedAt: number}>} records - Stored entries, keyed `${endpoint}?${query}`
+ * @param {number} [now]
+ * @returns {string[]} Keys to delete
+ */
+export function getExpiredResponseKeys(records, now = Date.now()) {
+    return records
+        .filter(record => {
+            const policy = getPersistentCachePolicy(record.id.split('?')[0]);
+            return !policy || record.fetchedAt < now - policy.maxStaleMs;
+        })
+        .map(record => record.id);
+}
+
+// The persistent cache is pruned once per page load, by the first client created
+let persistentCachePruned = false;
 
 /**
  * eBird API client class
@@ -17,6 +158,18 @@ export class EBirdAPI {
         this.abortSignal = null;
         // In-memory TTL cache: Map<string, {value, expiresAt}>
         this._cache = new Map();
+        // Persistent cross-reload cache (see setPersistentCache)
+        this._persistentCache = idbResponseCache;
+        // Background stale-while-revalidate refreshes in flight, keyed by cache key
+        this._pendingRefreshes = new Map();
+        // fetchedAt of the oldest persisted response served to the caller
+        this._dataAsOf = null;
+
+        // Pruning scans the whole store; the app creates several clients per page
+        if (!persistentCachePruned) {
+            persistentCachePruned = true;
+            idbResponseCache.prune();
+        }
     }
 
     /**
@@ -53,7 +206,36 @@ export class EBirdAPI {
     }
 
     /**
-     * Make an authenticated request to the eBird API with exponential backoff
+     * Replace the persistent response cache (e.g. with an in-memory fake in
+     * tests, or null to disable persistence entirely).
+     * @param {{get: Function, put: Function}|null} cache
+     */
+    setPersistentCache(cache) {
+        this._persistentCache = cache;
+    }
+
+    /**
+     * When the oldest persisted response served by this client was fetched
+     * from eBird, or null if everything came straight from the network.
+     * @returns {Date|null}
+     */
+    getDataAsOf() {
+        return this._dataAsOf === null ? null : new Date(this._dataAsOf);
+    }
+
+    /**
+     * Wait for any background stale-while-revalidate refreshes to finish.
+     * @returns {Promise<void>}
+     */
+    async whenBackgroundRefreshesSettled() {
+        await Promise.all(this._pendingRefreshes.values());
+    }
+
+    /**
+     * Make an authenticated request to the eBird API with exponential backoff.
+     * Endpoints with a persistent cache policy are served stale-while-revalidate:
+     * a fresh persisted response is returned with no network call, a stale one
+     * is returned immediately while a background refresh updates the cache.
      * @param {string} endpoint - API endpoint
      * @param {Object} params - Query parameters
      * @param {number} retries - Number of retry attempts for rate limiting
@@ -69,6 +251,60 @@ export class EBirdAPI {
             }
         });
 
+        const policy = getPersistentCachePolicy(endpoint);
+        if (!policy || !this._persistentCache) {
+            return this._fetchFromNetwork(url, retries);
+        }
+
+        const cacheKey = `${endpoint}?${url.searchParams.toString()}`;
+        const entry = await this._persistentCache.get(cacheKey);
+        const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+        if (age <= policy.maxStaleMs) {
+            if (this._dataAsOf === null || entry.fetchedAt < this._dataAsOf) {
+                this._dataAsOf = entry.fetchedAt;
+            }
+            if (age > policy.freshMs) {
+                this._refreshInBackground(url, cacheKey);
+            }
+            return entry.data;
+        }
+
+        const data = await this._fetchFromNetwork(url, retries);
+        this._persistentCache.put(cacheKey, data);
+        return data;
+    }
+
+    /**
+     * Re-fetch a stale persisted response without blocking the caller. The
+     * fresh copy only lands in the persistent cache (for the next search or
+     * reload); the caller has already been handed the stale one.
+     * @param {URL} url
+     * @param {string} cacheKey
+     */
+    _refreshInBackground(url, cacheKey) {
+        if (this._pendingRefreshes.has(cacheKey)) return;
+
+        // Single attempt - a rate-limited refresh isn't worth backing off for
+        const refresh = this._fetchFromNetwork(url, 1)
+            .then(data => this._persistentCache.put(cacheKey, data))
+            .catch(error => {
+                if (error.name !== 'AbortError') {
+                    console.warn(`Background refresh failed for ${cacheKey}:`, error.message);
+                }
+            })
+            .finally(() => this._pendingRefreshes.delete(cacheKey));
+
+        this._pendingRefreshes.set(cacheKey, refresh);
+    }
+
+    /**
+     * Request a URL from the eBird API, retrying rate limits and network errors
+     * @param {URL} url - Fully built request URL
+     * @param {number} retries - Number of attempts
+     * @returns {Promise<any>} API response data
+     */
+    async _fetchFromNetwork(url, retries) {
         let lastError;
         for (let attempt = 0; attempt < retries; attempt++) {
             try {
@@ -298,6 +534,69 @@ export class EBirdAPI {
         }
     }
 
+    /**
+     * Get the observations reported at a hotspot on one past date
+     * @param {string} locId - eBird location ID
+     * @param {Date} date - The date
+     * @returns {Promise<Array>} Array of observation objects (one per species)
+     */
+    async getHistoricObservations(locId, date) {
+        const year = date.getFullYear();
+        const month = date.getMonth() + 1;
+        const day = date.getDate();
+
+        const data = await this.fetchWithAuth(`/data/obs/${locId}/historic/${year}/${month}/${day}`, {
+            rank: 'mrec',
+            detail: 'simple'
+        });
+        return data || [];
+    }
+
+    /**
+     * Sample a hotspot's historic observations for the same week in past
+     * years and count how many of those days each species was reported on
+     * @param {string} locId - eBird location ID
+     * @param {Object} [options]
+     * @param {Date} [options.date] - Date whose week to sample (default: today)
+     * @param {number} [options.yearsBack] - Past years to sample (default: CONFIG.HISTORIC_FREQUENCY.YEARS_BACK)
+     * @param {number[]} [options.dayOffsets] - Days around the date to sample each year
+     * @param {{take: Function}} [options.budget] - Shared request budget from createRequestBudget()
+     * @returns {Promise<Object|null>} Summary from summarizeHistoricFrequency(), or
+     *   null if no day could be fetched
+     */
+    async getHistoricFrequency(locId, options = {}) {
+        const {
+            date = new Date(),
+            yearsBack = CONFIG.HISTORIC_FREQUENCY.YEARS_BACK,
+            dayOffsets = CONFIG.HISTORIC_FREQUENCY.DAY_OFFSETS,
+            budget = null
+        } = options;
+
+        const days = [];
+        for (const sampleDate of getHistoricSampleDates(date, yearsBack, dayOffsets)) {
+            if (budget && !budget.take()) break;
+            try {
+                days.push(await this.getHistoricObservations(locId, sampleDate));
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Could not fetch historic observations for ${locId}:`, error.message);
+            }
+        }
+
+        return days.length > 0 ? summarizeHistoricFrequency(days) : null;
+    }
+
+    /**
+     * List the subregions of a region (e.g. the counties of a state)
+     * @param {string} regionType - 'country', 'subnational1' or 'subnational2'
+     * @param {string} parentRegionCode - Parent region code (e.g. 'US-NY')
+     * @returns {Promise<Array>} Array of {code, name} objects
+     */
+    async getSubregions(regionType, parentRegionCode) {
+        const data = await this.fetchWithAuth(`/ref/region/list/${regionType}/${parentRegionCode}`);
+        return data || [];
+    }
+
     /**
      * Get recent checklists submitted in a region
      * @param {string} regionCode - eBird region code (e.g., 'US-FL', 'US-NY-061')
@@ -316,6 +615,37 @@ export class EBirdAPI {
         }
     }
 
+    /**
+     * Get the latest checklists submitted at a hotspot, newest first
+     * @param {string} locId - eBird location ID (e.g., L123456)
+     * @param {number} maxResults - Maximum number of checklists to return (default 10)
+     * @returns {Promise<Array>} Array of checklist objects (subId, userDisplayName,
+     *   numSpecies, isoObsDate, ...) without effort details - see getChecklist()
+     */
+    async getHotspotChecklists(locId, maxResults = 10) {
+        const cacheKey = `lists:${locId}:${maxResults}`;
+        const cached = this._getCached(cacheKey);
+        if (cached !== undefined) return cached;
+
+        const data = await this.fetchWithAuth(`/product/lists/${locId}`, {
+            maxResults
+        });
+        const result = data || [];
+        this._setCached(cacheKey, result, 30 * 60 * 1000); // 30-minute TTL
+        return result;
+    }
+
+    /**
+     * Get a single checklist with its effort and every observation
+     * @param {string} subId - eBird checklist (submission) ID (e.g., S123456789)
+     * @returns {Promise<Object|null>} Checklist object (protocolId, durationHrs,
+     *   effortDistanceKm, numObservers, obs: [{speciesCode, howManyStr}], ...)
+     */
+    async getChecklist(subId) {
+        const data = await this.fetchWithAuth(`/product/checklist/view/${subId}`);
+        return data || null;
+    }
+
     /**
      * Get top observers in a region for a specific date
      * @param {string} regionCode - eBird region code (e.g., 'US-FL')
@@ -341,8 +671,8 @@ export class EBirdAPI {
 
 /**
  * Derive a "confidence" tier for seeing a species from how recently it was
- * last reported. eBird's public API has no frequency/bar-chart endpoint, so
- * this is a recency proxy, not a statistical detection rate.
+ * last reported. This is a recency proxy, not a statistical detection rate;
+ * see getHistoricFrequency() for how often a species is actually reported.
  * @param {string} obsDt - eBird observation date string (e.g. "2026-08-18 07:15")
  * @param {Date} [referenceDate] - "now", injectable for testing
  * @returns {{tier: 'high'|'medium'|'low', daysAgo: number}}
@@ -361,23 +691,106 @@ export function getConfidenceTier(obsDt, referenceDate = new Date()) {
     return { tier, daysAgo };
 }
 
+/**
+ * A cap on API calls shared by several callers, e.g. every hotspot's historic
+ * frequency lookups in one search
+ * @param {number} maxRequests
+ * @returns {{take: Function, remaining: Function}} take() claims one request, returning false once spent
+ */
+export function createRequestBudget(maxRequests) {
+    let remaining = maxRequests;
+    return {
+        take() {
+            if (remaining <= 0) return false;
+            remaining--;
+            return true;
+        },
+        remaining: () => remaining
+    };
+}
+
+/**
+ * The past dates sampled for historic frequency: the same calendar days
+ * around the date in each of the previous years, most recent year first
+ * @param {Date} date - Reference date
+ * @param {number} yearsBack - Number of past years
+ * @param {number[]} dayOffsets - Days relative to the date
+ * @returns {Date[]}
+ */
+export function getHistoricSampleDates(date, yearsBack, dayOffsets) {
+    const dates = [];
+    for (let years = 1; years <= yearsBack; years++) {
+        for (const offset of dayOffsets) {
+            dates.push(new Date(date.getFullYear() - years, date.getMonth(), date.getDate() + offset));
+        }
+    }
+    return dates;
+}
+
+/**
+ * Count how many sampled days each species was reported on. Days with no
+ * observations at all are treated as nobody birding there, so they don't
+ * count against any species.
+ * @param {Array<Array>} days - One historic observation array per sampled day
+ * @returns {{daysSampled: number, daysWithData: number, species: Object}} species maps
+ *   species code -> number of days reported
+ */
+export function summarizeHistoricFrequency(days) {
+    const species = {};
+    let daysWithData = 0;
+
+    for (const observations of days) {
+        if (!observations || observations.length === 0) continue;
+        daysWithData++;
+        for (const code of new Set(observations.map(obs => obs.speciesCode))) {
+            species[code] = (species[code] || 0) + 1;
+        }
+    }
+
+    return { daysSampled: days.length, daysWithData, species };
+}
+
+/**
+ * A species' frequency from a historic summary
+ * @param {Object|null} summary - From summarizeHistoricFrequency()
+ * @param {string} speciesCode
+ * @returns {{daysReported: number, daysWithData: number, percent: number}|null} Null when
+ *   no sampled day had any checklists
+ */
+export function getSpeciesFrequency(summary, speciesCode) {
+    if (!summary || summary.daysWithData === 0) return null;
+    const daysReported = summary.species[speciesCode] || 0;
+    return {
+        daysReported,
+        daysWithData: summary.daysWithData,
+        percent: Math.round((daysReported / summary.daysWithData) * 100)
+    };
+}
+
 /**
  * Process observations to get unique species with counts
  * @param {Array} observations - Raw observation array from eBird
  * @param {Set} notableSpeciesCodes - Set of species codes that are notable
  * @param {Set} lifeListCodes - Set of species codes on user's life list
  * @param {Set} lifeListNames - Set of lowercase common names on user's life list
+ * @param {boolean} [hasLifeList] - Whether lifers should be flagged at all. Defaults to
+ *   whether the list is non-empty; pass true for a regional or year list the user
+ *   simply has no species on yet, where every species counts
+ * @param {Object} [tickLists] - Year, state and county lists from LifeListService.getTickLists();
+ *   each {codes, names} or null. A species missing from a given list is flagged
+ *   isYearBird/isStateBird/isCountyBird; without a list the flag stays false.
  * @returns {Array} Processed bird list
  */
-export function processObservations(observations, notableSpeciesCodes = new Set(), lifeListCodes = new Set(), lifeListNames = new Set()) {
+export function processObservations(observations, notableSpeciesCodes = new Set(), lifeListCodes = new Set(), lifeListNames = new Set(), hasLifeList = lifeListCodes.size > 0 || lifeListNames.size > 0, tickLists = {}) {
     const birdMap = new Map();
-    const hasLifeList = lifeListCodes.size > 0 || lifeListNames.size > 0;
+    const isOnList = (list, obs) => list.codes.has(obs.speciesCode) ||
+        Boolean(obs.comName && list.names.has(obs.comName.toLowerCase()));
+    const isNewFor = (list, obs) => Boolean(list) && !isOnList(list, obs);
 
     for (const obs of observations) {
         const code = obs.speciesCode;
         // Check if species is on life list by code OR by common name
-        const onLifeList = lifeListCodes.has(code) ||
-            (obs.comName && lifeListNames.has(obs.comName.toLowerCase()));
+        const onLifeList = isOnList({ codes: lifeListCodes, names: lifeListNames }, obs);
 
         if (!birdMap.has(code)) {
             birdMap.set(code, {
@@ -388,6 +801,9 @@ export function processObservations(observations, notableSpeciesCodes = new Set(
                 lastSeen: obs.obsDt,
                 isNotable: notableSpeciesCodes.has(code),
                 isLifer: hasLifeList && !onLifeList,
+                isYearBird: isNewFor(tickLists.year, obs),
+                isStateBird: isNewFor(tickLists.state, obs),
+                isCountyBird: isNewFor(tickLists.county, obs),
                 confidence: getConfidenceTier(obs.obsDt)
             });
         } else {
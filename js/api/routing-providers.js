@@ -0,0 +1,373 @@
+/**
+ * Routing provider adapters
+ * One interface over OSRM, GraphHopper and Valhalla so routing.js doesn't
+ * care which engine (public or self-hosted) answers, or whether the trip is
+ * by car, on foot or by bike.
+ *
+ * Every provider has:
+ *   route(waypoints, signal)        -> {totalDistance, totalDuration, legs, geometry}
+ *   table(points, options, signal)  -> {durations, distances}
+ *   trip(waypoints, options, signal) (optional, for engines that can reorder stops)
+ *                                   -> {totalDistance, totalDuration, order, snapped, legs, geometry}
+ * Distances are km, durations seconds, geometry a GeoJSON LineString. Failures
+ * throw an Error; HTTP failures carry the response status as error.status.
+ */
+
+import { CONFIG } from '../utils/constants.js';
+
+export const ROUTING_PROVIDERS = ['osrm', 'graphhopper', 'valhalla'];
+
+/**
+ * Travel profiles: how each engine names them, and how the UI talks about them
+ */
+export const TRAVEL_MODES = {
+    car: { label: 'Drive', verb: 'drive', icon: 'car', googleMaps: 'driving', osrm: 'driving', graphhopper: 'car', valhalla: 'auto' },
+    foot: { label: 'Walk', verb: 'walk', icon: 'walk', googleMaps: 'walking', osrm: 'foot', graphhopper: 'foot', valhalla: 'pedestrian' },
+    bike: { label: 'Bike', verb: 'ride', icon: 'bike', googleMaps: 'bicycling', osrm: 'bike', graphhopper: 'bike', valhalla: 'bicycle' }
+};
+
+/**
+ * Fill in defaults and drop anything invalid from stored routing settings.
+ * A base URL the page's security policy wouldn't let through (see
+ * isAllowedRoutingServer) falls back to the public server.
+ * @param {Object} [settings] - {provider, profile, baseUrl, apiKey}
+ * @returns {{provider: string, profile: string, baseUrl: string, apiKey: string}}
+ */
+export function normalizeRoutingSettings(settings = {}) {
+    const provider = ROUTING_PROVIDERS.includes(settings?.provider) ? settings.provider : 'osrm';
+    const profile = TRAVEL_MODES[settings?.profile] ? settings.profile : 'car';
+    let baseUrl = typeof settings?.baseUrl === 'string' ? settings.baseUrl.trim().replace(/\/+$/, '') : '';
+    if (!isAllowedRoutingServer(baseUrl)) baseUrl = '';
+    const apiKey = typeof settings?.apiKey === 'string' ? settings.apiKey.trim() : '';
+    return { provider, profile, baseUrl, apiKey };
+}
+
+/**
+ * Whether a routing server URL is one the page may call: a public default,
+ * or a self-hosted server the deployment allows (CONFIG.ROUTING.SELF_HOSTED_ORIGINS)
+ * @param {string} baseUrl - Server URL; blank means the public default
+ * @returns {boolean}
+ */
+export function isAllowedRoutingServer(baseUrl) {
+    if (!baseUrl || !baseUrl.trim()) return true;
+    let origin;
+    try {
+        origin = new URL(baseUrl.trim()).origin;
+    } catch (e) {
+        return false;
+    }
+
+    const { OSRM_URLS, GRAPHHOPPER_URL, VALHALLA_URL, SELF_HOSTED_ORIGINS } = CONFIG.ROUTING;
+    const publicOrigins = [...Object.values(OSRM_URLS), GRAPHHOPPER_URL, VALHALLA_URL].map(url => new URL(url).origin);
+    return publicOrigins.includes(origin) || SELF_HOSTED_ORIGINS.some(allowed => new URL(allowed).origin === origin);
+}
+
+function routingError(message, status = null) {
+    const error = new Error(message);
+    if (status !== null) error.status = status;
+    return error;
+}
+
+/**
+ * Fetch JSON, turning HTTP failures into errors carrying the status
+ * @param {string} label - Engine name for error messages
+ * @param {string} url
+ * @param {Object} [body] - JSON body; the request is a POST when given
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>}
+ */
+async function fetchJSON(label, url, body = null, signal = null) {
+    const init = body
+        ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+        : {};
+    if (signal) init.signal = signal;
+
+    const response = await fetch(url, Object.keys(init).length > 0 ? init : undefined);
+    if (!response.ok) {
+        throw routingError(`${label} API returned ${response.status}`, response.status);
+    }
+    return response.json();
+}
+
+/**
+ * Decode an encoded polyline (Google's algorithm; Valhalla uses precision 6)
+ * @param {string} encoded
+ * @param {number} [precision]
+ * @returns {Array<[number, number]>} [lng, lat] pairs, GeoJSON order
+ */
+export function decodePolyline(encoded, precision = 6) {
+    const factor = Math.pow(10, precision);
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const nextValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+
+    while (index < encoded.length) {
+        lat += nextValue();
+        lng += nextValue();
+        coordinates.push([lng / factor, lat / factor]);
+    }
+    return coordinates;
+}
+
+function toLegs(legs) {
+    return legs.map((leg, index) => ({
+        fromIndex: index,
+        toIndex: index + 1,
+        distance: leg.distance,
+        duration: leg.duration
+    }));
+}
+
+// ==================== OSRM ====================
+
+/**
+ * OSRM adapter. The public demo server only routes cars, so walking and
+ * cycling default to the FOSSGIS OSRM instances.
+ * @param {Object} settings - From normalizeRoutingSettings()
+ * @returns {Object} Provider
+ */
+function createOSRMProvider({ profile, baseUrl }) {
+    const base = baseUrl || CONFIG.ROUTING.OSRM_URLS[profile];
+    const osrmProfile = TRAVEL_MODES[profile].osrm;
+    const coordsOf = points => points.map(p => `${p.lng},${p.lat}`).join(';');
+    const serviceUrl = (service, points, query) => `${base}/${service}/v1/${osrmProfile}/${coordsOf(points)}?${query}`;
+
+    const parseRoute = (route) => ({
+        totalDistance: route.distance / 1000, // meters to km
+        totalDuration: route.duration,        // seconds
+        legs: toLegs((route.legs || []).map(leg => ({ distance: leg.distance / 1000, duration: leg.duration }))),
+        geometry: route.geometry || null
+    });
+
+    return {
+        name: 'OSRM',
+        profile,
+        supportsTrip: true,
+
+        async route(waypoints, signal) {
+            const data = await fetchJSON('OSRM', serviceUrl('route', waypoints, 'overview=full&geometries=geojson&annotations=duration,distance'), null, signal);
+            if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+                throw routingError(`OSRM route error: ${data.code}`);
+            }
+            return parseRoute(data.routes[0]);
+        },
+
+        async table(points, options = {}, signal) {
+            const query = options.sources ? `sources=${options.sources.join(';')}&annotations=distance,duration` : 'annotations=duration,distance';
+            const data = await fetchJSON('OSRM Table', serviceUrl('table', points, query), null, signal);
+            if (data.code !== 'Ok' || !Array.isArray(data.durations)) {
+                throw routingError(`OSRM Table API error: ${data.code}`);
+            }
+            return {
+                durations: data.durations,
+                // OSRM returns null for unreachable pairs
+                distances: data.distances ? data.distances.map(row => row.map(m => (m === null ? null : m / 1000))) : null
+            };
+        },
+
+        async trip(waypoints, options, signal) {
+            const params = new URLSearchParams({
+                roundtrip: options.roundtrip.toString(),
+                source: options.source,
+                destination: options.destination,
+                geometries: 'geojson',
+                overview: 'full',
+                annotations: 'duration,distance'
+            });
+            const data = await fetchJSON('OSRM Trip', `${base}/trip/v1/${osrmProfile}/${coordsOf(waypoints)}?${params}`, null, signal);
+            if (data.code !== 'Ok' || !data.trips || data.trips.length === 0) {
+                throw routingError(`OSRM Trip response error: ${data.code}`);
+            }
+
+            // waypoints[] is in input order; waypoint_index is each one's place in the trip
+            const order = new Array(waypoints.length);
+            const snapped = new Array(waypoints.length);
+            data.waypoints.forEach((wp, inputIndex) => {
+                order[wp.waypoint_index] = inputIndex;
+                snapped[wp.waypoint_index] = { lat: wp.location[1], lng: wp.location[0] };
+            });
+            return { ...parseRoute(data.trips[0]), order, snapped };
+        }
+    };
+}
+
+// ==================== GraphHopper ====================
+
+/**
+ * GraphHopper adapter (hosted API with a key, or a self-hosted server).
+ * GraphHopper's stop-reordering needs its separate optimization API, so
+ * there's no trip().
+ * @param {Object} settings - From normalizeRoutingSettings()
+ * @returns {Object} Provider
+ */
+function createGraphHopperProvider({ profile, baseUrl, apiKey }) {
+    const base = baseUrl || CONFIG.ROUTING.GRAPHHOPPER_URL;
+    const ghProfile = TRAVEL_MODES[profile].graphhopper;
+    const endpoint = path => (apiKey ? `${base}/${path}?key=${encodeURIComponent(apiKey)}` : `${base}/${path}`);
+    const pointsOf = points => points.map(p => [p.lng, p.lat]);
+
+    return {
+        name: 'GraphHopper',
+        profile,
+        supportsTrip: false,
+
+        async route(waypoints, signal) {
+            const data = await fetchJSON('GraphHopper', endpoint('route'), {
+                points: pointsOf(waypoints),
+                profile: ghProfile,
+                points_encoded: false,
+                instructions: false,
+                details: ['leg_distance', 'leg_time']
+            }, signal);
+            const path = data.paths?.[0];
+            if (!path) {
+                throw routingError(`GraphHopper route error: ${data.message || 'no path'}`);
+            }
+
+            // One leg_distance/leg_time entry per leg: [fromPoint, toPoint, value]
+            const legDistances = path.details?.leg_distance || [];
+            const legTimes = path.details?.leg_time || [];
+            const legs = legDistances.length === waypoints.length - 1
+                ? legDistances.map((entry, i) => ({ distance: entry[2] / 1000, duration: (legTimes[i]?.[2] || 0) / 1000 }))
+                : [{ distance: path.distance / 1000, duration: path.time / 1000 }];
+
+            return {
+                totalDistance: path.distance / 1000, // meters to km
+                totalDuration: path.time / 1000,     // ms to seconds
+                legs: toLegs(legs),
+                geometry: path.points
+            };
+        },
+
+        async table(points, options = {}, signal) {
+            const sources = options.sources ? options.sources.map(i => points[i]) : points;
+            const data = await fetchJSON('GraphHopper Matrix', endpoint('matrix'), {
+                from_points: pointsOf(sources),
+                to_points: pointsOf(points),
+                profile: ghProfile,
+                out_arrays: ['times', 'distances'],
+                fail_fast: false
+            }, signal);
+            if (!Array.isArray(data.times)) {
+                throw routingError(`GraphHopper Matrix error: ${data.message || 'no times'}`);
+            }
+            return {
+                durations: data.times,
+                distances: data.distances ? data.distances.map(row => row.map(m => (m === null ? null : m / 1000))) : null
+            };
+        }
+    };
+}
+
+// ==================== Valhalla ====================
+
+/**
+ * Valhalla adapter. Its optimized_route keeps the first and last locations
+ * fixed, so a round trip is routed as a trip back to a copy of the start.
+ * @param {Object} settings - From normalizeRoutingSettings()
+ * @returns {Object} Provider
+ */
+function createValhallaProvider({ profile, baseUrl }) {
+    const base = baseUrl || CONFIG.ROUTING.VALHALLA_URL;
+    const costing = TRAVEL_MODES[profile].valhalla;
+    const locationsOf = points => points.map(p => ({ lat: p.lat, lon: p.lng }));
+
+    const parseTrip = (trip) => {
+        const coordinates = [];
+        (trip.legs || []).forEach(leg => {
+            const shape = leg.shape ? decodePolyline(leg.shape, 6) : [];
+            // Each leg starts where the last one ended
+            coordinates.push(...(coordinates.length > 0 ? shape.slice(1) : shape));
+        });
+        return {
+            totalDistance: trip.summary.length, // already km
+            totalDuration: trip.summary.time,   // seconds
+            legs: toLegs((trip.legs || []).map(leg => ({ distance: leg.summary.length, duration: leg.summary.time }))),
+            geometry: { type: 'LineString', coordinates }
+        };
+    };
+
+    const request = async (service, waypoints, signal) => {
+        const data = await fetchJSON('Valhalla', `${base}/${service}`, {
+            locations: locationsOf(waypoints),
+            costing,
+            units: 'kilometers',
+            directions_type: 'none'
+        }, signal);
+        if (!data.trip) {
+            throw routingError(`Valhalla ${service} error: ${data.error || 'no trip'}`);
+        }
+        return data.trip;
+    };
+
+    return {
+        name: 'Valhalla',
+        profile,
+        supportsTrip: true,
+
+        async route(waypoints, signal) {
+            return parseTrip(await request('route', waypoints, signal));
+        },
+
+        async table(points, options = {}, signal) {
+            const sources = options.sources ? options.sources.map(i => points[i]) : points;
+            const data = await fetchJSON('Valhalla Matrix', `${base}/sources_to_targets`, {
+                sources: locationsOf(sources),
+                targets: locationsOf(points),
+                costing,
+                units: 'kilometers'
+            }, signal);
+            if (!Array.isArray(data.sources_to_targets)) {
+                throw routingError(`Valhalla Matrix error: ${data.error || 'no matrix'}`);
+            }
+            // Unreachable pairs come back with null (or missing) time and distance
+            const cell = (entry, key) => (entry && entry[key] !== null && entry[key] !== undefined ? entry[key] : null);
+            return {
+                durations: data.sources_to_targets.map(row => row.map(entry => cell(entry, 'time'))),
+                distances: data.sources_to_targets.map(row => row.map(entry => cell(entry, 'distance')))
+            };
+        },
+
+        async trip(waypoints, options, signal) {
+            const locations = options.roundtrip ? [...waypoints, waypoints[0]] : waypoints;
+            const trip = await request('optimized_route', locations, signal);
+
+            const visits = options.roundtrip ? trip.locations.slice(0, -1) : trip.locations;
+            return {
+                ...parseTrip(trip),
+                order: visits.map(loc => loc.original_index),
+                snapped: visits.map(loc => ({ lat: loc.lat, lng: loc.lon }))
+            };
+        }
+    };
+}
+
+/**
+ * Create the routing provider for a set of settings
+ * @param {Object} [settings] - {provider, profile, baseUrl, apiKey}; see normalizeRoutingSettings()
+ * @returns {Object} Provider with route(), table() and, where supported, trip()
+ */
+export function createRoutingProvider(settings = {}) {
+    const normalized = normalizeRoutingSettings(settings);
+    switch (normalized.provider) {
+        case 'graphhopper':
+            return createGraphHopperProvider(normalized);
+        case 'valhalla':
+            return createValhallaProvider(normalized);
+        default:
+            return createOSRMProvider(normalized);
+    }
+}
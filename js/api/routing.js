@@ -1,13 +1,74 @@
 /**
- * Routing API service using OSRM (Open Source Routing Machine)
- * Fetches driving distances and durations between coordinates
+ * Routing API service
+ * Fetches travel distances, durations and routes between coordinates through
+ * the configured routing provider (OSRM, GraphHopper or Valhalla - public or
+ * self-hosted) and travel profile (car, foot or bike). See routing-providers.js.
+ * The function names say "driving" for history; they follow the profile.
  */
 
-import { CONFIG } from '../utils/constants.js';
+import { createRoutingProvider, normalizeRoutingSettings, TRAVEL_MODES } from './routing-providers.js';
 
-const OSRM_BASE_URL = CONFIG.OSRM.BASE_URL;
-const OSRM_TABLE_URL = CONFIG.OSRM.TABLE_URL;
-const OSRM_TRIP_URL = CONFIG.OSRM.TRIP_URL;
+let routingSettings = normalizeRoutingSettings();
+let provider = createRoutingProvider(routingSettings);
+
+/**
+ * Switch routing provider and/or travel profile for all later requests
+ * @param {Object} settings - {provider: 'osrm'|'graphhopper'|'valhalla', profile: 'car'|'foot'|'bike',
+ *   baseUrl (self-hosted server; blank for the public default), apiKey (GraphHopper)}
+ */
+export function setRoutingSettings(settings) {
+    routingSettings = normalizeRoutingSettings(settings);
+    provider = createRoutingProvider(routingSettings);
+}
+
+/**
+ * Get the current routing settings
+ * @returns {{provider: string, profile: string, baseUrl: string, apiKey: string}}
+ */
+export function getRoutingSettings() {
+    return { ...routingSettings };
+}
+
+/**
+ * Get how a travel profile is described in the UI
+ * @param {string} [profile] - 'car', 'foot' or 'bike' (default: the current profile)
+ * @returns {Object} {label, verb, icon, googleMaps}
+ */
+export function getTravelMode(profile = routingSettings.profile) {
+    return TRAVEL_MODES[profile] || TRAVEL_MODES.car;
+}
+
+/**
+ * Run a provider request, retrying transient failures. The public routing
+ * instances have no uptime SLA and apply informal rate limiting, so
+ * server-side failures (429/5xx) and network failures are retried with
+ * backoff; a malformed response or "no route" won't be fixed by trying again.
+ * @param {Function} request - Makes the provider call
+ * @param {number} retries - Number of attempts before giving up
+ * @param {string} label - For log messages
+ * @returns {Promise<Object|null>} The result, or null if every attempt failed
+ */
+async function withRetries(request, retries, label) {
+    for (let attempt = 0; attempt < retries; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`${label} error:`, error.message);
+            const isTransient = error.status
+                ? error.status === 429 || error.status >= 500
+                : error.message.includes('fetch') || error.message.includes('network');
+            if (isTransient && attempt < retries - 1) {
+                const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+            return null;
+        }
+    }
+
+    return null;
+}
 
 /**
  * Get driving route information between two points
@@ -19,25 +80,10 @@ const OSRM_TRIP_URL = CONFIG.OSRM.TRIP_URL;
  */
 export async function getDrivingRoute(originLat, originLng, destLat, destLng, signal) {
     try {
-        // OSRM expects coordinates as lng,lat
-        const url = `${OSRM_BASE_URL}/${originLng},${originLat};${destLng},${destLat}?overview=false`;
-
-        const response = await fetch(url, signal ? { signal } : undefined);
-
-        if (!response.ok) {
-            return null;
-        }
-
-        const data = await response.json();
-
-        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-            return null;
-        }
-
-        const route = data.routes[0];
+        const route = await provider.route([{ lat: originLat, lng: originLng }, { lat: destLat, lng: destLng }], signal);
         return {
-            distance: route.distance / 1000, // Convert meters to km
-            duration: route.duration // Already in seconds
+            distance: route.totalDistance, // km
+            duration: route.totalDuration  // seconds
         };
     } catch (error) {
         console.warn('Routing API error:', error.message);
@@ -46,48 +92,35 @@ export async function getDrivingRoute(originLat, originLng, destLat, destLng, si
 }
 
 /**
- * Get driving distances/durations from one origin to many destinations using the OSRM Table API.
- * Returns all results in a single HTTP request instead of one per destination.
+ * Get travel distances/durations from one origin to many destinations with a
+ * single table (matrix) request instead of one per destination.
  * @param {number} originLat - Origin latitude
  * @param {number} originLng - Origin longitude
  * @param {Array<{lat: number, lng: number}>} destinations - Array of destination coordinates
  * @returns {Promise<Array<{distance: number, duration: number}|null>>} Array of route info or null for failed entries
  */
 async function getDrivingDistancesTable(originLat, originLng, destinations, signal) {
-    // Build coordinates: origin first, then all destinations (OSRM uses lng,lat)
-    const coords = [`${originLng},${originLat}`, ...destinations.map(d => `${d.lng},${d.lat}`)];
-    const url = `${OSRM_TABLE_URL}/${coords.join(';')}?sources=0&annotations=distance,duration`;
-
-    const response = await fetch(url, signal ? { signal } : undefined);
-    if (!response.ok) {
-        throw new Error(`OSRM Table API returned ${response.status}`);
-    }
+    const table = await provider.table([{ lat: originLat, lng: originLng }, ...destinations], { sources: [0] }, signal);
 
-    const data = await response.json();
-    if (data.code !== 'Ok') {
-        throw new Error(`OSRM Table API error: ${data.code}`);
-    }
-
-    // distances[0] and durations[0] are the single row from source index 0 (origin)
-    // Index 0 is origin-to-origin (skip it), indices 1..N map to destinations
-    const distances = data.distances[0];
-    const durations = data.durations[0];
+    // Row 0 is the origin; index 0 is origin-to-origin (skip it), indices 1..N map to destinations
+    const distances = table.distances?.[0] || [];
+    const durations = table.durations[0];
 
     return destinations.map((_, i) => {
         const dist = distances[i + 1];
         const dur = durations[i + 1];
-        // OSRM returns null for unreachable pairs
-        if (dist === null || dur === null) return null;
+        // Unreachable pairs come back as null
+        if (dist === null || dist === undefined || dur === null || dur === undefined) return null;
         return {
-            distance: dist / 1000, // meters to km
-            duration: dur           // seconds
+            distance: dist, // km
+            duration: dur   // seconds
         };
     });
 }
 
 /**
  * Get driving routes for multiple destinations from a single origin.
- * Uses the OSRM Table API for a single fast request, falling back to
+ * Uses the provider's table API for a single fast request, falling back to
  * individual route requests if the table call fails.
  * @param {number} originLat - Origin latitude
  * @param {number} originLng - Origin longitude
@@ -100,7 +133,7 @@ export async function getDrivingRoutes(originLat, originLng, destinations, signa
         return await getDrivingDistancesTable(originLat, originLng, destinations, signal);
     } catch (error) {
         if (error.name === 'AbortError') throw error; // propagate cancel — don't fall back
-        console.warn('OSRM Table API failed, falling back to individual routes:', error.message);
+        console.warn('Routing table request failed, falling back to individual routes:', error.message);
     }
 
     // Fallback: individual route requests in batches
@@ -126,7 +159,59 @@ export async function getDrivingRoutes(originLat, originLng, destinations, signa
 }
 
 /**
- * Get optimized trip route through multiple waypoints using OSRM Trip service
+ * Get the full travel-time matrix between a set of points with a single
+ * table request (the public OSRM server accepts up to 100 points).
+ * @param {Array<{lat: number, lng: number}>} points - Points to measure between
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<Array<Array<number|null>>|null>} durations[i][j] in seconds from point i to point j
+ *   (null for unreachable pairs), or null if the request failed
+ */
+export async function getDrivingDurationMatrix(points, signal) {
+    if (!points || points.length < 2) {
+        return null;
+    }
+
+    try {
+        const table = await provider.table(points, {}, signal);
+        return table.durations;
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('Routing API error:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get travel distances/durations from one origin to a long list of
+ * destinations, split over as many table requests as the public OSRM
+ * server's 100-point limit needs. Unlike getDrivingRoutes() there is no
+ * per-destination fallback, which would mean hundreds of route requests.
+ * @param {{lat: number, lng: number}} origin - Origin coordinates
+ * @param {Array<{lat: number, lng: number}>} destinations - Destination coordinates
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<Array<{distance: number, duration: number}|null>|null>} Route info per destination
+ *   (null for unreachable ones), or null if a request failed
+ */
+export async function getTravelTimesFrom(origin, destinations, signal) {
+    const CHUNK_SIZE = 99; // plus the origin
+    const results = [];
+
+    try {
+        for (let i = 0; i < destinations.length; i += CHUNK_SIZE) {
+            const chunk = await getDrivingDistancesTable(origin.lat, origin.lng, destinations.slice(i, i + CHUNK_SIZE), signal);
+            results.push(...chunk);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('Routing table request failed:', error.message);
+        return null;
+    }
+
+    return results;
+}
+
+/**
+ * Get optimized trip route through multiple waypoints
  * This solves the traveling salesman problem to find the optimal order
  * @param {Array<{lat: number, lng: number, name?: string}>} waypoints - Array of waypoint coordinates
  * @param {Object} options - Options for the trip
@@ -134,10 +219,11 @@ export async function getDrivingRoutes(originLat, originLng, destinations, signa
  * @param {string} options.source - 'first' to fix first waypoint (default: 'first')
  * @param {string} options.destination - 'last' to fix last waypoint (default: 'last')
  * @param {number} retries - Number of attempts before giving up (default 3)
- * @returns {Promise<Object|null>} Optimized trip data or null if failed
+ * @returns {Promise<Object|null>} Optimized trip data, or null if failed or the
+ *   provider can't reorder stops
  */
 export async function getOptimizedTrip(waypoints, options = {}, retries = 3) {
-    if (!waypoints || waypoints.length < 2) {
+    if (!waypoints || waypoints.length < 2 || !provider.supportsTrip) {
         return null;
     }
 
@@ -147,93 +233,28 @@ export async function getOptimizedTrip(waypoints, options = {}, retries = 3) {
         destination = 'last'
     } = options;
 
-    // Build coordinates string (lng,lat format for OSRM)
-    const coordsStr = waypoints
-        .map(wp => `${wp.lng},${wp.lat}`)
-        .join(';');
-
-    const params = new URLSearchParams({
-        roundtrip: roundtrip.toString(),
-        source,
-        destination,
-        geometries: 'geojson',
-        overview: 'full',
-        annotations: 'duration,distance'
-    });
-
-    const url = `${OSRM_TRIP_URL}/${coordsStr}?${params}`;
-
-    for (let attempt = 0; attempt < retries; attempt++) {
-        try {
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                // The public OSRM demo instance has no uptime SLA and applies
-                // informal rate limiting - retry transient server-side failures
-                // with backoff before giving up, rather than failing immediately.
-                console.warn('OSRM Trip API error:', response.status);
-                if ((response.status === 429 || response.status >= 500) && attempt < retries - 1) {
-                    const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                }
-                return null;
-            }
-
-            const data = await response.json();
-
-            if (data.code !== 'Ok' || !data.trips || data.trips.length === 0) {
-                console.warn('OSRM Trip response error:', data.code);
-                return null;
-            }
-
-            const trip = data.trips[0];
-            const orderedWaypoints = data.waypoints;
-
-            // Build result with optimized order
-            const optimizedStops = orderedWaypoints.map((wp, index) => {
-                const originalWp = waypoints[wp.waypoint_index];
-                return {
-                    ...originalWp,
-                    optimizedOrder: index,
-                    originalIndex: wp.waypoint_index,
-                    snappedLocation: {
-                        lat: wp.location[1],
-                        lng: wp.location[0]
-                    }
-                };
-            });
-
-            // Calculate leg-by-leg details
-            const legs = trip.legs.map((leg, index) => ({
-                fromIndex: index,
-                toIndex: index + 1,
-                distance: leg.distance / 1000, // meters to km
-                duration: leg.duration // seconds
-            }));
-
-            return {
-                totalDistance: trip.distance / 1000, // meters to km
-                totalDuration: trip.duration, // seconds
-                stops: optimizedStops,
-                legs,
-                geometry: trip.geometry // GeoJSON LineString
-            };
-        } catch (error) {
-            console.warn('OSRM Trip API error:', error.message);
-            // Only retry actual network failures - a malformed/unparseable
-            // response body won't be fixed by trying again.
-            const isNetworkError = error.message.includes('fetch') || error.message.includes('network');
-            if (isNetworkError && attempt < retries - 1) {
-                const delay = Math.pow(2, attempt) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
-                continue;
-            }
-            return null;
-        }
-    }
-
-    return null;
+    const trip = await withRetries(
+        () => provider.trip(waypoints, { roundtrip, source, destination }),
+        retries,
+        `${provider.name} Trip API`
+    );
+    if (!trip) return null;
+
+    // Build result with optimized order
+    const optimizedStops = trip.order.map((originalIndex, index) => ({
+        ...waypoints[originalIndex],
+        optimizedOrder: index,
+        originalIndex,
+        snappedLocation: trip.snapped?.[index] || null
+    }));
+
+    return {
+        totalDistance: trip.totalDistance, // km
+        totalDuration: trip.totalDuration, // seconds
+        stops: optimizedStops,
+        legs: trip.legs,
+        geometry: trip.geometry // GeoJSON LineString
+    };
 }
 
 /**
@@ -247,62 +268,5 @@ export async function getRouteThrough(waypoints, retries = 3) {
         return null;
     }
 
-    // Build coordinates string (lng,lat format for OSRM)
-    const coordsStr = waypoints
-        .map(wp => `${wp.lng},${wp.lat}`)
-        .join(';');
-    const url = `${OSRM_BASE_URL}/${coordsStr}?overview=full&geometries=geojson&annotations=duration,distance`;
-
-    for (let attempt = 0; attempt < retries; attempt++) {
-        try {
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                // The public OSRM demo instance has no uptime SLA and applies
-                // informal rate limiting - retry transient server-side failures
-                // with backoff before giving up, rather than failing immediately.
-                if ((response.status === 429 || response.status >= 500) && attempt < retries - 1) {
-                    const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                }
-                return null;
-            }
-
-            const data = await response.json();
-
-            if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-                return null;
-            }
-
-            const route = data.routes[0];
-
-            const legs = route.legs.map((leg, index) => ({
-                fromIndex: index,
-                toIndex: index + 1,
-                distance: leg.distance / 1000, // meters to km
-                duration: leg.duration // seconds
-            }));
-
-            return {
-                totalDistance: route.distance / 1000,
-                totalDuration: route.duration,
-                legs,
-                geometry: route.geometry
-            };
-        } catch (error) {
-            console.warn('Routing API error:', error.message);
-            // Only retry actual network failures - a malformed/unparseable
-            // response body won't be fixed by trying again.
-            const isNetworkError = error.message.includes('fetch') || error.message.includes('network');
-            if (isNetworkError && attempt < retries - 1) {
-                const delay = Math.pow(2, attempt) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
-                continue;
-            }
-            return null;
-        }
-    }
-
-    return null;
+    return withRetries(() => provider.route(waypoints), retries, 'Routing API');
 }
@@ -186,13 +186,19 @@ export function getBirdingConditionScore(weather) {
 
     score = Math.max(0, Math.min(100, score));
 
-    let rating;
-    if (score >= 80) rating = 'excellent';
-    else if (score >= 60) rating = 'good';
-    else if (score >= 40) rating = 'fair';
-    else rating = 'poor';
+    return { score, rating: getScoreRating(score) };
+}
 
-    return { score, rating };
+/**
+ * Rating for a birding condition score
+ * @param {number} score - 0-100
+ * @returns {string} 'excellent', 'good', 'fair' or 'poor'
+ */
+function getScoreRating(score) {
+    if (score >= 80) return 'excellent';
+    if (score >= 60) return 'good';
+    if (score >= 40) return 'fair';
+    return 'poor';
 }
 
 /**
@@ -354,6 +360,211 @@ export async function getWeatherForLocation(lat, lng, signal) {
     }
 }
 
+/**
+ * Convert an Open-Meteo wall-clock time local to the location (e.g.
+ * "2026-08-20T06:15") to a real instant, using the location's UTC offset.
+ * See parseSunTimes() for why the string can't go straight into new Date().
+ * @param {string} wallClock - Open-Meteo time string
+ * @param {number} utcOffsetSeconds - data.utc_offset_seconds
+ * @returns {Date}
+ */
+function wallClockToDate(wallClock, utcOffsetSeconds) {
+    return new Date(Date.parse(`${wallClock}Z`) - utcOffsetSeconds * 1000);
+}
+
+/**
+ * Re-hydrate the Date objects in a forecast read back from the JSON cache
+ * @param {Object} forecast
+ * @returns {Object}
+ */
+function reviveForecast(forecast) {
+    forecast.hours.forEach(hour => { hour.date = new Date(hour.date); });
+    forecast.days.forEach(day => {
+        if (day.sunriseDate) day.sunriseDate = new Date(day.sunriseDate);
+        if (day.sunsetDate) day.sunsetDate = new Date(day.sunsetDate);
+    });
+    return forecast;
+}
+
+/**
+ * Fetch an hourly forecast for a location, with every hour scored for birding
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {AbortSignal} [signal] - Optional external abort signal
+ * @param {number} [days] - Days to forecast, including today (default: CONFIG.FORECAST.DAYS)
+ * @returns {Promise<Object|null>} {hours: [{time, date, temperatureC, temperatureF,
+ *   precipitationProbability, precipitationMm, weatherCode, description, icon, condition,
+ *   windSpeedMph, windDirection, windDegrees, score, rating}], days: [{date, sunriseTime, sunrise, sunset, sunriseDate, sunsetDate}]},
+ *   or null if the forecast is unavailable. `time` and `date` strings are the location's own
+ *   wall clock; `date` on hours and sun times are real instants.
+ */
+export async function getHourlyForecast(lat, lng, signal = null, days = CONFIG.FORECAST.DAYS) {
+    const cacheKey = `forecast:${days}:${getWeatherCacheKey(lat, lng)}`;
+    const cached = getWeatherFromCache(cacheKey);
+    if (cached !== null) return reviveForecast(cached);
+
+    const params = new URLSearchParams({
+        latitude: lat.toFixed(4),
+        longitude: lng.toFixed(4),
+        hourly: 'temperature_2m,precipitation_probability,precipitation,weather_code,wind_speed_10m,wind_direction_10m',
+        daily: 'sunrise,sunset',
+        temperature_unit: 'celsius',
+        wind_speed_unit: 'kmh',
+        timezone: 'auto',
+        forecast_days: days
+    });
+
+    try {
+        const response = await fetch(
+            `${OPEN_METEO_BASE}?${params}`,
+            signal ? { signal } : undefined
+        );
+
+        if (!response.ok) {
+            throw new Error(`Weather API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const offset = data.utc_offset_seconds || 0;
+        const hourly = data.hourly || {};
+
+        const hours = (hourly.time || []).map((time, i) => {
+            const weatherInfo = getWeatherInfo(hourly.weather_code?.[i]);
+            const hour = {
+                time,
+                date: wallClockToDate(time, offset),
+                temperatureC: Math.round(hourly.temperature_2m?.[i] ?? 0),
+                temperatureF: celsiusToFahrenheit(hourly.temperature_2m?.[i] ?? 0),
+                precipitationProbability: hourly.precipitation_probability?.[i] || 0,
+                precipitationMm: hourly.precipitation?.[i] || 0,
+                weatherCode: hourly.weather_code?.[i],
+                description: weatherInfo.description,
+                icon: weatherInfo.icon,
+                condition: weatherInfo.condition,
+                windSpeedMph: kmhToMph(hourly.wind_speed_10m?.[i] ?? 0),
+                windDirection: getWindDirection(hourly.wind_direction_10m?.[i] ?? 0),
+                windDegrees: hourly.wind_direction_10m?.[i] ?? null
+            };
+            return { ...hour, ...getBirdingConditionScore(hour) };
+        });
+
+        const forecastDays = (data.daily?.time || []).map((date, i) => {
+            const sunData = parseSunTimes(
+                { sunrise: [data.daily.sunrise?.[i]], sunset: [data.daily.sunset?.[i]] },
+                offset
+            );
+            return {
+                date,
+                sunriseTime: data.daily.sunrise?.[i]?.slice(11, 16) || null,
+                sunrise: sunData.sunrise || null,
+                sunset: sunData.sunset || null,
+                sunriseDate: sunData.sunriseDate || null,
+                sunsetDate: sunData.sunsetDate || null
+            };
+        });
+
+        const result = { hours, days: forecastDays, utcOffsetSeconds: offset };
+        setWeatherInCache(cacheKey, result);
+        return result;
+    } catch (error) {
+        if (error.name === 'AbortError') throw error; // propagate cancel
+        console.warn(`Forecast fetch failed for ${lat}, ${lng}:`, error);
+        return null;
+    }
+}
+
+/**
+ * The forecast hour covering an instant
+ * @param {Object|null} forecast - From getHourlyForecast()
+ * @param {Date} date - The instant
+ * @returns {Object|null} The hour, or null if outside the forecast
+ */
+export function getForecastAt(forecast, date) {
+    if (!forecast) return null;
+    const time = new Date(date).getTime();
+    return forecast.hours.find(hour => time >= hour.date.getTime() && time < hour.date.getTime() + 3600000) || null;
+}
+
+/**
+ * A date's calendar day on this device, as 'YYYY-MM-DD' - for a day the
+ * user picked, which means that date wherever the trip is
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getCalendarDateKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * A forecast day by calendar date. Open-Meteo's days are the location's, so
+ * an instant is turned into the location's calendar date with the
+ * forecast's UTC offset, the same way its hourly times are read.
+ * @param {Object|null} forecast - From getHourlyForecast()
+ * @param {Date|string} date - An instant, or a calendar day as 'YYYY-MM-DD' (see getCalendarDateKey())
+ * @returns {Object|null} The day {date, sunrise, sunset, sunriseDate, sunsetDate}, or null
+ */
+export function getForecastDay(forecast, date) {
+    if (!forecast) return null;
+    const key = typeof date === 'string'
+        ? date
+        : new Date(new Date(date).getTime() + (forecast.utcOffsetSeconds || 0) * 1000).toISOString().slice(0, 10);
+    return forecast.days.find(day => day.date === key) || null;
+}
+
+/**
+ * Recommend the best day and morning window to go birding. Each day's
+ * mornings (sunrise to noon) are searched for the consecutive hours with the
+ * best average birding score; hours already past are skipped.
+ * @param {Object|null} forecast - From getHourlyForecast()
+ * @param {Object} [options]
+ * @param {number} [options.windowHours] - Window length (default: CONFIG.FORECAST.WINDOW_HOURS)
+ * @param {Date} [options.now] - "now", injectable for testing
+ * @returns {{bestDay: Object|null, days: Array}} Per day {date, sunrise, window: {start, end,
+ *   label, startDate, score, rating}|null} (start/end as the location's 'HH:MM'); bestDay is the day with the highest-scoring window
+ */
+export function planBestBirdingDay(forecast, options = {}) {
+    const { windowHours = CONFIG.FORECAST.WINDOW_HOURS, now = new Date() } = options;
+    if (!forecast) return { bestDay: null, days: [] };
+
+    const days = forecast.days.map(day => {
+        // Mornings run from the hour sunrise falls in (or 6 AM without one) to noon
+        const firstHour = day.sunriseTime ? Number(day.sunriseTime.slice(0, 2)) : 6;
+        const morning = forecast.hours.filter(hour => {
+            if (!hour.time.startsWith(day.date)) return false;
+            const h = Number(hour.time.slice(11, 13));
+            return h >= firstHour && h < 12 && hour.date.getTime() + 3600000 > now.getTime();
+        });
+
+        let best = null;
+        for (let i = 0; i + windowHours <= morning.length; i++) {
+            const slice = morning.slice(i, i + windowHours);
+            const score = Math.round(slice.reduce((sum, hour) => sum + hour.score, 0) / windowHours);
+            if (!best || score > best.score) {
+                const endHour = Number(slice[slice.length - 1].time.slice(11, 13)) + 1;
+                const start = slice[0].time.slice(11, 16);
+                const end = `${String(endHour).padStart(2, '0')}:00`;
+                best = {
+                    start,
+                    end,
+                    label: `${formatTime12h(start)} - ${formatTime12h(end)}`,
+                    startDate: slice[0].date,
+                    score,
+                    rating: getScoreRating(score)
+                };
+            }
+        }
+
+        return { date: day.date, sunrise: day.sunrise, window: best };
+    });
+
+    const bestDay = days
+        .filter(day => day.window)
+        .reduce((best, day) => (!best || day.window.score > best.window.score ? day : best), null);
+
+    return { bestDay, days };
+}
+
 /**
  * Fetch weather data for multiple locations in parallel
  * @param {Array<{lat: number, lng: number}>} locations - Array of locations
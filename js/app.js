@@ -4,28 +4,54 @@
 
 import { CONFIG, ErrorMessages, ErrorTypes, EXPECTED_USER_ERRORS } from './utils/constants.js';
 import { validateCoordinates, validateApiKey, validateAddress, validateFavoriteName } from './utils/validators.js';
-import { calculateDistance, formatDistance, formatDuration, getGoogleMapsSearchUrl, getGoogleMapsDirectionsUrl, getGoogleMapsRouteUrl, getEbirdHotspotUrl } from './utils/formatters.js';
+import { calculateDistance, formatDate, formatDistance, formatDuration, formatFrequency, getGoogleMapsSearchUrl, getGoogleMapsDirectionsUrl, getGoogleMapsRouteUrl, getEbirdHotspotUrl } from './utils/formatters.js';
 import { createSVGIcon, ICONS } from './utils/icons.js';
 import { clearElement } from './utils/dom-helpers.js';
 import { storage } from './services/storage.js';
 import { geocodeAddress, getCurrentPosition } from './api/geocoding.js';
 import { reverseGeocode, batchReverseGeocode } from './api/reverse-geo.js';
-import { EBirdAPI, processObservations } from './api/ebird.js';
-import { generatePDFReport, downloadPDF, generateRoutePDFReport, downloadRoutePDF } from './services/pdf-generator.js';
-import { getDrivingRoutes, getRouteThrough } from './api/routing.js';
-import { getWeatherForLocations, getOverallBirdingConditions, getBirdingConditionScore, getGoldenHourStatus } from './api/weather.js';
+import { EBirdAPI, processObservations, createRequestBudget, getSpeciesFrequency } from './api/ebird.js';
+import { generatePDFReport, downloadPDF, generateRoutePDFReport, downloadRoutePDF, generateComparisonPDF, downloadComparisonPDF } from './services/pdf-generator.js';
+import { getDrivingRoutes, getRouteThrough, getRoutingSettings, setRoutingSettings, getTravelMode } from './api/routing.js';
+import { isAllowedRoutingServer } from './api/routing-providers.js';
+import { getWeatherForLocations, getOverallBirdingConditions, getBirdingConditionScore, getGoldenHourStatus, getHourlyForecast, getForecastDay, getCalendarDateKey, planBestBirdingDay } from './api/weather.js';
 import { SpeciesSearch } from './services/species-search.js';
 import { getSeasonalInsights, getOptimalBirdingTimes, getCurrentSeason, analyzeHotspotActivity } from './services/seasonal-insights.js';
-import { buildItinerary, formatItineraryDuration, formatItineraryTime, calculateUniquenessScore, getSeenSpeciesFromHotspots, canShowGenericItineraryButton } from './services/itinerary-builder.js';
-import { buildRouteSamplePoints, dedupeHotspotsById, filterHotspotsByRouteDistance, rankHotspotsForEnrichment, sortEnrichedRouteHotspots } from './services/route-hotspot-search.js';
-import { generateGPX, generateHotspotsGPX, downloadGPX } from './services/gpx-generator.js';
+import { buildItinerary, retimeItinerary, formatItineraryDuration, formatItineraryTime, calculateUniquenessScore, getSeenSpeciesFromHotspots, canShowGenericItineraryButton } from './services/itinerary-builder.js';
+import { moveStop, shiftStop, toggleStopLock, removeStop, setStopVisitTime, setStopTimeWindow, insertStop, restoreSavedItinerary } from './services/itinerary-editor.js';
+import { parseRouteFile } from './services/route-import.js';
+import { assignHotspotsToLegs, buildRouteSamplePoints, dedupeHotspotsById, filterHotspotsByRouteDistance, rankHotspotsForEnrichment, sortEnrichedRouteHotspots, splitRouteAtWaypoints } from './services/route-hotspot-search.js';
+import { planMultiDayTrip } from './services/trip-planner.js';
+import { planTargetRoute } from './services/target-planner.js';
+import { findHotspotsWithinTravelTime, getReachRadiusKm } from './services/travel-time-search.js';
+import { loadRecentChecklists, formatChecklistEffort, getChecklistSpecies, summarizeVisits } from './services/hotspot-checklists.js';
+import { compareHotspots, getHotspotQualityTier, ACTIVITY_SLOT_KEYS, MAX_COMPARED_HOTSPOTS, MIN_COMPARED_HOTSPOTS } from './services/hotspot-comparison.js';
+import { loadSpeciesSightings, getSightingMarkerStyle } from './services/species-sightings.js';
+import { clusterPoints } from './services/marker-clustering.js';
+import { getViewportSearchArea, pickNewViewportHotspots } from './services/viewport-search.js';
+import { resolveReportOptions } from './services/report-options.js';
+import { getMigrationRadarAlerts } from './services/migration-radar.js';
+import { generateGPX, generateHotspotsGPX, generateTripPlanGPX, downloadGPX } from './services/gpx-generator.js';
+import { generateKML, generateHotspotsKML, generateTripPlanKML, downloadKML } from './services/kml-generator.js';
+import { generateGeoJSON, generateHotspotsGeoJSON, generateTripPlanGeoJSON, downloadGeoJSON } from './services/geojson-generator.js';
+import { generateICS, generateTripPlanICS, downloadICS } from './services/ics-generator.js';
 import { applyHotspotFilters } from './services/hotspot-filters.js';
 import { LifeListService } from './services/life-list.js';
+import { isChecklistHistoryHeader } from './services/ebird-data-import.js';
 import { errorReporter } from './services/error-reporter.js';
+import { buildOfflineTripPack, saveOfflineTrip, getOfflineTrips, getOfflineTrip, deleteOfflineTrip } from './services/offline-trips.js';
 
 // Install global error handlers as early as possible
 errorReporter.init();
 
+// Map file formats offered next to the GPX export buttons
+const MAP_EXPORT_FORMATS = {
+    gpx: { label: 'GPX', name: 'GPX' },
+    kml: { label: 'KML (Google Earth)', name: 'KML' },
+    kmz: { label: 'KMZ (Google Earth)', name: 'KMZ' },
+    geojson: { label: 'GeoJSON (QGIS, uMap)', name: 'GeoJSON' }
+};
+
 /**
  * Sanitize a string for safe HTML interpolation (prevent XSS)
  */
@@ -62,6 +88,27 @@ function getHotspotFreshnessDays(hotspot) {
     return Math.min(...chaseWorthy.map(b => b.confidence?.daysAgo ?? Infinity));
 }
 
+/**
+ * Cache key for a route through a list of points, to tell whether a cached
+ * route still matches the addresses entered
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {string}
+ */
+function routeWaypointsKey(points) {
+    return points.map(p => `${p.lat},${p.lng}`).join(';');
+}
+
+/**
+ * Format a date as a date input's 'YYYY-MM-DD' value, in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateInputValue(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Main application class
  */
@@ -101,6 +148,12 @@ class BirdingHotspotsApp {
             // Hotspots count
             hotspotsCountRadios: document.querySelectorAll('[name="hotspotsCount"]'),
 
+            // Travel mode & routing
+            travelModeRadios: document.querySelectorAll('[name="travelMode"]'),
+            routingProvider: document.getElementById('routingProvider'),
+            routingBaseUrl: document.getElementById('routingBaseUrl'),
+            routingApiKey: document.getElementById('routingApiKey'),
+
             // Advanced Options
             advancedOptionsToggle: document.getElementById('advancedOptionsToggle'),
             advancedOptionsContent: document.getElementById('advancedOptionsContent'),
@@ -121,6 +174,20 @@ class BirdingHotspotsApp {
             confirmDialogMessage: document.getElementById('confirmDialogMessage'),
             confirmDialogOk: document.getElementById('confirmDialogOk'),
             confirmDialogCancel: document.getElementById('confirmDialogCancel'),
+            // Recent checklists drawer
+            checklistDrawer: document.getElementById('checklistDrawer'),
+            checklistDrawerTitle: document.getElementById('checklistDrawerTitle'),
+            checklistDrawerSummary: document.getElementById('checklistDrawerSummary'),
+            checklistDrawerBody: document.getElementById('checklistDrawerBody'),
+            checklistDrawerClose: document.getElementById('checklistDrawerClose'),
+            comparisonModal: document.getElementById('comparisonModal'),
+            comparisonBody: document.getElementById('comparisonBody'),
+            comparisonClose: document.getElementById('comparisonClose'),
+            comparisonPdfBtn: document.getElementById('comparisonPdfBtn'),
+            reportBuilderModal: document.getElementById('reportBuilderModal'),
+            reportBuilderForm: document.getElementById('reportBuilderForm'),
+            reportBuilderClose: document.getElementById('reportBuilderClose'),
+            reportBuilderCancel: document.getElementById('reportBuilderCancel'),
             // Error report dialog
             errorBadge: document.getElementById('errorBadge'),
             errorReportDialog: document.getElementById('errorReportDialog'),
@@ -157,10 +224,21 @@ class BirdingHotspotsApp {
             resultsSection: document.getElementById('resultsSection'),
             resultsMeta: document.getElementById('resultsMeta'),
             hotspotCards: document.getElementById('hotspotCards'),
+            speciesLayerInput: document.getElementById('speciesLayerInput'),
+            speciesLayerDropdown: document.getElementById('speciesLayerDropdown'),
+            speciesLayerInfo: document.getElementById('speciesLayerInfo'),
+            speciesLayerStatus: document.getElementById('speciesLayerStatus'),
+            speciesLayerClear: document.getElementById('speciesLayerClear'),
+            compareBar: document.getElementById('compareBar'),
+            compareBarCount: document.getElementById('compareBarCount'),
+            compareClearBtn: document.getElementById('compareClearBtn'),
+            compareOpenBtn: document.getElementById('compareOpenBtn'),
             newSearchBtn: document.getElementById('newSearchBtn'),
             exportPdfBtn: document.getElementById('exportPdfBtn'),
             exportGpxBtn: document.getElementById('exportGpxBtn'),
+            exportGpxFormat: document.getElementById('exportGpxFormat'),
             shareLinkBtn: document.getElementById('shareLinkBtn'),
+            saveOfflineBtn: document.getElementById('saveOfflineBtn'),
             sortBySpecies: document.getElementById('sortBySpecies'),
             sortByDistance: document.getElementById('sortByDistance'),
             sortByDriving: document.getElementById('sortByDriving'),
@@ -168,10 +246,16 @@ class BirdingHotspotsApp {
             resultsFilterBar: document.getElementById('resultsFilterBar'),
             filterNotable: document.getElementById('filterNotable'),
             filterLifers: document.getElementById('filterLifers'),
+            filterYearBirds: document.getElementById('filterYearBirds'),
+            filterStateBirds: document.getElementById('filterStateBirds'),
+            filterCountyBirds: document.getElementById('filterCountyBirds'),
             filterMinSpecies: document.getElementById('filterMinSpecies'),
             resultsMap: document.getElementById('resultsMap'),
             rareBirdAlert: document.getElementById('rareBirdAlert'),
             liferAlert: document.getElementById('liferAlert'),
+            yearBirdAlert: document.getElementById('yearBirdAlert'),
+            stateBirdAlert: document.getElementById('stateBirdAlert'),
+            countyBirdAlert: document.getElementById('countyBirdAlert'),
             weatherSummary: document.getElementById('weatherSummary'),
             migrationAlert: document.getElementById('migrationAlert'),
             // Life list elements
@@ -180,6 +264,14 @@ class BirdingHotspotsApp {
             lifeListCount: document.getElementById('lifeListCount'),
             importLifeList: document.getElementById('importLifeList'),
             clearLifeList: document.getElementById('clearLifeList'),
+            liferScopeGroup: document.getElementById('liferScopeGroup'),
+            liferScope: document.getElementById('liferScope'),
+            regionalListsSummary: document.getElementById('regionalListsSummary'),
+            tickListScope: document.getElementById('tickListScope'),
+            tickListRegion: document.getElementById('tickListRegion'),
+            tickListSpecies: document.getElementById('tickListSpecies'),
+            addTick: document.getElementById('addTick'),
+            removeTick: document.getElementById('removeTick'),
             // Search type selection (Step 1)
             locationSearchBtn: document.getElementById('locationSearchBtn'),
             routeSearchBtn: document.getElementById('routeSearchBtn'),
@@ -189,9 +281,23 @@ class BirdingHotspotsApp {
             // Reset buttons
             resetLocationSearch: document.getElementById('resetLocationSearch'),
             resetRouteSearch: document.getElementById('resetRouteSearch'),
+            // Route via points ("stops along the way")
+            routeViaList: document.getElementById('routeViaList'),
+            addRouteVia: document.getElementById('addRouteVia'),
+            // Route file import
+            importRouteFile: document.getElementById('importRouteFile'),
+            importedRouteInfo: document.getElementById('importedRouteInfo'),
+            clearImportedRoute: document.getElementById('clearImportedRoute'),
             // Sub-toggle for location search
             hotspotSubBtn: document.getElementById('hotspotSubBtn'),
             speciesSubBtn: document.getElementById('speciesSubBtn'),
+            targetListSubBtn: document.getElementById('targetListSubBtn'),
+            // Target list elements
+            targetListPanel: document.getElementById('targetListPanel'),
+            targetListInput: document.getElementById('targetListInput'),
+            targetListDropdown: document.getElementById('targetListDropdown'),
+            targetListTags: document.getElementById('targetListTags'),
+            targetListCount: document.getElementById('targetListCount'),
             // Species search elements
             speciesSearchPanel: document.getElementById('speciesSearchPanel'),
             speciesDropdown: document.getElementById('speciesDropdown'),
@@ -226,6 +332,9 @@ class BirdingHotspotsApp {
             deselectAllRouteHotspots: document.getElementById('deselectAllRouteHotspots'),
             routeFilterNotable: document.getElementById('routeFilterNotable'),
             routeFilterLifers: document.getElementById('routeFilterLifers'),
+            routeFilterYearBirds: document.getElementById('routeFilterYearBirds'),
+            routeFilterStateBirds: document.getElementById('routeFilterStateBirds'),
+            routeFilterCountyBirds: document.getElementById('routeFilterCountyBirds'),
             routeFilterTarget: document.getElementById('routeFilterTarget'),
             routeFilterMinSpecies: document.getElementById('routeFilterMinSpecies'),
             selectedHotspotsCount: document.getElementById('selectedHotspotsCount'),
@@ -244,6 +353,16 @@ class BirdingHotspotsApp {
             endAddressError: document.getElementById('endAddressError'),
             maxStops: document.getElementById('maxStops'),
             maxStopsValue: document.getElementById('maxStopsValue'),
+            maxStopsLabel: document.getElementById('maxStopsLabel'),
+            tripDays: document.getElementById('tripDays'),
+            multiDayOptions: document.getElementById('multiDayOptions'),
+            tripStartDate: document.getElementById('tripStartDate'),
+            tripStartDateLabel: document.getElementById('tripStartDateLabel'),
+            findBestDayBtn: document.getElementById('findBestDayBtn'),
+            bestDayPlan: document.getElementById('bestDayPlan'),
+            dailyHours: document.getElementById('dailyHours'),
+            dailyHoursValue: document.getElementById('dailyHoursValue'),
+            tripLodgingInputs: document.getElementById('tripLodgingInputs'),
             itineraryStartTime: document.getElementById('itineraryStartTime'),
             generateItinerary: document.getElementById('generateItinerary'),
             itineraryResults: document.getElementById('itineraryResults'),
@@ -251,6 +370,9 @@ class BirdingHotspotsApp {
             itineraryStops: document.getElementById('itineraryStops'),
             exportItineraryPdf: document.getElementById('exportItineraryPdf'),
             exportItineraryGpx: document.getElementById('exportItineraryGpx'),
+            exportItineraryFormat: document.getElementById('exportItineraryFormat'),
+            exportItineraryIcs: document.getElementById('exportItineraryIcs'),
+            icsIncludeTravel: document.getElementById('icsIncludeTravel'),
             backToResults: document.getElementById('backToResults'),
             // Recent searches
             recentSearches: document.getElementById('recentSearches'),
@@ -267,6 +389,11 @@ class BirdingHotspotsApp {
             savedItinerariesContent: document.getElementById('savedItinerariesContent'),
             savedItinerariesList: document.getElementById('savedItinerariesList'),
             saveItineraryBtn: document.getElementById('saveItineraryBtn'),
+            // Offline trips
+            offlineTripsSection: document.getElementById('offlineTripsSection'),
+            offlineTripsToggle: document.getElementById('offlineTripsToggle'),
+            offlineTripsContent: document.getElementById('offlineTripsContent'),
+            offlineTripsList: document.getElementById('offlineTripsList'),
             saveItineraryModal: document.getElementById('saveItineraryModal'),
             itineraryName: document.getElementById('itineraryName'),
             cancelSaveItinerary: document.getElementById('cancelSaveItinerary'),
@@ -298,27 +425,37 @@ class BirdingHotspotsApp {
 
         // Search type state (two-step flow)
         this.searchType = 'location'; // 'location' or 'route'
-        this.searchSubMode = 'hotspot'; // 'hotspot' or 'species' (only for location type)
+        this.searchSubMode = 'hotspot'; // 'hotspot', 'species' or 'targets' (only for location type)
 
         // Debounce timer for address input
         this.addressDebounceTimer = null;
 
         // Store results for PDF export
         this.currentResults = null;
+        this.currentTargetPlan = null; // {plan, origin} while a target list plan is shown
         this.currentSortMethod = null;
 
         // Post-search view filters (view-only; exports always use the full result set)
-        this.activeResultFilters = { notableOnly: false, lifersOnly: false, minSpecies: 0 };
-        this.activeRouteFilters = { notableOnly: false, lifersOnly: false, targetOnly: false, minSpecies: 0 };
+        this.activeResultFilters = { notableOnly: false, lifersOnly: false, yearBirdsOnly: false, stateBirdsOnly: false, countyBirdsOnly: false, minSpecies: 0 };
+        this.activeRouteFilters = { notableOnly: false, lifersOnly: false, yearBirdsOnly: false, stateBirdsOnly: false, countyBirdsOnly: false, targetOnly: false, minSpecies: 0 };
+
+        // Hotspots ticked for side-by-side comparison (locIds, in tick order)
+        this.compareSelection = [];
+        this.currentComparison = null;
 
         // Store notable observations for rare bird alerts
         this.notableObservations = [];
 
         // Leaflet map instances
         this.previewMap = null;
+        this.speciesLayer = null; // one species' sightings over the results map
+        this.speciesLayerHighlightIndex = -1;
         this.previewMarker = null;
         this.resultsMapInstance = null;
         this.resultsMarkers = [];
+        this.resultsClusterLayer = null; // holds the clustered subset of resultsMarkers
+        this.resultsClusteredMarkers = [];
+        this.viewportSearch = null; // "Search as I move the map" state for location results
 
         // Track if address has been validated
         this.addressValidated = false;
@@ -339,6 +476,13 @@ class BirdingHotspotsApp {
         this.routeStartAddress = null;
         this.routeEndAddressText = null;
 
+        // Via points between the route's start and end: {row, input, icon, error, label, coords}
+        this.routeVias = [];
+        this.routeViaCounter = 0;
+        // Via points and the direct route's legs ({distance, duration, from, to}) of the last route search
+        this.routeViaPoints = [];
+        this.routeLegs = null;
+
         // Route preview map
         this.routePreviewMapInstance = null;
         this.routePreviewLine = null;
@@ -347,14 +491,18 @@ class BirdingHotspotsApp {
         // Cached route geometry (set by showRoutePreview, reused by handleRouteSearch)
         this.currentRouteCoords = null;
         this.currentRouteData = null;
-        this.currentRouteDataStart = null;
-        this.currentRouteDataEnd = null;
+        this.currentRouteDataKey = null;
+
+        // Route imported from a GPX/KML/GeoJSON file ({name, kind}), in place of the addresses
+        this.importedRoute = null;
 
         // Track if search was cancelled
         this.searchCancelled = false;
 
         // Itinerary state
         this.currentItinerary = null;
+        this.currentItineraryForecast = null;   // hourly forecast it was built with, for re-timing edits
+        this.currentTripPlan = null;
         this.itineraryRouteLine = null;
 
         // Track partial failures during search
@@ -379,6 +527,11 @@ class BirdingHotspotsApp {
             this.resultsMapInstance.remove();
             this.resultsMapInstance = null;
         }
+        this.clearSpeciesLayer();
+        this.resultsClusterLayer = null;
+        this.resultsClusteredMarkers = [];
+        clearTimeout(this.viewportSearch?.timer);
+        this.viewportSearch = null;
         if (this.routePreviewMapInstance) {
             this.routePreviewMapInstance.remove();
             this.routePreviewMapInstance = null;
@@ -442,6 +595,14 @@ class BirdingHotspotsApp {
             radio.addEventListener('change', () => this.toggleInputMode(radio.value));
         });
 
+        // Travel mode & routing service
+        this.elements.travelModeRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.handleRoutingSettingsChange());
+        });
+        this.elements.routingProvider.addEventListener('change', () => this.handleRoutingSettingsChange());
+        this.elements.routingBaseUrl.addEventListener('change', () => this.handleRoutingSettingsChange());
+        this.elements.routingApiKey.addEventListener('change', () => this.handleRoutingSettingsChange());
+
         // Current location button
         this.elements.useCurrentLocation.addEventListener('click', () => this.handleUseCurrentLocation());
 
@@ -467,6 +628,16 @@ class BirdingHotspotsApp {
         this.elements.lifeListToggle.addEventListener('click', () => this.toggleLifeList());
         this.elements.importLifeList.addEventListener('change', (e) => this.handleLifeListImport(e));
         this.elements.clearLifeList.addEventListener('click', () => this.handleClearLifeList());
+        this.elements.liferScope.addEventListener('change', () => {
+            this.lifeListService.setLiferScope(this.elements.liferScope.value);
+            this.showToast('New searches will use this list for lifers');
+        });
+        this.elements.tickListScope.addEventListener('change', () => {
+            const placeholders = { year: String(new Date().getFullYear()), state: 'US-NY', county: 'US-NY-109' };
+            this.elements.tickListRegion.placeholder = placeholders[this.elements.tickListScope.value];
+        });
+        this.elements.addTick.addEventListener('click', () => this.handleTickListEdit(true));
+        this.elements.removeTick.addEventListener('click', () => this.handleTickListEdit(false));
 
         // Favorite hotspots collapsible toggle
         if (this.elements.favoriteHotspotsToggle) {
@@ -482,7 +653,7 @@ class BirdingHotspotsApp {
         // Results section buttons
         this.elements.newSearchBtn.addEventListener('click', () => this.handleNewSearch());
         this.elements.exportPdfBtn.addEventListener('click', () => this.handleExportPdf());
-        this.elements.exportGpxBtn.addEventListener('click', () => this.handleExportGpx());
+        this.elements.exportGpxBtn.addEventListener('click', () => this.handleExportGpx(this.elements.exportGpxFormat.value));
 
         // Sort toggle buttons
         this.elements.sortBySpecies.addEventListener('click', () => this.handleSortChange('species'));
@@ -493,6 +664,9 @@ class BirdingHotspotsApp {
         // Post-search filter chips (location mode)
         this.elements.filterNotable.addEventListener('click', () => this.toggleResultFilterChip('notableOnly', this.elements.filterNotable));
         this.elements.filterLifers.addEventListener('click', () => this.toggleResultFilterChip('lifersOnly', this.elements.filterLifers));
+        this.elements.filterYearBirds.addEventListener('click', () => this.toggleResultFilterChip('yearBirdsOnly', this.elements.filterYearBirds));
+        this.elements.filterStateBirds.addEventListener('click', () => this.toggleResultFilterChip('stateBirdsOnly', this.elements.filterStateBirds));
+        this.elements.filterCountyBirds.addEventListener('click', () => this.toggleResultFilterChip('countyBirdsOnly', this.elements.filterCountyBirds));
         this.elements.filterMinSpecies.addEventListener('input', () => {
             this.activeResultFilters.minSpecies = parseInt(this.elements.filterMinSpecies.value) || 0;
             this.renderHotspotCards();
@@ -502,6 +676,9 @@ class BirdingHotspotsApp {
         // Post-search filter chips (route mode)
         this.elements.routeFilterNotable.addEventListener('click', () => this.toggleRouteFilterChip('notableOnly', this.elements.routeFilterNotable));
         this.elements.routeFilterLifers.addEventListener('click', () => this.toggleRouteFilterChip('lifersOnly', this.elements.routeFilterLifers));
+        this.elements.routeFilterYearBirds.addEventListener('click', () => this.toggleRouteFilterChip('yearBirdsOnly', this.elements.routeFilterYearBirds));
+        this.elements.routeFilterStateBirds.addEventListener('click', () => this.toggleRouteFilterChip('stateBirdsOnly', this.elements.routeFilterStateBirds));
+        this.elements.routeFilterCountyBirds.addEventListener('click', () => this.toggleRouteFilterChip('countyBirdsOnly', this.elements.routeFilterCountyBirds));
         this.elements.routeFilterTarget.addEventListener('click', () => this.toggleRouteFilterChip('targetOnly', this.elements.routeFilterTarget));
         this.elements.routeFilterMinSpecies.addEventListener('input', () => {
             this.activeRouteFilters.minSpecies = parseInt(this.elements.routeFilterMinSpecies.value) || 0;
@@ -543,15 +720,19 @@ class BirdingHotspotsApp {
         this.elements.resetLocationSearch.addEventListener('click', () => this.resetLocationSearch());
         this.elements.resetRouteSearch.addEventListener('click', () => this.resetRouteSearch());
 
-        // Search sub-mode toggle (hotspot vs species)
+        // Search sub-mode toggle (hotspot vs species vs target list)
         this.elements.hotspotSubBtn.addEventListener('click', () => this.setSearchSubMode('hotspot'));
         this.elements.speciesSubBtn.addEventListener('click', () => this.setSearchSubMode('species'));
+        this.elements.targetListSubBtn.addEventListener('click', () => this.setSearchSubMode('targets'));
 
         // Route planning address validation
         this.elements.routeStartAddress.addEventListener('input', () => this.handleRouteStartInputChange());
         this.elements.routeStartAddress.addEventListener('blur', () => this.handleRouteStartBlur());
         this.elements.routeEndAddress.addEventListener('input', () => this.handleRouteEndInputChange());
         this.elements.routeEndAddress.addEventListener('blur', () => this.handleRouteEndBlur());
+        this.elements.importRouteFile.addEventListener('change', (e) => this.handleRouteFileImport(e));
+        this.elements.addRouteVia.addEventListener('click', () => this.addRouteVia());
+        this.elements.clearImportedRoute.addEventListener('click', () => this.clearImportedRoute());
         this.elements.useCurrentLocationStart.addEventListener('click', () => this.handleUseCurrentLocationForRoute('start'));
         this.elements.useCurrentLocationEnd.addEventListener('click', () => this.handleUseCurrentLocationForRoute('end'));
         // Explicit click handler for "Open in Google Maps" route preview link
@@ -599,6 +780,27 @@ class BirdingHotspotsApp {
         // Initialize route target species storage
         this.routeTargetSpeciesList = [];
 
+        // Target list autocomplete
+        this.targetList = [];
+        this.elements.targetListInput.addEventListener('input', () => this.handleTargetListInput());
+        this.elements.targetListInput.addEventListener('focus', () => this.handleTargetListFocus());
+        this.elements.targetListInput.addEventListener('keydown', (e) => this.handleTargetListKeyboard(e));
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#targetListPanel')) {
+                this.hideTargetListDropdown();
+            }
+        });
+        this.elements.targetListDropdown.addEventListener('click', (e) => {
+            const option = e.target.closest('.species-option');
+            if (option) {
+                this.selectTargetListSpecies({
+                    speciesCode: option.dataset.code,
+                    commonName: option.dataset.name,
+                    scientificName: option.dataset.scientific
+                });
+            }
+        });
+
         // Species search input
         this.elements.speciesSearchInput.addEventListener('input', () => this.handleSpeciesSearchInput());
         this.elements.speciesSearchInput.addEventListener('focus', () => this.handleSpeciesSearchFocus());
@@ -624,9 +826,31 @@ class BirdingHotspotsApp {
             }
         });
 
+        // Species sightings layer on the results map
+        this.elements.speciesLayerInput.addEventListener('input', () => this.handleSpeciesLayerInput());
+        this.elements.speciesLayerInput.addEventListener('focus', () => this.handleSpeciesLayerFocus());
+        this.elements.speciesLayerInput.addEventListener('keydown', (e) => this.handleSpeciesLayerKeyboard(e));
+        this.elements.speciesLayerDropdown.addEventListener('click', (e) => {
+            const option = e.target.closest('.species-option');
+            if (option) {
+                this.showSpeciesLayer({ speciesCode: option.dataset.code, commonName: option.dataset.name });
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.species-layer-search')) {
+                this.hideSpeciesLayerDropdown();
+            }
+        });
+        this.elements.speciesLayerClear.addEventListener('click', () => this.clearSpeciesLayer());
+
         // Share link
         this.elements.shareLinkBtn.addEventListener('click', () => this.handleShareLink());
 
+        // Save for offline
+        if (this.elements.saveOfflineBtn) {
+            this.elements.saveOfflineBtn.addEventListener('click', () => this.handleSaveOfflineTrip());
+        }
+
         // Itinerary builder events
         this.elements.buildItineraryBtn.addEventListener('click', () => this.toggleItineraryPanel());
         this.elements.closeItineraryPanel.addEventListener('click', () => this.hideItineraryPanel());
@@ -636,9 +860,15 @@ class BirdingHotspotsApp {
         this.elements.maxStops.addEventListener('input', () => {
             this.elements.maxStopsValue.textContent = this.elements.maxStops.value;
         });
+        this.elements.tripDays.addEventListener('change', () => this.handleTripDaysChange());
+        this.elements.findBestDayBtn.addEventListener('click', () => this.handleFindBestDay());
+        this.elements.dailyHours.addEventListener('input', () => {
+            this.elements.dailyHoursValue.textContent = this.elements.dailyHours.value;
+        });
         this.elements.generateItinerary.addEventListener('click', () => this.handleGenerateItinerary());
         this.elements.exportItineraryPdf.addEventListener('click', () => this.handleExportItineraryPdf());
-        this.elements.exportItineraryGpx.addEventListener('click', () => this.handleExportItineraryGpx());
+        this.elements.exportItineraryGpx.addEventListener('click', () => this.handleExportItineraryGpx(this.elements.exportItineraryFormat.value));
+        this.elements.exportItineraryIcs.addEventListener('click', () => this.handleExportItineraryIcs());
         this.elements.backToResults.addEventListener('click', () => this.handleBackToResults());
 
         // Save itinerary button + modal
@@ -660,6 +890,26 @@ class BirdingHotspotsApp {
                 ?.addEventListener('click', () => this.hideSaveItineraryModal());
         }
 
+        // Recent checklists drawer
+        this.elements.checklistDrawerClose.addEventListener('click', () => this.closeChecklistDrawer());
+        this.elements.checklistDrawer.querySelector('.modal-backdrop')
+            .addEventListener('click', () => this.closeChecklistDrawer());
+
+        // Hotspot comparison
+        this.elements.compareClearBtn.addEventListener('click', () => this.clearCompareSelection());
+        this.elements.compareOpenBtn.addEventListener('click', () => this.openComparison());
+        this.elements.comparisonClose.addEventListener('click', () => this.closeComparison());
+        this.elements.comparisonModal.querySelector('.modal-backdrop')
+            .addEventListener('click', () => this.closeComparison());
+        this.elements.comparisonPdfBtn.addEventListener('click', () => this.handleExportComparisonPdf());
+
+        // PDF report builder
+        this.elements.reportBuilderForm.addEventListener('submit', (e) => this.handleReportBuilderSubmit(e));
+        this.elements.reportBuilderClose.addEventListener('click', () => this.closeReportBuilder());
+        this.elements.reportBuilderCancel.addEventListener('click', () => this.closeReportBuilder());
+        this.elements.reportBuilderModal.querySelector('.modal-backdrop')
+            .addEventListener('click', () => this.closeReportBuilder());
+
         // Saved itineraries collapsible toggle
         const savedItinToggle = this.elements.savedItinerariesToggle;
         if (savedItinToggle) {
@@ -670,6 +920,16 @@ class BirdingHotspotsApp {
             });
         }
 
+        // Offline trips collapsible toggle
+        const offlineToggle = this.elements.offlineTripsToggle;
+        if (offlineToggle) {
+            offlineToggle.addEventListener('click', () => {
+                const isExpanded = offlineToggle.getAttribute('aria-expanded') === 'true';
+                offlineToggle.setAttribute('aria-expanded', String(!isExpanded));
+                this.elements.offlineTripsContent.classList.toggle('collapsed');
+            });
+        }
+
         // Regional activity panel — toggle via event delegation (button lives inside the panel)
         if (this.elements.regionalActivityPanel) {
             this.elements.regionalActivityPanel.addEventListener('click', (e) => {
@@ -707,6 +967,17 @@ class BirdingHotspotsApp {
             this.elements.rememberKey.checked = true;
         }
 
+        // Restore routing provider and travel mode
+        const savedRouting = storage.getRoutingSettings();
+        setRoutingSettings(savedRouting);
+        if (savedRouting?.baseUrl?.trim() && !getRoutingSettings().baseUrl) {
+            // Saved before the allow-list: the security policy would block every call to it
+            storage.setRoutingSettings(getRoutingSettings());
+            this.showToast(`Routing server ${savedRouting.baseUrl.trim()} isn't allowed for this site, ` +
+                'so the public server is used instead.', 'warning');
+        }
+        this.renderRoutingSettings();
+
         // Load favorites
         this.renderFavorites();
 
@@ -722,6 +993,14 @@ class BirdingHotspotsApp {
         // Load saved itineraries
         this.renderSavedItineraries();
 
+        // Load offline trips and register the service worker that serves them
+        this.renderOfflineTrips();
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js').catch(e => {
+                console.warn('Service worker registration failed:', e);
+            });
+        }
+
         // Wire up error reporter badge and dialog
         errorReporter.onQueueChange(count => this._updateErrorBadge(count));
         this._updateErrorBadge(errorReporter.getCount());
@@ -733,6 +1012,48 @@ class BirdingHotspotsApp {
         }
     }
 
+    /**
+     * Reflect the active routing settings in the Travel Mode controls
+     */
+    renderRoutingSettings() {
+        const settings = getRoutingSettings();
+        this.elements.travelModeRadios.forEach(radio => {
+            radio.checked = radio.value === settings.profile;
+        });
+        this.elements.routingProvider.value = settings.provider;
+        this.elements.routingBaseUrl.value = settings.baseUrl;
+        this.elements.routingApiKey.value = settings.apiKey;
+        this.elements.routingApiKey.classList.toggle('hidden', settings.provider !== 'graphhopper');
+    }
+
+    /**
+     * Apply and save a change to the travel mode or routing service. Later
+     * distances, routes and itineraries use it; results already shown keep
+     * the times they were calculated with.
+     */
+    handleRoutingSettingsChange() {
+        const baseUrl = this.elements.routingBaseUrl.value.trim();
+        if (baseUrl && !/^https?:\/\//i.test(baseUrl)) {
+            this.showToast('Routing server URL must start with http:// or https://', 'error');
+            return;
+        }
+        // The page's security policy blocks any server the deployment hasn't allowed
+        if (!isAllowedRoutingServer(baseUrl)) {
+            this.showToast(`${baseUrl} isn't an allowed routing server for this site. ` +
+                'Self-hosted servers have to be allowed in its deployment settings.', 'error');
+            return;
+        }
+
+        setRoutingSettings({
+            provider: this.elements.routingProvider.value,
+            profile: this._checkedValue(this.elements.travelModeRadios, 'car'),
+            baseUrl,
+            apiKey: this.elements.routingApiKey.value
+        });
+        storage.setRoutingSettings(getRoutingSettings());
+        this.renderRoutingSettings();
+    }
+
     /**
      * Toggle between address and GPS input modes
      */
@@ -878,12 +1199,19 @@ class BirdingHotspotsApp {
         this.elements.selectedSpecies.classList.add('hidden');
         this.hideSpeciesDropdown();
 
+        // Clear target list
+        this.elements.targetListInput.value = '';
+        this.targetList = [];
+        this.renderTargetListTags();
+        this.hideTargetListDropdown();
+
         // Hide results section
         this.elements.resultsSection.classList.add('hidden');
         this.elements.mainContent.classList.remove('has-results');
 
         // Clear hotspot cards
         clearElement(this.elements.hotspotCards);
+        this.clearCompareSelection();
 
         // Focus the address input
         this.elements.address.focus();
@@ -893,6 +1221,8 @@ class BirdingHotspotsApp {
      * Reset the route search section to its initial state
      */
     resetRouteSearch() {
+        this.clearImportedRoute();
+
         // Clear start address
         this.elements.routeStartAddress.value = '';
         this.routeStartValidated = false;
@@ -939,8 +1269,10 @@ class BirdingHotspotsApp {
         this.currentRouteHotspots = [];
         this.currentRouteCoords = null;
         this.currentRouteData = null;
-        this.currentRouteDataStart = null;
-        this.currentRouteDataEnd = null;
+        this.currentRouteDataKey = null;
+        this.routeViaPoints = [];
+        this.routeLegs = null;
+        this.clearRouteVias();
 
         // Clear target species
         this.routeTargetSpeciesList = [];
@@ -1188,6 +1520,471 @@ class BirdingHotspotsApp {
         }
     }
 
+    /**
+     * eBird client for lookups made from the results after a search has
+     * finished - the recent checklists drawer and the map's species layer -
+     * so they can't share the search's cancellable client
+     * @returns {EBirdAPI}
+     */
+    getResultsApi() {
+        const validation = validateApiKey(this.elements.apiKey.value);
+        const apiKey = validation.valid ? validation.apiKey : storage.getApiKey();
+        if (!apiKey) {
+            throw new Error('Enter your eBird API key to look this up.');
+        }
+        if (!this.resultsApi || this.resultsApi.apiKey !== apiKey) {
+            this.resultsApi = new EBirdAPI(apiKey);
+        }
+        return this.resultsApi;
+    }
+
+    /**
+     * Open the drawer listing a hotspot's latest checklists - one row per
+     * visit with its date, observer, effort and species total
+     * @param {Object} hotspot - Hotspot with locId, name and birds
+     */
+    async openChecklistDrawer(hotspot) {
+        const drawer = this.elements.checklistDrawer;
+        if (drawer.classList.contains('hidden')) {
+            this._checklistDrawerPreviousFocus = document.activeElement;
+            drawer.classList.remove('hidden');
+            this._checklistDrawerTrapCleanup = this._trapFocus(drawer, {
+                onEscape: () => this.closeChecklistDrawer()
+            });
+        }
+        this._checklistDrawerLocId = hotspot.locId;
+
+        this.elements.checklistDrawerTitle.textContent = `Recent Checklists: ${hotspot.name}`;
+        this.elements.checklistDrawerSummary.textContent = 'Loading the latest checklists...';
+        clearElement(this.elements.checklistDrawerBody);
+        this.elements.checklistDrawerClose.focus();
+
+        let checklists;
+        try {
+            checklists = await loadRecentChecklists(this.getResultsApi(), hotspot.locId);
+        } catch (error) {
+            if (this._checklistDrawerLocId !== hotspot.locId) return;
+            console.warn(`Could not load checklists for ${hotspot.locId}:`, error.message);
+            this.elements.checklistDrawerSummary.textContent = error.message.startsWith('Enter your eBird')
+                ? error.message
+                : 'Could not load recent checklists right now. Please try again in a moment.';
+            return;
+        }
+
+        // Another hotspot's drawer was opened (or this one closed) while loading
+        if (this._checklistDrawerLocId !== hotspot.locId) return;
+        this.renderChecklistList(hotspot, checklists);
+    }
+
+    /**
+     * Close the recent checklists drawer
+     */
+    closeChecklistDrawer() {
+        this._checklistDrawerLocId = null;
+        if (this._checklistDrawerTrapCleanup) {
+            this._checklistDrawerTrapCleanup();
+            this._checklistDrawerTrapCleanup = null;
+        }
+        this.elements.checklistDrawer.classList.add('hidden');
+        if (this._checklistDrawerPreviousFocus) {
+            this._checklistDrawerPreviousFocus.focus();
+            this._checklistDrawerPreviousFocus = null;
+        }
+    }
+
+    /**
+     * Format a checklist's date (and start time, when recorded)
+     * @param {Object} summary - From summarizeChecklist()
+     * @returns {string}
+     */
+    _formatChecklistDate(summary) {
+        if (!summary.date) return 'Unknown date';
+        const time = summary.hasTime ? ` ${formatItineraryTime(summary.date)}` : '';
+        return `${formatDate(summary.date)}${time}`;
+    }
+
+    /**
+     * Show the list of checklists in the drawer
+     * @param {Object} hotspot
+     * @param {Array} checklists - From loadRecentChecklists()
+     */
+    renderChecklistList(hotspot, checklists) {
+        const body = this.elements.checklistDrawerBody;
+        clearElement(body);
+
+        const visits = summarizeVisits(checklists.map(c => c.summary));
+        if (!visits) {
+            this.elements.checklistDrawerSummary.textContent = 'No checklists have been shared from this hotspot yet.';
+            return;
+        }
+        const effort = visits.totalMinutes > 0 ? ` · ${formatDuration(visits.totalMinutes * 60)} of birding` : '';
+        this.elements.checklistDrawerSummary.textContent =
+            `Latest ${visits.checklists} checklist${visits.checklists > 1 ? 's' : ''}: typically ${visits.medianSpecies} species, best ${visits.maxSpecies}${effort}`;
+
+        const list = document.createElement('ul');
+        list.className = 'checklist-list';
+        checklists.forEach(checklist => {
+            const { summary } = checklist;
+            const item = document.createElement('li');
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'checklist-row';
+
+            const when = document.createElement('span');
+            when.className = 'checklist-date';
+            when.textContent = this._formatChecklistDate(summary);
+
+            const species = document.createElement('span');
+            species.className = 'checklist-species-count';
+            species.textContent = `${summary.speciesCount} species`;
+
+            const observer = document.createElement('span');
+            observer.className = 'checklist-observer';
+            observer.textContent = summary.observer;
+
+            const effortText = document.createElement('span');
+            effortText.className = 'checklist-effort';
+            effortText.textContent = formatChecklistEffort(summary) || 'Effort details unavailable';
+
+            row.appendChild(when);
+            row.appendChild(species);
+            row.appendChild(observer);
+            row.appendChild(effortText);
+            row.addEventListener('click', () => this.renderChecklistDetail(hotspot, checklist, checklists));
+            item.appendChild(row);
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+    }
+
+    /**
+     * Show one checklist's full species list with counts in the drawer
+     * @param {Object} hotspot
+     * @param {Object} checklist - Entry from loadRecentChecklists()
+     * @param {Array} checklists - The whole list, to go back to
+     */
+    renderChecklistDetail(hotspot, checklist, checklists) {
+        const { summary, view } = checklist;
+        const body = this.elements.checklistDrawerBody;
+        clearElement(body);
+
+        this.elements.checklistDrawerSummary.textContent =
+            `${this._formatChecklistDate(summary)} · ${summary.observer} · ${summary.speciesCount} species`;
+
+        const backBtn = document.createElement('button');
+        backBtn.type = 'button';
+        backBtn.className = 'btn btn-secondary btn-small checklist-back-btn';
+        backBtn.textContent = '← All checklists';
+        backBtn.addEventListener('click', () => this.renderChecklistList(hotspot, checklists));
+        body.appendChild(backBtn);
+
+        const effort = formatChecklistEffort(summary);
+        if (effort) {
+            const effortText = document.createElement('p');
+            effortText.className = 'checklist-effort';
+            effortText.textContent = effort;
+            body.appendChild(effortText);
+        }
+
+        const ebirdLink = document.createElement('a');
+        ebirdLink.href = `https://ebird.org/checklist/${encodeURIComponent(summary.subId)}`;
+        ebirdLink.target = '_blank';
+        ebirdLink.rel = 'noopener noreferrer';
+        ebirdLink.className = 'hotspot-link';
+        ebirdLink.appendChild(createSVGIcon('external', 16));
+        ebirdLink.appendChild(document.createTextNode(' Open checklist on eBird'));
+        body.appendChild(ebirdLink);
+
+        if (!view) {
+            const message = document.createElement('p');
+            message.textContent = 'Could not load this checklist\'s species. It can still be opened on eBird.';
+            body.appendChild(message);
+            return;
+        }
+
+        // Names from this hotspot's recent sightings, else the taxonomy if it's loaded
+        const names = new Map(hotspot.birds.map(bird => [bird.speciesCode, bird.comName]));
+        (view.obs || []).forEach(obs => {
+            const species = !names.has(obs.speciesCode) && this.speciesSearch?.getSpeciesByCode(obs.speciesCode);
+            if (species) names.set(obs.speciesCode, species.commonName);
+        });
+
+        const list = document.createElement('ul');
+        list.className = 'checklist-species-list';
+        getChecklistSpecies(view, names).forEach(species => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = species.comName;
+            const count = document.createElement('span');
+            count.className = 'checklist-count';
+            count.textContent = species.count;
+            item.appendChild(name);
+            item.appendChild(count);
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+    }
+
+    /**
+     * Tick or untick a hotspot for comparison, up to MAX_COMPARED_HOTSPOTS
+     * @param {string} locId
+     * @param {HTMLInputElement} checkbox - The card's Compare box
+     */
+    toggleCompareHotspot(locId, checkbox) {
+        if (checkbox.checked) {
+            if (this.compareSelection.length >= MAX_COMPARED_HOTSPOTS) {
+                checkbox.checked = false;
+                this.showToast(`You can compare up to ${MAX_COMPARED_HOTSPOTS} hotspots at a time`, 'error');
+                return;
+            }
+            this.compareSelection.push(locId);
+        } else {
+            this.compareSelection = this.compareSelection.filter(id => id !== locId);
+        }
+        this.updateCompareBar();
+    }
+
+    /**
+     * Untick every hotspot and hide the comparison tray
+     */
+    clearCompareSelection() {
+        this.compareSelection = [];
+        this.elements.hotspotCards.querySelectorAll('.hotspot-compare-toggle input')
+            .forEach(checkbox => { checkbox.checked = false; });
+        this.updateCompareBar();
+    }
+
+    /**
+     * Sync the comparison tray with the ticked hotspots
+     */
+    updateCompareBar() {
+        const count = this.compareSelection.length;
+        this.elements.compareBar.classList.toggle('hidden', count === 0);
+        this.elements.compareOpenBtn.disabled = count < MIN_COMPARED_HOTSPOTS;
+        this.elements.compareBarCount.textContent = count < MIN_COMPARED_HOTSPOTS
+            ? `${count} selected - tick at least ${MIN_COMPARED_HOTSPOTS} hotspots to compare`
+            : `${count} of ${MAX_COMPARED_HOTSPOTS} hotspots selected`;
+    }
+
+    /**
+     * Open the side-by-side comparison of the ticked hotspots
+     */
+    openComparison() {
+        const hotspots = this.compareSelection
+            .map(locId => this.currentResults?.hotspots.find(h => h.locId === locId))
+            .filter(Boolean);
+
+        try {
+            this.currentComparison = compareHotspots(hotspots);
+        } catch (error) {
+            this.showError(error.message, { report: false });
+            return;
+        }
+        this.renderComparison(this.currentComparison);
+
+        const modal = this.elements.comparisonModal;
+        this._comparisonPreviousFocus = document.activeElement;
+        modal.classList.remove('hidden');
+        this._comparisonTrapCleanup = this._trapFocus(modal, {
+            onEscape: () => this.closeComparison()
+        });
+        this.elements.comparisonClose.focus();
+    }
+
+    /**
+     * Close the hotspot comparison
+     */
+    closeComparison() {
+        if (this._comparisonTrapCleanup) {
+            this._comparisonTrapCleanup();
+            this._comparisonTrapCleanup = null;
+        }
+        this.elements.comparisonModal.classList.add('hidden');
+        if (this._comparisonPreviousFocus) {
+            this._comparisonPreviousFocus.focus();
+            this._comparisonPreviousFocus = null;
+        }
+    }
+
+    /**
+     * Render a comparison as a table with one column per hotspot, then the
+     * species they all share
+     * @param {Object} comparison - From compareHotspots()
+     */
+    renderComparison(comparison) {
+        const body = this.elements.comparisonBody;
+        clearElement(body);
+        const { hotspots, sharedBirds } = comparison;
+
+        const wrap = document.createElement('div');
+        wrap.className = 'comparison-table-wrap';
+        const table = document.createElement('table');
+        table.className = 'comparison-table';
+
+        const headRow = document.createElement('tr');
+        const corner = document.createElement('th');
+        corner.scope = 'col';
+        const cornerText = document.createElement('span');
+        cornerText.className = 'visually-hidden';
+        cornerText.textContent = 'Measure';
+        corner.appendChild(cornerText);
+        headRow.appendChild(corner);
+        hotspots.forEach(h => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = h.name;
+            headRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        const addRow = (label, cellFor) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = label;
+            tr.appendChild(th);
+            hotspots.forEach(h => {
+                const td = document.createElement('td');
+                const content = cellFor(h);
+                td.appendChild(typeof content === 'string' ? document.createTextNode(content) : content);
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        };
+        const speciesNames = (birds, emptyText, className) => {
+            if (birds.length === 0) return emptyText;
+            const list = document.createElement('ul');
+            list.className = `comparison-species ${className}`;
+            birds.forEach(bird => {
+                const li = document.createElement('li');
+                li.textContent = bird.comName;
+                list.appendChild(li);
+            });
+            return list;
+        };
+
+        addRow('Species (recent)', h => String(h.speciesCount));
+        addRow('Only here', h => {
+            const cell = document.createElement('div');
+            const count = document.createElement('strong');
+            count.textContent = `${h.uniqueCount} species`;
+            const overlap = document.createElement('span');
+            overlap.className = 'comparison-muted';
+            overlap.textContent = ` (${h.overlapPercent}% shared)`;
+            cell.appendChild(count);
+            cell.appendChild(overlap);
+            const list = speciesNames(h.uniqueBirds, null, 'unique');
+            if (list) cell.appendChild(list);
+            return cell;
+        });
+        addRow('Notable', h => speciesNames(h.notableBirds, 'None', 'notable'));
+        if (this.lifeListService.hasLifeList()) {
+            addRow('Potential lifers', h => speciesNames(h.liferBirds, 'None', 'lifer'));
+        }
+        addRow('Travel', h => (h.travelDuration != null
+            ? `${formatDuration(h.travelDuration)} ${getTravelMode(h.travelMode).verb}${h.travelDistance != null ? ` · ${formatDistance(h.travelDistance)}` : ''}`
+            : `${formatDistance(h.distance)} away`));
+        addRow('Weather', h => {
+            if (!h.weather) return 'No forecast';
+            const cell = document.createElement('div');
+            const score = document.createElement('span');
+            score.className = `birding-condition ${h.conditions.rating}`;
+            score.textContent = `${h.conditions.score}`;
+            score.title = `${h.conditions.rating} birding conditions`;
+            const temperature = this.useFahrenheit ? `${h.weather.temperatureF}°F` : `${h.weather.temperatureC}°C`;
+            cell.appendChild(score);
+            cell.appendChild(document.createTextNode(` ${temperature}, wind ${h.weather.windSpeedMph} mph`));
+            return cell;
+        });
+        addRow('Time of day', h => {
+            if (!h.activity) return 'Not enough timed sightings';
+            const cell = document.createElement('div');
+            const best = document.createElement('strong');
+            best.textContent = `Best: ${h.activity.bestTime}`;
+            cell.appendChild(best);
+            ACTIVITY_SLOT_KEYS.forEach(key => {
+                const slot = h.activity[key];
+                const row = document.createElement('div');
+                row.className = 'comparison-activity';
+                const label = document.createElement('span');
+                label.textContent = slot.label;
+                const bar = document.createElement('span');
+                bar.className = 'comparison-activity-bar';
+                bar.setAttribute('aria-hidden', 'true');
+                const fill = document.createElement('span');
+                fill.style.width = `${slot.percentage}%`;
+                bar.appendChild(fill);
+                const percent = document.createElement('span');
+                percent.textContent = `${slot.percentage}%`;
+                row.appendChild(label);
+                row.appendChild(bar);
+                row.appendChild(percent);
+                cell.appendChild(row);
+            });
+            return cell;
+        });
+        addRow('All-time', h => {
+            const cell = document.createElement('div');
+            const totals = [
+                h.totalSpecies != null ? `${h.totalSpecies.toLocaleString()} species` : null,
+                h.totalChecklists != null ? `${h.totalChecklists.toLocaleString()} checklists` : null
+            ].filter(Boolean);
+            cell.appendChild(document.createTextNode(totals.length > 0 ? totals.join(', ') : 'Unknown'));
+            if (h.quality) {
+                const badge = document.createElement('span');
+                badge.className = `quality-badge ${h.quality.tier}`;
+                badge.textContent = h.quality.label;
+                cell.appendChild(badge);
+            }
+            return cell;
+        });
+
+        table.appendChild(tbody);
+        wrap.appendChild(table);
+        body.appendChild(wrap);
+
+        const shared = document.createElement('div');
+        shared.className = 'comparison-shared';
+        const sharedTitle = document.createElement('h4');
+        sharedTitle.textContent = `Seen at all ${hotspots.length} (${sharedBirds.length})`;
+        const sharedList = document.createElement('p');
+        sharedList.textContent = sharedBirds.length > 0
+            ? sharedBirds.map(b => b.comName).join(', ')
+            : 'These hotspots have no recent species in common.';
+        shared.appendChild(sharedTitle);
+        shared.appendChild(sharedList);
+        body.appendChild(shared);
+    }
+
+    /**
+     * Export the open comparison as a one-page PDF
+     */
+    async handleExportComparisonPdf() {
+        if (!this.currentComparison || !this.currentResults) return;
+
+        this.showLoading('Generating comparison PDF...', 0);
+
+        try {
+            await this._ensurePdfLibsLoaded();
+
+            const pdf = generateComparisonPDF(this.currentComparison, {
+                origin: this.currentResults.origin,
+                generatedDate: new Date().toLocaleDateString(),
+                useFahrenheit: this.useFahrenheit
+            });
+
+            downloadComparisonPDF(pdf);
+            this.hideLoading();
+            this.showSuccessToast('Comparison PDF downloaded!');
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to generate PDF: ${error.message}`);
+        }
+    }
+
     /**
      * Show a non-blocking confirmation dialog (async replacement for native confirm()).
      * Returns a Promise that resolves to true (OK) or false (Cancel).
@@ -1442,6 +2239,23 @@ class BirdingHotspotsApp {
         return `${Math.floor(hours / 24)} day ago`;
     }
 
+    /**
+     * Build the " | Data as of ..." meta suffix shown when some eBird data
+     * was served from the persistent response cache rather than fetched fresh.
+     * @param {Date|null} dataAsOf - From EBirdAPI.getDataAsOf()
+     * @returns {string} Suffix text, or '' when all data is fresh
+     */
+    _formatDataAsOf(dataAsOf) {
+        if (!dataAsOf) return '';
+        const when = dataAsOf.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        return ` | Data as of ${when} (${this._formatTimeAgo(dataAsOf.toISOString())})`;
+    }
+
     /**
      * Toggle the advanced options collapsible section
      */
@@ -1496,6 +2310,14 @@ class BirdingHotspotsApp {
             return;
         }
 
+        // Full checklist histories are streamed through their own importer
+        const headerLine = (await file.slice(0, 4096).text()).split(/\r?\n/)[0];
+        if (isChecklistHistoryHeader(headerLine)) {
+            await this.handleChecklistHistoryImport(file);
+            e.target.value = '';
+            return;
+        }
+
         // Reject oversized files before reading them fully into memory
         if (file.size > CONFIG.LIFE_LIST_IMPORT.MAX_FILE_SIZE_BYTES) {
             this.showError(
@@ -1511,16 +2333,7 @@ class BirdingHotspotsApp {
         try {
             const content = await file.text();
 
-            // Fetch taxonomy if not cached (needed to resolve species codes)
-            if (this.taxonomy.length === 0 && this.ebirdApi) {
-                this.showSuccessToast('Loading eBird taxonomy...');
-                try {
-                    this.taxonomy = await this.ebirdApi.getTaxonomy();
-                } catch (err) {
-                    console.warn('Could not fetch taxonomy:', err);
-                    this.showError('Could not load eBird taxonomy. Some species may not be matched.');
-                }
-            }
+            await this.loadTaxonomyForImport();
 
             const result = this.lifeListService.importFromCSV(content, this.taxonomy);
 
@@ -1544,51 +2357,169 @@ class BirdingHotspotsApp {
     }
 
     /**
-     * Handle clearing the life list
-     */
-    async handleClearLifeList() {
-        const confirmed = await this.showConfirmDialog(
-            'Are you sure you want to clear your life list? This cannot be undone.',
-            { title: 'Clear Life List', okText: 'Clear', cancelText: 'Keep' }
-        );
-
-        if (!confirmed) return;
-
-        this.lifeListService.clear();
-        this.updateLifeListCount();
-        this.showSuccessToast('Life list cleared');
-    }
-
-    /**
-     * Update the life list count badge in the UI
+     * Fetch the eBird taxonomy if not cached yet (needed to resolve species codes on import)
      */
-    updateLifeListCount() {
-        const count = this.lifeListService.getCount();
-        this.elements.lifeListCount.textContent = `${count} species`;
-        this.elements.clearLifeList.disabled = count === 0;
+    async loadTaxonomyForImport() {
+        if (this.taxonomy.length > 0 || !this.ebirdApi) return;
 
-        // Show/hide lifer optimize section based on life list
-        if (this.elements.liferOptimizeSection) {
-            if (count > 0) {
-                this.elements.liferOptimizeSection.classList.remove('hidden');
-            } else {
-                this.elements.liferOptimizeSection.classList.add('hidden');
-            }
+        this.showSuccessToast('Loading eBird taxonomy...');
+        try {
+            this.taxonomy = await this.ebirdApi.getTaxonomy();
+        } catch (err) {
+            console.warn('Could not fetch taxonomy:', err);
+            this.showError('Could not load eBird taxonomy. Some species may not be matched.');
         }
     }
 
     /**
-     * Handle saving a favorite location
+     * Import a full "My eBird Data" checklist history, deriving country,
+     * state, county and year lists as well as the life list
+     * @param {File} file - The MyEBirdData.csv file
      */
-    async handleSaveFavorite() {
-        const nameValidation = validateFavoriteName(this.elements.favoriteName.value);
-        if (!nameValidation.valid) {
-            this.showError(nameValidation.error);
+    async handleChecklistHistoryImport(file) {
+        const maxBytes = CONFIG.LIFE_LIST_IMPORT.MAX_HISTORY_FILE_SIZE_BYTES;
+        if (file.size > maxBytes) {
+            this.showError(`File too large (maximum ${maxBytes / (1024 * 1024)}MB).`, { report: false });
             return;
         }
 
-        try {
-            const location = await this.getCoordinates();
+        // Counties are looked up by name, which needs an API client
+        if (!this.ebirdApi) {
+            const apiKey = this.elements.apiKey.value.trim();
+            if (apiKey) this.ebirdApi = new EBirdAPI(apiKey);
+        }
+
+        await this.loadTaxonomyForImport();
+
+        this.showLoading('Reading your checklist history...', 0);
+        try {
+            const result = await this.lifeListService.importChecklistHistory(file.stream(), this.taxonomy, {
+                totalBytes: file.size,
+                onProgress: percent => this.updateLoading(`Reading your checklist history... ${percent}%`, Math.round(percent * 0.9)),
+                resolveCounties: this.ebirdApi
+                    ? stateCode => this.ebirdApi.getSubregions('subnational2', stateCode)
+                    : null
+            });
+
+            this.hideLoading();
+            this.updateLifeListCount();
+
+            const summary = this.lifeListService.getRegionalListSummary();
+            this.showSuccessToast(
+                `Read ${result.rows.toLocaleString()} sightings: ${this.lifeListService.getCount()} life species, ` +
+                `${summary.states} state and ${summary.counties} county lists`
+            );
+        } catch (err) {
+            this.hideLoading();
+            console.error('Checklist history import error:', err);
+            this.showError(err.message || 'Failed to read checklist history', { report: false });
+        }
+    }
+
+    /**
+     * Add a species to, or remove it from, a year, state or county list
+     * @param {boolean} add - false to remove
+     */
+    async handleTickListEdit(add) {
+        const scope = this.elements.tickListScope.value;
+        const region = this.elements.tickListRegion.value.trim() ||
+            (scope === 'year' ? String(new Date().getFullYear()) : '');
+        if (!this.lifeListService.isValidTickRegion(scope, region)) {
+            this.showError(scope === 'year'
+                ? 'Enter a year, e.g. 2026.'
+                : `Enter an eBird ${scope} code, e.g. ${scope === 'state' ? 'US-NY' : 'US-NY-109'}.`, { report: false });
+            return;
+        }
+        const query = this.elements.tickListSpecies.value.trim().toLowerCase();
+        if (!query) {
+            this.showError('Enter a species to add or remove.', { report: false });
+            return;
+        }
+
+        await this.loadTaxonomyForImport();
+        // Names already on the lists resolve without the taxonomy
+        const listed = Object.entries(this.lifeListService.getRegionalLists()?.species || {})
+            .map(([speciesCode, comName]) => ({ speciesCode, comName }));
+        const species = [...this.taxonomy, ...listed]
+            .find(s => s.comName?.toLowerCase() === query || s.speciesCode?.toLowerCase() === query);
+        if (!species) {
+            this.showError(`Could not find a species called "${this.elements.tickListSpecies.value.trim()}".`, { report: false });
+            return;
+        }
+
+        const listName = `${scope} list (${region.toUpperCase()})`;
+        const changed = add
+            ? this.lifeListService.addTick(scope, region, species)
+            : this.lifeListService.removeTick(scope, region, species.speciesCode);
+        if (changed) {
+            this.elements.tickListSpecies.value = '';
+            this.updateLifeListCount();
+            this.showSuccessToast(`${species.comName} ${add ? 'added to' : 'removed from'} your ${listName}`);
+        } else {
+            this.showToast(`${species.comName} is ${add ? 'already' : 'not'} on your ${listName}`, 'warning');
+        }
+    }
+
+    /**
+     * Handle clearing the life list
+     */
+    async handleClearLifeList() {
+        const confirmed = await this.showConfirmDialog(
+            'Are you sure you want to clear your life list (and any imported regional and year lists)? This cannot be undone.',
+            { title: 'Clear Life List', okText: 'Clear', cancelText: 'Keep' }
+        );
+
+        if (!confirmed) return;
+
+        this.lifeListService.clear();
+        this.updateLifeListCount();
+        this.showSuccessToast('Life list cleared');
+    }
+
+    /**
+     * Update the life list count badge in the UI
+     */
+    updateLifeListCount() {
+        const count = this.lifeListService.getCount();
+        this.elements.lifeListCount.textContent = `${count} species`;
+        this.elements.clearLifeList.disabled = count === 0;
+
+        // Regional/year lifer scopes need an imported checklist history;
+        // lists started by hand are summarised but can't be counted against
+        const summary = this.lifeListService.getRegionalListSummary();
+        this.elements.liferScopeGroup.classList.toggle('hidden', !summary);
+        if (summary) {
+            this.elements.liferScope.value = this.lifeListService.getLiferScope();
+            this.elements.liferScope.disabled = !this.lifeListService.hasImportedHistory();
+            // Lists started by hand, with no checklist history, have no import date
+            const importedDate = summary.importedAt && new Date(summary.importedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+            this.elements.regionalListsSummary.textContent =
+                (importedDate ? `From ${summary.rows.toLocaleString()} sightings (imported ${importedDate}): ` : 'Lists: ') +
+                `${summary.countries} countries, ${summary.states} states/provinces, ${summary.counties} counties, ${summary.years} years`;
+        }
+
+        // Show/hide lifer optimize section based on life list
+        if (this.elements.liferOptimizeSection) {
+            if (count > 0) {
+                this.elements.liferOptimizeSection.classList.remove('hidden');
+            } else {
+                this.elements.liferOptimizeSection.classList.add('hidden');
+            }
+        }
+    }
+
+    /**
+     * Handle saving a favorite location
+     */
+    async handleSaveFavorite() {
+        const nameValidation = validateFavoriteName(this.elements.favoriteName.value);
+        if (!nameValidation.valid) {
+            this.showError(nameValidation.error);
+            return;
+        }
+
+        try {
+            const location = await this.getCoordinates();
 
             storage.addFavorite({
                 name: nameValidation.name,
@@ -2119,12 +3050,26 @@ class BirdingHotspotsApp {
     }
 
     /**
-     * Get selected search range in km
+     * Get selected search range in km. A travel-time range gives the
+     * furthest it could reach, within eBird's limit.
      */
     getSearchRange() {
+        const budget = this.getTravelTimeBudget();
+        if (budget) {
+            return Math.min(Math.ceil(getReachRadiusKm(budget)), CONFIG.DEFAULT_SEARCH_RADIUS);
+        }
         return parseInt(this._checkedValue(this.elements.searchRangeRadios, '50'), 10);
     }
 
+    /**
+     * Get the selected travel-time range ('45min') in minutes
+     * @returns {number|null} Minutes each way, or null for a distance range
+     */
+    getTravelTimeBudget() {
+        const match = /^(\d+)min$/.exec(this._checkedValue(this.elements.searchRangeRadios, ''));
+        return match ? parseInt(match[1], 10) : null;
+    }
+
     /**
      * Main report generation handler
      */
@@ -2135,6 +3080,7 @@ class BirdingHotspotsApp {
         this.isProcessing = true;
         this.searchCancelled = false;
         this.partialFailures = []; // Reset partial failures for new search
+        this.currentTargetPlan = null;
 
         // Create AbortController for cancellable requests
         this.abortController = new AbortController();
@@ -2167,6 +3113,12 @@ class BirdingHotspotsApp {
                 return;
             }
 
+            // Delegate to the target list planner if in target list sub-mode
+            if (this.searchSubMode === 'targets') {
+                await this.handleTargetListSearch();
+                return;
+            }
+
             // Validate address if in address mode
             const inputMode = this._checkedValue(this.elements.inputModeRadios, 'address');
             if (inputMode === 'address') {
@@ -2205,12 +3157,25 @@ class BirdingHotspotsApp {
             // Fetch nearby hotspots
             this.updateLoading('Fetching nearby hotspots...', 15);
             const searchRange = this.getSearchRange();
-            let hotspots = await this.ebirdApi.getNearbyHotspots(
-                origin.lat,
-                origin.lng,
-                searchRange,
-                CONFIG.DEFAULT_DAYS_BACK
-            );
+            const travelTimeBudget = this.getTravelTimeBudget();
+            let hotspots;
+            let reachableArea = null;
+            if (travelTimeBudget) {
+                // Hotspots within real travel time, nearest first
+                const reachable = await findHotspotsWithinTravelTime(this.ebirdApi, origin, travelTimeBudget, {
+                    signal: this.abortController?.signal,
+                    onProgress: message => this.updateLoading(message, 15)
+                });
+                hotspots = reachable.hotspots;
+                reachableArea = reachable.reachableArea;
+            } else {
+                hotspots = await this.ebirdApi.getNearbyHotspots(
+                    origin.lat,
+                    origin.lng,
+                    searchRange,
+                    CONFIG.DEFAULT_DAYS_BACK
+                );
+            }
 
             if (this.searchCancelled) {
                 this.isProcessing = false;
@@ -2218,15 +3183,19 @@ class BirdingHotspotsApp {
             }
 
             if (!hotspots || hotspots.length === 0) {
-                throw new Error(ErrorMessages[ErrorTypes.NO_HOTSPOTS]);
+                throw new Error(travelTimeBudget
+                    ? `No hotspots found within a ${travelTimeBudget} minute ${getTravelMode().verb}. Try a longer travel time.`
+                    : ErrorMessages[ErrorTypes.NO_HOTSPOTS]);
             }
 
             // Sort by distance from origin before limiting (eBird API doesn't guarantee order)
-            hotspots.sort((a, b) => {
-                const distA = calculateDistance(origin.lat, origin.lng, a.lat, a.lng);
-                const distB = calculateDistance(origin.lat, origin.lng, b.lat, b.lng);
-                return distA - distB;
-            });
+            if (!travelTimeBudget) {
+                hotspots.sort((a, b) => {
+                    const distA = calculateDistance(origin.lat, origin.lng, a.lat, a.lng);
+                    const distB = calculateDistance(origin.lat, origin.lng, b.lat, b.lng);
+                    return distA - distB;
+                });
+            }
 
             // Limit to user-selected count
             const hotspotsCount = parseInt(this._checkedValue(this.elements.hotspotsCountRadios, '25'), 10);
@@ -2276,12 +3245,29 @@ class BirdingHotspotsApp {
             const sortMethod = this._checkedValue(this.elements.sortMethodRadios, 'species');
             const sortedHotspots = this.sortHotspots(enrichedHotspots, sortMethod, origin);
 
+            // How often each species turns up here this week in past years
+            this.updateLoading('Checking past years at this time of year...', 86);
+            await this.attachHistoricFrequency(sortedHotspots);
+
+            // Weather-driven big flight / fallout mornings near the search location
+            this.updateLoading('Checking the migration radar...', 90);
+            const migrationRadar = await this.getMigrationRadar(origin);
+
+            if (this.searchCancelled) {
+                this.isProcessing = false;
+                return;
+            }
+
             // Store results for later PDF export
             this.currentResults = {
                 origin,
                 hotspots: sortedHotspots,
                 sortMethod,
+                migrationRadar,
                 searchRadiusKm: this.getSearchRange(),
+                travelTimeBudget,
+                reachableArea,
+                dataAsOf: this.ebirdApi.getDataAsOf(),
                 generatedDate: new Date().toLocaleDateString('en-US', {
                     year: 'numeric',
                     month: 'long',
@@ -2323,8 +3309,12 @@ class BirdingHotspotsApp {
 
     /**
      * Enrich hotspots with additional data (parallelized for speed)
+     * @param {Array} hotspots - From EBirdAPI.getNearbyHotspots()
+     * @param {Object} origin - Search location {lat, lng}
+     * @param {Set<string>} notableSpecies - Species codes reported as notable nearby
+     * @param {EBirdAPI} [ebirdApi] - Client to use (default: the search's)
      */
-    async enrichHotspots(hotspots, origin, notableSpecies) {
+    async enrichHotspots(hotspots, origin, notableSpecies, ebirdApi = this.ebirdApi) {
         this.updateLoading('Fetching hotspot observations...', 35);
 
         // Track failures for this enrichment
@@ -2336,7 +3326,7 @@ class BirdingHotspotsApp {
 
         // Fetch all observations in parallel
         const observationsPromises = hotspots.map(hotspot =>
-            this.ebirdApi.getRecentObservations(hotspot.locId, CONFIG.DEFAULT_DAYS_BACK)
+            ebirdApi.getRecentObservations(hotspot.locId, CONFIG.DEFAULT_DAYS_BACK)
                 .catch(e => {
                     console.warn(`Could not fetch observations for ${hotspot.locId}:`, e);
                     observationFailures++;
@@ -2346,7 +3336,7 @@ class BirdingHotspotsApp {
 
         // Fetch hotspot info in parallel (for quality indicators)
         const hotspotInfoPromises = hotspots.map(hotspot =>
-            this.ebirdApi.getHotspotInfo(hotspot.locId)
+            ebirdApi.getHotspotInfo(hotspot.locId)
                 .catch(e => {
                     console.warn(`Could not fetch hotspot info for ${hotspot.locId}:`, e);
                     hotspotInfoFailures++;
@@ -2379,7 +3369,7 @@ class BirdingHotspotsApp {
         });
 
         // Fetch driving distances
-        this.updateLoading('Calculating driving distances...', 70);
+        this.updateLoading(`Calculating ${getTravelMode().verb} distances...`, 70);
         const drivingRoutes = await getDrivingRoutes(origin.lat, origin.lng, locations, this.abortController?.signal);
 
         // Count driving route failures
@@ -2423,17 +3413,17 @@ class BirdingHotspotsApp {
 
         this.updateLoading('Building hotspot details...', 92);
 
-        // Get life list codes and names for lifer detection
-        const lifeListCodes = this.lifeListService.getLifeListCodes();
-        const lifeListNames = this.lifeListService.getLifeListNames();
-
         // Process results (fast, no waiting)
         return hotspots.map((hotspot, i) => {
             const observations = allObservations[i];
             const addrResult = allAddresses[i];
             const hotspotInfo = allHotspotInfo[i];
             const distance = calculateDistance(origin.lat, origin.lng, hotspot.lat, hotspot.lng);
-            const birds = processObservations(observations, notableSpecies, lifeListCodes, lifeListNames);
+            // Lifers are judged against the list the user picked (life, state, year...)
+            const region = { ...hotspot, subnational2Name: hotspotInfo?.subnational2Name };
+            const lifers = this.lifeListService.getLiferReference(region);
+            const tickLists = this.lifeListService.getTickLists(region);
+            const birds = processObservations(observations, notableSpecies, lifers.codes, lifers.names, lifers.hasList, tickLists);
             const drivingRoute = drivingRoutes[i];
             const weather = weatherData[i] || null;
 
@@ -2447,6 +3437,7 @@ class BirdingHotspotsApp {
                 distance,
                 drivingDistance: drivingRoute?.distance ?? null,
                 drivingDuration: drivingRoute?.duration ?? null,
+                travelMode: getRoutingSettings().profile,
                 birds,
                 weather,
                 // Raw observations — used by analyzeHotspotActivity for real best-time chart
@@ -2458,6 +3449,55 @@ class BirdingHotspotsApp {
         });
     }
 
+    /**
+     * Attach each bird's historic frequency ("reported on X of Y past days
+     * this week") to the top results. Requests are capped per search by
+     * CONFIG.HISTORIC_FREQUENCY and persistently cached, so hotspots beyond the
+     * budget simply keep their recency tiers.
+     * @param {Array} hotspots - Enriched hotspots, best first
+     */
+    async attachHistoricFrequency(hotspots) {
+        const { MAX_HOTSPOTS, MAX_REQUESTS, BATCH_SIZE } = CONFIG.HISTORIC_FREQUENCY;
+        const budget = createRequestBudget(MAX_REQUESTS);
+        const sampled = hotspots.slice(0, MAX_HOTSPOTS);
+
+        for (let i = 0; i < sampled.length; i += BATCH_SIZE) {
+            const batch = sampled.slice(i, i + BATCH_SIZE);
+            await Promise.all(batch.map(async hotspot => {
+                let summary = null;
+                try {
+                    summary = await this.ebirdApi.getHistoricFrequency(hotspot.locId, { budget });
+                } catch (e) {
+                    if (e.name === 'AbortError') throw e;
+                    console.warn(`Could not sample past years for ${hotspot.locId}:`, e);
+                }
+                hotspot.birds.forEach(bird => {
+                    const frequency = getSpeciesFrequency(summary, bird.speciesCode);
+                    if (frequency) bird.frequency = frequency;
+                });
+            }));
+            const checked = Math.min(i + BATCH_SIZE, sampled.length);
+            this.updateLoading(`Checking past years ${checked}/${sampled.length}...`, 86 + (checked / sampled.length) * 4);
+        }
+    }
+
+    /**
+     * Look ahead through the forecast for mornings after a big flight or a
+     * fallout. Non-critical: any failure just means no radar alerts.
+     * @param {Object} origin - Search location {lat, lng}
+     * @returns {Promise<Array>} Alerts from getMigrationRadarAlerts()
+     */
+    async getMigrationRadar(origin) {
+        try {
+            const forecast = await getHourlyForecast(origin.lat, origin.lng, this.abortController?.signal);
+            return getMigrationRadarAlerts(forecast, { lat: origin.lat });
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            console.warn('Could not check the migration radar:', e);
+            return [];
+        }
+    }
+
     /**
      * Sort hotspots based on method
      */
@@ -2539,7 +3579,7 @@ class BirdingHotspotsApp {
 
     /**
      * Toggle a boolean post-search filter for location-mode results and re-render.
-     * @param {'notableOnly'|'lifersOnly'} key
+     * @param {'notableOnly'|'lifersOnly'|'yearBirdsOnly'|'stateBirdsOnly'|'countyBirdsOnly'} key
      * @param {HTMLElement} chip - The chip button to sync aria-pressed/active state on
      */
     toggleResultFilterChip(key, chip) {
@@ -2568,12 +3608,26 @@ class BirdingHotspotsApp {
      * the "no filters" state. Called whenever a fresh result set is displayed.
      */
     resetResultFilters() {
-        this.activeResultFilters = { notableOnly: false, lifersOnly: false, minSpecies: 0 };
+        this.activeResultFilters = { notableOnly: false, lifersOnly: false, yearBirdsOnly: false, stateBirdsOnly: false, countyBirdsOnly: false, minSpecies: 0 };
         this.elements.filterNotable.setAttribute('aria-pressed', 'false');
         this.elements.filterLifers.setAttribute('aria-pressed', 'false');
+        this.resetTickFilterChips([this.elements.filterYearBirds, this.elements.filterStateBirds, this.elements.filterCountyBirds]);
         this.elements.filterMinSpecies.value = '0';
     }
 
+    /**
+     * Unpress the year/state/county bird chips, and only show them once a
+     * checklist history has been imported - without one they'd match nothing
+     * @param {HTMLElement[]} chips
+     */
+    resetTickFilterChips(chips) {
+        const hasHistory = this.lifeListService.hasRegionalLists();
+        chips.forEach(chip => {
+            chip.setAttribute('aria-pressed', 'false');
+            chip.classList.toggle('hidden', !hasHistory);
+        });
+    }
+
     /**
      * Display search results — one-time setup per search: layout switch, map
      * initialization, alert banners, weather summary, scroll/focus/announce, and
@@ -2582,10 +3636,11 @@ class BirdingHotspotsApp {
      * re-firing network calls (B1 optimization).
      */
     displayResults(data) {
-        const { origin, hotspots, sortMethod, generatedDate } = data;
+        const { origin, hotspots, sortMethod, migrationRadar = [], travelTimeBudget = null, reachableArea = null } = data;
 
-        // A fresh result set starts with no active filters
+        // A fresh result set starts with no active filters or comparison
         this.resetResultFilters();
+        this.clearCompareSelection();
 
         // Switch to two-column layout
         this.elements.mainContent.classList.add('has-results');
@@ -2593,23 +3648,27 @@ class BirdingHotspotsApp {
         // Ensure export PDF/GPX buttons are visible (may have been hidden in route mode)
         this.elements.exportPdfBtn.classList.remove('hidden');
         this.elements.exportGpxBtn.classList.remove('hidden');
+        this.elements.exportGpxFormat.classList.remove('hidden');
+        this.elements.saveOfflineBtn?.classList.remove('hidden');
 
         // Generic "Build Itinerary" panel only supports location+hotspot results
         this.updateGenericItineraryButtonVisibility();
 
         // Update meta information
-        this.elements.resultsMeta.textContent = `${hotspots.length} hotspots found | ${generatedDate}`;
+        this.renderResultsMeta(data);
 
         // Render alert banners
         this.renderRareBirdAlert();
         this.renderLiferAlert(hotspots);
-        this.renderMigrationAlert();
+        this.renderTickAlerts(hotspots);
+        this.renderMigrationAlert(migrationRadar, origin);
 
         // Render weather summary
         this.renderWeatherSummary(hotspots);
 
-        // Initialize results map (expensive — only done once per search result)
-        this.initResultsMap(origin, hotspots);
+        // Initialize results map (expensive — only done once per search result).
+        // "Search as I move the map" would reach past a travel-time budget.
+        this.initResultsMap(origin, hotspots, reachableArea, !travelTimeBudget);
 
         // Build and sync sort buttons
         this.renderHotspotCards();
@@ -2638,6 +3697,18 @@ class BirdingHotspotsApp {
         }
     }
 
+    /**
+     * Show how many hotspots the results hold, and when they were fetched
+     * @param {Object} data - currentResults
+     */
+    renderResultsMeta(data) {
+        const { hotspots, generatedDate, dataAsOf, travelTimeBudget = null } = data;
+        const foundText = travelTimeBudget
+            ? `${hotspots.length} hotspots within a ${travelTimeBudget} min ${getTravelMode().verb}`
+            : `${hotspots.length} hotspots found`;
+        this.elements.resultsMeta.textContent = `${foundText} | ${generatedDate}${this._formatDataAsOf(dataAsOf)}`;
+    }
+
     /**
      * Extract eBird region code from reverse geocode address data
      * @param {Object} addressData - Raw address data from LocationIQ
@@ -2741,11 +3812,13 @@ class BirdingHotspotsApp {
      * Build the accessible label text for a species' recency tier.
      * @param {{tier: string}} confidence - bird.confidence, e.g. {tier: 'high'}
      * @param {string} lastSeen - eBird observation date string
+     * @param {Object} [frequency] - bird.frequency, when past years were sampled
      * @returns {string}
      */
-    getRecencyLabelText(confidence, lastSeen) {
+    getRecencyLabelText(confidence, lastSeen, frequency = null) {
         const tierLabel = confidence.tier.charAt(0).toUpperCase() + confidence.tier.slice(1);
-        return `${tierLabel} recency — last reported ${this.formatRelativeDate(lastSeen)}`;
+        const text = `${tierLabel} recency — last reported ${this.formatRelativeDate(lastSeen)}`;
+        return frequency ? `${text}. ${formatFrequency(frequency)}` : text;
     }
 
     /**
@@ -2909,56 +3982,165 @@ class BirdingHotspotsApp {
         container.classList.remove('hidden');
     }
 
+    /**
+     * Append small Y/S/C tags to a species item for a year, state or county bird
+     * @param {HTMLElement} li - Species list item
+     * @param {Object} bird - Processed bird with isYearBird/isStateBird/isCountyBird
+     */
+    appendTickTags(li, bird) {
+        const tags = [
+            [bird.isYearBird, 'Y', 'year'],
+            [bird.isStateBird, 'S', 'state'],
+            [bird.isCountyBird, 'C', 'county']
+        ];
+        for (const [flagged, letter, list] of tags) {
+            if (!flagged) continue;
+            const tag = document.createElement('span');
+            tag.className = `tick-tag tick-tag--${list}`;
+            tag.title = `Not on your ${list} list`;
+            tag.textContent = letter;
+            li.appendChild(tag);
+        }
+    }
+
     /**
      * Render the lifer alert banner showing potential lifers across all hotspots
      * @param {Array} hotspots - Array of hotspot data with birds
      */
     renderLiferAlert(hotspots) {
-        const container = this.elements.liferAlert;
+        // Only show if user has a life list
+        this.renderSpeciesAlert(this.elements.liferAlert, hotspots, this.lifeListService.hasLifeList() && {
+            flag: 'isLifer',
+            title: 'POTENTIAL LIFERS',
+            countLabel: "you haven't seen",
+            moreLabel: 'potential lifers',
+            listId: 'liferAlertMoreList'
+        });
+    }
+
+    /**
+     * Render the year, state and county bird alert banners. Only shown once
+     * there are such lists, from a checklist history import or added by hand.
+     * @param {Array} hotspots - Array of hotspot data with birds
+     */
+    renderTickAlerts(hotspots) {
+        const hasHistory = this.lifeListService.hasRegionalLists();
+        const year = new Date().getFullYear();
+
+        this.renderSpeciesAlert(this.elements.yearBirdAlert, hotspots, hasHistory && {
+            flag: 'isYearBird',
+            title: `${year} YEAR BIRDS`,
+            countLabel: `not on your ${year} list`,
+            moreLabel: 'year birds',
+            listId: 'yearBirdAlertMoreList',
+            variant: 'year'
+        });
+        this.renderSpeciesAlert(this.elements.stateBirdAlert, hotspots, hasHistory && {
+            flag: 'isStateBird',
+            title: 'STATE BIRDS',
+            countLabel: 'not on your state list',
+            moreLabel: 'state birds',
+            listId: 'stateBirdAlertMoreList',
+            variant: 'state'
+        });
+        this.renderSpeciesAlert(this.elements.countyBirdAlert, hotspots, hasHistory && {
+            flag: 'isCountyBird',
+            title: 'COUNTY BIRDS',
+            countLabel: 'not on your county list',
+            moreLabel: 'county birds',
+            listId: 'countyBirdAlertMoreList',
+            variant: 'county'
+        });
+    }
+
+    /**
+     * Render an alert banner listing every species carrying a flag (lifer,
+     * year bird...) across all hotspots
+     * @param {HTMLElement} container - Alert container
+     * @param {Array} hotspots - Array of hotspot data with birds
+     * @param {Object|false} options - Falsy hides the banner
+     * @param {string} options.flag - Bird property to collect, e.g. 'isLifer'
+     * @param {string} options.title - Banner title
+     * @param {string} options.countLabel - Follows "N species" in the header
+     * @param {string} options.moreLabel - Follows "View all N" on the toggle
+     * @param {string} options.listId - ID for the expandable list
+     * @param {string} [options.variant] - Adds a lifer-alert--{variant} modifier class
+     */
+    renderSpeciesAlert(container, hotspots, options) {
         clearElement(container);
 
-        // Only show if user has a life list
-        if (!this.lifeListService.hasLifeList()) {
+        if (!options) {
             container.classList.add('hidden');
             return;
         }
 
-        // Collect all lifers across all hotspots (unique by species code)
-        const liferMap = new Map();
+        const { flag, title: titleText, countLabel, moreLabel, listId, variant } = options;
+
+        // Collect all flagged species across all hotspots (unique by species code)
+        const speciesMap = new Map();
         for (const hotspot of hotspots) {
             for (const bird of hotspot.birds) {
-                if (bird.isLifer && !liferMap.has(bird.speciesCode)) {
-                    liferMap.set(bird.speciesCode, {
+                if (bird[flag] && !speciesMap.has(bird.speciesCode)) {
+                    speciesMap.set(bird.speciesCode, {
                         comName: bird.comName,
                         sciName: bird.sciName,
                         speciesCode: bird.speciesCode,
                         lastSeen: bird.lastSeen,
                         confidence: bird.confidence,
+                        frequency: bird.frequency,
                         hotspotName: hotspot.name
                     });
                 }
             }
         }
 
-        const lifers = Array.from(liferMap.values());
+        const species = Array.from(speciesMap.values());
 
-        if (lifers.length === 0) {
+        if (species.length === 0) {
             container.classList.add('hidden');
             return;
         }
 
         // Show the freshest sightings first so the "+N more" cutoff doesn't
-        // hide a lifer seen today behind ones seen weeks ago.
-        const sortedLifers = sortBirdsByRecency(lifers);
+        // hide a bird seen today behind ones seen weeks ago.
+        const sortedSpecies = sortBirdsByRecency(species);
 
         // Show first 5 in preview, rest hidden
         const previewCount = 5;
-        const previewItems = sortedLifers.slice(0, previewCount);
-        const hasMore = sortedLifers.length > previewCount;
+        const previewItems = sortedSpecies.slice(0, previewCount);
+        const hasMore = sortedSpecies.length > previewCount;
+
+        const createItem = bird => {
+            const li = document.createElement('li');
+            li.className = 'lifer-alert-item';
+
+            const strong = document.createElement('strong');
+            strong.textContent = bird.comName;
+
+            const location = document.createElement('span');
+            location.className = 'lifer-alert-location';
+            location.textContent = ` at ${bird.hotspotName}`;
+
+            const date = document.createElement('span');
+            date.className = 'lifer-alert-date';
+            date.textContent = `(${this.formatRelativeDate(bird.lastSeen)})`;
+
+            li.appendChild(strong);
+            li.appendChild(location);
+            li.appendChild(date);
+
+            if (bird.frequency) {
+                const frequency = document.createElement('span');
+                frequency.className = 'lifer-alert-frequency';
+                frequency.textContent = formatFrequency(bird.frequency);
+                li.appendChild(frequency);
+            }
+            return li;
+        };
 
         // Create alert element
         const alert = document.createElement('div');
-        alert.className = 'lifer-alert';
+        alert.className = variant ? `lifer-alert lifer-alert--${variant}` : 'lifer-alert';
 
         // Header
         const header = document.createElement('div');
@@ -2970,11 +4152,11 @@ class BirdingHotspotsApp {
 
         const title = document.createElement('h3');
         title.className = 'lifer-alert-title';
-        title.textContent = 'POTENTIAL LIFERS';
+        title.textContent = titleText;
 
         const count = document.createElement('span');
         count.className = 'lifer-alert-count';
-        count.textContent = `${lifers.length} ${lifers.length === 1 ? 'species' : 'species'} you haven't seen`;
+        count.textContent = `${species.length} species ${countLabel}`;
 
         header.appendChild(iconSpan);
         header.appendChild(title);
@@ -2983,27 +4165,7 @@ class BirdingHotspotsApp {
         // List
         const list = document.createElement('ul');
         list.className = 'lifer-alert-list';
-
-        previewItems.forEach(lifer => {
-            const li = document.createElement('li');
-            li.className = 'lifer-alert-item';
-
-            const strong = document.createElement('strong');
-            strong.textContent = lifer.comName;
-
-            const location = document.createElement('span');
-            location.className = 'lifer-alert-location';
-            location.textContent = ` at ${lifer.hotspotName}`;
-
-            const date = document.createElement('span');
-            date.className = 'lifer-alert-date';
-            date.textContent = `(${this.formatRelativeDate(lifer.lastSeen)})`;
-
-            li.appendChild(strong);
-            li.appendChild(location);
-            li.appendChild(date);
-            list.appendChild(li);
-        });
+        previewItems.forEach(bird => list.appendChild(createItem(bird)));
 
         alert.appendChild(header);
         alert.appendChild(list);
@@ -3012,28 +4174,8 @@ class BirdingHotspotsApp {
         if (hasMore) {
             const hiddenList = document.createElement('ul');
             hiddenList.className = 'lifer-alert-list hidden';
-            hiddenList.id = 'liferAlertMoreList';
-
-            sortedLifers.slice(previewCount).forEach(lifer => {
-                const li = document.createElement('li');
-                li.className = 'lifer-alert-item';
-
-                const strong = document.createElement('strong');
-                strong.textContent = lifer.comName;
-
-                const location = document.createElement('span');
-                location.className = 'lifer-alert-location';
-                location.textContent = ` at ${lifer.hotspotName}`;
-
-                const date = document.createElement('span');
-                date.className = 'lifer-alert-date';
-                date.textContent = `(${this.formatRelativeDate(lifer.lastSeen)})`;
-
-                li.appendChild(strong);
-                li.appendChild(location);
-                li.appendChild(date);
-                hiddenList.appendChild(li);
-            });
+            hiddenList.id = listId;
+            sortedSpecies.slice(previewCount).forEach(bird => hiddenList.appendChild(createItem(bird)));
 
             const toggle = document.createElement('button');
             toggle.type = 'button';
@@ -3041,7 +4183,7 @@ class BirdingHotspotsApp {
             toggle.setAttribute('aria-expanded', 'false');
 
             const toggleText = document.createElement('span');
-            toggleText.textContent = `View all ${lifers.length} potential lifers`;
+            toggleText.textContent = `View all ${species.length} ${moreLabel}`;
 
             const chevron = createSVGIcon('chevron', 16, 'chevron');
 
@@ -3053,7 +4195,7 @@ class BirdingHotspotsApp {
                 toggle.setAttribute('aria-expanded', !expanded);
                 hiddenList.classList.toggle('hidden');
                 toggleText.textContent = expanded
-                    ? `View all ${lifers.length} potential lifers`
+                    ? `View all ${species.length} ${moreLabel}`
                     : 'Show fewer';
             });
 
@@ -3120,21 +4262,31 @@ class BirdingHotspotsApp {
     }
 
     /**
-     * Render migration alert banner
+     * Render migration alert banner: weather-driven big flight / fallout
+     * mornings first, then the calendar-based migration windows
+     * @param {Array} [radarAlerts] - From getMigrationRadarAlerts()
      */
-    renderMigrationAlert() {
+    renderMigrationAlert(radarAlerts = []) {
         const container = this.elements.migrationAlert;
         clearElement(container);
 
         const insights = getSeasonalInsights();
         const alerts = insights.migrationAlerts;
 
-        // Only show if there are active migrations
-        if (!alerts || alerts.length === 0) {
+        // Only show if there are active migrations or radar alerts
+        if ((!alerts || alerts.length === 0) && radarAlerts.length === 0) {
             container.classList.add('hidden');
             return;
         }
 
+        if (radarAlerts.length > 0) {
+            container.appendChild(this.createMigrationRadarBanner(radarAlerts));
+        }
+        if (!alerts || alerts.length === 0) {
+            container.classList.remove('hidden');
+            return;
+        }
+
         // Get top alert (most relevant - peak alerts first)
         const topAlert = alerts[0];
 
@@ -3176,12 +4328,59 @@ class BirdingHotspotsApp {
         container.classList.remove('hidden');
     }
 
+    /**
+     * Build the migration radar banner listing each big flight / fallout morning
+     * @param {Array} radarAlerts - From getMigrationRadarAlerts(), sorted by date
+     * @returns {HTMLElement}
+     */
+    createMigrationRadarBanner(radarAlerts) {
+        const banner = document.createElement('div');
+        banner.className = 'migration-alert-banner migration-radar';
+        if (radarAlerts.some(alert => alert.strength === 'high')) banner.classList.add('peak');
+
+        const iconSpan = document.createElement('span');
+        iconSpan.className = 'migration-alert-icon';
+        iconSpan.appendChild(createSVGIcon('wind', 24));
+
+        const content = document.createElement('div');
+        content.className = 'migration-alert-content';
+
+        const title = document.createElement('div');
+        title.className = 'migration-alert-title';
+        title.textContent = 'Migration radar';
+        content.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'migration-radar-list';
+        radarAlerts.forEach(alert => {
+            const li = document.createElement('li');
+            li.className = `migration-radar-item ${alert.type}`;
+
+            const day = document.createElement('strong');
+            day.textContent = `${alert.message}: ${this.formatForecastDay(alert.date)} morning`;
+
+            const detail = document.createElement('span');
+            detail.className = 'migration-alert-subtitle';
+            detail.textContent = ` — ${alert.detail}`;
+
+            li.appendChild(day);
+            li.appendChild(detail);
+            list.appendChild(li);
+        });
+        content.appendChild(list);
+
+        banner.appendChild(iconSpan);
+        banner.appendChild(content);
+        return banner;
+    }
+
     /**
      * Create a weather badge element for a hotspot card
      * @param {Object} weather - Weather data object
+     * @param {Object} [location] - Hotspot {lat, lng}; adds a "best day this week" button
      * @returns {HTMLElement|null} Weather badge element or null if no weather data
      */
-    createWeatherBadge(weather) {
+    createWeatherBadge(weather, location = null) {
         if (!weather) return null;
 
         const badge = document.createElement('div');
@@ -3286,6 +4485,35 @@ class BirdingHotspotsApp {
             badge.appendChild(sunRow);
         }
 
+        if (location) {
+            const bestDayBtn = document.createElement('button');
+            bestDayBtn.type = 'button';
+            bestDayBtn.className = 'weather-best-day-btn';
+            bestDayBtn.textContent = 'Best day this week';
+
+            const bestDayPlan = document.createElement('div');
+            bestDayPlan.className = 'best-day-plan hidden';
+            bestDayPlan.setAttribute('aria-live', 'polite');
+
+            bestDayBtn.addEventListener('click', async () => {
+                bestDayBtn.disabled = true;
+                try {
+                    const forecast = await getHourlyForecast(location.lat, location.lng);
+                    if (!forecast) {
+                        this.showToast('The forecast is unavailable right now', 'error');
+                        return;
+                    }
+                    this.renderBestDayPlan(bestDayPlan, planBestBirdingDay(forecast));
+                    bestDayBtn.classList.add('hidden');
+                } finally {
+                    bestDayBtn.disabled = false;
+                }
+            });
+
+            badge.appendChild(bestDayBtn);
+            badge.appendChild(bestDayPlan);
+        }
+
         return badge;
     }
 
@@ -3322,7 +4550,7 @@ class BirdingHotspotsApp {
 
         // Search range and hotspots count are for location search only
         this.elements.searchRangeSection.classList.toggle('hidden', type !== 'location');
-        this.elements.hotspotsCountSection.classList.toggle('hidden', type !== 'location' || this.searchSubMode === 'species');
+        this.elements.hotspotsCountSection.classList.toggle('hidden', type !== 'location' || this.searchSubMode !== 'hotspot');
 
         // Hide entire Advanced Options section in route mode (none of its options apply)
         this.elements.advancedOptionsSection.classList.toggle('hidden', type !== 'location');
@@ -3337,8 +4565,8 @@ class BirdingHotspotsApp {
     }
 
     /**
-     * Set search sub-mode (hotspot or species) - for location search type
-     * @param {string} mode - 'hotspot' or 'species'
+     * Set search sub-mode (hotspot, species or target list) - for location search type
+     * @param {string} mode - 'hotspot', 'species' or 'targets'
      */
     setSearchSubMode(mode) {
         this.searchSubMode = mode;
@@ -3346,15 +4574,18 @@ class BirdingHotspotsApp {
         // Update sub-toggle buttons
         this.elements.hotspotSubBtn.classList.toggle('active', mode === 'hotspot');
         this.elements.speciesSubBtn.classList.toggle('active', mode === 'species');
+        this.elements.targetListSubBtn.classList.toggle('active', mode === 'targets');
         this.elements.hotspotSubBtn.setAttribute('aria-pressed', String(mode === 'hotspot'));
         this.elements.speciesSubBtn.setAttribute('aria-pressed', String(mode === 'species'));
+        this.elements.targetListSubBtn.setAttribute('aria-pressed', String(mode === 'targets'));
 
-        // Toggle species panel
+        // Toggle species and target list panels
         this.elements.speciesSearchPanel.classList.toggle('hidden', mode !== 'species');
+        this.elements.targetListPanel.classList.toggle('hidden', mode !== 'targets');
 
         // Toggle sort options and hotspots count (only for hotspot mode)
-        this.elements.sortOptionsSection.classList.toggle('hidden', mode === 'species');
-        this.elements.hotspotsCountSection.classList.toggle('hidden', mode === 'species');
+        this.elements.sortOptionsSection.classList.toggle('hidden', mode !== 'hotspot');
+        this.elements.hotspotsCountSection.classList.toggle('hidden', mode !== 'hotspot');
 
         // Update generate button
         this.updateGenerateButton();
@@ -3378,6 +4609,9 @@ class BirdingHotspotsApp {
         } else if (this.searchSubMode === 'species') {
             this.elements.generateReport.appendChild(createSVGIcon('search', 24));
             this.elements.generateReport.appendChild(document.createTextNode(' Find This Species'));
+        } else if (this.searchSubMode === 'targets') {
+            this.elements.generateReport.appendChild(createSVGIcon('directions', 24));
+            this.elements.generateReport.appendChild(document.createTextNode(' Plan Target List'));
         } else {
             this.elements.generateReport.appendChild(createSVGIcon('search', 24));
             this.elements.generateReport.appendChild(document.createTextNode(' Find Hotspots'));
@@ -3910,13 +5144,247 @@ class BirdingHotspotsApp {
     }
 
     /**
-     * Get search origin coordinates (shared by hotspot and species search)
-     * @returns {Promise<Object|null>} Origin object with lat, lng, address or null if failed
+     * Handle target list input change
      */
-    async getSearchOrigin() {
-        try {
-            const inputMode = this._checkedValue(this.elements.inputModeRadios, 'address');
-            if (inputMode === 'address') {
+    handleTargetListInput() {
+        clearTimeout(this.targetListDebounceTimer);
+
+        const query = this.elements.targetListInput.value.trim();
+
+        if (query.length < 2) {
+            this.hideTargetListDropdown();
+            return;
+        }
+
+        // Debounce search
+        this.targetListDebounceTimer = setTimeout(() => {
+            this.performTargetListSearch(query);
+        }, 200);
+    }
+
+    /**
+     * Handle target list input focus, loading the taxonomy on first use
+     */
+    async handleTargetListFocus() {
+        if (!this.speciesSearch) {
+            const apiKey = this.elements.apiKey.value.trim();
+            if (!apiKey) {
+                this.showError('Please enter your eBird API key first', { report: false });
+                return;
+            }
+            this.speciesSearch = new SpeciesSearch(new EBirdAPI(apiKey));
+            this.elements.targetListInput.placeholder = 'Loading species data...';
+            try {
+                await this.speciesSearch.loadTaxonomy();
+                this.elements.targetListInput.placeholder = 'Start typing a bird name...';
+            } catch (e) {
+                console.error('Failed to load taxonomy:', e);
+                this.elements.targetListInput.placeholder = 'Failed to load species data';
+                return;
+            }
+        }
+
+        const query = this.elements.targetListInput.value.trim();
+        if (query.length >= 2 && this.speciesSearch?.isReady()) {
+            this.performTargetListSearch(query);
+        }
+    }
+
+    /**
+     * Perform species search for the target list
+     * @param {string} query - Search query
+     */
+    performTargetListSearch(query) {
+        if (!this.speciesSearch?.isReady()) {
+            this.showTargetListDropdownMessage('Loading species data...');
+            return;
+        }
+
+        if (this.targetList.length >= CONFIG.TARGET_LIST.MAX_SPECIES) {
+            this.showTargetListDropdownMessage(`Target list is full (${CONFIG.TARGET_LIST.MAX_SPECIES} species)`);
+            return;
+        }
+
+        const results = this.speciesSearch.searchSpecies(query, 8);
+        const filteredResults = results.filter(species =>
+            !this.targetList.some(s => s.speciesCode === species.speciesCode)
+        );
+
+        if (filteredResults.length === 0) {
+            this.showTargetListDropdownMessage(
+                results.length > 0 ? 'Species already selected' : 'No species found'
+            );
+            return;
+        }
+
+        this._buildSpeciesOptions(
+            this.elements.targetListDropdown,
+            this.elements.targetListInput,
+            filteredResults,
+            'target-list-opt'
+        );
+        this.targetListHighlightIndex = -1;
+    }
+
+    /**
+     * Show message in the target list dropdown
+     * @param {string} message - Message to show
+     */
+    showTargetListDropdownMessage(message) {
+        const dropdown = this.elements.targetListDropdown;
+        clearElement(dropdown);
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'species-dropdown-empty';
+        messageDiv.textContent = message;
+        dropdown.appendChild(messageDiv);
+        dropdown.classList.remove('hidden');
+        this.elements.targetListInput.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hide the target list dropdown
+     */
+    hideTargetListDropdown() {
+        this.elements.targetListDropdown.classList.add('hidden');
+        this.targetListHighlightIndex = -1;
+        this.elements.targetListInput.setAttribute('aria-expanded', 'false');
+        this.elements.targetListInput.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Handle keyboard navigation for the target list dropdown
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleTargetListKeyboard(e) {
+        const dropdown = this.elements.targetListDropdown;
+        if (dropdown.classList.contains('hidden')) return;
+
+        const options = dropdown.querySelectorAll('.species-option');
+        if (options.length === 0) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.targetListHighlightIndex = Math.min((this.targetListHighlightIndex ?? -1) + 1, options.length - 1);
+                this.updateTargetListDropdownHighlight(options);
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                this.targetListHighlightIndex = Math.max((this.targetListHighlightIndex ?? 0) - 1, 0);
+                this.updateTargetListDropdownHighlight(options);
+                break;
+
+            case 'Enter':
+                e.preventDefault();
+                if (this.targetListHighlightIndex >= 0 && this.targetListHighlightIndex < options.length) {
+                    const option = options[this.targetListHighlightIndex];
+                    this.selectTargetListSpecies({
+                        speciesCode: option.dataset.code,
+                        commonName: option.dataset.name,
+                        scientificName: option.dataset.scientific
+                    });
+                }
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                this.hideTargetListDropdown();
+                break;
+        }
+    }
+
+    /**
+     * Update visual highlight for the target list dropdown
+     * @param {NodeList} options - Dropdown option elements
+     */
+    updateTargetListDropdownHighlight(options) {
+        options.forEach((opt, i) => {
+            const isHighlighted = i === this.targetListHighlightIndex;
+            opt.setAttribute('aria-selected', String(isHighlighted));
+            opt.classList.toggle('highlighted', isHighlighted);
+            if (isHighlighted) {
+                this.elements.targetListInput.setAttribute('aria-activedescendant', opt.id);
+                opt.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Add a species to the target list
+     * @param {Object} species - Selected species data
+     */
+    selectTargetListSpecies(species) {
+        if (this.targetList.length < CONFIG.TARGET_LIST.MAX_SPECIES &&
+            !this.targetList.some(s => s.speciesCode === species.speciesCode)) {
+            this.targetList.push(species);
+            this.renderTargetListTags();
+        }
+
+        this.elements.targetListInput.value = '';
+        this.hideTargetListDropdown();
+        this.elements.targetListInput.focus();
+    }
+
+    /**
+     * Remove a species from the target list
+     * @param {string} speciesCode - Species code to remove
+     */
+    removeTargetListSpecies(speciesCode) {
+        this.targetList = this.targetList.filter(s => s.speciesCode !== speciesCode);
+        this.renderTargetListTags();
+    }
+
+    /**
+     * Render the target list tags and how many more species are needed
+     */
+    renderTargetListTags() {
+        const container = this.elements.targetListTags;
+        clearElement(container);
+
+        this.targetList.forEach(species => {
+            const tag = document.createElement('span');
+            tag.className = 'target-species-tag';
+            tag.dataset.code = species.speciesCode;
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'target-species-tag-name';
+            nameSpan.textContent = species.commonName;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'target-species-tag-remove';
+            removeBtn.setAttribute('aria-label', `Remove ${species.commonName}`);
+            removeBtn.textContent = '\u00D7'; // × symbol
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeTargetListSpecies(species.speciesCode);
+            });
+
+            tag.appendChild(nameSpan);
+            tag.appendChild(removeBtn);
+            container.appendChild(tag);
+        });
+
+        const { MIN_SPECIES, MAX_SPECIES } = CONFIG.TARGET_LIST;
+        const count = this.targetList.length;
+        if (count === 0) {
+            this.elements.targetListCount.textContent = `Add ${MIN_SPECIES}-${MAX_SPECIES} species you want to see. We'll find the fewest stops that cover them.`;
+        } else if (count < MIN_SPECIES) {
+            this.elements.targetListCount.textContent = `${count} selected - add at least ${MIN_SPECIES - count} more`;
+        } else {
+            this.elements.targetListCount.textContent = `${count} of up to ${MAX_SPECIES} species selected`;
+        }
+    }
+
+    /**
+     * Get search origin coordinates (shared by hotspot and species search)
+     * @returns {Promise<Object|null>} Origin object with lat, lng, address or null if failed
+     */
+    async getSearchOrigin() {
+        try {
+            const inputMode = this._checkedValue(this.elements.inputModeRadios, 'address');
+            if (inputMode === 'address') {
                 const address = this.elements.address.value.trim();
                 if (address.length < 3) {
                     this.showAddressError('Please enter an address.');
@@ -3998,12 +5466,50 @@ class BirdingHotspotsApp {
         }
     }
 
+    /**
+     * Handle target list planning (called from handleGenerateReport):
+     * routes the fewest stops covering the most of the selected targets
+     */
+    async handleTargetListSearch() {
+        const { MIN_SPECIES } = CONFIG.TARGET_LIST;
+        if (this.targetList.length < MIN_SPECIES) {
+            this.showError(`Please add at least ${MIN_SPECIES} target species`, { report: false });
+            this.isProcessing = false;
+            return;
+        }
+
+        const origin = await this.getSearchOrigin();
+        if (!origin) {
+            this.isProcessing = false;
+            return;
+        }
+
+        this.showLoading('Planning your target list...', 0);
+
+        try {
+            const plan = await planTargetRoute(this.speciesSearch, this.targetList, {
+                start: { lat: origin.lat, lng: origin.lng, address: origin.address || 'Start Location' },
+                radius: this.getSearchRange(),
+                onProgress: (msg, pct) => this.updateLoading(msg, pct)
+            });
+
+            this.hideLoading();
+            this.displayTargetListPlan(plan, origin);
+        } catch (e) {
+            this.hideLoading();
+            this.showError(`Failed to plan target list: ${e.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
     /**
      * Find birding hotspots along a route by sampling multiple points along
      * the route polyline (rather than a single circle from the midpoint), so
      * coverage near the start/end doesn't depend on how long the route is.
      * Shared by showRoutePreview() and handleRouteSearch().
-     * @param {Array} routeCoords - Route geometry coordinates [[lng, lat], ...]
+     * @param {Array} routeCoords - Route geometry coordinates [[lng, lat], ...], or MultiLineString
+     *   coordinates for an imported track with gaps
      * @param {number} routeDistanceKm - Total route distance in km
      * @param {number} maxDetourKm - Max allowed distance from the route line
      * @param {{maxSamplePoints: number, maxResultHotspots: number, targetLocIds?: Set<string>}} options
@@ -4092,23 +5598,37 @@ class BirdingHotspotsApp {
             }
         }
 
+        // Geocode any via points not already validated
+        const vias = this.getActiveRouteVias();
+        for (const via of vias) {
+            if (via.coords) continue;
+            try {
+                const result = await geocodeAddress(via.input.value.trim());
+                via.coords = { lat: result.lat, lng: result.lng };
+                this.clearRouteViaError(via);
+            } catch (error) {
+                this.hideLoading();
+                this.showRouteViaError(via, 'Could not find this stop. Please check and try again.');
+                this.isProcessing = false;
+                return;
+            }
+        }
+        const waypoints = [
+            { lat: startCoords.lat, lng: startCoords.lng },
+            ...vias.map(via => via.coords),
+            { lat: endCoords.lat, lng: endCoords.lng }
+        ];
+
         this.updateLoading('Finding hotspots along route...', 20);
 
         try {
             // Reuse route geometry from the preview stage if it matches the
             // validated addresses; otherwise fetch it fresh as a fallback.
             let routeData = this.currentRouteData;
-            const routeMatchesCoords = routeData
-                && this.currentRouteDataStart?.lat === startCoords.lat
-                && this.currentRouteDataStart?.lng === startCoords.lng
-                && this.currentRouteDataEnd?.lat === endCoords.lat
-                && this.currentRouteDataEnd?.lng === endCoords.lng;
+            const routeMatchesCoords = routeData && this.currentRouteDataKey === routeWaypointsKey(waypoints);
 
             if (!routeMatchesCoords) {
-                routeData = await getRouteThrough([
-                    { lat: startCoords.lat, lng: startCoords.lng },
-                    { lat: endCoords.lat, lng: endCoords.lng }
-                ]);
+                routeData = await getRouteThrough(waypoints);
             }
 
             if (!routeData) {
@@ -4140,10 +5660,6 @@ class BirdingHotspotsApp {
                 this.partialFailures.push('notable species data');
             }
 
-            // Get life list codes for lifer detection
-            const lifeListCodes = this.lifeListService.getLifeListCodes();
-            const lifeListNames = this.lifeListService.getLifeListNames();
-
             // Get target species codes from validated list
             this.routeTargetSpeciesCodes = this.routeTargetSpeciesList?.map(s => s.speciesCode) || [];
             // Also keep names for display purposes
@@ -4208,7 +5724,9 @@ class BirdingHotspotsApp {
                         hotspot.locId,
                         CONFIG.DEFAULT_DAYS_BACK
                     );
-                    const birds = processObservations(observations, notableSpecies, lifeListCodes, lifeListNames);
+                    const lifers = this.lifeListService.getLiferReference(hotspot);
+                    const tickLists = this.lifeListService.getTickLists(hotspot);
+                    const birds = processObservations(observations, notableSpecies, lifers.codes, lifers.names, lifers.hasList, tickLists);
 
                     return {
                         ...hotspot,
@@ -4271,6 +5789,14 @@ class BirdingHotspotsApp {
             const boostLifers = !!(this.elements.liferOptimizeMode?.checked && this.lifeListService.hasLifeList());
             enrichedHotspots = sortEnrichedRouteHotspots(enrichedHotspots, { targetLocIds, boostLifers });
 
+            // With via points, group the hotspots by the leg they're on (keeping
+            // the ranking within each leg) so each leg gets its own section
+            const legNames = [startAddress, ...vias.map(via => via.input.value.trim()), endAddress];
+            if (vias.length > 0) {
+                enrichedHotspots = assignHotspotsToLegs(enrichedHotspots, splitRouteAtWaypoints(routeCoords, waypoints))
+                    .sort((a, b) => a.legIndex - b.legIndex);
+            }
+
             this.hideLoading();
             this.showPartialFailureWarning();
 
@@ -4278,6 +5804,10 @@ class BirdingHotspotsApp {
             this.routeHotspots = enrichedHotspots;
             this.routeStartAddress = startAddress;
             this.routeEndAddressText = endAddress;
+            this.routeViaPoints = vias.map(via => ({ ...via.coords, address: via.input.value.trim() }));
+            this.routeLegs = vias.length > 0 && routeData.legs?.length === waypoints.length - 1
+                ? routeData.legs.map((leg, i) => ({ distance: leg.distance, duration: leg.duration, from: legNames[i], to: legNames[i + 1] }))
+                : null;
 
             // Display hotspots for user selection
             this.displayRouteHotspotsSelection(enrichedHotspots);
@@ -4302,24 +5832,32 @@ class BirdingHotspotsApp {
         clearElement(this.elements.routeHotspotsList);
 
         // Update meta text
-        this.elements.routeHotspotsMeta.textContent = `Found ${hotspots.length} birding ${hotspots.length === 1 ? 'hotspot' : 'hotspots'} along your route`;
+        this.elements.routeHotspotsMeta.textContent = `Found ${hotspots.length} birding ${hotspots.length === 1 ? 'hotspot' : 'hotspots'} along your route${this._formatDataAsOf(this.ebirdApi?.getDataAsOf())}`;
 
-        // Create hotspot cards with checkboxes
+        // Create hotspot cards with checkboxes, under a header per leg when the
+        // route runs through via points
         hotspots.forEach((hotspot, index) => {
+            if (this.routeLegs && hotspot.legIndex !== hotspots[index - 1]?.legIndex) {
+                const leg = this.routeLegs[hotspot.legIndex];
+                this.elements.routeHotspotsList.appendChild(this.createRouteLegHeader(hotspot.legIndex, leg.from, leg.to, [
+                    formatDistance(leg.distance),
+                    `${getTravelMode().label} ${formatItineraryDuration(leg.duration / 60)}`
+                ]));
+            }
             const card = this.createRouteHotspotCard(hotspot, index, false);
             this.elements.routeHotspotsList.appendChild(card);
         });
 
         // Add hotspot markers to the preview map (if it exists)
         if (this.routePreviewMapInstance) {
-            // Clear any existing preview hotspot markers (keep start/end and route line)
+            // Clear any existing preview hotspot markers (keep start/via/end and route line)
+            const anchorCount = this.routePreviewAnchorCount ?? 2;
             this.routePreviewMarkers.forEach((marker, i) => {
-                // Keep first two markers (start and end)
-                if (i >= 2) {
+                if (i >= anchorCount) {
                     this.routePreviewMapInstance.removeLayer(marker);
                 }
             });
-            this.routePreviewMarkers = this.routePreviewMarkers.slice(0, 2);
+            this.routePreviewMarkers = this.routePreviewMarkers.slice(0, anchorCount);
 
             // Store hotspot markers separately for selection sync
             this.routeHotspotMarkers = [];
@@ -4493,7 +6031,7 @@ class BirdingHotspotsApp {
 
         // Weather badge, if weather data was fetched for this hotspot. Clicks
         // inside it (e.g. the °F/°C toggle) shouldn't also toggle card selection.
-        const weatherBadge = this.createWeatherBadge(hotspot.weather);
+        const weatherBadge = this.createWeatherBadge(hotspot.weather, hotspot);
         if (weatherBadge) {
             weatherBadge.addEventListener('click', (e) => e.stopPropagation());
             info.appendChild(weatherBadge);
@@ -4609,7 +6147,7 @@ class BirdingHotspotsApp {
                     const dot = document.createElement('span');
                     dot.className = 'confidence-dot';
                     dot.setAttribute('aria-hidden', 'true');
-                    const recencyText = this.getRecencyLabelText(bird.confidence, bird.lastSeen);
+                    const recencyText = this.getRecencyLabelText(bird.confidence, bird.lastSeen, bird.frequency);
                     li.title = recencyText;
                     li.appendChild(dot);
 
@@ -4797,7 +6335,7 @@ class BirdingHotspotsApp {
 
     /**
      * Toggle a boolean post-search filter for route-mode results and re-apply.
-     * @param {'notableOnly'|'lifersOnly'|'targetOnly'} key
+     * @param {'notableOnly'|'lifersOnly'|'yearBirdsOnly'|'stateBirdsOnly'|'countyBirdsOnly'|'targetOnly'} key
      * @param {HTMLElement} chip - The chip button to sync aria-pressed/active state on
      */
     toggleRouteFilterChip(key, chip) {
@@ -4811,9 +6349,10 @@ class BirdingHotspotsApp {
      * the "no filters" state. Called whenever a fresh route search is displayed.
      */
     resetRouteFilters() {
-        this.activeRouteFilters = { notableOnly: false, lifersOnly: false, targetOnly: false, minSpecies: 0 };
+        this.activeRouteFilters = { notableOnly: false, lifersOnly: false, yearBirdsOnly: false, stateBirdsOnly: false, countyBirdsOnly: false, targetOnly: false, minSpecies: 0 };
         this.elements.routeFilterNotable.setAttribute('aria-pressed', 'false');
         this.elements.routeFilterLifers.setAttribute('aria-pressed', 'false');
+        this.resetTickFilterChips([this.elements.routeFilterYearBirds, this.elements.routeFilterStateBirds, this.elements.routeFilterCountyBirds]);
         this.elements.routeFilterTarget.setAttribute('aria-pressed', 'false');
         this.elements.routeFilterMinSpecies.value = '0';
     }
@@ -4904,10 +6443,12 @@ class BirdingHotspotsApp {
             const start = { lat: startCoords.lat, lng: startCoords.lng, address: this.routeStartAddress };
             const end = { lat: endCoords.lat, lng: endCoords.lng, address: this.routeEndAddressText };
 
-            const itinerary = await buildItinerary(start, end, selectedHotspots, {
+            const itinerary = await buildItinerary(start, end, this.withOpeningHours(selectedHotspots), {
                 maxStops: selectedHotspots.length,
                 priority: 'balanced',
                 startTime: this.elements.routeItineraryStartTime.value || null,
+                vias: this.routeViaPoints,
+                directLegs: this.routeLegs,
                 onProgress: (msg, pct) => this.updateLoading(msg, pct)
             });
 
@@ -4916,6 +6457,7 @@ class BirdingHotspotsApp {
             // Store current location and itinerary
             this.currentLocation = start;
             this.currentItinerary = itinerary;
+            this.currentTripPlan = null;
 
             // Hide hotspots selection section
             this.elements.routeHotspotsSection.classList.add('hidden');
@@ -4940,6 +6482,7 @@ class BirdingHotspotsApp {
         this.elements.rareBirdAlert.classList.add('hidden');
         this.elements.weatherSummary.classList.add('hidden');
         clearElement(this.elements.hotspotCards);
+        this.clearCompareSelection();
 
         // Hide sort buttons and post-search filters for route mode (itinerary
         // stops have a fixed order and aren't filterable)
@@ -4949,6 +6492,8 @@ class BirdingHotspotsApp {
         // Hide export PDF/GPX buttons (route has its own export buttons)
         this.elements.exportPdfBtn.classList.add('hidden');
         this.elements.exportGpxBtn.classList.add('hidden');
+        this.elements.exportGpxFormat.classList.add('hidden');
+        this.elements.saveOfflineBtn?.classList.add('hidden');
 
         // Route mode has its own dedicated stop-picker; hide the generic panel
         this.updateGenericItineraryButtonVisibility();
@@ -4973,7 +6518,8 @@ class BirdingHotspotsApp {
 
         const endpoints = document.createElement('p');
         endpoints.className = 'route-endpoints';
-        endpoints.textContent = `${start.address} → ${end.address}`;
+        const viaNames = itinerary.stops.filter(s => s.type === 'via').map(s => s.address || s.name);
+        endpoints.textContent = [start.address, ...viaNames, end.address].join(' → ');
 
         headerContent.appendChild(headerTitle);
         headerContent.appendChild(endpoints);
@@ -5011,9 +6557,25 @@ class BirdingHotspotsApp {
 
         this.elements.hotspotCards.appendChild(summaryDiv);
 
-        // Create stop cards
+        // Create stop cards, with a section per leg when the route runs through via points
+        const travelLabel = getTravelMode(itinerary.travelMode).label;
+        const sectionStarts = new Map((itinerary.sections || []).map((section, i) => [section.fromIndex, { section, i }]));
+        let hotspotNumber = 0;
         itinerary.stops.forEach((stop, index) => {
-            const stopCard = this.createRouteStopCard(stop, index, itinerary.stops.length);
+            if (sectionStarts.has(index)) {
+                const { section, i } = sectionStarts.get(index);
+                const details = [
+                    formatDistance(section.distance),
+                    `${travelLabel} ${formatItineraryDuration(section.travelTime)}`,
+                    `Birding ${formatItineraryDuration(section.visitTime)}`
+                ];
+                if (section.detourTime !== null) {
+                    details.push(`Detour +${formatItineraryDuration(Math.max(0, section.detourTime))} (+${formatDistance(Math.max(0, section.detourDistance))})`);
+                }
+                this.elements.hotspotCards.appendChild(this.createRouteLegHeader(i, section.from, section.to, details));
+            }
+            if (stop.type === 'hotspot') hotspotNumber++;
+            const stopCard = this.createRouteStopCard(stop, index, itinerary.stops.length, itinerary.travelMode, hotspotNumber);
             this.elements.hotspotCards.appendChild(stopCard);
         });
 
@@ -5022,7 +6584,7 @@ class BirdingHotspotsApp {
         exportSection.className = 'route-export-section';
 
         // Open in Google Maps button
-        const googleMapsUrl = getGoogleMapsRouteUrl(itinerary.stops);
+        const googleMapsUrl = getGoogleMapsRouteUrl(itinerary.stops, getTravelMode(itinerary.travelMode).googleMaps);
         const mapsLink = document.createElement('a');
         mapsLink.href = googleMapsUrl;
         mapsLink.target = '_blank';
@@ -5039,14 +6601,17 @@ class BirdingHotspotsApp {
         pdfBtn.appendChild(document.createTextNode(' Export PDF'));
         pdfBtn.addEventListener('click', () => this.handleExportItineraryPdf());
 
+        const formatSelect = this.createExportFormatSelect();
+
         const gpxBtn = document.createElement('button');
         gpxBtn.type = 'button';
         gpxBtn.className = 'btn btn-secondary';
         gpxBtn.appendChild(createSVGIcon('location', 20));
-        gpxBtn.appendChild(document.createTextNode(' Export GPX'));
-        gpxBtn.addEventListener('click', () => this.handleExportItineraryGpx());
+        gpxBtn.appendChild(document.createTextNode(' Export Map'));
+        gpxBtn.addEventListener('click', () => this.handleExportItineraryGpx(formatSelect.value));
 
         exportSection.appendChild(pdfBtn);
+        exportSection.appendChild(formatSelect);
         exportSection.appendChild(gpxBtn);
         this.elements.hotspotCards.appendChild(exportSection);
 
@@ -5069,9 +6634,11 @@ class BirdingHotspotsApp {
      * @param {Object} stop - Stop data
      * @param {number} index - Stop index
      * @param {number} totalStops - Total number of stops
+     * @param {string} [travelMode] - Routing profile the itinerary was built for
+     * @param {number} [hotspotNumber] - The stop's number among the hotspot stops
      * @returns {HTMLElement}
      */
-    createRouteStopCard(stop, index, totalStops) {
+    createRouteStopCard(stop, index, totalStops, travelMode, hotspotNumber = stop.stopNumber - 1) {
         const card = document.createElement('div');
         card.className = `route-stop-card ${stop.type}`;
 
@@ -5087,9 +6654,12 @@ class BirdingHotspotsApp {
         } else if (stop.type === 'end') {
             iconName = 'home';
             stopLabel = 'Destination';
+        } else if (stop.type === 'via') {
+            iconName = 'directions';
+            stopLabel = 'Along the Way';
         } else {
             iconName = 'check';
-            stopLabel = `Stop ${stop.stopNumber - 1}`;
+            stopLabel = `Stop ${hotspotNumber}`;
         }
 
         // Build card using safe DOM methods
@@ -5151,7 +6721,7 @@ class BirdingHotspotsApp {
 
             const legInfo = document.createElement('div');
             legInfo.className = 'leg-info';
-            legInfo.appendChild(createSVGIcon('car', 14));
+            legInfo.appendChild(createSVGIcon(getTravelMode(travelMode).icon, 14));
             legInfo.appendChild(document.createTextNode(` ${formatDistance(stop.legToNext.distance)} · ${formatItineraryDuration(stop.legToNext.duration / 60)}`));
 
             legConnector.appendChild(legLine);
@@ -5167,12 +6737,17 @@ class BirdingHotspotsApp {
      * @param {Object} itinerary - Itinerary data with geometry
      */
     initRouteResultsMap(itinerary) {
-        // Clean up existing map
+        // Clean up existing map (and any species layer on it)
+        this.clearSpeciesLayer();
         if (this.resultsMapInstance) {
             this.resultsMapInstance.remove();
             this.resultsMapInstance = null;
         }
         this.resultsMarkers = [];
+        this.resultsClusterLayer = null;
+        this.resultsClusteredMarkers = [];
+        clearTimeout(this.viewportSearch?.timer);
+        this.viewportSearch = null;
         this.itineraryRouteLine = null;
 
         // Create map centered on first stop
@@ -5200,15 +6775,19 @@ class BirdingHotspotsApp {
             bounds.extend(this.itineraryRouteLine.getBounds());
         }
 
-        // Add markers for each stop
+        // Add markers for each stop; hotspot candidates are clustered, the
+        // start, end and via points are always shown
         let hotspotNum = 1;
+        const hotspotMarkers = [];
         itinerary.stops.forEach(stop => {
             const isHotspot = stop.type === 'hotspot';
             const markerColor = stop.type === 'start' ? '#22c55e' :
-                stop.type === 'end' ? '#ef4444' : '#FF5722';
+                stop.type === 'end' ? '#ef4444' :
+                    stop.type === 'via' ? '#1976D2' : '#FF5722';
 
             const label = stop.type === 'start' ? 'S' :
-                stop.type === 'end' ? 'E' : hotspotNum++;
+                stop.type === 'end' ? 'E' :
+                    stop.type === 'via' ? 'V' : hotspotNum++;
 
             const icon = L.divIcon({
                 className: 'route-marker',
@@ -5218,11 +6797,16 @@ class BirdingHotspotsApp {
             });
 
             const marker = L.marker([stop.lat, stop.lng], { icon })
-                .bindPopup(`<strong>${sanitizeHTML(stop.name || stop.address)}</strong>${isHotspot && stop.speciesCount ? `<br>${sanitizeHTML(String(stop.speciesCount))} species` : ''}`)
-                .addTo(this.resultsMapInstance);
+                .bindPopup(`<strong>${sanitizeHTML(stop.name || stop.address)}</strong>${isHotspot && stop.speciesCount ? `<br>${sanitizeHTML(String(stop.speciesCount))} species` : ''}`);
 
-            this.resultsMarkers.push(marker);
+            if (isHotspot) {
+                hotspotMarkers.push(marker);
+            } else {
+                marker.addTo(this.resultsMapInstance);
+                this.resultsMarkers.push(marker);
+            }
         });
+        this.addClusteredResultsMarkers(hotspotMarkers);
 
         // Fit bounds to show everything with padding
         this.resultsMapInstance.fitBounds(bounds, { padding: [40, 40] });
@@ -5244,6 +6828,7 @@ class BirdingHotspotsApp {
      */
     displaySpeciesResults(species, sightings, origin) {
         // Clear previous results
+        this.clearCompareSelection();
         this.elements.rareBirdAlert.classList.add('hidden');
         this.elements.weatherSummary.classList.add('hidden');
         clearElement(this.elements.hotspotCards);
@@ -5257,7 +6842,9 @@ class BirdingHotspotsApp {
         this.elements.resultsFilterBar.classList.add('hidden');
 
         // Species search doesn't populate currentResults.hotspots; hide the generic panel
+        // and the offline save, which packs those hotspots
         this.updateGenericItineraryButtonVisibility();
+        this.elements.saveOfflineBtn?.classList.add('hidden');
 
         // Create species results header
         const resultsHeader = document.createElement('div');
@@ -5323,52 +6910,173 @@ class BirdingHotspotsApp {
     }
 
     /**
-     * Create a species sighting card
-     * @param {Object} sighting - Sighting data
-     * @param {number} rank - Ranking number
+     * Display a target list plan: which targets are covered, which have no
+     * recent reports, and the itinerary through the chosen stops
+     * @param {Object} plan - From planTargetRoute()
      * @param {Object} origin - Search origin
-     * @returns {HTMLElement}
      */
-    createSpeciesSightingCard(sighting, rank, origin) {
-        const card = document.createElement('div');
-        card.className = 'species-sighting-card';
+    displayTargetListPlan(plan, origin) {
+        // Clear previous results
+        this.elements.rareBirdAlert.classList.add('hidden');
+        this.elements.weatherSummary.classList.add('hidden');
+        clearElement(this.elements.hotspotCards);
+        this.clearCompareSelection();
 
-        const distanceText = formatDistance(sighting.distance);
-        const directionsUrl = getGoogleMapsDirectionsUrl(origin.lat, origin.lng, sighting.lat, sighting.lng);
-        const ebirdUrl = sighting.locId.startsWith('L')
-            ? getEbirdHotspotUrl(sighting.locId)
-            : getGoogleMapsSearchUrl(sighting.lat, sighting.lng);
+        const totalTargets = plan.coveredTargets.length + plan.uncoveredTargets.length + plan.missingTargets.length;
+        this.elements.resultsMeta.textContent = `${plan.coveredTargets.length} of ${totalTargets} targets covered`;
 
-        // Header section
-        const header = document.createElement('div');
-        header.className = 'species-sighting-header';
+        // Like species search, this mode doesn't populate currentResults.hotspots
+        this.elements.sortBySpecies.parentElement.classList.add('hidden');
+        this.elements.resultsFilterBar.classList.add('hidden');
+        this.updateGenericItineraryButtonVisibility();
+        this.elements.saveOfflineBtn?.classList.add('hidden');
 
-        const rankDiv = document.createElement('div');
-        rankDiv.className = 'sighting-rank';
-        rankDiv.textContent = rank;
+        this.currentTargetPlan = { plan, origin };
 
-        const infoDiv = document.createElement('div');
-        infoDiv.className = 'sighting-info';
+        const resultsHeader = document.createElement('div');
+        resultsHeader.className = 'species-results-header';
 
-        const locationH4 = document.createElement('h4');
-        locationH4.className = 'sighting-location';
-        locationH4.textContent = sighting.name;
+        const iconDiv = document.createElement('div');
+        iconDiv.className = 'species-results-icon';
+        iconDiv.appendChild(createSVGIcon('bird', 28));
 
-        const metaDiv = document.createElement('div');
-        metaDiv.className = 'sighting-meta';
+        const titleDiv = document.createElement('div');
+        titleDiv.className = 'species-results-title';
 
-        const distanceSpan = document.createElement('span');
-        distanceSpan.appendChild(createSVGIcon('location', 14));
-        distanceSpan.appendChild(document.createTextNode(' ' + distanceText));
+        const h3 = document.createElement('h3');
+        h3.textContent = 'Target List Plan';
 
-        const countSpan = document.createElement('span');
-        countSpan.appendChild(createSVGIcon('check', 14));
-        countSpan.appendChild(document.createTextNode(` ${sighting.observationCount} sighting${sighting.observationCount !== 1 ? 's' : ''}`));
+        const p = document.createElement('p');
+        const stopCount = plan.itinerary ? plan.itinerary.summary.totalStops : 0;
+        p.textContent = plan.itinerary
+            ? `${stopCount} ${stopCount === 1 ? 'stop covers' : 'stops cover'} ${plan.coveredTargets.length} of your ${totalTargets} targets`
+            : 'None of your targets have been reported nearby recently';
 
-        metaDiv.appendChild(distanceSpan);
-        metaDiv.appendChild(countSpan);
-        infoDiv.appendChild(locationH4);
-        infoDiv.appendChild(metaDiv);
+        titleDiv.appendChild(h3);
+        titleDiv.appendChild(p);
+        resultsHeader.appendChild(iconDiv);
+        resultsHeader.appendChild(titleDiv);
+
+        this.elements.hotspotCards.appendChild(resultsHeader);
+        this.elements.hotspotCards.appendChild(this.createTargetCoverageElement(plan));
+
+        this.initResultsMap(origin, this.getTargetPlanMarkers(plan));
+        this.elements.resultsSection.classList.remove('hidden');
+
+        if (!plan.itinerary) {
+            this.elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            return;
+        }
+
+        this.currentItinerary = plan.itinerary;
+        this.currentItineraryForecast = null;
+        this.currentTripPlan = null;
+        this.displayItinerary(plan.itinerary);
+        this.elements.itinerarySummary.appendChild(this.createTargetCoverageElement(plan));
+    }
+
+    /**
+     * Map markers for a target list plan's stops
+     * @param {Object} plan - From planTargetRoute()
+     * @returns {Array} Marker data for initResultsMap()
+     */
+    getTargetPlanMarkers(plan) {
+        if (!plan.itinerary) return [];
+        return plan.itinerary.stops
+            .filter(s => s.type === 'hotspot')
+            .map(s => ({ lat: s.lat, lng: s.lng, name: s.name, speciesCount: s.targetsCovered.length }));
+    }
+
+    /**
+     * Create the covered / not routed / no recent reports breakdown for a target list plan
+     * @param {Object} plan - From planTargetRoute()
+     * @returns {HTMLElement}
+     */
+    createTargetCoverageElement(plan) {
+        const coverage = document.createElement('div');
+        coverage.className = 'target-coverage';
+
+        const addRow = (label, species, modifier) => {
+            if (species.length === 0) return;
+            const row = document.createElement('div');
+            row.className = `target-coverage-row ${modifier}`;
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'target-coverage-label';
+            labelSpan.textContent = `${label} (${species.length})`;
+            row.appendChild(labelSpan);
+            species.forEach(s => row.appendChild(this.createTargetChip(s)));
+            coverage.appendChild(row);
+        };
+
+        addRow('Covered', plan.coveredTargets, 'covered');
+        addRow('Reported, but beyond the stop limit', plan.uncoveredTargets, 'uncovered');
+        addRow('No recent reports', plan.missingTargets, 'missing');
+
+        return coverage;
+    }
+
+    /**
+     * Create a chip naming a target species
+     * @param {Object} target - {commonName, lastSeen?}
+     * @returns {HTMLElement}
+     */
+    createTargetChip(target) {
+        const chip = document.createElement('span');
+        chip.className = 'target-chip';
+        chip.textContent = target.commonName;
+        if (target.lastSeen) {
+            chip.title = `Last reported ${target.lastSeen}`;
+        }
+        return chip;
+    }
+
+    /**
+     * Create a species sighting card
+     * @param {Object} sighting - Sighting data
+     * @param {number} rank - Ranking number
+     * @param {Object} origin - Search origin
+     * @returns {HTMLElement}
+     */
+    createSpeciesSightingCard(sighting, rank, origin) {
+        const card = document.createElement('div');
+        card.className = 'species-sighting-card';
+
+        const distanceText = formatDistance(sighting.distance);
+        const directionsUrl = getGoogleMapsDirectionsUrl(origin.lat, origin.lng, sighting.lat, sighting.lng);
+        const ebirdUrl = sighting.locId.startsWith('L')
+            ? getEbirdHotspotUrl(sighting.locId)
+            : getGoogleMapsSearchUrl(sighting.lat, sighting.lng);
+
+        // Header section
+        const header = document.createElement('div');
+        header.className = 'species-sighting-header';
+
+        const rankDiv = document.createElement('div');
+        rankDiv.className = 'sighting-rank';
+        rankDiv.textContent = rank;
+
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'sighting-info';
+
+        const locationH4 = document.createElement('h4');
+        locationH4.className = 'sighting-location';
+        locationH4.textContent = sighting.name;
+
+        const metaDiv = document.createElement('div');
+        metaDiv.className = 'sighting-meta';
+
+        const distanceSpan = document.createElement('span');
+        distanceSpan.appendChild(createSVGIcon('location', 14));
+        distanceSpan.appendChild(document.createTextNode(' ' + distanceText));
+
+        const countSpan = document.createElement('span');
+        countSpan.appendChild(createSVGIcon('check', 14));
+        countSpan.appendChild(document.createTextNode(` ${sighting.observationCount} sighting${sighting.observationCount !== 1 ? 's' : ''}`));
+
+        metaDiv.appendChild(distanceSpan);
+        metaDiv.appendChild(countSpan);
+        infoDiv.appendChild(locationH4);
+        infoDiv.appendChild(metaDiv);
         header.appendChild(rankDiv);
         header.appendChild(infoDiv);
 
@@ -5466,7 +7174,8 @@ class BirdingHotspotsApp {
         card.appendChild(favoriteBtn);
 
         const distanceText = formatDistance(hotspot.distance);
-        const directionsUrl = getGoogleMapsDirectionsUrl(origin.lat, origin.lng, hotspot.lat, hotspot.lng);
+        const directionsUrl = getGoogleMapsDirectionsUrl(origin.lat, origin.lng, hotspot.lat, hotspot.lng,
+            hotspot.travelMode ? getTravelMode(hotspot.travelMode).googleMaps : undefined);
         const ebirdUrl = getEbirdHotspotUrl(hotspot.locId);
 
         // Check if there are notable species or lifers
@@ -5513,10 +7222,12 @@ class BirdingHotspotsApp {
             const drivingDistanceText = formatDistance(hotspot.drivingDistance);
             const drivingDurationText = formatDuration(hotspot.drivingDuration);
 
+            const travelMode = getTravelMode(hotspot.travelMode);
+
             const drivingStat = document.createElement('span');
             drivingStat.className = 'stat driving';
-            drivingStat.appendChild(createSVGIcon('car', 16));
-            drivingStat.appendChild(document.createTextNode(` ${drivingDistanceText} · ${drivingDurationText} drive`));
+            drivingStat.appendChild(createSVGIcon(travelMode.icon, 16));
+            drivingStat.appendChild(document.createTextNode(` ${drivingDistanceText} · ${drivingDurationText} ${travelMode.verb}`));
             stats.appendChild(drivingStat);
         }
 
@@ -5543,18 +7254,11 @@ class BirdingHotspotsApp {
             }
 
             // Add quality badge based on checklist count
-            if (hotspot.totalChecklists != null) {
+            const quality = getHotspotQualityTier(hotspot.totalChecklists);
+            if (quality) {
                 const qualityBadge = document.createElement('span');
-                if (hotspot.totalChecklists >= 500) {
-                    qualityBadge.className = 'quality-badge established';
-                    qualityBadge.textContent = 'Well-Established';
-                } else if (hotspot.totalChecklists >= 50) {
-                    qualityBadge.className = 'quality-badge active';
-                    qualityBadge.textContent = 'Active';
-                } else {
-                    qualityBadge.className = 'quality-badge new';
-                    qualityBadge.textContent = 'New Spot';
-                }
+                qualityBadge.className = `quality-badge ${quality.tier}`;
+                qualityBadge.textContent = quality.label;
                 qualitySection.appendChild(qualityBadge);
             }
         }
@@ -5623,8 +7327,28 @@ class BirdingHotspotsApp {
         ebirdLink.appendChild(createSVGIcon('external', 16));
         ebirdLink.appendChild(document.createTextNode(' View on eBird'));
 
+        // Recent checklists drawer
+        const checklistsBtn = document.createElement('button');
+        checklistsBtn.type = 'button';
+        checklistsBtn.className = 'hotspot-link hotspot-link-button';
+        checklistsBtn.appendChild(createSVGIcon('calendar', 16));
+        checklistsBtn.appendChild(document.createTextNode(' Recent Checklists'));
+        checklistsBtn.addEventListener('click', () => this.openChecklistDrawer(hotspot));
+
         links.appendChild(directionsLink);
         links.appendChild(ebirdLink);
+        // Side-by-side comparison
+        const compareToggle = document.createElement('label');
+        compareToggle.className = 'hotspot-compare-toggle';
+        const compareCheckbox = document.createElement('input');
+        compareCheckbox.type = 'checkbox';
+        compareCheckbox.checked = this.compareSelection.includes(hotspot.locId);
+        compareCheckbox.addEventListener('change', () => this.toggleCompareHotspot(hotspot.locId, compareCheckbox));
+        compareToggle.appendChild(compareCheckbox);
+        compareToggle.appendChild(document.createTextNode(' Compare'));
+
+        links.appendChild(checklistsBtn);
+        links.appendChild(compareToggle);
         details.appendChild(address);
         details.appendChild(links);
 
@@ -5694,7 +7418,7 @@ class BirdingHotspotsApp {
                 const dot = document.createElement('span');
                 dot.className = 'confidence-dot';
                 dot.setAttribute('aria-hidden', 'true');
-                const recencyText = this.getRecencyLabelText(bird.confidence, bird.lastSeen);
+                const recencyText = this.getRecencyLabelText(bird.confidence, bird.lastSeen, bird.frequency);
                 li.title = recencyText;
                 li.appendChild(dot);
 
@@ -5707,6 +7431,13 @@ class BirdingHotspotsApp {
             // Notable gets asterisk prefix, lifer gets star prefix (from CSS ::before)
             const nameText = bird.isNotable && !bird.isLifer ? `* ${bird.comName}` : bird.comName;
             li.appendChild(document.createTextNode(nameText));
+            this.appendTickTags(li, bird);
+            if (bird.frequency) {
+                const frequency = document.createElement('span');
+                frequency.className = 'species-frequency';
+                frequency.textContent = formatFrequency(bird.frequency, true);
+                li.appendChild(frequency);
+            }
             speciesGrid.appendChild(li);
         });
 
@@ -5727,6 +7458,20 @@ class BirdingHotspotsApp {
             speciesList.appendChild(liferLegend);
         }
 
+        if (hotspot.birds.some(b => b.isYearBird || b.isStateBird || b.isCountyBird)) {
+            const tickLegend = document.createElement('p');
+            tickLegend.className = 'notable-legend';
+            tickLegend.textContent = 'Y / S / C - Not yet on your year / state / county list';
+            speciesList.appendChild(tickLegend);
+        }
+
+        if (hotspot.birds.some(b => b.frequency)) {
+            const frequencyLegend = document.createElement('p');
+            frequencyLegend.className = 'notable-legend';
+            frequencyLegend.textContent = `n/m days - Reported on n of m sampled days this week over the past ${CONFIG.HISTORIC_FREQUENCY.YEARS_BACK} years`;
+            speciesList.appendChild(frequencyLegend);
+        }
+
         speciesList.appendChild(this.buildConfidenceLegend());
 
         speciesSection.appendChild(toggle);
@@ -5832,10 +7577,10 @@ class BirdingHotspotsApp {
         }
 
         // Create weather badge if weather data is available
-        const weatherBadge = this.createWeatherBadge(hotspot.weather);
+        const weatherBadge = this.createWeatherBadge(hotspot.weather, hotspot);
 
         // Create seasonal insights section — pass real observations for data-driven best-time chart
-        const seasonalInsights = this.createSeasonalInsightsSection(hotspot.recentObservations || []);
+        const seasonalInsights = this.createSeasonalInsightsSection(hotspot.recentObservations || [], hotspot);
 
         // Assemble card
         card.appendChild(header);
@@ -5862,10 +7607,11 @@ class BirdingHotspotsApp {
      * @param {Array} [observations=[]] - Recent observations for this hotspot (from enrichHotspots).
      *   When time-stamped observation data is available, `analyzeHotspotActivity` produces a
      *   data-driven best-time chart; otherwise falls back to static seasonal estimates.
+     * @param {Object} [location] - The hotspot {lat, lng}; seasons and migration follow its region
      * @returns {HTMLElement} Seasonal insights section element
      */
-    createSeasonalInsightsSection(observations = []) {
-        const insights = getSeasonalInsights();
+    createSeasonalInsightsSection(observations = [], location = null) {
+        const insights = getSeasonalInsights(new Date(), location);
         const optimalTimes = insights.optimalTimes;
 
         // Try real observation-timestamp analysis first (data-driven best time)
@@ -6029,6 +7775,9 @@ class BirdingHotspotsApp {
      * Show the itinerary builder panel
      */
     showItineraryPanel() {
+        if (!this.elements.tripStartDate.value) {
+            this.elements.tripStartDate.value = toDateInputValue(new Date());
+        }
         this.elements.itineraryPanel.classList.remove('hidden');
         this.elements.itineraryResults.classList.add('hidden');
         this.elements.itineraryPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -6214,19 +7963,192 @@ class BirdingHotspotsApp {
     showRouteEndError(message) { this._showFieldError('routeEndAddress', 'routeEndError', message); }
     clearRouteEndError()        { this._clearFieldError('routeEndAddress', 'routeEndError'); }
 
+    /**
+     * Add an address field for a via point (a "stop along the way", such as
+     * an overnight stop) between the route's start and end
+     */
+    addRouteVia() {
+        if (this.routeVias.length >= CONFIG.ROUTE_SEARCH.MAX_VIA_POINTS) {
+            this.showError(`A route can have up to ${CONFIG.ROUTE_SEARCH.MAX_VIA_POINTS} stops along the way.`, { report: false });
+            return;
+        }
+
+        const inputId = `routeVia${++this.routeViaCounter}`;
+        const row = document.createElement('div');
+        row.className = 'input-group route-via';
+
+        const label = document.createElement('label');
+        label.className = 'input-label';
+        label.htmlFor = inputId;
+
+        const inputRow = document.createElement('div');
+        inputRow.className = 'input-with-button';
+
+        const validation = document.createElement('div');
+        validation.className = 'input-with-validation';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = inputId;
+        input.className = 'text-input';
+        input.placeholder = 'Enter an address along the way';
+
+        const icon = document.createElement('span');
+        icon.className = 'input-validation-indicator hidden';
+
+        validation.appendChild(input);
+        validation.appendChild(icon);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'location-btn';
+        removeBtn.appendChild(createSVGIcon('close', 20));
+
+        inputRow.appendChild(validation);
+        inputRow.appendChild(removeBtn);
+
+        const error = document.createElement('div');
+        error.className = 'input-error hidden';
+        error.setAttribute('role', 'alert');
+
+        row.appendChild(label);
+        row.appendChild(inputRow);
+        row.appendChild(error);
+
+        const via = { row, input, icon, error, label, removeBtn, coords: null };
+        input.addEventListener('input', () => {
+            via.coords = null;
+            this.clearRouteViaError(via);
+            this.hideRoutePreview();
+            this.hideValidationIndicator(icon, input);
+        });
+        input.addEventListener('blur', () => this.handleRouteViaBlur(via));
+        removeBtn.addEventListener('click', () => this.removeRouteVia(via));
+
+        this.routeVias.push(via);
+        this.elements.routeViaList.appendChild(row);
+        this.renumberRouteVias();
+        input.focus();
+    }
+
+    /**
+     * Label the via point fields in order
+     */
+    renumberRouteVias() {
+        this.routeVias.forEach((via, i) => {
+            via.label.textContent = `Stop Along the Way ${i + 1}`;
+            via.input.setAttribute('aria-label', `Route stop along the way ${i + 1}`);
+            via.removeBtn.title = 'Remove this stop';
+            via.removeBtn.setAttribute('aria-label', `Remove stop along the way ${i + 1}`);
+        });
+    }
+
+    /**
+     * Remove a via point field
+     * @param {Object} via - Entry of this.routeVias
+     */
+    removeRouteVia(via) {
+        via.row.remove();
+        this.routeVias = this.routeVias.filter(v => v !== via);
+        this.renumberRouteVias();
+        this.hideRoutePreview();
+        this.tryShowRoutePreview();
+    }
+
+    /**
+     * Remove every via point field
+     */
+    clearRouteVias() {
+        this.routeVias.forEach(via => via.row.remove());
+        this.routeVias = [];
+    }
+
+    /**
+     * Via points with an address entered, in order; blank fields are ignored
+     * @returns {Array} Entries of this.routeVias
+     */
+    getActiveRouteVias() {
+        return this.routeVias.filter(via => via.input.value.trim().length > 0);
+    }
+
+    /**
+     * Handle via point blur - validate and geocode
+     * @param {Object} via - Entry of this.routeVias
+     */
+    async handleRouteViaBlur(via) {
+        const address = via.input.value.trim();
+        if (address.length < 3 || via.coords) {
+            if (address.length === 0) this.tryShowRoutePreview();
+            return;
+        }
+
+        this.showValidationIndicator(via.icon, via.input, 'loading');
+        this.clearRouteViaError(via);
+
+        try {
+            const result = await geocodeAddress(address);
+            via.coords = { lat: result.lat, lng: result.lng };
+            via.input.value = result.address;
+            this.showValidationIndicator(via.icon, via.input, 'success');
+            this.tryShowRoutePreview();
+        } catch (error) {
+            via.coords = null;
+            this.showValidationIndicator(via.icon, via.input, 'error');
+            this.showRouteViaError(via, 'Could not find this address. Please check and try again.');
+        }
+    }
+
+    showRouteViaError(via, message) {
+        via.error.textContent = message;
+        via.error.classList.remove('hidden');
+        via.input.classList.add('error');
+    }
+
+    clearRouteViaError(via) {
+        via.error.textContent = '';
+        via.error.classList.add('hidden');
+        via.input.classList.remove('error');
+    }
+
+    /**
+     * Header for one leg of a route through via points
+     * @param {number} legIndex
+     * @param {string} from - Where the leg starts
+     * @param {string} to - Where the leg ends
+     * @param {Array<string>} details - Distance, travel time and so on
+     * @returns {HTMLElement}
+     */
+    createRouteLegHeader(legIndex, from, to, details) {
+        const header = document.createElement('div');
+        header.className = 'route-leg-header';
+
+        const title = document.createElement('strong');
+        title.textContent = `Leg ${legIndex + 1}: ${from} → ${to}`;
+
+        const meta = document.createElement('span');
+        meta.className = 'route-leg-meta';
+        meta.textContent = details.join(' · ');
+
+        header.appendChild(title);
+        header.appendChild(meta);
+        return header;
+    }
+
     /**
      * Try to show route preview if both addresses are validated
      */
     tryShowRoutePreview() {
-        if (this.routeStartValidated && this.routeEndValidated) {
+        if (this.routeStartValidated && this.routeEndValidated && this.getActiveRouteVias().every(via => via.coords)) {
             this.showRoutePreview();
         }
     }
 
     /**
      * Show route preview map with route line and stats
+     * @param {Object} [importedRouteData] - Route from an imported file, used instead of routing
+     *   between the addresses
      */
-    async showRoutePreview() {
+    async showRoutePreview(importedRouteData = null) {
         // Only show if both addresses are validated
         if (!this.routeStartValidated || !this.routeEndValidated) {
             return;
@@ -6234,12 +8156,15 @@ class BirdingHotspotsApp {
 
         const start = this.validatedRouteStartCoords;
         const end = this.validatedRouteEndCoords;
-
-        // Get route from OSRM
-        const route = await getRouteThrough([
+        const vias = importedRouteData ? [] : this.getActiveRouteVias().map(via => via.coords);
+        const waypoints = [
             { lat: start.lat, lng: start.lng },
+            ...vias,
             { lat: end.lat, lng: end.lng }
-        ]);
+        ];
+
+        // Get route from OSRM
+        const route = importedRouteData || await getRouteThrough(waypoints);
 
         if (!route) {
             return; // Silently fail if routing unavailable
@@ -6251,12 +8176,13 @@ class BirdingHotspotsApp {
         // Update stats
         const distanceMiles = (route.totalDistance * 0.621371).toFixed(1);
         this.elements.routeDistanceValue.textContent = distanceMiles;
-        this.elements.routeDurationValue.textContent = formatDuration(route.totalDuration);
+        // Imported tracks have no travel time
+        this.elements.routeDurationValue.textContent = route.totalDuration ? formatDuration(route.totalDuration) : '--';
 
         // Update Google Maps link
-        this.elements.openRouteInGoogleMaps.href = getGoogleMapsDirectionsUrl(
-            start.lat, start.lng, end.lat, end.lng
-        );
+        this.elements.openRouteInGoogleMaps.href = vias.length > 0
+            ? getGoogleMapsRouteUrl(waypoints, getTravelMode().googleMaps)
+            : getGoogleMapsDirectionsUrl(start.lat, start.lng, end.lat, end.lng);
 
         // Wait for DOM to update and container to have dimensions
         await new Promise(resolve => setTimeout(resolve, 50));
@@ -6277,13 +8203,16 @@ class BirdingHotspotsApp {
         this.routePreviewMarkers.forEach(m => this.routePreviewMapInstance.removeLayer(m));
         this.routePreviewMarkers = [];
 
-        // Add route line (convert GeoJSON coordinates to Leaflet format)
-        const routeCoords = route.geometry.coordinates.map(c => [c[1], c[0]]);
+        // Add route line (convert GeoJSON coordinates to Leaflet format); an
+        // imported track's segments are drawn apart, without joining their gaps
+        const toLatLngs = coords => coords.map(c => [c[1], c[0]]);
+        const routeCoords = route.geometry.type === 'MultiLineString'
+            ? route.geometry.coordinates.map(toLatLngs)
+            : toLatLngs(route.geometry.coordinates);
         this.currentRouteCoords = route.geometry.coordinates; // raw [lng, lat] for distanceToRouteLine
         // Cache route data so handleRouteSearch() can reuse it instead of re-fetching
         this.currentRouteData = route;
-        this.currentRouteDataStart = { lat: start.lat, lng: start.lng };
-        this.currentRouteDataEnd = { lat: end.lat, lng: end.lng };
+        this.currentRouteDataKey = routeWaypointsKey(waypoints);
         this.routePreviewLine = L.polyline(routeCoords, {
             color: '#3A6B35',
             weight: 4,
@@ -6296,11 +8225,20 @@ class BirdingHotspotsApp {
         }).addTo(this.routePreviewMapInstance);
         this.routePreviewMarkers.push(startMarker);
 
+        // Add via point markers (blue)
+        vias.forEach(via => {
+            const viaMarker = L.circleMarker([via.lat, via.lng], {
+                radius: 7, fillColor: '#1976D2', color: '#fff', weight: 2, fillOpacity: 1
+            }).addTo(this.routePreviewMapInstance);
+            this.routePreviewMarkers.push(viaMarker);
+        });
+
         // Add end marker (red)
         const endMarker = L.circleMarker([end.lat, end.lng], {
             radius: 8, fillColor: '#ef4444', color: '#fff', weight: 2, fillOpacity: 1
         }).addTo(this.routePreviewMapInstance);
         this.routePreviewMarkers.push(endMarker);
+        this.routePreviewAnchorCount = this.routePreviewMarkers.length;
 
         // Fit map to route bounds
         const bounds = this.routePreviewLine.getBounds();
@@ -6322,6 +8260,111 @@ class BirdingHotspotsApp {
         }, 250);
     }
 
+    /**
+     * Import a GPX, KML or GeoJSON route file as the route to search along.
+     * Tracks are used as they are; waypoint-only files are routed between
+     * their points when there aren't too many, else joined with straight lines.
+     * @param {Event} e - File input change event
+     */
+    async handleRouteFileImport(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+
+        if (file.size > CONFIG.ROUTE_IMPORT.MAX_FILE_SIZE_BYTES) {
+            this.showError(`File too large (maximum ${CONFIG.ROUTE_IMPORT.MAX_FILE_SIZE_BYTES / (1024 * 1024)}MB).`, { report: false });
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = parseRouteFile(await file.text(), file.name, { maxTrackPoints: CONFIG.ROUTE_IMPORT.MAX_TRACK_POINTS });
+        } catch (error) {
+            this.showError(error.message, { report: false });
+            return;
+        }
+
+        let routeData = null;
+        if (parsed.kind === 'waypoints' && parsed.waypoints.length <= CONFIG.ROUTE_IMPORT.MAX_ROUTED_WAYPOINTS) {
+            this.showLoading('Routing between waypoints...', 50);
+            try {
+                routeData = await getRouteThrough(parsed.waypoints.map(({ lat, lng }) => ({ lat, lng })));
+            } catch (error) {
+                console.warn('Could not route between imported waypoints:', error);
+            }
+            this.hideLoading();
+        }
+        if (!routeData) {
+            routeData = {
+                geometry: parsed.segments.length > 1
+                    ? { type: 'MultiLineString', coordinates: parsed.segments }
+                    : { type: 'LineString', coordinates: parsed.coordinates },
+                totalDistance: parsed.distanceKm,
+                totalDuration: null
+            };
+        }
+
+        this.importedRoute = { name: parsed.name, kind: parsed.kind };
+        this.clearRouteVias();
+
+        // The route's ends stand in for the validated addresses
+        const startName = parsed.kind === 'waypoints' && parsed.waypoints[0].name;
+        const endName = parsed.kind === 'waypoints' && parsed.waypoints[parsed.waypoints.length - 1].name;
+        this.elements.routeStartAddress.value = startName || `${parsed.name} (start)`;
+        this.elements.routeEndAddress.value = endName || `${parsed.name} (end)`;
+        this.routeStartValidated = true;
+        this.routeEndValidated = true;
+        this.validatedRouteStartCoords = parsed.start;
+        this.validatedRouteEndCoords = parsed.end;
+        this.clearRouteStartError();
+        this.clearRouteEndError();
+        this.setRouteAddressInputsDisabled(true);
+
+        const pointCount = parsed.kind === 'track' ? 'track' : `${parsed.waypoints.length} waypoints`;
+        this.elements.importedRouteInfo.textContent = `${parsed.name} (${pointCount}, ${(routeData.totalDistance * 0.621371).toFixed(1)} mi)`;
+        this.elements.importedRouteInfo.classList.remove('hidden');
+        this.elements.clearImportedRoute.classList.remove('hidden');
+
+        await this.showRoutePreview(routeData);
+        this.showSuccessToast(`Imported route: ${parsed.name}`);
+    }
+
+    /**
+     * Drop an imported route file and go back to routing between addresses
+     */
+    clearImportedRoute() {
+        if (!this.importedRoute) return;
+        this.importedRoute = null;
+
+        this.setRouteAddressInputsDisabled(false);
+        this.elements.routeStartAddress.value = '';
+        this.elements.routeEndAddress.value = '';
+        this.routeStartValidated = false;
+        this.routeEndValidated = false;
+        this.validatedRouteStartCoords = null;
+        this.validatedRouteEndCoords = null;
+        this.currentRouteCoords = null;
+        this.currentRouteData = null;
+        this.currentRouteDataKey = null;
+
+        this.elements.importedRouteInfo.classList.add('hidden');
+        this.elements.importedRouteInfo.textContent = '';
+        this.elements.clearImportedRoute.classList.add('hidden');
+        this.hideRoutePreview();
+    }
+
+    /**
+     * Lock the route address inputs while an imported route stands in for them
+     * @param {boolean} disabled
+     */
+    setRouteAddressInputsDisabled(disabled) {
+        this.elements.routeStartAddress.disabled = disabled;
+        this.elements.routeEndAddress.disabled = disabled;
+        this.elements.useCurrentLocationStart.disabled = disabled;
+        this.elements.useCurrentLocationEnd.disabled = disabled;
+        this.elements.addRouteVia.disabled = disabled;
+    }
+
     /**
      * Hide route preview and clean up map resources
      */
@@ -6439,17 +8482,31 @@ class BirdingHotspotsApp {
             }
         }
 
-        this.showLoading('Building itinerary...', 0);
+        const tripDays = parseInt(this.elements.tripDays.value, 10);
+        if (tripDays > 1) {
+            await this.handleGenerateTripPlan(start, end, tripDays, maxStops);
+            return;
+        }
+
+        this.showLoading('Checking the forecast...', 0);
 
         try {
-            const itinerary = await buildItinerary(start, end, this.currentResults.hotspots, {
+            // No date picked means today wherever the trip is, not on this device
+            const date = this.elements.tripStartDate.value ? this.getSelectedTripDate() : null;
+            const forecast = await this.getItineraryForecast(start, date);
+
+            const itinerary = await buildItinerary(start, end, this.withOpeningHours(this.currentResults.hotspots), {
                 maxStops,
                 priority,
                 startTime: this.elements.itineraryStartTime.value || null,
+                date,
+                forecast,
                 onProgress: (msg, pct) => this.updateLoading(msg, pct)
             });
 
             this.currentItinerary = itinerary;
+            this.currentItineraryForecast = forecast;
+            this.currentTripPlan = null;
             this.hideLoading();
             this.displayItinerary(itinerary);
         } catch (error) {
@@ -6461,11 +8518,15 @@ class BirdingHotspotsApp {
     /**
      * Display the generated itinerary
      * @param {Object} itinerary - Itinerary data
+     * @param {Object} [options]
+     * @param {boolean} [options.scroll=true] - Scroll the itinerary into view (off when redrawing after an edit)
      */
-    displayItinerary(itinerary) {
+    displayItinerary(itinerary, { scroll = true } = {}) {
         // Hide the options panel, show results
         this.elements.itineraryPanel.classList.add('hidden');
         this.elements.itineraryResults.classList.remove('hidden');
+        this.elements.saveItineraryBtn?.classList.remove('hidden');
+        this.elements.backToResults.classList.toggle('hidden', !this.currentResults && !this.currentTargetPlan);
 
         // Hide normal hotspot cards
         this.elements.hotspotCards.classList.add('hidden');
@@ -6503,12 +8564,34 @@ class BirdingHotspotsApp {
         stats.appendChild(createStat(formatItineraryDuration(itinerary.summary.totalVisitTime), 'Birding Time'));
         summary.appendChild(stats);
 
-        // Render stops
+        // Daylight the schedule was fitted to, and any stops it couldn't fit
+        if (itinerary.summary.sunset) {
+            const daylight = document.createElement('div');
+            daylight.className = 'itinerary-daylight';
+            daylight.appendChild(createSVGIcon('sunset', 14));
+            let daylightText = ` Sunrise ${formatItineraryTime(itinerary.summary.sunrise)} · Sunset ${formatItineraryTime(itinerary.summary.sunset)}`;
+            if (itinerary.summary.afterDarkStops > 0) {
+                const count = itinerary.summary.afterDarkStops;
+                daylightText += ` · ${count} ${count === 1 ? 'stop arrives' : 'stops arrive'} after dark`;
+                daylight.classList.add('has-warning');
+            }
+            daylight.appendChild(document.createTextNode(daylightText));
+            summary.appendChild(daylight);
+        }
+
+        // Render stops. Single itineraries can be edited by hand; target list
+        // plans are tied to the targets they cover, so they stay as planned.
         const stopsContainer = this.elements.itineraryStops;
         clearElement(stopsContainer);
+        const editable = !this.currentTargetPlan && itinerary === this.currentItinerary;
+
+        if (editable) {
+            const addStop = this.createAddStopControl(itinerary);
+            if (addStop) stopsContainer.appendChild(addStop);
+        }
 
         itinerary.stops.forEach((stop, index) => {
-            const stopEl = this.createItineraryStopElement(stop, index, itinerary);
+            const stopEl = this.createItineraryStopElement(stop, index, itinerary, editable);
             stopsContainer.appendChild(stopEl);
         });
 
@@ -6516,35 +8599,396 @@ class BirdingHotspotsApp {
         this.displayItineraryRoute(itinerary);
 
         // Scroll to results
-        this.elements.itineraryResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (scroll) {
+            this.elements.itineraryResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
     }
 
     /**
-     * Create an itinerary stop element
-     * @param {Object} stop - Stop data
-     * @param {number} index - Stop index
-     * @param {Object} itinerary - Full itinerary data
-     * @returns {HTMLElement}
+     * The day picked in the itinerary panel (the first day of a multi-day trip)
+     * @returns {Date} Local midnight of that day; today if none is picked
      */
-    createItineraryStopElement(stop, index, itinerary) {
-        const wrapper = document.createElement('div');
+    getSelectedTripDate() {
+        const value = this.elements.tripStartDate.value;
+        if (!value) return new Date();
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
 
-        // Leg connector (travel info) - shown before all stops except first
-        if (index > 0 && itinerary.legs[index - 1]) {
-            const leg = itinerary.legs[index - 1];
-            const legEl = document.createElement('div');
-            legEl.className = 'itinerary-leg';
-            legEl.appendChild(createSVGIcon('car', 16));
-            const distSpan = document.createElement('span');
-            distSpan.textContent = `${(leg.distance * 0.621371).toFixed(1)} mi`;
-            legEl.appendChild(distSpan);
-            const dividerSpan = document.createElement('span');
-            dividerSpan.textContent = '|';
-            legEl.appendChild(dividerSpan);
-            const durationSpan = document.createElement('span');
-            durationSpan.textContent = formatItineraryDuration(leg.duration / 60);
-            legEl.appendChild(durationSpan);
-            wrapper.appendChild(legEl);
+    /**
+     * Get the hourly forecast an itinerary starting from `start` on `date`
+     * should be lined up with
+     * @param {Object} start - Start location {lat, lng}
+     * @param {Date|null} date - Day the itinerary runs on (a picked calendar day), or null for today at the location
+     * @returns {Promise<Object|null>} Forecast, or null if unavailable or the day is beyond it
+     */
+    async getItineraryForecast(start, date) {
+        try {
+            const forecast = await getHourlyForecast(start.lat, start.lng);
+            return getForecastDay(forecast, date ? getCalendarDateKey(date) : new Date()) ? forecast : null;
+        } catch (e) {
+            console.warn('Could not fetch the forecast for the itinerary:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Recommend the best day and morning this week for the itinerary's area
+     */
+    async handleFindBestDay() {
+        if (!this.currentLocation) return;
+
+        const button = this.elements.findBestDayBtn;
+        button.disabled = true;
+        try {
+            const forecast = await getHourlyForecast(this.currentLocation.lat, this.currentLocation.lng);
+            if (!forecast) {
+                this.showError('The forecast is unavailable right now. Please try again in a moment.', { report: false });
+                return;
+            }
+            this.renderBestDayPlan(this.elements.bestDayPlan, planBestBirdingDay(forecast), day => {
+                this.elements.tripStartDate.value = day.date;
+                this.elements.itineraryStartTime.value = day.window.start;
+                storage.setItineraryStartTime(day.window.start);
+                this.elements.routeItineraryStartTime.value = day.window.start;
+                this.showSuccessToast(`Itinerary set for ${this.formatForecastDay(day.date)} at ${day.window.label.split(' - ')[0]}`);
+            });
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Format a forecast day's 'YYYY-MM-DD' date for display
+     * @param {string} date
+     * @returns {string} e.g. "Tue, Oct 21"
+     */
+    formatForecastDay(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Render a "best day this week" plan: the recommendation, then every
+     * day's best morning window and score
+     * @param {HTMLElement} container
+     * @param {Object} plan - From planBestBirdingDay()
+     * @param {Function} [onUse] - Called with a day when it's picked; without it the days are display-only
+     */
+    renderBestDayPlan(container, plan, onUse = null) {
+        clearElement(container);
+
+        if (!plan.bestDay) {
+            const empty = document.createElement('p');
+            empty.className = 'best-day-empty';
+            empty.textContent = 'No morning birding left in the forecast.';
+            container.appendChild(empty);
+            container.classList.remove('hidden');
+            return;
+        }
+
+        const headline = document.createElement('p');
+        headline.className = 'best-day-headline';
+        const best = plan.bestDay;
+        headline.textContent = `Best: ${this.formatForecastDay(best.date)}, ${best.window.label} (${best.window.rating})`;
+        container.appendChild(headline);
+
+        const list = document.createElement('ul');
+        list.className = 'best-day-list';
+
+        plan.days.filter(day => day.window).forEach(day => {
+            const li = document.createElement('li');
+            li.className = 'best-day-item';
+            if (day === best) li.classList.add('best');
+
+            const item = document.createElement(onUse ? 'button' : 'div');
+            item.className = 'best-day-row';
+            if (onUse) {
+                item.type = 'button';
+                item.addEventListener('click', () => onUse(day));
+            }
+
+            const dayName = document.createElement('span');
+            dayName.className = 'best-day-date';
+            dayName.textContent = this.formatForecastDay(day.date);
+
+            const windowSpan = document.createElement('span');
+            windowSpan.className = 'best-day-window';
+            windowSpan.textContent = day.window.label;
+
+            const score = document.createElement('span');
+            score.className = `birding-condition ${day.window.rating}`;
+            score.textContent = `${day.window.score}`;
+            score.title = `${day.window.rating} birding conditions`;
+
+            item.appendChild(dayName);
+            item.appendChild(windowSpan);
+            item.appendChild(score);
+            li.appendChild(item);
+            list.appendChild(li);
+        });
+
+        container.appendChild(list);
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Show the multi-day options and one lodging input per night when the
+     * trip is longer than a day
+     */
+    handleTripDaysChange() {
+        const tripDays = parseInt(this.elements.tripDays.value, 10);
+        const isMultiDay = tripDays > 1;
+
+        this.elements.multiDayOptions.classList.toggle('hidden', !isMultiDay);
+        this.elements.maxStopsLabel.textContent = isMultiDay ? 'Maximum Stops per Day' : 'Maximum Stops';
+        this.elements.tripStartDateLabel.textContent = isMultiDay ? 'First Day' : 'Date';
+
+        if (!this.elements.tripStartDate.value) {
+            this.elements.tripStartDate.value = toDateInputValue(new Date());
+        }
+
+        // Rebuild lodging inputs, keeping anything already typed
+        const container = this.elements.tripLodgingInputs;
+        const previous = [...container.querySelectorAll('input')].map(input => input.value);
+        clearElement(container);
+
+        for (let night = 1; night < tripDays; night++) {
+            const label = document.createElement('label');
+            label.className = 'input-label';
+            label.htmlFor = `tripLodging${night}`;
+            label.textContent = `Night ${night} Lodging`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `tripLodging${night}`;
+            input.className = 'text-input trip-lodging-input';
+            input.placeholder = night === 1 ? 'Same as start location' : `Same as night ${night - 1}`;
+            input.value = previous[night - 1] || '';
+
+            container.appendChild(label);
+            container.appendChild(input);
+        }
+    }
+
+    /**
+     * Build and display a multi-day trip plan. Day 1 starts at the search
+     * location, each later day starts from the previous night's lodging, and
+     * the last day finishes at the chosen end location.
+     * @param {Object} start - Trip start {lat, lng, address}
+     * @param {Object} end - Trip end {lat, lng, address}
+     * @param {number} tripDays - Number of days
+     * @param {number} maxStops - Maximum hotspot stops per day
+     */
+    async handleGenerateTripPlan(start, end, tripDays, maxStops) {
+        const lodgingAddresses = [...this.elements.tripLodgingInputs.querySelectorAll('input')]
+            .map(input => input.value.trim());
+
+        this.showLoading('Locating lodging...', 0);
+
+        try {
+            // Resolve each night's lodging; blank means staying put
+            const lodgings = [];
+            let previous = start;
+            for (const address of lodgingAddresses) {
+                if (address) {
+                    try {
+                        const coords = await geocodeAddress(address);
+                        previous = { lat: coords.lat, lng: coords.lng, address };
+                    } catch (e) {
+                        this.hideLoading();
+                        this.showError(`Could not find lodging address "${address}". Please check and try again.`, { report: false });
+                        return;
+                    }
+                }
+                lodgings.push(previous);
+            }
+
+            const firstDay = this.getSelectedTripDate();
+            const timeBudgetMinutes = parseInt(this.elements.dailyHours.value, 10) * 60;
+
+            const days = Array.from({ length: tripDays }, (_, i) => ({
+                start: i === 0 ? start : lodgings[i - 1],
+                end: i === tripDays - 1 ? end : lodgings[i],
+                date: new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i),
+                startTime: this.elements.itineraryStartTime.value || null,
+                timeBudgetMinutes,
+                maxStops
+            }));
+
+            this.updateLoading('Checking the forecast...', 5);
+            const forecast = await this.getItineraryForecast(start, firstDay);
+
+            const plan = await planMultiDayTrip(this.withOpeningHours(this.currentResults.hotspots), days, {
+                forecast,
+                onProgress: (msg, pct) => this.updateLoading(msg, pct)
+            });
+
+            this.currentTripPlan = plan;
+            this.currentItinerary = null;
+            this.hideLoading();
+            this.displayTripPlan(plan);
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to build trip plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Display a multi-day trip plan, one section of stops per day
+     * @param {Object} plan - Trip plan from planMultiDayTrip()
+     */
+    displayTripPlan(plan) {
+        this.elements.itineraryPanel.classList.add('hidden');
+        this.elements.itineraryResults.classList.remove('hidden');
+        this.elements.hotspotCards.classList.add('hidden');
+
+        // Saved itineraries hold a single day's stops
+        this.elements.saveItineraryBtn?.classList.add('hidden');
+
+        const summary = this.elements.itinerarySummary;
+        clearElement(summary);
+
+        const title = document.createElement('div');
+        title.className = 'itinerary-summary-title';
+        title.textContent = `Your ${plan.summary.totalDays}-Day Birding Trip (${plan.summary.totalStops} stops)`;
+        summary.appendChild(title);
+
+        const stats = document.createElement('div');
+        stats.className = 'itinerary-summary-stats';
+
+        const createStat = (value, label) => {
+            const stat = document.createElement('div');
+            stat.className = 'itinerary-stat';
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'itinerary-stat-value';
+            valueSpan.textContent = value;
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'itinerary-stat-label';
+            labelSpan.textContent = label;
+            stat.appendChild(valueSpan);
+            stat.appendChild(labelSpan);
+            return stat;
+        };
+
+        stats.appendChild(createStat(String(plan.summary.totalExpectedSpecies), 'Expected Species'));
+        stats.appendChild(createStat(`${(plan.summary.totalDistance * 0.621371).toFixed(1)} mi`, 'Total Distance'));
+        stats.appendChild(createStat(formatItineraryDuration(plan.summary.totalTravelTime), 'Driving Time'));
+        stats.appendChild(createStat(formatItineraryDuration(plan.summary.totalVisitTime), 'Birding Time'));
+        summary.appendChild(stats);
+
+        const stopsContainer = this.elements.itineraryStops;
+        clearElement(stopsContainer);
+
+        plan.days.forEach(day => {
+            const header = document.createElement('div');
+            header.className = 'itinerary-day-header';
+
+            const heading = document.createElement('h4');
+            heading.textContent = `Day ${day.dayNumber} · ${day.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}`;
+            header.appendChild(heading);
+
+            const meta = document.createElement('span');
+            meta.className = 'itinerary-day-meta';
+            meta.textContent = day.itinerary
+                ? `${day.itinerary.summary.totalStops} stops · ${day.newSpeciesCount} new species · ${formatItineraryDuration(day.itinerary.summary.totalTripTime)}`
+                : 'No stops fit this day\'s time budget';
+            header.appendChild(meta);
+
+            stopsContainer.appendChild(header);
+
+            if (day.itinerary) {
+                day.itinerary.stops.forEach((stop, index) => {
+                    stopsContainer.appendChild(this.createItineraryStopElement(stop, index, day.itinerary));
+                });
+            }
+        });
+
+        this.displayTripPlanRoute(plan);
+
+        this.elements.itineraryResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Display every day of a trip plan on the map, one route colour per day
+     * @param {Object} plan - Trip plan from planMultiDayTrip()
+     */
+    displayTripPlanRoute(plan) {
+        if (this.itineraryRouteLine && this.resultsMapInstance) {
+            this.resultsMapInstance.removeLayer(this.itineraryRouteLine);
+            this.itineraryRouteLine = null;
+        }
+
+        if (!this.resultsMapInstance) return;
+
+        const dayColors = ['#3A6B35', '#1976D2', '#8E24AA', '#E65100', '#00838F', '#C62828', '#5D4037'];
+        const routedDays = plan.days.filter(day => day.itinerary && day.itinerary.geometry);
+        if (routedDays.length === 0) return;
+
+        this.itineraryRouteLine = L.featureGroup(routedDays.map(day => L.polyline(
+            day.itinerary.geometry.coordinates.map(c => [c[1], c[0]]),
+            { color: dayColors[(day.dayNumber - 1) % dayColors.length], weight: 4, opacity: 0.8 }
+        ))).addTo(this.resultsMapInstance);
+
+        this.clearResultsMarkers();
+
+        routedDays.forEach(day => {
+            const color = dayColors[(day.dayNumber - 1) % dayColors.length];
+            day.itinerary.stops.forEach((stop, index) => {
+                // Each base is drawn once, as the start of the day that leaves it
+                if (stop.type === 'end' && day.dayNumber < plan.summary.totalDays) return;
+
+                const markerText = stop.type === 'start' ? (day.dayNumber === 1 ? 'S' : 'L') :
+                    stop.type === 'end' ? 'E' : `${day.dayNumber}.${index}`;
+
+                const icon = L.divIcon({
+                    className: 'hotspot-marker',
+                    html: `<div style="background:${stop.type === 'hotspot' ? color : '#D32F2F'}">${markerText}</div>`,
+                    iconSize: [28, 28],
+                    iconAnchor: [14, 14]
+                });
+
+                const marker = L.marker([stop.lat, stop.lng], { icon })
+                    .bindPopup(`<strong>${sanitizeHTML(stop.name)}</strong><br>Day ${day.dayNumber}${stop.speciesCount ? `<br>${sanitizeHTML(String(stop.speciesCount))} species` : ''}`)
+                    .addTo(this.resultsMapInstance);
+
+                this.resultsMarkers.push(marker);
+            });
+        });
+
+        this.resultsMapInstance.fitBounds(this.itineraryRouteLine.getBounds(), {
+            padding: [50, 50],
+            maxZoom: 12
+        });
+    }
+
+    /**
+     * Create an itinerary stop element
+     * @param {Object} stop - Stop data
+     * @param {number} index - Stop index
+     * @param {Object} itinerary - Full itinerary data
+     * @param {boolean} [editable=false] - Show the controls for editing hotspot stops
+     * @returns {HTMLElement}
+     */
+    createItineraryStopElement(stop, index, itinerary, editable = false) {
+        const wrapper = document.createElement('div');
+
+        // Leg connector (travel info) - shown before all stops except first
+        if (index > 0 && itinerary.legs[index - 1]) {
+            const leg = itinerary.legs[index - 1];
+            const legEl = document.createElement('div');
+            legEl.className = 'itinerary-leg';
+            legEl.appendChild(createSVGIcon(getTravelMode(itinerary.travelMode).icon, 16));
+            const distSpan = document.createElement('span');
+            distSpan.textContent = `${(leg.distance * 0.621371).toFixed(1)} mi`;
+            legEl.appendChild(distSpan);
+            const dividerSpan = document.createElement('span');
+            dividerSpan.textContent = '|';
+            legEl.appendChild(dividerSpan);
+            const durationSpan = document.createElement('span');
+            durationSpan.textContent = formatItineraryDuration(leg.duration / 60);
+            legEl.appendChild(durationSpan);
+            wrapper.appendChild(legEl);
         }
 
         // Stop card
@@ -6578,6 +9022,14 @@ class BirdingHotspotsApp {
             content.appendChild(addrDiv);
         }
 
+        // Target list plans: the targets reported at this stop
+        if (stop.targetsCovered?.length > 0) {
+            const targetsDiv = document.createElement('div');
+            targetsDiv.className = 'stop-targets';
+            stop.targetsCovered.forEach(target => targetsDiv.appendChild(this.createTargetChip(target)));
+            content.appendChild(targetsDiv);
+        }
+
         const metaDiv = document.createElement('div');
         metaDiv.className = 'stop-meta';
 
@@ -6595,7 +9047,75 @@ class BirdingHotspotsApp {
             metaDiv.appendChild(visitSpan);
         }
 
+        // Forecast for the hour this stop is reached in
+        if (stop.forecast) {
+            const forecastSpan = document.createElement('span');
+            forecastSpan.className = 'stop-forecast';
+            forecastSpan.appendChild(createSVGIcon(stop.forecast.icon, 14));
+            const temperature = this.useFahrenheit ? `${stop.forecast.temperatureF}°F` : `${stop.forecast.temperatureC}°C`;
+            forecastSpan.appendChild(document.createTextNode(` ${temperature}, ${stop.forecast.description} `));
+            const rating = document.createElement('span');
+            rating.className = `birding-condition ${stop.forecast.rating}`;
+            rating.textContent = stop.forecast.rating;
+            forecastSpan.appendChild(rating);
+            metaDiv.appendChild(forecastSpan);
+        }
+
+        if (stop.arrivesAfterDark || stop.visitTruncated) {
+            const daylightSpan = document.createElement('span');
+            daylightSpan.className = 'stop-daylight-warning';
+            daylightSpan.appendChild(createSVGIcon('sunset', 14));
+            daylightSpan.appendChild(document.createTextNode(stop.arrivesAfterDark
+                ? ' Arrives after sunset'
+                : ' Visit cut short at sunset'));
+            metaDiv.appendChild(daylightSpan);
+        }
+
+        // Opening hours: waited for the stop to open, or reached after it closed
+        if (stop.missesTimeWindow || stop.waitTime > 0) {
+            const windowSpan = document.createElement('span');
+            windowSpan.className = 'stop-daylight-warning';
+            windowSpan.appendChild(createSVGIcon('schedule', 14));
+            windowSpan.appendChild(document.createTextNode(stop.missesTimeWindow
+                ? ` Arrives after it closes (${stop.timeWindow.close})`
+                : ` Wait ${formatItineraryDuration(stop.waitTime)} for it to open`));
+            metaDiv.appendChild(windowSpan);
+        }
+
         content.appendChild(metaDiv);
+
+        if (editable && stop.type === 'hotspot') {
+            content.appendChild(this.createStopEditControls(stop, index, itinerary));
+        }
+
+        // Drag hotspot stops onto each other to reorder them; locked stops stay put
+        if (editable && stop.type === 'hotspot') {
+            stopEl.classList.add('editable');
+            stopEl.classList.toggle('locked', Boolean(stop.locked));
+            stopEl.draggable = !stop.locked;
+            stopEl.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', String(index));
+                e.dataTransfer.effectAllowed = 'move';
+                stopEl.classList.add('dragging');
+            });
+            stopEl.addEventListener('dragend', () => stopEl.classList.remove('dragging'));
+            if (!stop.locked) {
+                stopEl.addEventListener('dragover', (e) => {
+                    e.preventDefault();
+                    stopEl.classList.add('drag-over');
+                });
+                stopEl.addEventListener('dragleave', () => stopEl.classList.remove('drag-over'));
+                stopEl.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    stopEl.classList.remove('drag-over');
+                    const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+                    if (!Number.isNaN(from)) {
+                        this.editItinerary(stops => moveStop(stops, from, index));
+                    }
+                });
+            }
+        }
+
         stopEl.appendChild(marker);
         stopEl.appendChild(content);
         wrapper.appendChild(stopEl);
@@ -6603,6 +9123,194 @@ class BirdingHotspotsApp {
         return wrapper;
     }
 
+    /**
+     * Hotspots with the opening hours the user gave them in the stop editor,
+     * so every itinerary built from them keeps to those hours
+     * @param {Array} hotspots
+     * @returns {Array}
+     */
+    withOpeningHours(hotspots) {
+        const hours = storage.getOpeningHours();
+        return hotspots.map(h => (hours[h.locId] ? { ...h, timeWindow: hours[h.locId] } : h));
+    }
+
+    /**
+     * Controls for editing a hotspot stop: move earlier/later (the keyboard
+     * alternative to dragging), lock in place, visit length, opening hours and remove
+     * @param {Object} stop - Stop data
+     * @param {number} index - Stop index
+     * @param {Object} itinerary - Full itinerary data
+     * @returns {HTMLElement}
+     */
+    createStopEditControls(stop, index, itinerary) {
+        const controls = document.createElement('div');
+        controls.className = 'stop-edit-controls';
+
+        const handle = createSVGIcon('dragHandle', 16, 'stop-drag-handle');
+        handle.setAttribute('aria-hidden', 'true');
+        controls.appendChild(handle);
+
+        const addButton = (icon, label, onClick, { disabled = false, pressed = null } = {}) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-icon stop-edit-btn';
+            button.setAttribute('aria-label', `${label}: ${stop.name}`);
+            button.title = label;
+            if (pressed !== null) button.setAttribute('aria-pressed', String(pressed));
+            button.disabled = disabled;
+            button.appendChild(createSVGIcon(icon, 16));
+            button.addEventListener('click', onClick);
+            controls.appendChild(button);
+            return button;
+        };
+
+        const hotspotIndexes = itinerary.stops
+            .map((s, i) => (s.type === 'hotspot' && !s.locked ? i : -1))
+            .filter(i => i !== -1);
+        const isFirst = hotspotIndexes[0] === index;
+        const isLast = hotspotIndexes[hotspotIndexes.length - 1] === index;
+
+        addButton('arrowUp', 'Move earlier', () => this.editItinerary(stops => shiftStop(stops, index, -1)),
+            { disabled: stop.locked || isFirst });
+        addButton('arrowDown', 'Move later', () => this.editItinerary(stops => shiftStop(stops, index, 1)),
+            { disabled: stop.locked || isLast });
+        addButton(stop.locked ? 'lock' : 'lockOpen', stop.locked ? 'Unlock stop' : 'Lock stop in place',
+            () => this.editItinerary(stops => toggleStopLock(stops, index), { reroute: false }),
+            { pressed: Boolean(stop.locked) });
+
+        const visitLabel = document.createElement('label');
+        visitLabel.className = 'stop-visit-input';
+        const visitInput = document.createElement('input');
+        visitInput.type = 'number';
+        visitInput.min = '0';
+        visitInput.max = '600';
+        visitInput.step = '5';
+        visitInput.value = String(stop.customVisitTime ?? stop.suggestedVisitTime);
+        visitInput.setAttribute('aria-label', `Minutes at ${stop.name}`);
+        visitInput.addEventListener('change', () => {
+            const minutes = parseInt(visitInput.value, 10);
+            if (Number.isNaN(minutes) || minutes < 0) {
+                visitInput.value = String(stop.customVisitTime ?? stop.suggestedVisitTime);
+                return;
+            }
+            this.editItinerary(stops => setStopVisitTime(stops, index, minutes));
+        });
+        visitLabel.appendChild(visitInput);
+        visitLabel.appendChild(document.createTextNode(' min'));
+        controls.appendChild(visitLabel);
+
+        // Opening hours, remembered for the hotspot in later itineraries too
+        const hours = document.createElement('span');
+        hours.className = 'stop-hours-input';
+        const makeTimeInput = (value, label) => {
+            const input = document.createElement('input');
+            input.type = 'time';
+            input.value = value || '';
+            input.setAttribute('aria-label', `${label} ${stop.name}`);
+            input.addEventListener('change', () => {
+                const timeWindow = openInput.value || closeInput.value
+                    ? { open: openInput.value || null, close: closeInput.value || null }
+                    : null;
+                storage.setOpeningHours(stop.locId, timeWindow);
+                this.editItinerary(stops => setStopTimeWindow(stops, index, timeWindow));
+            });
+            return input;
+        };
+        const openInput = makeTimeInput(stop.timeWindow?.open, 'Opening time of');
+        const closeInput = makeTimeInput(stop.timeWindow?.close, 'Closing time of');
+        hours.appendChild(document.createTextNode('Open '));
+        hours.appendChild(openInput);
+        hours.appendChild(document.createTextNode(' - '));
+        hours.appendChild(closeInput);
+        controls.appendChild(hours);
+
+        addButton('delete', 'Remove stop', () => this.editItinerary(stops => removeStop(stops, index)),
+            { disabled: itinerary.summary.totalStops <= 1 });
+
+        return controls;
+    }
+
+    /**
+     * "Add a stop" picker listing result hotspots not already in the itinerary
+     * @param {Object} itinerary - Full itinerary data
+     * @returns {HTMLElement|null} null when there are no other hotspots to add
+     */
+    createAddStopControl(itinerary) {
+        const inItinerary = new Set(itinerary.stops.map(s => s.locId).filter(Boolean));
+        const candidates = (this.currentResults?.hotspots || []).filter(h => !inItinerary.has(h.locId));
+        if (candidates.length === 0) return null;
+
+        const container = document.createElement('div');
+        container.className = 'itinerary-add-stop';
+
+        const select = document.createElement('select');
+        select.className = 'select-input';
+        select.setAttribute('aria-label', 'Hotspot to add to the itinerary');
+        candidates.forEach(h => {
+            const option = document.createElement('option');
+            option.value = h.locId;
+            option.textContent = `${h.name} (${h.speciesCount} species)`;
+            select.appendChild(option);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'btn btn-secondary btn-small';
+        addBtn.appendChild(createSVGIcon('add', 16));
+        addBtn.appendChild(document.createTextNode(' Add stop'));
+        addBtn.addEventListener('click', () => {
+            const hotspot = candidates.find(h => h.locId === select.value);
+            if (hotspot) {
+                const [withHours] = this.withOpeningHours([hotspot]);
+                this.editItinerary(stops => insertStop(stops, withHours, itinerary.isRoundTrip));
+            }
+        });
+
+        container.appendChild(select);
+        container.appendChild(addBtn);
+        return container;
+    }
+
+    /**
+     * Apply a hand edit to the current itinerary, then re-route the legs,
+     * re-time every stop and redraw the itinerary and its route
+     * @param {Function} edit - Takes the stops and returns the edited stops
+     * @param {Object} [options]
+     * @param {boolean} [options.reroute=true] - false for edits that change no times (locking)
+     */
+    async editItinerary(edit, { reroute = true } = {}) {
+        const itinerary = this.currentItinerary;
+        if (!itinerary) return;
+
+        const stops = edit(itinerary.stops);
+        if (stops === itinerary.stops) return;
+
+        if (!reroute) {
+            this.currentItinerary = { ...itinerary, stops };
+            this.displayItinerary(this.currentItinerary, { scroll: false });
+            return;
+        }
+
+        this.showLoading('Updating itinerary...', 50);
+        try {
+            const updated = await retimeItinerary(stops, {
+                departure: itinerary.stops[0].departureTime,
+                isRoundTrip: itinerary.isRoundTrip,
+                daylight: itinerary.summary.sunrise
+                    ? { sunrise: itinerary.summary.sunrise, sunset: itinerary.summary.sunset }
+                    : null,
+                forecast: this.currentItineraryForecast,
+                directLegs: itinerary.directLegs
+            });
+            this.currentItinerary = updated;
+            this.hideLoading();
+            this.displayItinerary(updated, { scroll: false });
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Could not update itinerary: ${error.message}`);
+        }
+    }
+
     /**
      * Display the itinerary route on the map
      * @param {Object} itinerary - Itinerary data
@@ -6625,8 +9333,7 @@ class BirdingHotspotsApp {
         }).addTo(this.resultsMapInstance);
 
         // Update markers to show stop numbers
-        this.resultsMarkers.forEach(m => this.resultsMapInstance.removeLayer(m));
-        this.resultsMarkers = [];
+        this.clearResultsMarkers();
 
         itinerary.stops.forEach((stop, index) => {
             const markerColor = stop.type === 'start' ? '#3A6B35' :
@@ -6670,20 +9377,37 @@ class BirdingHotspotsApp {
         this.elements.hotspotCards.classList.remove('hidden');
 
         // Restore normal map markers
-        if (this.currentResults) {
-            this.initResultsMap(this.currentResults.origin, this.currentResults.hotspots);
+        if (this.currentTargetPlan) {
+            this.initResultsMap(this.currentTargetPlan.origin, this.getTargetPlanMarkers(this.currentTargetPlan.plan));
+        } else if (this.currentResults) {
+            this.initResultsMap(this.currentResults.origin, this.currentResults.hotspots, this.currentResults.reachableArea,
+                !this.currentResults.travelTimeBudget);
         }
     }
 
     /**
-     * Export itinerary to PDF
+     * Export itinerary (or multi-day trip plan) to PDF, after choosing what
+     * goes into the report
      */
-    async handleExportItineraryPdf() {
+    handleExportItineraryPdf() {
+        if (this.currentTripPlan) {
+            this.openReportBuilder(reportOptions => this.handleExportTripPlanPdf(reportOptions));
+            return;
+        }
+
         if (!this.currentItinerary) {
             this.showError('No itinerary to export. Please generate an itinerary first.');
             return;
         }
 
+        this.openReportBuilder(reportOptions => this.exportItineraryPdf(reportOptions));
+    }
+
+    /**
+     * Generate and download the itinerary PDF
+     * @param {Object} reportOptions - From the report builder
+     */
+    async exportItineraryPdf(reportOptions) {
         this.showLoading('Generating route PDF...', 0);
 
         try {
@@ -6707,7 +9431,10 @@ class BirdingHotspotsApp {
                 itinerary: this.currentItinerary,
                 generatedDate: new Date().toLocaleDateString(),
                 useFahrenheit: this.useFahrenheit,
-                targetSpeciesCodes: this.routeTargetSpeciesCodes || []
+                targetSpeciesCodes: this.routeTargetSpeciesCodes || [],
+                reportOptions,
+                checklists: await this.loadReportChecklists(
+                    this.currentItinerary.stops.filter(s => s.type === 'hotspot'), reportOptions)
             };
 
             const pdf = await generateRoutePDFReport(routeData, (msg, pct) => {
@@ -6724,132 +9451,774 @@ class BirdingHotspotsApp {
     }
 
     /**
-     * Export itinerary to GPX
+     * Export the multi-day trip plan to PDF, one section per day
+     * @param {Object} reportOptions - From the report builder
      */
-    handleExportItineraryGpx() {
-        if (!this.currentItinerary) {
-            this.showError('No itinerary to export. Please generate an itinerary first.');
-            return;
-        }
+    async handleExportTripPlanPdf(reportOptions) {
+        this.showLoading('Generating trip PDF...', 0);
+
+        try {
+            await this._ensurePdfLibsLoaded();
+
+            const { days } = this.currentTripPlan;
+            const toPlace = loc => ({ address: loc.address, lat: loc.lat, lng: loc.lng });
+            const stops = days.flatMap(day => day.itinerary?.stops.filter(s => s.type === 'hotspot') || []);
+
+            const pdf = await generateRoutePDFReport({
+                start: toPlace(days[0].start),
+                end: toPlace(days[days.length - 1].end),
+                tripPlan: this.currentTripPlan,
+                generatedDate: new Date().toLocaleDateString(),
+                useFahrenheit: this.useFahrenheit,
+                reportOptions,
+                checklists: await this.loadReportChecklists(stops, reportOptions)
+            }, (msg, pct) => {
+                this.updateLoading(msg, pct);
+            });
+
+            downloadRoutePDF(pdf);
+            this.hideLoading();
+            this.showSuccessToast('Trip PDF downloaded!');
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Failed to generate PDF: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a map export format picker (GPX, KML, KMZ or GeoJSON)
+     * @returns {HTMLSelectElement}
+     */
+    createExportFormatSelect() {
+        const select = document.createElement('select');
+        select.className = 'select-input export-format-select';
+        select.setAttribute('aria-label', 'Map export format');
+        Object.entries(MAP_EXPORT_FORMATS).forEach(([value, { label }]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        return select;
+    }
+
+    /**
+     * Generate and download a map file in the chosen format
+     * @param {string} format - 'gpx', 'kml', 'kmz' or 'geojson'
+     * @param {Object} generators - {gpx, kml, geojson}: functions returning the file content
+     * @param {string} filename - Filename without extension
+     */
+    downloadMapFile(format, generators, filename) {
+
+        if (format === 'kml' || format === 'kmz') {
+            downloadKML(generators.kml(), filename, { kmz: format === 'kmz' });
+        } else if (format === 'geojson') {
+            downloadGeoJSON(generators.geojson(), filename);
+        } else {
+            downloadGPX(generators.gpx(), filename);
+        }
+        this.showSuccessToast(`${(MAP_EXPORT_FORMATS[format] || MAP_EXPORT_FORMATS.gpx).name} downloaded!`);
+    }
+
+    /**
+     * Export itinerary to GPX, KML/KMZ or GeoJSON
+     * @param {string} [format='gpx'] - 'gpx', 'kml', 'kmz' or 'geojson'
+     */
+    handleExportItineraryGpx(format = 'gpx') {
+        if (this.currentTripPlan) {
+            const options = { name: 'Birding Trip' };
+            this.downloadMapFile(format, {
+                gpx: () => generateTripPlanGPX(this.currentTripPlan, options),
+                kml: () => generateTripPlanKML(this.currentTripPlan, options),
+                geojson: () => generateTripPlanGeoJSON(this.currentTripPlan, options)
+            }, 'birding-trip');
+            return;
+        }
+
+        if (!this.currentItinerary) {
+            this.showError('No itinerary to export. Please generate an itinerary first.');
+            return;
+        }
+
+        const options = {
+            name: 'Birding Itinerary',
+            description: `Optimized birding route with ${this.currentItinerary.summary.totalStops} stops`
+        };
+        this.downloadMapFile(format, {
+            gpx: () => generateGPX(this.currentItinerary, options),
+            kml: () => generateKML(this.currentItinerary, options),
+            geojson: () => generateGeoJSON(this.currentItinerary, options)
+        }, 'birding-itinerary');
+    }
+
+    /**
+     * Export the itinerary's stops as calendar events (.ics), one per
+     * hotspot visit, with travel legs as events if asked for
+     */
+    handleExportItineraryIcs() {
+        const includeTravel = this.elements.icsIncludeTravel.checked;
+
+        if (this.currentTripPlan) {
+            downloadICS(generateTripPlanICS(this.currentTripPlan, { name: 'Birding Trip', includeTravel }), 'birding-trip');
+            this.showSuccessToast('Calendar file downloaded!');
+            return;
+        }
+
+        if (!this.currentItinerary) {
+            this.showError('No itinerary to export. Please generate an itinerary first.');
+            return;
+        }
+
+        downloadICS(generateICS(this.currentItinerary, { name: 'Birding Itinerary', includeTravel }), 'birding-itinerary');
+        this.showSuccessToast('Calendar file downloaded!');
+    }
+
+    /**
+     * Toggle species list visibility
+     * @param {HTMLElement} toggle - Toggle button element
+     */
+    toggleSpeciesList(toggle) {
+        const expanded = toggle.getAttribute('aria-expanded') === 'true';
+        toggle.setAttribute('aria-expanded', !expanded);
+
+        const speciesList = toggle.nextElementSibling;
+        if (speciesList) {
+            speciesList.classList.toggle('hidden');
+        }
+    }
+
+    /**
+     * Initialize or update the results map with hotspot markers
+     * @param {Object} origin - Origin coordinates {lat, lng}
+     * @param {Array} hotspots - Array of hotspot objects
+     * @param {Array<Array<number>>} [reachableArea] - Outline [[lat, lng], ...] of a travel-time search's reach
+     * @param {boolean} [searchThisArea=false] - Offer "Search as I move the map" (location hotspot results only)
+     */
+    initResultsMap(origin, hotspots, reachableArea = null, searchThisArea = false) {
+        // Destroy existing map (and any species layer on it) if it exists
+        this.clearSpeciesLayer();
+        if (this.resultsMapInstance) {
+            this.resultsMapInstance.remove();
+            this.resultsMapInstance = null;
+        }
+
+        // Calculate bounds to fit all points
+        const allPoints = [
+            [origin.lat, origin.lng],
+            ...hotspots.map(h => [h.lat, h.lng])
+        ];
+        const bounds = L.latLngBounds(allPoints);
+
+        // Initialize map
+        this.resultsMapInstance = L.map(this.elements.resultsMap, {
+            scrollWheelZoom: false  // Prevent accidental zooming while scrolling page
+        });
+
+        // Add OpenStreetMap tiles (flat top-down style)
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+            maxZoom: 19
+        }).addTo(this.resultsMapInstance);
+
+        // Clear existing markers
+        this.resultsMarkers = [];
+        this.resultsClusterLayer = null;
+        this.resultsClusteredMarkers = [];
+        clearTimeout(this.viewportSearch?.timer);
+        this.viewportSearch = null;
+
+        // Shade the area reachable in a travel-time search
+        if (reachableArea) {
+            L.polygon(reachableArea, {
+                color: '#3A6B35',
+                weight: 1,
+                fillColor: '#5A8F55',
+                fillOpacity: 0.12,
+                interactive: false
+            }).addTo(this.resultsMapInstance);
+        }
+
+        // Add origin marker (green with house icon)
+        const originIcon = L.divIcon({
+            className: 'origin-marker',
+            html: '<svg viewBox="0 0 24 24"><path d="M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8z"/></svg>',
+            iconSize: [32, 32],
+            iconAnchor: [16, 16]
+        });
+        L.marker([origin.lat, origin.lng], { icon: originIcon })
+            .bindPopup('Your Location')
+            .addTo(this.resultsMapInstance);
+
+        this.renderResultsHotspotMarkers(hotspots);
+
+        if (searchThisArea) {
+            this.addViewportSearchControl();
+        }
+
+        // Fix map rendering if container was hidden, then fit bounds
+        setTimeout(() => {
+            this.resultsMapInstance.invalidateSize();
+            // Fit bounds after size is validated, with maxZoom to prevent over-zooming
+            this.resultsMapInstance.fitBounds(bounds, {
+                padding: [50, 50],
+                maxZoom: 12  // Prevent zooming in too far
+            });
+        }, 100);
+    }
+
+    /**
+     * Draw the numbered hotspot markers on the results map, replacing any
+     * already there, clustered where they'd overlap
+     * @param {Array} hotspots - In card order
+     */
+    renderResultsHotspotMarkers(hotspots) {
+        this.clearResultsMarkers();
+        this.addClusteredResultsMarkers(hotspots.map((hotspot, index) => {
+            const number = index + 1;
+            const hotspotIcon = L.divIcon({
+                className: 'hotspot-marker',
+                html: `${number}`,
+                iconSize: [28, 28],
+                iconAnchor: [14, 14]
+            });
+
+            return L.marker([hotspot.lat, hotspot.lng], { icon: hotspotIcon })
+                .bindPopup(`<strong>${sanitizeHTML(hotspot.name)}</strong><br>${sanitizeHTML(String(hotspot.speciesCount))} species`)
+                .on('click', () => this.scrollToHotspotCard(number));
+        }));
+    }
+
+    /**
+     * Add markers to the results map's clustered layer. Overlapping markers
+     * are drawn as one count bubble that zooms in when clicked, and the
+     * groups are worked out again on every zoom.
+     * @param {Array<L.Marker>} markers
+     */
+    addClusteredResultsMarkers(markers) {
+        const map = this.resultsMapInstance;
+        if (!map || markers.length === 0) return;
+
+        if (!this.resultsClusterLayer) {
+            this.resultsClusterLayer = L.layerGroup().addTo(map);
+            this._renderResultsClusters = () => this.renderResultsClusters();
+            map.on('zoomend', this._renderResultsClusters);
+        }
+        this.resultsClusteredMarkers.push(...markers);
+        this.resultsMarkers.push(...markers);
+        // The map has no zoom until its first fitBounds/setView
+        map.whenReady(this._renderResultsClusters);
+    }
+
+    /**
+     * Redraw the clustered markers for the current zoom
+     */
+    renderResultsClusters() {
+        const map = this.resultsMapInstance;
+        const layer = this.resultsClusterLayer;
+        if (!map || !layer) return;
+
+        layer.clearLayers();
+        const zoom = map.getZoom();
+        const { CELL_SIZE_PX, MAX_ZOOM } = CONFIG.MAP_CLUSTERING;
+        const points = this.resultsClusteredMarkers.map(marker => ({ ...marker.getLatLng(), marker }));
+        const clusters = zoom >= MAX_ZOOM
+            ? points.map(point => ({ ...point, members: [point] }))
+            : clusterPoints(points, (lat, lng) => map.project([lat, lng], zoom), CELL_SIZE_PX);
+
+        clusters.forEach(cluster => {
+            if (cluster.members.length === 1) {
+                layer.addLayer(cluster.members[0].marker);
+                return;
+            }
+            const count = cluster.members.length;
+            const icon = L.divIcon({
+                className: 'marker-cluster',
+                html: `<span>${count}</span>`,
+                iconSize: [36, 36],
+                iconAnchor: [18, 18]
+            });
+            L.marker([cluster.lat, cluster.lng], { icon, title: `${count} places - zoom in to see them` })
+                .on('click', () => {
+                    map.fitBounds(L.latLngBounds(cluster.members.map(m => [m.lat, m.lng])), { padding: [40, 40] });
+                })
+                .addTo(layer);
+        });
+    }
+
+    /**
+     * Remove the hotspot/stop markers (clustered or not) from the results map
+     */
+    clearResultsMarkers() {
+        const map = this.resultsMapInstance;
+        if (map) {
+            this.resultsMarkers.forEach(m => map.removeLayer(m));
+            if (this.resultsClusterLayer) {
+                map.removeLayer(this.resultsClusterLayer);
+                map.off('zoomend', this._renderResultsClusters);
+            }
+        }
+        this.resultsMarkers = [];
+        this.resultsClusterLayer = null;
+        this.resultsClusteredMarkers = [];
+    }
+
+    /**
+     * Add the "Search as I move the map" toggle to the results map. While it's
+     * on, each pan or zoom looks for hotspots in view that aren't in the
+     * results yet and merges them in, a batch at a time as they're enriched,
+     * without re-running the whole search.
+     */
+    addViewportSearchControl() {
+        const map = this.resultsMapInstance;
+        const state = { enabled: false, timer: null, request: null, status: null };
+        this.viewportSearch = state;
+
+        const control = L.control({ position: 'topright' });
+        control.onAdd = () => {
+            const container = document.createElement('div');
+            container.className = 'viewport-search-control';
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' Search as I move the map'));
+
+            state.status = document.createElement('div');
+            state.status.className = 'viewport-search-status';
+            state.status.setAttribute('aria-live', 'polite');
+
+            container.appendChild(label);
+            container.appendChild(state.status);
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            checkbox.addEventListener('change', () => {
+                state.enabled = checkbox.checked;
+                clearTimeout(state.timer);
+                state.request = null;
+                state.status.textContent = '';
+                if (state.enabled) this.searchViewport();
+            });
+            return container;
+        };
+        control.addTo(map);
+
+        map.on('moveend', () => {
+            if (!state.enabled) return;
+            clearTimeout(state.timer);
+            state.timer = setTimeout(() => this.searchViewport(), CONFIG.VIEWPORT_SEARCH.DEBOUNCE_MS);
+        });
+    }
+
+    /**
+     * Look for hotspots in the current map view and merge the new ones into
+     * the results. A later pan, a new search or a rebuilt map stops it
+     * between batches.
+     */
+    async searchViewport() {
+        const map = this.resultsMapInstance;
+        const state = this.viewportSearch;
+        const results = this.currentResults;
+        // A new search owns the loading overlay that enrichment reports to
+        if (!map || !state?.enabled || !results || this.isProcessing) return;
+
+        const request = {};
+        state.request = request;
+        const isCurrent = () => state.request === request && this.viewportSearch === state && this.currentResults === results;
+
+        const bounds = map.getBounds();
+        const area = getViewportSearchArea({
+            north: bounds.getNorth(),
+            south: bounds.getSouth(),
+            east: bounds.getEast(),
+            west: bounds.getWest()
+        });
+        state.status.textContent = 'Looking for hotspots in this area...';
+
+        let ebirdApi;
+        let found;
+        let notable;
+        try {
+            ebirdApi = this.getResultsApi();
+            [found, notable] = await Promise.all([
+                ebirdApi.getNearbyHotspots(area.lat, area.lng, area.radiusKm, CONFIG.DEFAULT_DAYS_BACK),
+                ebirdApi.getNotableObservationsNearby(area.lat, area.lng, area.radiusKm, CONFIG.DEFAULT_DAYS_BACK)
+                    .catch(e => {
+                        console.warn('Could not fetch notable species for this area:', e);
+                        return [];
+                    })
+            ]);
+        } catch (error) {
+            if (!isCurrent()) return;
+            console.warn('Could not search this area:', error.message);
+            state.status.textContent = error.message.startsWith('Enter your eBird')
+                ? error.message
+                : 'Could not search this area right now.';
+            return;
+        }
+        if (!isCurrent()) return;
+
+        const fresh = pickNewViewportHotspots(found || [], new Set(results.hotspots.map(h => h.locId)), area);
+        if (fresh.length === 0) {
+            state.status.textContent = 'No new hotspots in this area';
+            return;
+        }
+
+        const notableSpecies = new Set(notable.map(o => o.speciesCode));
+        const { ENRICH_BATCH_SIZE } = CONFIG.VIEWPORT_SEARCH;
+        let added = 0;
+        for (let i = 0; i < fresh.length; i += ENRICH_BATCH_SIZE) {
+            state.status.textContent = `Loading ${fresh.length - i} new hotspot${fresh.length - i === 1 ? '' : 's'}...`;
+            let enriched;
+            try {
+                enriched = await this.enrichHotspots(fresh.slice(i, i + ENRICH_BATCH_SIZE), results.origin, notableSpecies, ebirdApi);
+            } catch (error) {
+                if (!isCurrent()) return;
+                console.warn('Could not load hotspots for this area:', error.message);
+                break;
+            }
+            if (!isCurrent()) return;
+
+            const known = new Set(results.hotspots.map(h => h.locId));
+            const withSightings = enriched.filter(h => h.speciesCount > 0 && !known.has(h.locId));
+            this.mergeViewportHotspots(withSightings);
+            added += withSightings.length;
+        }
+
+        state.status.textContent = added > 0
+            ? `Added ${added} hotspot${added === 1 ? '' : 's'} from this area`
+            : 'No new hotspots with recent sightings here';
+    }
+
+    /**
+     * Merge hotspots found by "Search as I move the map" into the results,
+     * keeping the current sort, and redraw the cards and markers
+     * @param {Array} hotspots - Enriched hotspots new to the results
+     */
+    mergeViewportHotspots(hotspots) {
+        if (hotspots.length === 0) return;
+        const results = this.currentResults;
+        results.hotspots = this.sortHotspots([...results.hotspots, ...hotspots], results.sortMethod, results.origin);
+        this.renderResultsMeta(results);
+        this.renderHotspotCards();
+        this.renderResultsHotspotMarkers(results.hotspots);
+    }
+
+    /**
+     * Scroll to and highlight a hotspot card
+     * @param {number} number - Hotspot number (1-based)
+     */
+    scrollToHotspotCard(number) {
+        const cards = this.elements.hotspotCards.querySelectorAll('.hotspot-card');
+        const card = cards[number - 1];
+        if (card) {
+            // Remove highlight from all cards
+            cards.forEach(c => c.classList.remove('highlight'));
+
+            // Scroll to card
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+            // Add highlight
+            card.classList.add('highlight');
+
+            // Remove highlight after animation
+            setTimeout(() => card.classList.remove('highlight'), 2000);
+        }
+    }
+
+    /**
+     * Handle species layer input change
+     */
+    handleSpeciesLayerInput() {
+        clearTimeout(this.speciesLayerDebounceTimer);
+
+        const query = this.elements.speciesLayerInput.value.trim();
+        if (query.length < 2) {
+            this.hideSpeciesLayerDropdown();
+            return;
+        }
+
+        this.speciesLayerDebounceTimer = setTimeout(() => {
+            this.performSpeciesLayerSearch(query);
+        }, 200);
+    }
+
+    /**
+     * Handle species layer input focus - loads the taxonomy so species
+     * beyond the results can be picked too
+     */
+    async handleSpeciesLayerFocus() {
+        if (!this.speciesSearch) {
+            const apiKey = this.elements.apiKey.value.trim() || storage.getApiKey();
+            if (apiKey) {
+                this.speciesSearch = new SpeciesSearch(new EBirdAPI(apiKey));
+                this.speciesSearch.loadTaxonomy().catch(e => console.warn('Failed to load taxonomy:', e));
+            }
+        }
+
+        const query = this.elements.speciesLayerInput.value.trim();
+        if (query.length >= 2) {
+            this.performSpeciesLayerSearch(query);
+        }
+    }
+
+    /**
+     * Suggest species for the map layer: species in the current results
+     * first, then the rest of the taxonomy once it has loaded
+     * @param {string} query - Search query
+     */
+    performSpeciesLayerSearch(query) {
+        const lowerQuery = query.toLowerCase();
+        const fromResults = new Map();
+        const resultHotspots = [...(this.currentResults?.hotspots || []), ...(this.routeHotspots || [])];
+        for (const hotspot of resultHotspots) {
+            for (const bird of hotspot.birds || []) {
+                if (!fromResults.has(bird.speciesCode) && bird.comName.toLowerCase().includes(lowerQuery)) {
+                    fromResults.set(bird.speciesCode, {
+                        speciesCode: bird.speciesCode,
+                        commonName: bird.comName,
+                        scientificName: bird.sciName || ''
+                    });
+                }
+            }
+        }
+
+        const results = [...fromResults.values()].slice(0, 8);
+        if (this.speciesSearch?.isReady()) {
+            for (const species of this.speciesSearch.searchSpecies(query, 8)) {
+                if (results.length >= 8) break;
+                if (!fromResults.has(species.speciesCode)) results.push(species);
+            }
+        }
+
+        if (results.length === 0) {
+            const dropdown = this.elements.speciesLayerDropdown;
+            clearElement(dropdown);
+            const messageDiv = document.createElement('div');
+            messageDiv.className = 'species-dropdown-empty';
+            messageDiv.textContent = this.speciesSearch?.isReady() ? 'No species found' : 'No species in these results match - loading all species...';
+            dropdown.appendChild(messageDiv);
+            dropdown.classList.remove('hidden');
+            this.elements.speciesLayerInput.setAttribute('aria-expanded', 'true');
+            return;
+        }
+
+        this._buildSpeciesOptions(this.elements.speciesLayerDropdown, this.elements.speciesLayerInput, results, 'layer-species-opt');
+        this.speciesLayerHighlightIndex = -1;
+    }
+
+    /**
+     * Hide species layer dropdown
+     */
+    hideSpeciesLayerDropdown() {
+        this.elements.speciesLayerDropdown.classList.add('hidden');
+        this.speciesLayerHighlightIndex = -1;
+        this.elements.speciesLayerInput.setAttribute('aria-expanded', 'false');
+        this.elements.speciesLayerInput.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Handle keyboard navigation for the species layer dropdown
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleSpeciesLayerKeyboard(e) {
+        const dropdown = this.elements.speciesLayerDropdown;
+        if (dropdown.classList.contains('hidden')) return;
+
+        const options = dropdown.querySelectorAll('.species-option');
+        if (options.length === 0) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.speciesLayerHighlightIndex = Math.min(this.speciesLayerHighlightIndex + 1, options.length - 1);
+                this.updateSpeciesLayerHighlight(options);
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                this.speciesLayerHighlightIndex = Math.max(this.speciesLayerHighlightIndex - 1, 0);
+                this.updateSpeciesLayerHighlight(options);
+                break;
 
-        const gpxContent = generateGPX(this.currentItinerary, {
-            name: 'Birding Itinerary',
-            description: `Optimized birding route with ${this.currentItinerary.summary.totalStops} stops`
-        });
+            case 'Enter':
+                e.preventDefault();
+                if (this.speciesLayerHighlightIndex >= 0) {
+                    const option = options[this.speciesLayerHighlightIndex];
+                    this.showSpeciesLayer({ speciesCode: option.dataset.code, commonName: option.dataset.name });
+                }
+                break;
 
-        downloadGPX(gpxContent, 'birding-itinerary');
-        this.showSuccessToast('GPX downloaded!');
+            case 'Escape':
+                e.preventDefault();
+                this.hideSpeciesLayerDropdown();
+                break;
+        }
     }
 
     /**
-     * Toggle species list visibility
-     * @param {HTMLElement} toggle - Toggle button element
+     * Update visual highlight for species layer dropdown options
+     * @param {NodeList} options - Dropdown option elements
      */
-    toggleSpeciesList(toggle) {
-        const expanded = toggle.getAttribute('aria-expanded') === 'true';
-        toggle.setAttribute('aria-expanded', !expanded);
-
-        const speciesList = toggle.nextElementSibling;
-        if (speciesList) {
-            speciesList.classList.toggle('hidden');
-        }
+    updateSpeciesLayerHighlight(options) {
+        options.forEach((opt, i) => {
+            const active = i === this.speciesLayerHighlightIndex;
+            opt.classList.toggle('highlighted', active);
+            opt.setAttribute('aria-selected', String(active));
+            if (active) {
+                opt.scrollIntoView({ block: 'nearest' });
+                this.elements.speciesLayerInput.setAttribute('aria-activedescendant', opt.id);
+            }
+        });
     }
 
     /**
-     * Initialize or update the results map with hotspot markers
-     * @param {Object} origin - Origin coordinates {lat, lng}
-     * @param {Array} hotspots - Array of hotspot objects
+     * Show a species' recent sightings on the results map, sized by count
+     * and colored by recency. Searches the area in view; when nothing is
+     * there, shows the nearest sightings instead.
+     * @param {{speciesCode: string, commonName: string}} species
      */
-    initResultsMap(origin, hotspots) {
-        // Destroy existing map if it exists
-        if (this.resultsMapInstance) {
-            this.resultsMapInstance.remove();
-            this.resultsMapInstance = null;
-        }
-
-        // Calculate bounds to fit all points
-        const allPoints = [
-            [origin.lat, origin.lng],
-            ...hotspots.map(h => [h.lat, h.lng])
-        ];
-        const bounds = L.latLngBounds(allPoints);
+    async showSpeciesLayer(species) {
+        const map = this.resultsMapInstance;
+        if (!map) return;
 
-        // Initialize map
-        this.resultsMapInstance = L.map(this.elements.resultsMap, {
-            scrollWheelZoom: false  // Prevent accidental zooming while scrolling page
-        });
+        this.elements.speciesLayerInput.value = species.commonName;
+        this.hideSpeciesLayerDropdown();
+        this.removeSpeciesLayerMarkers();
+        this.elements.speciesLayerInfo.classList.remove('hidden');
+        this.elements.speciesLayerStatus.textContent = `Loading ${species.commonName} sightings...`;
 
-        // Add OpenStreetMap tiles (flat top-down style)
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-            maxZoom: 19
-        }).addTo(this.resultsMapInstance);
+        const request = {};
+        this._speciesLayerRequest = request;
+        const center = map.getCenter();
+        const corner = map.getBounds().getNorthEast();
+        const radiusKm = Math.min(50, Math.max(1, calculateDistance(center.lat, center.lng, corner.lat, corner.lng)));
 
-        // Clear existing markers
-        this.resultsMarkers = [];
+        let result;
+        try {
+            result = await loadSpeciesSightings(this.getResultsApi(), species.speciesCode, { lat: center.lat, lng: center.lng }, radiusKm);
+        } catch (error) {
+            if (this._speciesLayerRequest !== request) return;
+            console.warn(`Could not load sightings of ${species.speciesCode}:`, error.message);
+            this.elements.speciesLayerStatus.textContent = error.message.startsWith('Enter your eBird')
+                ? error.message
+                : 'Could not load sightings right now. Please try again in a moment.';
+            return;
+        }
+        // Another species was picked, or the map was rebuilt, while loading
+        if (this._speciesLayerRequest !== request || this.resultsMapInstance !== map) return;
 
-        // Add origin marker (green with house icon)
-        const originIcon = L.divIcon({
-            className: 'origin-marker',
-            html: '<svg viewBox="0 0 24 24"><path d="M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8z"/></svg>',
-            iconSize: [32, 32],
-            iconAnchor: [16, 16]
-        });
-        L.marker([origin.lat, origin.lng], { icon: originIcon })
-            .bindPopup('Your Location')
-            .addTo(this.resultsMapInstance);
+        const { sightings, nearest } = result;
+        if (sightings.length === 0) {
+            this.elements.speciesLayerStatus.textContent = `No ${species.commonName} reported in the last ${CONFIG.DEFAULT_DAYS_BACK} days.`;
+            return;
+        }
 
-        // Add hotspot markers (numbered, orange)
-        hotspots.forEach((hotspot, index) => {
-            const number = index + 1;
-            const hotspotIcon = L.divIcon({
-                className: 'hotspot-marker',
-                html: `${number}`,
-                iconSize: [28, 28],
-                iconAnchor: [14, 14]
+        const maxCount = Math.max(1, ...sightings.map(s => s.count ?? 1));
+        this.speciesLayer = L.layerGroup();
+        sightings
+            .map(sighting => ({ sighting, style: getSightingMarkerStyle(sighting, maxCount) }))
+            // Biggest first, so small markers stay clickable on top
+            .sort((a, b) => b.style.radius - a.style.radius)
+            .forEach(({ sighting, style }) => {
+                L.circleMarker([sighting.lat, sighting.lng], {
+                    radius: style.radius,
+                    color: '#FFFFFF',
+                    weight: 1,
+                    fillColor: style.color,
+                    fillOpacity: style.fillOpacity
+                })
+                    .bindPopup(() => this.createSightingPopup(species, sighting))
+                    .addTo(this.speciesLayer);
             });
+        this.speciesLayer.addTo(map);
 
-            const marker = L.marker([hotspot.lat, hotspot.lng], { icon: hotspotIcon })
-                .bindPopup(`<strong>${sanitizeHTML(hotspot.name)}</strong><br>${sanitizeHTML(String(hotspot.speciesCount))} species`)
-                .on('click', () => this.scrollToHotspotCard(number));
-
-            marker.addTo(this.resultsMapInstance);
-            this.resultsMarkers.push(marker);
-        });
+        const privateCount = sightings.filter(s => s.isPrivate).length;
+        const where = nearest ? 'nearest reports (none in view)' : 'in view';
+        this.elements.speciesLayerStatus.textContent =
+            `${sightings.length} ${species.commonName} sightings ${where}${privateCount > 0 ? `, ${privateCount} at private locations` : ''}`;
 
-        // Fix map rendering if container was hidden, then fit bounds
-        setTimeout(() => {
-            this.resultsMapInstance.invalidateSize();
-            // Fit bounds after size is validated, with maxZoom to prevent over-zooming
-            this.resultsMapInstance.fitBounds(bounds, {
-                padding: [50, 50],
-                maxZoom: 12  // Prevent zooming in too far
-            });
-        }, 100);
+        if (nearest) {
+            map.fitBounds(L.latLngBounds([[center.lat, center.lng], ...sightings.map(s => [s.lat, s.lng])]), { padding: [30, 30], maxZoom: 12 });
+        }
     }
 
     /**
-     * Scroll to and highlight a hotspot card
-     * @param {number} number - Hotspot number (1-based)
+     * Popup for one sighting: place, date, count and observer. The observer
+     * comes from the sighting's checklist, loaded when the popup first opens.
+     * @param {{commonName: string}} species
+     * @param {Object} sighting - From buildSpeciesSightings()
+     * @returns {HTMLElement}
      */
-    scrollToHotspotCard(number) {
-        const cards = this.elements.hotspotCards.querySelectorAll('.hotspot-card');
-        const card = cards[number - 1];
-        if (card) {
-            // Remove highlight from all cards
-            cards.forEach(c => c.classList.remove('highlight'));
+    createSightingPopup(species, sighting) {
+        const popup = document.createElement('div');
+        popup.className = 'sighting-popup';
+
+        const title = document.createElement('strong');
+        title.textContent = species.commonName;
+        popup.appendChild(title);
+
+        const place = document.createElement('div');
+        place.textContent = sighting.isPrivate ? `${sighting.locName} (private location)` : sighting.locName;
+        popup.appendChild(place);
+
+        const when = document.createElement('div');
+        when.textContent = `${formatDate(sighting.date)} (${this.formatRelativeDate(sighting.date)})`;
+        popup.appendChild(when);
+
+        const count = document.createElement('div');
+        count.textContent = sighting.count === null ? 'Count: present (not counted)' : `Count: ${sighting.count}`;
+        popup.appendChild(count);
+
+        const observer = document.createElement('div');
+        observer.className = 'sighting-popup-observer';
+        observer.textContent = 'Observer: loading...';
+        popup.appendChild(observer);
+
+        if (sighting.subId) {
+            this.getResultsApi().getChecklist(sighting.subId)
+                .then(view => { observer.textContent = `Observer: ${view?.userDisplayName || 'Anonymous'}`; })
+                .catch(error => {
+                    console.warn(`Could not fetch checklist ${sighting.subId}:`, error.message);
+                    observer.textContent = '';
+                });
 
-            // Scroll to card
-            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            const link = document.createElement('a');
+            link.href = `https://ebird.org/checklist/${encodeURIComponent(sighting.subId)}`;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = 'View checklist on eBird';
+            popup.appendChild(link);
+        } else {
+            observer.textContent = '';
+        }
 
-            // Add highlight
-            card.classList.add('highlight');
+        return popup;
+    }
 
-            // Remove highlight after animation
-            setTimeout(() => card.classList.remove('highlight'), 2000);
+    /**
+     * Remove the species sightings from the map, keeping the chosen species
+     */
+    removeSpeciesLayerMarkers() {
+        this._speciesLayerRequest = null;
+        if (this.speciesLayer) {
+            this.speciesLayer.remove();
+            this.speciesLayer = null;
         }
     }
 
+    /**
+     * Hide the species sightings layer and reset its control
+     */
+    clearSpeciesLayer() {
+        this.removeSpeciesLayerMarkers();
+        this.elements.speciesLayerInput.value = '';
+        this.elements.speciesLayerInfo.classList.add('hidden');
+        this.elements.speciesLayerStatus.textContent = '';
+        this.hideSpeciesLayerDropdown();
+    }
+
     /**
      * Handle cancel search button click
      */
@@ -6892,11 +10261,14 @@ class BirdingHotspotsApp {
 
         // Clear stored results
         this.currentResults = null;
+        this.currentTargetPlan = null;
         this.currentSortMethod = null;
         this.notableObservations = [];
 
         // Clear itinerary state
         this.currentItinerary = null;
+        this.currentItineraryForecast = null;
+        this.currentTripPlan = null;
         this.itineraryRouteLine = null;
         this.elements.itineraryPanel.classList.add('hidden');
         this.elements.itineraryResults.classList.add('hidden');
@@ -6915,6 +10287,7 @@ class BirdingHotspotsApp {
         // Show export PDF/GPX buttons again (may have been hidden for route mode)
         this.elements.exportPdfBtn.classList.remove('hidden');
         this.elements.exportGpxBtn.classList.remove('hidden');
+        this.elements.exportGpxFormat.classList.remove('hidden');
 
         // Reset generic "Build Itinerary" panel visibility (next display path re-asserts it)
         this.updateGenericItineraryButtonVisibility();
@@ -6977,31 +10350,160 @@ class BirdingHotspotsApp {
     async _ensurePdfLibsLoaded() {
         await Promise.all([
             window.jspdf ? Promise.resolve() : this._loadScript(
-                'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
-                'sha512-qZvrmS2ekKPF2mSznTQsxqPgnpkI4DNTlrdUmTzrDgektczlKNRRhy5X5AAOnx5S09ydFYWWNSfcEqDTTHgtNA=='
+                CONFIG.PDF_LIBRARIES.JSPDF.URL,
+                CONFIG.PDF_LIBRARIES.JSPDF.INTEGRITY
             ),
             typeof QRCode !== 'undefined' ? Promise.resolve() : this._loadScript(
-                'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js',
-                'sha512-CNgIRecGo7nphbeZ04Sc13ka07paqdeTu0WR1IM4kNcpmBAUSHSQX0FslNhTDadL4O5SAGapGt4FodqL8My0mA=='
+                CONFIG.PDF_LIBRARIES.QRCODE.URL,
+                CONFIG.PDF_LIBRARIES.QRCODE.INTEGRITY
             )
         ]);
     }
 
+    /**
+     * Open the report builder; onGenerate is called with the chosen options
+     * when the user downloads. The form starts from the last report's options.
+     * @param {Function} onGenerate - (reportOptions) => void
+     */
+    openReportBuilder(onGenerate) {
+        this._reportBuilderGenerate = onGenerate;
+        this.fillReportBuilderForm(resolveReportOptions(storage.getReportOptions()));
+
+        const modal = this.elements.reportBuilderModal;
+        this._reportBuilderPreviousFocus = document.activeElement;
+        modal.classList.remove('hidden');
+        this._reportBuilderTrapCleanup = this._trapFocus(modal, {
+            onEscape: () => this.closeReportBuilder()
+        });
+        this.elements.reportBuilderClose.focus();
+    }
+
+    /**
+     * Close the report builder without generating a report
+     */
+    closeReportBuilder() {
+        if (this._reportBuilderTrapCleanup) {
+            this._reportBuilderTrapCleanup();
+            this._reportBuilderTrapCleanup = null;
+        }
+        this.elements.reportBuilderModal.classList.add('hidden');
+        this._reportBuilderGenerate = null;
+        if (this._reportBuilderPreviousFocus) {
+            this._reportBuilderPreviousFocus.focus();
+            this._reportBuilderPreviousFocus = null;
+        }
+    }
+
+    /**
+     * Set the report builder's controls from report options
+     * @param {Object} options - From resolveReportOptions()
+     */
+    fillReportBuilderForm(options) {
+        const form = this.elements.reportBuilderForm;
+        form.querySelectorAll('input[name="reportSection"]').forEach(input => {
+            input.checked = options.sections[input.value];
+        });
+        form.elements.reportSpeciesFilter.value = options.speciesFilter;
+        form.elements.reportDensity.value = options.density;
+        form.elements.reportPageSize.value = options.pageSize;
+        form.elements.reportOrientation.value = options.orientation;
+    }
+
+    /**
+     * Remember the chosen report options and generate the report
+     * @param {Event} event - Form submit event
+     */
+    handleReportBuilderSubmit(event) {
+        event.preventDefault();
+        const form = this.elements.reportBuilderForm;
+        const sections = {};
+        form.querySelectorAll('input[name="reportSection"]').forEach(input => {
+            sections[input.value] = input.checked;
+        });
+        const reportOptions = resolveReportOptions({
+            sections,
+            speciesFilter: form.elements.reportSpeciesFilter.value,
+            density: form.elements.reportDensity.value,
+            pageSize: form.elements.reportPageSize.value,
+            orientation: form.elements.reportOrientation.value
+        });
+        storage.setReportOptions(reportOptions);
+
+        const generate = this._reportBuilderGenerate;
+        this.closeReportBuilder();
+        if (generate) generate(reportOptions);
+    }
+
+    /**
+     * Load each place's latest checklists for a report's checklists section.
+     * A place whose checklists don't load shows them as unavailable.
+     * @param {Array} places - Hotspots or stops with locId
+     * @param {Object} reportOptions - From the report builder
+     * @returns {Promise<Map<string, Array>>} Checklist summaries per locId; empty when the section is off
+     */
+    async loadReportChecklists(places, reportOptions) {
+        const checklists = new Map();
+        if (!reportOptions.sections.checklists) return checklists;
+
+        let ebirdApi;
+        try {
+            ebirdApi = this.getResultsApi();
+        } catch (error) {
+            console.warn('Could not load checklists for the report:', error.message);
+            return checklists;
+        }
+
+        // Each place is a list request plus one per checklist, so load a few places at a time
+        const { CHECKLISTS_PER_HOTSPOT, CHECKLIST_BATCH_SIZE } = CONFIG.PDF_REPORT;
+        const withLocId = places.filter(place => place.locId);
+        this.updateLoading(`Loading recent checklists 0/${withLocId.length}...`, 0);
+        for (let i = 0; i < withLocId.length; i += CHECKLIST_BATCH_SIZE) {
+            const batch = withLocId.slice(i, i + CHECKLIST_BATCH_SIZE);
+            await Promise.all(batch.map(async place => {
+                try {
+                    const loaded = await loadRecentChecklists(ebirdApi, place.locId, {
+                        maxResults: CHECKLISTS_PER_HOTSPOT
+                    });
+                    checklists.set(place.locId, loaded.map(checklist => checklist.summary));
+                } catch (error) {
+                    console.warn(`Could not load checklists for ${place.locId}:`, error.message);
+                }
+            }));
+            const loadedCount = Math.min(i + CHECKLIST_BATCH_SIZE, withLocId.length);
+            this.updateLoading(`Loading recent checklists ${loadedCount}/${withLocId.length}...`,
+                (loadedCount / withLocId.length) * 5);
+        }
+        return checklists;
+    }
+
     /**
      * Handle "Export to PDF" button click
      */
-    async handleExportPdf() {
+    handleExportPdf() {
         if (!this.currentResults) {
             this.showError('No results to export. Please perform a search first.');
             return;
         }
 
+        this.openReportBuilder(reportOptions => this.exportResultsPdf(reportOptions));
+    }
+
+    /**
+     * Generate and download the PDF report for the current results
+     * @param {Object} reportOptions - From the report builder
+     */
+    async exportResultsPdf(reportOptions) {
         this.showLoading('Generating PDF report...', 0);
 
         try {
             await this._ensurePdfLibsLoaded();
 
-            const pdf = await generatePDFReport({ ...this.currentResults, useFahrenheit: this.useFahrenheit }, (message, percent) => {
+            const pdf = await generatePDFReport({
+                ...this.currentResults,
+                useFahrenheit: this.useFahrenheit,
+                reportOptions,
+                checklists: await this.loadReportChecklists(this.currentResults.hotspots, reportOptions)
+            }, (message, percent) => {
                 this.updateLoading(message, percent);
             });
 
@@ -7017,24 +10519,29 @@ class BirdingHotspotsApp {
 
     /**
      * Export the current (non-route) hotspot search results as a waypoints-only
-     * GPX file for loading into a GPS device or navigation app.
+     * map file for loading into a GPS device, Google Earth or a GIS tool.
+     * @param {string} [format='gpx'] - 'gpx', 'kml', 'kmz' or 'geojson'
      */
-    handleExportGpx() {
+    handleExportGpx(format = 'gpx') {
         if (!this.currentResults || !this.currentResults.hotspots) {
             this.showError('No results to export. Please perform a search first.');
             return;
         }
 
         try {
-            const gpx = generateHotspotsGPX(this.currentResults.origin, this.currentResults.hotspots, {
+            const { origin, hotspots } = this.currentResults;
+            const options = {
                 name: 'Birding Hotspots',
-                description: `${this.currentResults.hotspots.length} birding hotspots found by Birding Hotspots Finder`
-            });
-            downloadGPX(gpx, 'birding-hotspots');
-            this.showSuccessToast('GPX downloaded!');
+                description: `${hotspots.length} birding hotspots found by Birding Hotspots Finder`
+            };
+            this.downloadMapFile(format, {
+                gpx: () => generateHotspotsGPX(origin, hotspots, options),
+                kml: () => generateHotspotsKML(origin, hotspots, options),
+                geojson: () => generateHotspotsGeoJSON(origin, hotspots, options)
+            }, 'birding-hotspots');
         } catch (error) {
-            console.error('GPX generation error:', error);
-            this.showError('Failed to generate GPX file. Please try again.');
+            console.error('Map export error:', error);
+            this.showError('Failed to generate map file. Please try again.');
         }
     }
 
@@ -7406,11 +10913,17 @@ class BirdingHotspotsApp {
             this.showToast('No itinerary to save', 'warning');
             return;
         }
+        const { stops, summary, isRoundTrip, directLegs } = this.currentItinerary;
         const saved = storage.addSavedItinerary({
             name: name || 'My Itinerary',
             locationName: this.currentLocation ? (this.currentLocation.displayName || '') : '',
-            stops: this.currentItinerary.stops || [],
-            totalDistance: this.currentItinerary.totalDistance || 0
+            stops: stops || [],
+            totalDistance: summary?.totalDistance || 0,
+            departure: stops?.[0]?.departureTime?.toISOString() || null,
+            isRoundTrip,
+            sunrise: summary?.sunrise?.toISOString() || null,
+            sunset: summary?.sunset?.toISOString() || null,
+            directLegs
         });
         if (saved) {
             this.renderSavedItineraries();
@@ -7447,8 +10960,11 @@ class BirdingHotspotsApp {
             const item = document.createElement('div');
             item.className = 'saved-itinerary-item';
 
-            const info = document.createElement('div');
-            info.className = 'saved-itinerary-info';
+            const info = document.createElement('button');
+            info.type = 'button';
+            info.className = 'saved-itinerary-info saved-itinerary-open';
+            info.setAttribute('aria-label', `Open saved itinerary: ${it.name}`);
+            info.addEventListener('click', () => this.openSavedItinerary(it.id));
 
             const name = document.createElement('span');
             name.className = 'saved-itinerary-name';
@@ -7486,6 +11002,182 @@ class BirdingHotspotsApp {
             list.appendChild(item);
         });
     }
+
+    /**
+     * Load a saved itinerary back into the editor: its stops are re-routed
+     * and re-timed for the day it was planned for.
+     * @param {number} id - Saved itinerary ID
+     */
+    async openSavedItinerary(id) {
+        const saved = storage.getSavedItineraries().find(it => it.id === id);
+        if (!saved) {
+            this.showToast('Could not find that saved itinerary', 'error');
+            this.renderSavedItineraries();
+            return;
+        }
+
+        const { stops, departure, isRoundTrip, daylight, directLegs } = restoreSavedItinerary(saved);
+        this.showLoading('Loading saved itinerary...', 0);
+        try {
+            const itinerary = await retimeItinerary(stops, { departure, isRoundTrip, daylight, directLegs });
+            this.hideLoading();
+
+            this.currentTargetPlan = null;
+            this.currentTripPlan = null;
+            this.currentItinerary = itinerary;
+            this.currentItineraryForecast = null;
+
+            // With no search showing, open the results area around the itinerary alone
+            if (!this.currentResults || this.elements.resultsSection.classList.contains('hidden')) {
+                this.currentResults = null;
+                this.elements.resultsMeta.textContent = `Saved itinerary: ${saved.name}`;
+                this.initResultsMap(stops[0], []);
+                this.elements.resultsSection.classList.remove('hidden');
+            }
+
+            this.displayItinerary(itinerary);
+            this.showToast(`Loaded "${saved.name}"`);
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Could not load itinerary: ${error.message}`);
+        }
+    }
+
+    // ==================== Offline Trips ====================
+
+    /**
+     * Save the displayed results (and itinerary, if one is showing) with the
+     * viewed map tiles covering them, so the trip can be reopened without a connection.
+     */
+    async handleSaveOfflineTrip() {
+        if (!this.currentResults || !this.currentResults.hotspots) {
+            this.showToast('No results to save', 'warning');
+            return;
+        }
+
+        const itineraryShowing = this.currentItinerary &&
+            !this.elements.itineraryResults.classList.contains('hidden');
+        const locationName = this.currentResults.origin.address || 'Birding trip';
+        const pack = buildOfflineTripPack({
+            name: `${locationName} (${this.currentResults.generatedDate})`,
+            results: this.currentResults,
+            itinerary: itineraryShowing ? this.currentItinerary : null,
+            notableObservations: this.notableObservations
+        });
+
+        this.showLoading('Saving trip for offline use...', 0);
+        try {
+            const { tilesCached } = await saveOfflineTrip(pack);
+            this.hideLoading();
+            this.renderOfflineTrips();
+
+            // Only tiles already shown on the map are kept - none are downloaded for the trip
+            if (tilesCached === 0) {
+                this.showToast('Trip saved offline without a map. To take the map too, pan and zoom over the trip area first, then save it.', 'warning');
+            } else {
+                this.showSuccessToast(`Trip saved for offline use (${tilesCached} map tiles you've viewed)`);
+            }
+        } catch (error) {
+            this.hideLoading();
+            this.showError(`Could not save trip for offline use: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reopen a saved offline trip from IndexedDB, without touching the network.
+     * @param {number} id - Offline trip ID
+     */
+    async openOfflineTrip(id) {
+        const trip = await getOfflineTrip(id);
+        if (!trip) {
+            this.showToast('Could not open offline trip', 'error');
+            this.renderOfflineTrips();
+            return;
+        }
+
+        this.searchType = 'location';
+        this.searchSubMode = 'hotspot';
+        this.currentTargetPlan = null;
+        this.currentLocation = trip.results.origin;
+        this.currentResults = trip.results;
+        this.currentSortMethod = trip.results.sortMethod;
+        this.notableObservations = trip.notableObservations || [];
+        this.displayResults(this.currentResults);
+
+        if (trip.itinerary) {
+            this.currentItinerary = trip.itinerary;
+            this.currentItineraryForecast = null;
+            this.currentTripPlan = null;
+            this.displayItinerary(trip.itinerary);
+        }
+
+        const savedDate = new Date(trip.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        this.showToast(`Showing offline copy saved ${savedDate}`);
+    }
+
+    /**
+     * Render the offline trips collapsible section.
+     */
+    async renderOfflineTrips() {
+        const section = this.elements.offlineTripsSection;
+        const list = this.elements.offlineTripsList;
+        if (!section || !list) return;
+
+        const trips = await getOfflineTrips();
+        clearElement(list);
+
+        if (trips.length === 0) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        section.classList.remove('hidden');
+
+        trips.forEach(trip => {
+            const item = document.createElement('div');
+            item.className = 'saved-itinerary-item';
+
+            const info = document.createElement('button');
+            info.type = 'button';
+            info.className = 'saved-itinerary-info offline-trip-open';
+            info.setAttribute('aria-label', `Open offline trip: ${trip.name}`);
+            info.addEventListener('click', () => this.openOfflineTrip(trip.id));
+
+            const name = document.createElement('span');
+            name.className = 'saved-itinerary-name';
+            name.textContent = trip.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'saved-itinerary-meta';
+            const date = new Date(trip.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            const stopText = trip.itinerary ? ` · ${trip.itinerary.stops.length} stops` : '';
+            meta.textContent = `${trip.results.hotspots.length} hotspots${stopText} · ${date}`;
+
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-icon favorite-delete';
+            deleteBtn.setAttribute('aria-label', `Delete offline trip: ${trip.name}`);
+            deleteBtn.innerHTML = `<svg viewBox="0 0 24 24" width="18" height="18" aria-hidden="true"><path fill="currentColor" d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>`;
+            deleteBtn.addEventListener('click', async () => {
+                const confirmed = await this.showConfirmDialog(`Delete offline copy of "${trip.name}"?`, {
+                    title: 'Delete Offline Trip',
+                    okText: 'Delete',
+                    cancelText: 'Cancel'
+                });
+                if (confirmed) {
+                    await deleteOfflineTrip(trip.id);
+                    this.renderOfflineTrips();
+                }
+            });
+
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+    }
 }
 
 // Initialize app when DOM is ready
@@ -1,11 +1,13 @@
 /**
  * Migration Patterns Data
- * Static migration window data for major bird groups
- * Note: These are approximate dates for North America (temperate regions)
+ * Static migration window, season and activity data for major bird groups,
+ * per latitude band (see MIGRATION_REGIONS)
+ * Note: These are approximate dates; the northern temperate set is tuned for
+ * North America
  */
 
 /**
- * Migration windows for major bird groups
+ * Migration windows for major bird groups (northern temperate)
  * Each entry has spring and fall migration periods with peak dates
  */
 export const MIGRATION_WINDOWS = {
@@ -89,6 +91,100 @@ export const MIGRATION_WINDOWS = {
     }
 };
 
+/**
+ * Migration windows for the southern temperate zone (Australia, New Zealand,
+ * southern South America and Africa). "spring" and "fall" are the local
+ * seasons: Arctic shorebirds arrive in the austral spring and leave in autumn.
+ */
+export const SOUTHERN_MIGRATION_WINDOWS = {
+    shorebirds: {
+        name: 'Shorebirds',
+        spring: {
+            start: { month: 9, day: 1 },    // September 1
+            peak: { month: 10, day: 15 },   // October 15
+            end: { month: 11, day: 30 }     // November 30
+        },
+        fall: {
+            start: { month: 2, day: 15 },   // February 15
+            peak: { month: 3, day: 20 },    // March 20
+            end: { month: 4, day: 30 }      // April 30
+        }
+    },
+    australMigrants: {
+        name: 'Austral migrants',           // cuckoos, kingfishers, flycatchers, swallows
+        spring: {
+            start: { month: 8, day: 15 },   // August 15
+            peak: { month: 9, day: 30 },    // September 30
+            end: { month: 11, day: 15 }     // November 15
+        },
+        fall: {
+            start: { month: 2, day: 15 },   // February 15
+            peak: { month: 3, day: 25 },    // March 25
+            end: { month: 5, day: 1 }       // May 1
+        }
+    },
+    seabirds: {
+        name: 'Shearwaters',
+        spring: {
+            start: { month: 9, day: 15 },   // September 15
+            peak: { month: 10, day: 25 },   // October 25
+            end: { month: 11, day: 30 }     // November 30
+        },
+        fall: {
+            start: { month: 3, day: 15 },   // March 15
+            peak: { month: 4, day: 20 },    // April 20
+            end: { month: 5, day: 15 }      // May 15
+        }
+    }
+};
+
+/**
+ * Migration windows for the tropics, where the movement is northern
+ * migrants passing through or wintering: "fall" is their southbound
+ * arrival, "spring" their northbound departure
+ */
+export const TROPICAL_MIGRATION_WINDOWS = {
+    warblers: {
+        name: 'Northern warblers',
+        spring: {
+            start: { month: 3, day: 1 },    // March 1
+            peak: { month: 4, day: 5 },     // April 5
+            end: { month: 5, day: 10 }      // May 10
+        },
+        fall: {
+            start: { month: 9, day: 1 },    // September 1
+            peak: { month: 10, day: 5 },    // October 5
+            end: { month: 11, day: 15 }     // November 15
+        }
+    },
+    shorebirds: {
+        name: 'Shorebirds',
+        spring: {
+            start: { month: 3, day: 15 },   // March 15
+            peak: { month: 4, day: 20 },    // April 20
+            end: { month: 5, day: 15 }      // May 15
+        },
+        fall: {
+            start: { month: 8, day: 1 },    // August 1
+            peak: { month: 9, day: 15 },    // September 15
+            end: { month: 10, day: 31 }     // October 31
+        }
+    },
+    raptors: {
+        name: 'Raptors',                    // the Central American hawk river
+        spring: {
+            start: { month: 3, day: 1 },    // March 1
+            peak: { month: 3, day: 25 },    // March 25
+            end: { month: 4, day: 30 }      // April 30
+        },
+        fall: {
+            start: { month: 9, day: 20 },   // September 20
+            peak: { month: 10, day: 15 },   // October 15
+            end: { month: 11, day: 15 }     // November 15
+        }
+    }
+};
+
 /**
  * Optimal birding times by season
  * Based on general birding best practices
@@ -113,11 +209,23 @@ export const OPTIMAL_BIRDING_TIMES = {
         morning: { start: 7, end: 11, activity: 'medium' },
         midday: { start: 11, end: 15, activity: 'high' },
         evening: { start: 15, end: 17, activity: 'medium' }
+    },
+    // Tropics: days are about 12 hours all year; the heat and afternoon
+    // storms push activity to the ends of the day
+    wet: {
+        morning: { start: 5, end: 9, activity: 'high' },
+        midday: { start: 9, end: 15, activity: 'low' },
+        evening: { start: 15, end: 18, activity: 'medium' }
+    },
+    dry: {
+        morning: { start: 5, end: 9, activity: 'high' },
+        midday: { start: 9, end: 16, activity: 'low' },
+        evening: { start: 16, end: 18, activity: 'high' }
     }
 };
 
 /**
- * Monthly activity levels (general patterns)
+ * Monthly activity levels (general patterns, northern temperate)
  * Scale: 1-10 (10 = highest activity)
  */
 export const MONTHLY_ACTIVITY = {
@@ -135,6 +243,44 @@ export const MONTHLY_ACTIVITY = {
     12: 4   // December - winter residents
 };
 
+/**
+ * Monthly activity levels for the southern temperate zone - the northern
+ * pattern six months on
+ */
+export const SOUTHERN_MONTHLY_ACTIVITY = {
+    1: 6,   // January - breeding season winds down
+    2: 7,   // February - shorebirds fattening up
+    3: 9,   // March - autumn departures peak
+    4: 8,   // April - autumn migration continues
+    5: 5,   // May - late autumn
+    6: 4,   // June - winter residents
+    7: 4,   // July - winter residents
+    8: 5,   // August - first spring arrivals
+    9: 8,   // September - spring migration
+    10: 10, // October - peak spring arrivals
+    11: 8,  // November - breeding season
+    12: 7   // December - breeding season
+};
+
+/**
+ * Monthly activity levels for the tropics: residents year-round, peaking
+ * with the northern migrants' passage
+ */
+export const TROPICAL_MONTHLY_ACTIVITY = {
+    1: 7,   // January - wintering migrants present
+    2: 7,   // February - wintering migrants present
+    3: 8,   // March - northbound passage begins
+    4: 8,   // April - northbound passage
+    5: 6,   // May - last migrants leave
+    6: 5,   // June - residents only
+    7: 5,   // July - residents only
+    8: 6,   // August - first shorebirds return
+    9: 8,   // September - southbound passage
+    10: 10, // October - peak southbound passage
+    11: 8,  // November - migrants settling in
+    12: 7   // December - wintering migrants present
+};
+
 /**
  * Seasonal date ranges (Northern Hemisphere)
  */
@@ -144,3 +290,76 @@ export const SEASONS = {
     fall: { startMonth: 9, startDay: 22, endMonth: 12, endDay: 20 },
     winter: { startMonth: 12, startDay: 21, endMonth: 3, endDay: 19 }
 };
+
+/**
+ * Seasonal date ranges (Southern Hemisphere)
+ */
+export const SOUTHERN_SEASONS = {
+    spring: { startMonth: 9, startDay: 22, endMonth: 12, endDay: 20 },
+    summer: { startMonth: 12, startDay: 21, endMonth: 3, endDay: 19 },
+    fall: { startMonth: 3, startDay: 20, endMonth: 6, endDay: 20 },
+    winter: { startMonth: 6, startDay: 21, endMonth: 9, endDay: 21 }
+};
+
+/**
+ * Wet and dry seasons north and south of the equator (broad patterns -
+ * local rainfall varies a lot, e.g. Caribbean slopes stay wet all year)
+ */
+export const TROPICAL_SEASONS_NORTH = {
+    dry: { startMonth: 12, startDay: 1, endMonth: 4, endDay: 30 },
+    wet: { startMonth: 5, startDay: 1, endMonth: 11, endDay: 30 }
+};
+
+export const TROPICAL_SEASONS_SOUTH = {
+    dry: { startMonth: 5, startDay: 1, endMonth: 10, endDay: 31 },
+    wet: { startMonth: 11, startDay: 1, endMonth: 4, endDay: 30 }
+};
+
+/**
+ * Migration regions by latitude band. passageLabels name each migration in
+ * alerts ("Shorebirds autumn migration underway").
+ */
+export const MIGRATION_REGIONS = {
+    northTemperate: {
+        name: 'Northern temperate',
+        seasons: SEASONS,
+        windows: MIGRATION_WINDOWS,
+        monthlyActivity: MONTHLY_ACTIVITY,
+        passageLabels: { spring: 'spring', fall: 'fall' }
+    },
+    tropicsNorth: {
+        name: 'Northern tropics',
+        seasons: TROPICAL_SEASONS_NORTH,
+        windows: TROPICAL_MIGRATION_WINDOWS,
+        monthlyActivity: TROPICAL_MONTHLY_ACTIVITY,
+        passageLabels: { spring: 'northbound', fall: 'southbound' }
+    },
+    tropicsSouth: {
+        name: 'Southern tropics',
+        seasons: TROPICAL_SEASONS_SOUTH,
+        windows: TROPICAL_MIGRATION_WINDOWS,
+        monthlyActivity: TROPICAL_MONTHLY_ACTIVITY,
+        passageLabels: { spring: 'northbound', fall: 'southbound' }
+    },
+    southTemperate: {
+        name: 'Southern temperate',
+        seasons: SOUTHERN_SEASONS,
+        windows: SOUTHERN_MIGRATION_WINDOWS,
+        monthlyActivity: SOUTHERN_MONTHLY_ACTIVITY,
+        passageLabels: { spring: 'spring', fall: 'autumn' }
+    }
+};
+
+/**
+ * Fallback region for eBird country codes when there's no latitude to go on
+ * (countries not listed are treated as northern temperate)
+ */
+export const COUNTRY_MIGRATION_REGIONS = {
+    AR: 'southTemperate', AU: 'southTemperate', CL: 'southTemperate', NZ: 'southTemperate',
+    UY: 'southTemperate', ZA: 'southTemperate', LS: 'southTemperate',
+    BZ: 'tropicsNorth', CO: 'tropicsNorth', CR: 'tropicsNorth', GT: 'tropicsNorth', GY: 'tropicsNorth',
+    HN: 'tropicsNorth', KH: 'tropicsNorth', NI: 'tropicsNorth', PA: 'tropicsNorth',
+    PH: 'tropicsNorth', SV: 'tropicsNorth', TH: 'tropicsNorth', VE: 'tropicsNorth', VN: 'tropicsNorth',
+    BO: 'tropicsSouth', BR: 'tropicsSouth', EC: 'tropicsSouth', ID: 'tropicsSouth', PE: 'tropicsSouth',
+    TZ: 'tropicsSouth'
+};
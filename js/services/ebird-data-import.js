@@ -0,0 +1,295 @@
+/**
+ * eBird "My eBird Data" Import
+ * Streams a full checklist-history export (MyEBirdData.csv - one row per
+ * species per checklist) and boils it down to world, country, state, county
+ * and year lists without ever holding the whole file in memory
+ */
+
+// Taxon categories that never count toward a list (eBird rules)
+const UNCOUNTABLE_CATEGORIES = new Set(['spuh', 'slash', 'hybrid', 'domestic', 'intergrade']);
+
+/**
+ * Whether a CSV header row is a full "My eBird Data" checklist export rather
+ * than a life list download
+ * @param {string} headerLine - First line of the CSV
+ * @returns {boolean}
+ */
+export function isChecklistHistoryHeader(headerLine) {
+    return /submission id/i.test(headerLine) && /state\/province/i.test(headerLine);
+}
+
+/**
+ * Incremental CSV parser: feed it text in arbitrary chunks and it calls
+ * onRow once per complete row. Quoted fields may contain commas, doubled
+ * quotes and newlines (eBird checklist comments often do), and may be split
+ * across chunks.
+ * @param {Function} onRow - Called with each row as an array of strings
+ * @returns {{push: Function, end: Function}}
+ */
+export function createCSVRowParser(onRow) {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteInQuotes = false; // saw a quote inside a quoted field; next char decides
+
+    const emitRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') onRow(row);
+        row = [];
+        field = '';
+    };
+
+    return {
+        push(text) {
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (inQuotes) {
+                    if (quoteInQuotes) {
+                        quoteInQuotes = false;
+                        if (char === '"') {
+                            field += '"';
+                            continue;
+                        }
+                        inQuotes = false;
+                        // Closing quote - fall through and handle char unquoted
+                    } else if (char === '"') {
+                        quoteInQuotes = true;
+                        continue;
+                    } else {
+                        field += char;
+                        continue;
+                    }
+                }
+
+                if (char === '"') {
+                    inQuotes = true;
+                } else if (char === ',') {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n') {
+                    emitRow();
+                } else if (char !== '\r') {
+                    field += char;
+                }
+            }
+        },
+
+        end() {
+            if (field !== '' || row.length > 0) {
+                emitRow();
+            }
+        }
+    };
+}
+
+/**
+ * Resolve an export row's species to the taxon it counts as, following
+ * subspecies/forms to their species (reportAs) and skipping spuhs, slashes,
+ * hybrids and domestics
+ * @param {string} commonName
+ * @param {string} sciName
+ * @param {Object} lookup - Maps built by buildTaxonomyLookup()
+ * @returns {{speciesCode: string, comName: string, sciName: string}|null|undefined}
+ *   The species, null if it doesn't count, undefined if not in the taxonomy
+ */
+function resolveSpecies(commonName, sciName, lookup) {
+    let taxon = (commonName && lookup.byCommonName.get(commonName.toLowerCase())) ||
+        (sciName && lookup.bySciName.get(sciName.toLowerCase()));
+
+    if (!taxon) return undefined;
+    if (taxon.reportAs && lookup.byCode.has(taxon.reportAs)) {
+        taxon = lookup.byCode.get(taxon.reportAs);
+    }
+    if (UNCOUNTABLE_CATEGORIES.has(taxon.category)) return null;
+
+    return { speciesCode: taxon.speciesCode, comName: taxon.comName, sciName: taxon.sciName };
+}
+
+/**
+ * Build taxonomy lookup maps
+ * @param {Array} taxonomy - eBird taxonomy
+ * @returns {Object} Maps by lowercase common name, lowercase scientific name and code
+ */
+function buildTaxonomyLookup(taxonomy) {
+    const lookup = { byCommonName: new Map(), bySciName: new Map(), byCode: new Map() };
+    for (const taxon of taxonomy) {
+        if (taxon.comName) lookup.byCommonName.set(taxon.comName.toLowerCase(), taxon);
+        if (taxon.sciName) lookup.bySciName.set(taxon.sciName.toLowerCase(), taxon);
+        if (taxon.speciesCode) lookup.byCode.set(taxon.speciesCode, taxon);
+    }
+    return lookup;
+}
+
+/**
+ * Names that can't be a countable species even when the taxonomy is
+ * unavailable: "duck sp.", "Greater/Lesser Scaup", "Mallard x American Black Duck"
+ * @param {string} name
+ * @returns {boolean}
+ */
+function looksUncountable(name) {
+    return / sp\.$/.test(name) || name.includes('/') || / x /.test(name) || /\(Domestic type\)/i.test(name);
+}
+
+/**
+ * Parse a "My eBird Data" checklist history into per-region and per-year lists
+ * @param {ReadableStream} stream - The CSV file's byte (or text) stream, e.g. File.stream()
+ * @param {Array} taxonomy - eBird taxonomy for resolving species codes
+ * @param {Object} [options]
+ * @param {number} [options.totalBytes] - File size, for progress reporting
+ * @param {Function} [options.onProgress] - Called with percent complete (0-100)
+ * @param {Function} [options.fallbackCode] - Makes a code for species not in the taxonomy
+ * @returns {Promise<Object>} {rows, species: Map code -> {speciesCode, comName, sciName},
+ *   lists: Map key -> Set of codes, counties: Map county key -> {stateCode, countyName}, notMatched: string[]}.
+ *   List keys: 'world', 'country:US', 'state:US-NY', 'county:US-NY:tompkins', 'year:2024'.
+ */
+export async function parseChecklistHistory(stream, taxonomy, options = {}) {
+    const {
+        totalBytes = 0,
+        onProgress = null,
+        fallbackCode = name => 'user_' + name.toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+/g, '_').substring(0, 20)
+    } = options;
+
+    const lookup = buildTaxonomyLookup(taxonomy);
+    const result = {
+        rows: 0,
+        species: new Map(),
+        lists: new Map(),
+        counties: new Map(),
+        notMatched: []
+    };
+    const notMatched = new Set();
+    let columns = null;
+
+    const addToList = (key, code) => {
+        if (!result.lists.has(key)) result.lists.set(key, new Set());
+        result.lists.get(key).add(code);
+    };
+
+    const parser = createCSVRowParser(values => {
+        if (!columns) {
+            const header = values.map(h => h.trim().toLowerCase());
+            columns = {
+                commonName: header.indexOf('common name'),
+                sciName: header.indexOf('scientific name'),
+                state: header.indexOf('state/province'),
+                county: header.indexOf('county'),
+                date: header.indexOf('date')
+            };
+            if ((columns.commonName === -1 && columns.sciName === -1) || columns.state === -1 || columns.date === -1) {
+                throw new Error('This doesn\'t look like a "My eBird Data" export (missing species, State/Province or Date columns)');
+            }
+            return;
+        }
+
+        result.rows++;
+        const commonName = values[columns.commonName]?.trim() || '';
+        const sciName = values[columns.sciName]?.trim() || '';
+        if (!commonName && !sciName) return;
+
+        let species = resolveSpecies(commonName, sciName, lookup);
+        if (species === null) return;
+        if (species === undefined) {
+            const name = commonName || sciName;
+            if (looksUncountable(name)) return;
+            notMatched.add(name);
+            species = { speciesCode: fallbackCode(name), comName: name, sciName };
+        }
+
+        const code = species.speciesCode;
+        if (!result.species.has(code)) result.species.set(code, species);
+
+        addToList('world', code);
+
+        const stateCode = values[columns.state]?.trim() || '';
+        if (stateCode) {
+            addToList(`country:${stateCode.split('-')[0]}`, code);
+            addToList(`state:${stateCode}`, code);
+
+            const countyName = columns.county !== -1 ? values[columns.county]?.trim() : '';
+            if (countyName) {
+                const countyKey = `county:${stateCode}:${countyName.toLowerCase()}`;
+                if (!result.counties.has(countyKey)) result.counties.set(countyKey, { stateCode, countyName });
+                addToList(countyKey, code);
+            }
+        }
+
+        const year = (values[columns.date] || '').trim().slice(0, 4);
+        if (/^\d{4}$/.test(year)) {
+            addToList(`year:${year}`, code);
+        }
+    });
+
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let bytesRead = 0;
+    let lastPercent = -1;
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            if (typeof value === 'string') {
+                parser.push(value);
+                bytesRead += value.length;
+            } else {
+                parser.push(decoder.decode(value, { stream: true }));
+                bytesRead += value.byteLength;
+            }
+
+            if (onProgress && totalBytes > 0) {
+                const percent = Math.min(100, Math.floor((bytesRead / totalBytes) * 100));
+                if (percent !== lastPercent) {
+                    lastPercent = percent;
+                    onProgress(percent);
+                }
+            }
+        }
+        parser.push(decoder.decode());
+        parser.end();
+    } finally {
+        reader.releaseLock();
+    }
+
+    if (!columns) {
+        throw new Error('CSV file appears to be empty');
+    }
+
+    result.notMatched = [...notMatched];
+    return result;
+}
+
+/**
+ * The stored list a hotspot's sightings should be compared against for a
+ * lifer scope
+ * @param {string} scope - 'world', 'country', 'state', 'county' or 'year'
+ * @param {Object} region - Hotspot region {countryCode, subnational1Code, subnational2Code, subnational2Name}
+ * @param {Date} [date] - Date for year lists (default: today)
+ * @returns {string[]|null} Candidate list keys, most specific first, or null if
+ *   the region lacks what the scope needs
+ */
+export function getRegionalListKeys(scope, region = {}, date = new Date()) {
+    switch (scope) {
+        case 'world':
+            return ['world'];
+        case 'country': {
+            const countryCode = region.countryCode || region.subnational1Code?.split('-')[0];
+            return countryCode ? [`country:${countryCode}`] : null;
+        }
+        case 'state':
+            return region.subnational1Code ? [`state:${region.subnational1Code}`] : null;
+        case 'county': {
+            const keys = [];
+            if (region.subnational2Code) keys.push(`county:${region.subnational2Code}`);
+            if (region.subnational1Code && region.subnational2Name) {
+                keys.push(`county:${region.subnational1Code}:${region.subnational2Name.toLowerCase()}`);
+            }
+            return keys.length > 0 ? keys : null;
+        }
+        case 'year':
+            return [`year:${date.getFullYear()}`];
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * GeoJSON Generator Service
+ * Generates GeoJSON FeatureCollections (RFC 7946) for QGIS, uMap and other
+ * GIS tools: a Point per stop or hotspot and the route as a LineString
+ */
+
+import { getEbirdHotspotUrl } from '../utils/formatters.js';
+
+// simplestyle-spec marker colors, which uMap and geojson.io pick up
+const MARKER_COLORS = {
+    start: '#2e7d32',
+    hotspot: '#f9a825',
+    end: '#c62828',
+    via: '#1976d2'
+};
+
+/**
+ * Species list for a hotspot's properties
+ * @param {Array} birds
+ * @returns {Array<Object>}
+ */
+function buildSpeciesList(birds) {
+    return (birds || []).map(bird => ({
+        comName: bird.comName,
+        sciName: bird.sciName,
+        speciesCode: bird.speciesCode,
+        isNotable: !!bird.isNotable,
+        isLifer: !!bird.isLifer
+    }));
+}
+
+/**
+ * Build a Point feature
+ * @param {Object} point - {lat, lng}
+ * @param {Object} properties
+ * @returns {Object} GeoJSON Feature
+ */
+function buildPointFeature(point, properties) {
+    return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+        properties
+    };
+}
+
+/**
+ * Properties shared by itinerary stops and hotspot results
+ * @param {Object} hotspot
+ * @returns {Object}
+ */
+function buildHotspotProperties(hotspot) {
+    return {
+        locId: hotspot.locId || null,
+        speciesCount: hotspot.speciesCount ?? 0,
+        address: hotspot.address || null,
+        ebirdUrl: hotspot.locId ? getEbirdHotspotUrl(hotspot.locId) : null,
+        species: buildSpeciesList(hotspot.birds)
+    };
+}
+
+/**
+ * Wrap features in a FeatureCollection carrying the same
+ * name/description/creator/time metadata as the GPX generator
+ * @param {string} name
+ * @param {string} description
+ * @param {Array<Object>} features
+ * @returns {string} GeoJSON text
+ */
+function buildFeatureCollection(name, description, features) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        name,
+        description,
+        creator: 'Birding Hotspots Finder',
+        time: new Date().toISOString(),
+        features
+    }, null, 2);
+}
+
+/**
+ * Build the stop and route features for one itinerary
+ * @param {Object} itinerary - Itinerary data from buildItinerary()
+ * @param {string} name - Route name
+ * @param {Object} [extraProperties] - Added to every feature (e.g. {day: 2})
+ * @returns {Array<Object>} GeoJSON Features
+ */
+function buildItineraryFeatures(itinerary, name, extraProperties = {}) {
+    const stops = itinerary.stops;
+
+    const features = stops.map((stop, index) => buildPointFeature(stop, {
+        ...extraProperties,
+        name: stop.type === 'start' ? 'Start' : stop.type === 'end' ? 'End' : `${index}. ${stop.name}`,
+        type: stop.type,
+        order: index,
+        arrivalTime: stop.arrivalTime ? new Date(stop.arrivalTime).toISOString() : null,
+        departureTime: stop.departureTime ? new Date(stop.departureTime).toISOString() : null,
+        ...(stop.type === 'hotspot' ? buildHotspotProperties(stop) : { address: stop.address || null }),
+        'marker-color': MARKER_COLORS[stop.type]
+    }));
+
+    // The routed road geometry if there is one, else straight lines between stops
+    const coordinates = itinerary.geometry?.coordinates?.length > 0
+        ? itinerary.geometry.coordinates
+        : [...stops, ...(itinerary.isRoundTrip ? [stops[0]] : [])].map(stop => [stop.lng, stop.lat]);
+    features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates },
+        properties: {
+            ...extraProperties,
+            name: `${name} Route`,
+            type: 'route',
+            distanceKm: itinerary.summary?.totalDistance ?? null,
+            travelMinutes: itinerary.summary?.totalTravelTime ?? null,
+            travelMode: itinerary.travelMode || null
+        }
+    });
+
+    return features;
+}
+
+/**
+ * Generate a GeoJSON FeatureCollection from itinerary data
+ * @param {Object} itinerary - Itinerary data from buildItinerary()
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Name of the route (default: 'Birding Itinerary')
+ * @param {string} options.description - Description of the route
+ * @returns {string} GeoJSON text
+ */
+export function generateGeoJSON(itinerary, options = {}) {
+    const {
+        name = 'Birding Itinerary',
+        description = 'Optimized birding route generated by Birding Hotspots Finder'
+    } = options;
+
+    return buildFeatureCollection(name, description, buildItineraryFeatures(itinerary, name));
+}
+
+/**
+ * Generate a GeoJSON FeatureCollection from a multi-day trip plan. Every
+ * feature carries its day number; days without stops are skipped.
+ * @param {Object} plan - Trip plan from planMultiDayTrip()
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Name of the trip (default: 'Birding Trip')
+ * @param {string} options.description - Description of the trip
+ * @returns {string} GeoJSON text
+ */
+export function generateTripPlanGeoJSON(plan, options = {}) {
+    const {
+        name = 'Birding Trip',
+        description = `${plan.summary.totalDays}-day birding trip generated by Birding Hotspots Finder`
+    } = options;
+
+    const features = plan.days
+        .filter(day => day.itinerary)
+        .flatMap(day => buildItineraryFeatures(day.itinerary, `${name} - Day ${day.dayNumber}`, { day: day.dayNumber }));
+
+    return buildFeatureCollection(name, description, features);
+}
+
+/**
+ * Generate a GeoJSON FeatureCollection from a plain hotspot search result
+ * list, plus the search origin if provided
+ * @param {Object} [origin] - Search origin {lat, lng, address}
+ * @param {Array} hotspots - Hotspot search results with lat/lng/name/speciesCount/birds
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Name of the collection (default: 'Birding Hotspots')
+ * @param {string} options.description - Description of the collection
+ * @returns {string} GeoJSON text
+ */
+export function generateHotspotsGeoJSON(origin, hotspots, options = {}) {
+    const {
+        name = 'Birding Hotspots',
+        description = 'Birding hotspots found by Birding Hotspots Finder'
+    } = options;
+
+    const features = [];
+    if (origin && Number.isFinite(origin.lat) && Number.isFinite(origin.lng)) {
+        features.push(buildPointFeature(origin, {
+            name: 'Search Origin',
+            type: 'origin',
+            address: origin.address || null,
+            'marker-color': MARKER_COLORS.start
+        }));
+    }
+    hotspots.forEach((hotspot, index) => {
+        features.push(buildPointFeature(hotspot, {
+            name: hotspot.name,
+            type: 'hotspot',
+            rank: index + 1,
+            distanceKm: hotspot.distance ?? null,
+            ...buildHotspotProperties(hotspot),
+            'marker-color': MARKER_COLORS.hotspot
+        }));
+    });
+
+    return buildFeatureCollection(name, description, features);
+}
+
+/**
+ * Download GeoJSON as a file
+ * @param {string} geojsonContent - GeoJSON text
+ * @param {string} filename - Filename without extension
+ */
+export function downloadGeoJSON(geojsonContent, filename = 'birding-itinerary') {
+    const blob = new Blob([geojsonContent], { type: 'application/geo+json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filename}.geojson`;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
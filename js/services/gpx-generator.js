@@ -4,11 +4,11 @@
  */
 
 /**
- * Escape XML special characters
+ * Escape XML special characters (shared with the KML generator)
  * @param {string} str - String to escape
  * @returns {string} Escaped string
  */
-function escapeXml(str) {
+export function escapeXml(str) {
     if (!str) return '';
     return str
         .replace(/&/g, '&amp;')
@@ -46,33 +46,29 @@ ${bodyXml}
 }
 
 /**
- * Generate GPX file from itinerary data
+ * Build the waypoints, route and (if geometry is available) track XML for
+ * one itinerary
  * @param {Object} itinerary - Itinerary data from buildItinerary()
- * @param {Object} options - Generation options
- * @param {string} options.name - Name of the route (default: 'Birding Itinerary')
- * @param {string} options.description - Description of the route
- * @returns {string} GPX XML content
+ * @param {string} name - Route name
+ * @param {string} description - Route description
+ * @param {string} [labelPrefix] - Prepended to every stop name (e.g. 'Day 2 ')
+ * @returns {string} GPX body XML
  */
-export function generateGPX(itinerary, options = {}) {
-    const {
-        name = 'Birding Itinerary',
-        description = 'Optimized birding route generated by Birding Hotspots Finder'
-    } = options;
-
+function buildItineraryGpxBody(itinerary, name, description, labelPrefix = '') {
     const stops = itinerary.stops;
 
+    const getStopName = (stop, index) => labelPrefix + (stop.type === 'start' ? 'Start' :
+        stop.type === 'end' ? 'End' :
+            `${index}. ${stop.name}`);
+
     // Build waypoints XML
     const waypointsXml = stops.map((stop, index) => {
-        const stopName = stop.type === 'start' ? 'Start' :
-            stop.type === 'end' ? 'End' :
-                `${index}. ${stop.name}`;
-
         const stopDesc = stop.type === 'hotspot' ?
             `Birding hotspot with ${stop.speciesCount} species observed recently.` :
             stop.address || '';
 
         return `  <wpt lat="${stop.lat}" lon="${stop.lng}">
-    <name>${escapeXml(stopName)}</name>
+    <name>${escapeXml(getStopName(stop, index))}</name>
     <desc>${escapeXml(stopDesc)}</desc>
     <sym>${stop.type === 'hotspot' ? 'Flag, Green' : 'Pin, Red'}</sym>
   </wpt>`;
@@ -80,12 +76,8 @@ export function generateGPX(itinerary, options = {}) {
 
     // Build route XML (ordered waypoints)
     const routePointsXml = stops.map((stop, index) => {
-        const stopName = stop.type === 'start' ? 'Start' :
-            stop.type === 'end' ? 'End' :
-                `${index}. ${stop.name}`;
-
         return `    <rtept lat="${stop.lat}" lon="${stop.lng}">
-      <name>${escapeXml(stopName)}</name>
+      <name>${escapeXml(getStopName(stop, index))}</name>
     </rtept>`;
     }).join('\n');
 
@@ -111,7 +103,52 @@ ${trackPoints}
 ${routePointsXml}
   </rte>`;
 
-    return buildGpxDocument(name, description, `${waypointsXml}\n\n${rteXml}\n${trackXml}`);
+    return `${waypointsXml}\n\n${rteXml}\n${trackXml}`;
+}
+
+/**
+ * Generate GPX file from itinerary data
+ * @param {Object} itinerary - Itinerary data from buildItinerary()
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Name of the route (default: 'Birding Itinerary')
+ * @param {string} options.description - Description of the route
+ * @returns {string} GPX XML content
+ */
+export function generateGPX(itinerary, options = {}) {
+    const {
+        name = 'Birding Itinerary',
+        description = 'Optimized birding route generated by Birding Hotspots Finder'
+    } = options;
+
+    return buildGpxDocument(name, description, buildItineraryGpxBody(itinerary, name, description));
+}
+
+/**
+ * Generate a GPX file from a multi-day trip plan, with one route (and track)
+ * per day. Days without stops are skipped.
+ * @param {Object} plan - Trip plan from planMultiDayTrip()
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Name of the trip (default: 'Birding Trip')
+ * @param {string} options.description - Description of the trip
+ * @returns {string} GPX XML content
+ */
+export function generateTripPlanGPX(plan, options = {}) {
+    const {
+        name = 'Birding Trip',
+        description = `${plan.summary.totalDays}-day birding trip generated by Birding Hotspots Finder`
+    } = options;
+
+    const daysXml = plan.days
+        .filter(day => day.itinerary)
+        .map(day => buildItineraryGpxBody(
+            day.itinerary,
+            `${name} - Day ${day.dayNumber}`,
+            `Day ${day.dayNumber}: ${day.itinerary.summary.totalStops} stops`,
+            `Day ${day.dayNumber} `
+        ))
+        .join('\n\n');
+
+    return buildGpxDocument(name, description, daysXml);
 }
 
 /**
@@ -0,0 +1,129 @@
+/**
+ * Hotspot Checklists Service
+ * Turns a hotspot's latest eBird checklists into individual visits - when,
+ * who, how long and how far, and what was seen - so a merged species total
+ * can be told apart as one big day or many short visits
+ */
+
+import { CONFIG } from '../utils/constants.js';
+import { formatDistance, formatDuration } from '../utils/formatters.js';
+
+// eBird protocol IDs for the effort types a hotspot checklist usually has
+const PROTOCOLS = {
+    P20: 'Incidental',
+    P21: 'Stationary',
+    P22: 'Traveling',
+    P23: 'Area',
+    P62: 'Historical'
+};
+
+/**
+ * Parse an eBird date-time ('2026-05-12 07:15' or '2026-05-12') as local time
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseObsDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:\s+(\d{1,2}):(\d{2}))?/.exec(value || '');
+    if (!match) return null;
+    const [, year, month, day, hours, minutes] = match.map(Number);
+    return new Date(year, month - 1, day, hours || 0, minutes || 0);
+}
+
+/**
+ * Summarize one checklist for the list
+ * @param {Object} entry - Checklist from EBirdAPI.getHotspotChecklists()
+ * @param {Object|null} view - The same checklist from EBirdAPI.getChecklist(), if it loaded
+ * @returns {{subId: string, date: Date|null, hasTime: boolean, observer: string, protocol: string|null,
+ *   durationMinutes: number|null, distanceKm: number|null, numObservers: number|null,
+ *   speciesCount: number, complete: boolean|null}}
+ */
+export function summarizeChecklist(entry, view = null) {
+    const obsDt = view?.obsDt || entry.isoObsDate || '';
+    const durationHrs = view?.durationHrs;
+    return {
+        subId: entry.subId || entry.subID || view?.subId,
+        date: parseObsDate(obsDt),
+        hasTime: /\d:\d{2}$/.test(obsDt) && view?.obsTimeValid !== false,
+        observer: entry.userDisplayName || view?.userDisplayName || 'Anonymous',
+        protocol: view ? (PROTOCOLS[view.protocolId] || 'Other') : null,
+        durationMinutes: Number.isFinite(durationHrs) ? Math.round(durationHrs * 60) : null,
+        distanceKm: Number.isFinite(view?.effortDistanceKm) ? view.effortDistanceKm : null,
+        numObservers: Number.isFinite(view?.numObservers) ? view.numObservers : null,
+        speciesCount: entry.numSpecies ?? view?.numSpecies ?? 0,
+        complete: view ? !!view.allObsReported : null
+    };
+}
+
+/**
+ * Describe a checklist's effort: protocol, duration, distance and party size
+ * @param {Object} summary - From summarizeChecklist()
+ * @returns {string} e.g. 'Traveling · 1 hr 30 min · 1.4 mi · 2 observers', or '' if unknown
+ */
+export function formatChecklistEffort(summary) {
+    const parts = [];
+    if (summary.protocol) parts.push(summary.protocol);
+    if (summary.durationMinutes) parts.push(formatDuration(summary.durationMinutes * 60));
+    if (summary.distanceKm) parts.push(formatDistance(summary.distanceKm));
+    if (summary.numObservers > 1) parts.push(`${summary.numObservers} observers`);
+    if (summary.complete === false) parts.push('incomplete');
+    return parts.join(' · ');
+}
+
+/**
+ * The species on a checklist with their counts, in the checklist's
+ * (taxonomic) order
+ * @param {Object} view - Checklist from EBirdAPI.getChecklist()
+ * @param {Map<string, string>} [names] - Common name per species code
+ * @returns {Array<{speciesCode: string, comName: string, count: string}>} count is 'X' when only presence was noted
+ */
+export function getChecklistSpecies(view, names = new Map()) {
+    return (view?.obs || []).map(obs => ({
+        speciesCode: obs.speciesCode,
+        comName: names.get(obs.speciesCode) || obs.speciesCode,
+        count: obs.howManyStr || (obs.howManyAtleast ? String(obs.howManyAtleast) : 'X')
+    }));
+}
+
+/**
+ * How a hotspot's recent species are spread over its visits
+ * @param {Array} summaries - From summarizeChecklist()
+ * @returns {{checklists: number, medianSpecies: number, maxSpecies: number, totalMinutes: number}|null}
+ */
+export function summarizeVisits(summaries) {
+    if (summaries.length === 0) return null;
+    const counts = summaries.map(s => s.speciesCount).sort((a, b) => a - b);
+    const middle = Math.floor(counts.length / 2);
+    return {
+        checklists: summaries.length,
+        medianSpecies: counts.length % 2 ? counts[middle] : Math.round((counts[middle - 1] + counts[middle]) / 2),
+        maxSpecies: counts[counts.length - 1],
+        totalMinutes: summaries.reduce((sum, s) => sum + (s.durationMinutes || 0), 0)
+    };
+}
+
+/**
+ * Load a hotspot's latest checklists with their effort details. A checklist
+ * whose details fail to load is still listed, without effort.
+ * @param {Object} ebirdApi - EBirdAPI instance
+ * @param {string} locId - eBird location ID
+ * @param {Object} [options]
+ * @param {number} [options.maxResults] - Checklists to load (default: CONFIG.CHECKLISTS.MAX_RECENT)
+ * @returns {Promise<Array<{summary: Object, view: Object|null}>>} Newest first
+ */
+export async function loadRecentChecklists(ebirdApi, locId, options = {}) {
+    const { maxResults = CONFIG.CHECKLISTS.MAX_RECENT } = options;
+    const entries = await ebirdApi.getHotspotChecklists(locId, maxResults);
+
+    const checklists = await Promise.all(entries.slice(0, maxResults).map(async entry => {
+        let view = null;
+        try {
+            view = await ebirdApi.getChecklist(entry.subId || entry.subID);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Could not fetch checklist ${entry.subId}:`, error.message);
+        }
+        return { summary: summarizeChecklist(entry, view), view };
+    }));
+
+    return checklists.sort((a, b) => (b.summary.date?.getTime() || 0) - (a.summary.date?.getTime() || 0));
+}
@@ -0,0 +1,80 @@
+/**
+ * Hotspot Comparison Service
+ * Lines up 2-4 enriched hotspots side by side - which species they share,
+ * what each one alone offers, and how they differ on travel, weather,
+ * time of day and how well birded they are - for choosing between them
+ */
+
+import { calculateUniquenessScore } from './itinerary-builder.js';
+import { analyzeHotspotActivity } from './seasonal-insights.js';
+import { getBirdingConditionScore } from '../api/weather.js';
+
+export const MIN_COMPARED_HOTSPOTS = 2;
+export const MAX_COMPARED_HOTSPOTS = 4;
+
+// analyzeHotspotActivity() time-of-day slots, earliest first
+export const ACTIVITY_SLOT_KEYS = ['earlyMorning', 'morning', 'midday', 'afternoon', 'evening'];
+
+/**
+ * How well established a hotspot is, from its all-time checklist count
+ * @param {number|null|undefined} totalChecklists
+ * @returns {{tier: 'established'|'active'|'new', label: string}|null} null when the count is unknown
+ */
+export function getHotspotQualityTier(totalChecklists) {
+    if (totalChecklists == null) return null;
+    if (totalChecklists >= 500) return { tier: 'established', label: 'Well-Established' };
+    if (totalChecklists >= 50) return { tier: 'active', label: 'Active' };
+    return { tier: 'new', label: 'New Spot' };
+}
+
+/**
+ * Compare hotspots side by side. Each hotspot's unique species are the ones
+ * none of the other compared hotspots have.
+ * @param {Array} hotspots - 2-4 hotspots from enrichHotspots()
+ * @returns {{hotspots: Array<Object>, sharedBirds: Array<Object>}}
+ *   One entry per hotspot, in the given order, and the species every one of them has
+ * @throws {Error} If fewer than 2 or more than 4 hotspots are given
+ */
+export function compareHotspots(hotspots) {
+    if (hotspots.length < MIN_COMPARED_HOTSPOTS || hotspots.length > MAX_COMPARED_HOTSPOTS) {
+        throw new Error(`Choose ${MIN_COMPARED_HOTSPOTS} to ${MAX_COMPARED_HOTSPOTS} hotspots to compare.`);
+    }
+
+    const speciesSets = hotspots.map(hotspot => new Set((hotspot.birds || []).map(b => b.speciesCode)));
+
+    const compared = hotspots.map((hotspot, index) => {
+        const birds = hotspot.birds || [];
+        const othersSeen = new Set(speciesSets.filter((_, i) => i !== index).flatMap(set => [...set]));
+        const uniqueness = calculateUniquenessScore(hotspot, othersSeen);
+        const conditions = hotspot.weather ? getBirdingConditionScore(hotspot.weather) : null;
+
+        return {
+            locId: hotspot.locId,
+            name: hotspot.name,
+            speciesCount: hotspot.speciesCount ?? birds.length,
+            uniqueCount: uniqueness.uniqueCount,
+            uniqueNotable: uniqueness.uniqueNotable,
+            uniqueLifers: uniqueness.uniqueLifers,
+            overlapPercent: uniqueness.overlapPercent,
+            uniqueBirds: uniqueness.uniqueBirds,
+            notableBirds: birds.filter(b => b.isNotable),
+            liferBirds: birds.filter(b => b.isLifer),
+            distance: hotspot.distance ?? null,
+            travelDistance: hotspot.drivingDistance ?? hotspot.travelDistance ?? null,
+            travelDuration: hotspot.drivingDuration ?? hotspot.travelDuration ?? null,
+            travelMode: hotspot.travelMode || null,
+            weather: hotspot.weather || null,
+            conditions,
+            activity: analyzeHotspotActivity(hotspot.recentObservations),
+            totalSpecies: hotspot.totalSpecies ?? null,
+            totalChecklists: hotspot.totalChecklists ?? null,
+            quality: getHotspotQualityTier(hotspot.totalChecklists)
+        };
+    });
+
+    // Shared species, in the first hotspot's order
+    const sharedBirds = (hotspots[0].birds || [])
+        .filter(bird => speciesSets.every(set => set.has(bird.speciesCode)));
+
+    return { hotspots: compared, sharedBirds };
+}
@@ -5,24 +5,38 @@
  */
 
 /**
- * Filter an enriched hotspot list by notable/lifer/target species presence
- * and a minimum species count. All filters are AND-combined; an unset
+ * Filter an enriched hotspot list by notable/lifer/year/state/county/target
+ * species presence and a minimum species count. All filters are AND-combined; an unset
  * (falsy/zero) filter is a no-op.
  * @param {Array} hotspots - Enriched hotspots with `.birds`, `.speciesCount`, and optional `.hasTargetSpecies`
  * @param {Object} [filters]
  * @param {boolean} [filters.notableOnly] - Keep only hotspots with a notable/rare bird
  * @param {boolean} [filters.lifersOnly] - Keep only hotspots with a potential lifer
+ * @param {boolean} [filters.yearBirdsOnly] - Keep only hotspots with a bird not on this year's list
+ * @param {boolean} [filters.stateBirdsOnly] - Keep only hotspots with a bird not on the state list
+ * @param {boolean} [filters.countyBirdsOnly] - Keep only hotspots with a bird not on the county list
  * @param {boolean} [filters.targetOnly] - Keep only hotspots with a target species (route mode)
  * @param {number} [filters.minSpecies] - Keep only hotspots with at least this many species
  * @returns {Array} Filtered hotspots (new array, does not mutate input)
  */
 export function applyHotspotFilters(hotspots, filters = {}) {
-    const { notableOnly = false, lifersOnly = false, targetOnly = false, minSpecies = 0 } = filters;
+    const {
+        notableOnly = false,
+        lifersOnly = false,
+        yearBirdsOnly = false,
+        stateBirdsOnly = false,
+        countyBirdsOnly = false,
+        targetOnly = false,
+        minSpecies = 0
+    } = filters;
 
     return hotspots.filter(hotspot => {
         if (minSpecies > 0 && (hotspot.speciesCount ?? 0) < minSpecies) return false;
         if (notableOnly && !(hotspot.birds || []).some(bird => bird.isNotable)) return false;
         if (lifersOnly && !(hotspot.birds || []).some(bird => bird.isLifer)) return false;
+        if (yearBirdsOnly && !(hotspot.birds || []).some(bird => bird.isYearBird)) return false;
+        if (stateBirdsOnly && !(hotspot.birds || []).some(bird => bird.isStateBird)) return false;
+        if (countyBirdsOnly && !(hotspot.birds || []).some(bird => bird.isCountyBird)) return false;
         if (targetOnly && !hotspot.hasTargetSpecies) return false;
         return true;
     });
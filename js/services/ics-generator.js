@@ -0,0 +1,333 @@
+/**
+ * iCalendar Generator Service
+ * Generates RFC 5545 .ics files so an itinerary's day plan shows up in
+ * phone and desktop calendars: one event per hotspot visit, optional travel
+ * events, and a sunrise alarm
+ */
+
+import { getEbirdHotspotUrl } from '../utils/formatters.js';
+import { getTravelMode } from '../api/routing.js';
+
+// Target species listed in an event description before "and N more"
+const MAX_TARGET_SPECIES = 10;
+
+// Reminder before each hotspot visit, in minutes
+const VISIT_REMINDER_MINUTES = 15;
+
+// The sunrise alarm goes off this long before sunrise, leaving time to get
+// to the first stop for dawn
+const SUNRISE_ALARM_LEAD_MINUTES = 60;
+
+// SEQUENCE counts seconds from here, so each export outranks the last
+const SEQUENCE_EPOCH = Date.UTC(2024, 0, 1);
+
+/**
+ * Escape text for an iCalendar TEXT value
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeText(str) {
+    if (!str) return '';
+    return String(str)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as an iCalendar UTC date-time (20260512T063000Z)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a signed offset as an iCalendar duration (-PT1H50M)
+ * @param {number} minutes - Negative for before the event
+ * @returns {string}
+ */
+function formatDuration(minutes) {
+    const abs = Math.abs(Math.round(minutes));
+    const hours = Math.floor(abs / 60);
+    const mins = abs % 60;
+    const body = `${hours > 0 ? `${hours}H` : ''}${mins > 0 || hours === 0 ? `${mins}M` : ''}`;
+    return `${minutes < 0 ? '-' : ''}PT${body}`;
+}
+
+/**
+ * Target species for a stop's description: lifers and notables first, else
+ * the species reported there
+ * @param {Object} stop
+ * @returns {string}
+ */
+function describeTargets(stop) {
+    const birds = stop.birds || [];
+    const targets = birds.filter(bird => bird.isLifer || bird.isNotable || bird.isYearBird);
+    const listed = (targets.length > 0 ? targets : birds).slice(0, MAX_TARGET_SPECIES);
+    if (listed.length === 0) return '';
+
+    const names = listed.map(bird => {
+        const tags = [bird.isLifer && 'lifer', bird.isNotable && 'notable'].filter(Boolean);
+        return tags.length > 0 ? `${bird.comName} (${tags.join(', ')})` : bird.comName;
+    });
+    const remaining = (targets.length > 0 ? targets : birds).length - listed.length;
+    const heading = targets.length > 0 ? 'Target species' : 'Recent species';
+    return `${heading}: ${names.join(', ')}${remaining > 0 ? ` and ${remaining} more` : ''}`;
+}
+
+/**
+ * Build a VEVENT
+ * @param {Object} event
+ * @param {string} event.uid
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {Object} [event.geo] - {lat, lng}
+ * @param {string} [event.url]
+ * @param {Array<string>} [event.alarms] - Pre-built VALARM lines
+ * @param {Object} stamp - {dtstamp, sequence} for this export
+ * @returns {Array<string>} Content lines
+ */
+function buildEvent(event, stamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp.dtstamp}`,
+        `SEQUENCE:${stamp.sequence}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.geo) lines.push(`GEO:${event.geo.lat};${event.geo.lng}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push(...(event.alarms || []), 'END:VEVENT');
+    return lines;
+}
+
+/**
+ * DTSTAMP and SEQUENCE for an export. Calendars only take an update to an
+ * event they already have when its SEQUENCE is higher, so it grows with
+ * every export rather than being kept per event.
+ * @param {Date} [now]
+ * @returns {{dtstamp: string, sequence: number}}
+ */
+function createStamp(now = new Date()) {
+    return {
+        dtstamp: formatDateTime(now),
+        sequence: Math.max(0, Math.floor((now.getTime() - SEQUENCE_EPOCH) / 1000))
+    };
+}
+
+/**
+ * Build a display alarm
+ * @param {string} trigger - TRIGGER property value, e.g. '-PT15M' or ';VALUE=DATE-TIME:20260512T060000Z'
+ * @param {string} description
+ * @returns {Array<string>} Content lines
+ */
+function buildAlarm(trigger, description) {
+    return [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER${trigger.startsWith(';') ? trigger : `:${trigger}`}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        'END:VALARM'
+    ];
+}
+
+/**
+ * The itinerary's day as YYYYMMDD (local), from its first timed stop
+ * @param {Array} stops
+ * @returns {string}
+ */
+function getItineraryDayKey(stops) {
+    const first = stops.find(stop => stop.departureTime || stop.arrivalTime);
+    if (!first) return 'undated';
+    const date = new Date(first.departureTime || first.arrivalTime);
+    return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Build the events for one itinerary. UIDs come from the day and the
+ * place, not the times, and the export's SEQUENCE is higher than any
+ * earlier one, so re-importing an edited or re-timed itinerary updates its
+ * events instead of adding a second copy of the day.
+ * @param {Object} itinerary - Itinerary data from buildItinerary()
+ * @param {Object} options
+ * @param {boolean} options.includeTravel - Add an event per travel leg
+ * @param {string} options.labelPrefix - Prepended to every summary (e.g. 'Day 2: ')
+ * @param {Object} stamp - From createStamp()
+ * @returns {Array<string>} Content lines
+ */
+function buildItineraryEvents(itinerary, { includeTravel, labelPrefix }, stamp) {
+    const stops = itinerary.stops;
+    const travelMode = getTravelMode(itinerary.travelMode);
+    const sunrise = itinerary.summary?.sunrise ? new Date(itinerary.summary.sunrise) : null;
+    const lines = [];
+    let sunriseAlarmAdded = false;
+    const dayKey = getItineraryDayKey(stops);
+    // Stops per place so far, for a hotspot (or via point) visited twice in one day
+    const visits = new Map();
+
+    stops.forEach((stop, index) => {
+        const place = stop.locId || stop.type;
+        const visit = (visits.get(place) || 0) + 1;
+        visits.set(place, visit);
+        const stopKey = `${place}${visit > 1 ? `-${visit}` : ''}`;
+
+        if (stop.type === 'hotspot' && stop.arrivalTime && stop.departureTime) {
+            const start = new Date(stop.arrivalTime);
+            const alarms = buildAlarm(`-PT${VISIT_REMINDER_MINUTES}M`, `${stop.name} in ${VISIT_REMINDER_MINUTES} minutes`);
+            // The day's first visit also wakes you in time to be out by sunrise
+            if (sunrise && !sunriseAlarmAdded) {
+                const offsetMinutes = (sunrise - start) / 60000 - SUNRISE_ALARM_LEAD_MINUTES;
+                alarms.push(...buildAlarm(formatDuration(offsetMinutes),
+                    `Sunrise in ${SUNRISE_ALARM_LEAD_MINUTES} minutes - head out for the dawn chorus`));
+                sunriseAlarmAdded = true;
+            }
+
+            const description = [
+                `${stop.speciesCount ?? 0} species observed recently.`,
+                describeTargets(stop),
+                stop.locId ? getEbirdHotspotUrl(stop.locId) : ''
+            ].filter(Boolean).join('\n');
+
+            lines.push(...buildEvent({
+                uid: `${dayKey}-${stopKey}@birding-hotspots-finder`,
+                start,
+                end: new Date(stop.departureTime),
+                summary: `${labelPrefix}Birding: ${stop.name}`,
+                description,
+                location: stop.address ? `${stop.name}, ${stop.address}` : stop.name,
+                geo: { lat: stop.lat, lng: stop.lng },
+                url: stop.locId ? getEbirdHotspotUrl(stop.locId) : null,
+                alarms
+            }, stamp));
+        }
+
+        // Travel from this stop to the next (or home, on a round trip)
+        const next = index < stops.length - 1 ? stops[index + 1] : (itinerary.isRoundTrip ? stops[0] : null);
+        if (includeTravel && next && stop.departureTime && stop.legToNext) {
+            const start = new Date(stop.departureTime);
+            const end = new Date(start.getTime() + stop.legToNext.duration * 1000);
+            const destination = next.type === 'hotspot' || next.type === 'via' ? next.name : next.type === 'start' ? 'start' : 'end';
+            lines.push(...buildEvent({
+                // Keyed by where the leg starts: one leg leaves each stop
+                uid: `${dayKey}-travel-from-${stopKey}@birding-hotspots-finder`,
+                start,
+                end,
+                summary: `${labelPrefix}${travelMode.label} to ${destination}`,
+                location: next.address || next.name || ''
+            }, stamp));
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Wrap events in a VCALENDAR and fold the lines
+ * @param {string} name - Calendar name
+ * @param {Array<string>} eventLines
+ * @returns {string} iCalendar text
+ */
+function buildCalendar(name, eventLines) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Birding Hotspots Finder//Itinerary//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...eventLines,
+        'END:VCALENDAR'
+    ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Generate an iCalendar file from itinerary data, with one event per
+ * hotspot visit
+ * @param {Object} itinerary - Itinerary data from buildItinerary()
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Calendar name (default: 'Birding Itinerary')
+ * @param {boolean} options.includeTravel - Add an event per travel leg (default: false)
+ * @returns {string} iCalendar content
+ */
+export function generateICS(itinerary, options = {}) {
+    const { name = 'Birding Itinerary', includeTravel = false } = options;
+    const stamp = createStamp();
+    return buildCalendar(name, buildItineraryEvents(itinerary, { includeTravel, labelPrefix: '' }, stamp));
+}
+
+/**
+ * Generate an iCalendar file from a multi-day trip plan. Days without stops
+ * are skipped.
+ * @param {Object} plan - Trip plan from planMultiDayTrip()
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Calendar name (default: 'Birding Trip')
+ * @param {boolean} options.includeTravel - Add an event per travel leg (default: false)
+ * @returns {string} iCalendar content
+ */
+export function generateTripPlanICS(plan, options = {}) {
+    const { name = 'Birding Trip', includeTravel = false } = options;
+    const stamp = createStamp();
+    const events = plan.days
+        .filter(day => day.itinerary)
+        .flatMap(day => buildItineraryEvents(day.itinerary, { includeTravel, labelPrefix: `Day ${day.dayNumber}: ` }, stamp));
+    return buildCalendar(name, events);
+}
+
+/**
+ * Download iCalendar content as a file
+ * @param {string} icsContent - iCalendar content
+ * @param {string} filename - Filename without extension
+ */
+export function downloadICS(icsContent, filename = 'birding-itinerary') {
+    const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filename}.ics`;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
@@ -3,8 +3,36 @@
  * Creates optimized birding routes through multiple hotspots
  */
 
-import { getOptimizedTrip, getRouteThrough } from '../api/routing.js';
+import { getOptimizedTrip, getRouteThrough, getDrivingDurationMatrix, getRoutingSettings } from '../api/routing.js';
+import { getForecastAt, getForecastDay, getCalendarDateKey } from '../api/weather.js';
 import { calculateDistance } from '../utils/formatters.js';
+import { getOptimalBirdingTimes } from './seasonal-insights.js';
+import { solveRoute } from './route-solver.js';
+
+// Weight given to arriving during each OPTIMAL_BIRDING_TIMES activity level,
+// and outside every window
+const ACTIVITY_WEIGHTS = { high: 1, medium: 0.6, low: 0.3 };
+const OFF_PEAK_WEIGHT = 0.1;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Straight-line distance understates road distance; these turn it into a
+// rough travel-time estimate when real routing times aren't available
+const ROAD_DISTANCE_FACTOR = 1.3;
+const ESTIMATED_SPEED_KMH = { car: 60, foot: 4.5, bike: 15 };
+
+// 'coverage' priority: what a new species is worth, with extra credit for
+// new notables and lifers
+const COVERAGE_WEIGHTS = { species: 1, notable: 1, lifer: 2 };
+
+// A one-way route may drive up to this much further (the larger of the two)
+// to reach its species-rich stops during peak activity
+const ACTIVITY_REORDER_EXTRA_SECONDS = 15 * 60;
+const ACTIVITY_REORDER_EXTRA_SHARE = 0.1;
+
+// The public OSRM Table API is limited to 100 points per request; coverage mode
+// only measures drive times for the richest candidates
+const MAX_COVERAGE_CANDIDATES = 40;
 
 /**
  * Calculate suggested visit time based on species count
@@ -51,6 +79,18 @@ export function calculateUniquenessScore(hotspot, seenSpecies) {
     };
 }
 
+/**
+ * Estimate travel minutes between two points from straight-line distance,
+ * at the current travel mode's typical speed
+ * @param {Object} a - {lat, lng}
+ * @param {Object} b - {lat, lng}
+ * @returns {number} Estimated minutes
+ */
+export function estimateDriveMinutes(a, b) {
+    const km = calculateDistance(a.lat, a.lng, b.lat, b.lng) * ROAD_DISTANCE_FACTOR;
+    return (km / ESTIMATED_SPEED_KMH[getRoutingSettings().profile]) * 60;
+}
+
 /**
  * Calculate seen species from selected hotspots
  * @param {Array} selectedHotspots - Array of selected hotspots
@@ -117,38 +157,488 @@ export function selectHotspots(hotspots, maxStops, priority = 'balanced') {
     return scored.slice(0, maxStops);
 }
 
+/**
+ * Select stops that together cover the most species ('coverage' priority).
+ * Greedy: each step adds the hotspot with the best ratio of weighted new
+ * species (see COVERAGE_WEIGHTS) to the time it adds to the day - its visit
+ * plus the extra driving to slot it into the tour so far at its cheapest
+ * position. Stops that add no new species are never picked.
+ * @param {Array} hotspots - Available hotspots with birds arrays
+ * @param {number} maxStops - Maximum number of stops
+ * @param {Object} options
+ * @param {Object} options.start - Start location {lat, lng}
+ * @param {Object} [options.end] - End location {lat, lng}; defaults to start
+ * @param {Array<Array<number|null>>} [options.durations] - Driving seconds between
+ *   [start, end, ...hotspots], as from getDrivingDurationMatrix(); missing entries are estimated
+ * @returns {Array} Selected hotspots
+ */
+export function selectHotspotsByCoverage(hotspots, maxStops, options) {
+    const { start, end = start, durations = null } = options;
+    const points = [start, end, ...hotspots];
+
+    const driveMinutes = (i, j) => {
+        const seconds = durations?.[i]?.[j];
+        return Number.isFinite(seconds) ? seconds / 60 : estimateDriveMinutes(points[i], points[j]);
+    };
+
+    // Tour as point indices: start (0) ... end (1); hotspot k is point k + 2
+    const tour = [0, 1];
+    const selected = [];
+    const seenSpecies = new Set();
+    const remaining = new Set(hotspots.map((_, k) => k));
+
+    while (selected.length < maxStops && remaining.size > 0) {
+        let best = null;
+
+        for (const k of remaining) {
+            const { uniqueCount, uniqueNotable, uniqueLifers } = calculateUniquenessScore(hotspots[k], seenSpecies);
+            const gain = COVERAGE_WEIGHTS.species * uniqueCount +
+                COVERAGE_WEIGHTS.notable * uniqueNotable +
+                COVERAGE_WEIGHTS.lifer * uniqueLifers;
+            if (gain === 0) continue;
+
+            const point = k + 2;
+            let insertAt = 1;
+            let insertMinutes = Infinity;
+            for (let i = 0; i < tour.length - 1; i++) {
+                const detour = driveMinutes(tour[i], point) + driveMinutes(point, tour[i + 1]) - driveMinutes(tour[i], tour[i + 1]);
+                if (detour < insertMinutes) {
+                    insertMinutes = detour;
+                    insertAt = i + 1;
+                }
+            }
+
+            const addedMinutes = calculateVisitTime(hotspots[k].speciesCount || 0) + Math.max(insertMinutes, 0);
+            const value = gain / addedMinutes;
+            if (!best || value > best.value) {
+                best = { k, insertAt, value };
+            }
+        }
+
+        if (!best) break;
+
+        const hotspot = hotspots[best.k];
+        tour.splice(best.insertAt, 0, best.k + 2);
+        selected.push(hotspot);
+        hotspot.birds.forEach(b => seenSpecies.add(b.speciesCode));
+        remaining.delete(best.k);
+    }
+
+    return selected;
+}
+
 /**
  * Whether the generic "Build Itinerary" panel (which auto-selects hotspots
  * by score, with no per-hotspot picker) should be shown. It only makes sense
  * for location-mode hotspot searches: route mode has its own dedicated
- * pick-your-stops flow, and species-mode searches don't populate
+ * pick-your-stops flow, and species and target list searches don't populate
  * `currentResults.hotspots` at all.
  * @param {string} searchType - 'location' or 'route'
- * @param {string} searchSubMode - 'hotspot' or 'species' (only meaningful for 'location')
+ * @param {string} searchSubMode - 'hotspot', 'species' or 'targets' (only meaningful for 'location')
  * @returns {boolean}
  */
 export function canShowGenericItineraryButton(searchType, searchSubMode) {
     return searchType === 'location' && searchSubMode === 'hotspot';
 }
 
+/**
+ * Get sunrise/sunset for the day an itinerary runs on.
+ * Sun times come from getWeatherForLocation(), which only covers today, so
+ * they are moved to the requested day by whole days - close enough for the
+ * week-or-so range itineraries are planned over.
+ * @param {Object} sunTimes - Object with sunriseDate/sunsetDate (e.g. a hotspot's weather)
+ * @param {Date} date - Day the itinerary runs on
+ * @returns {{sunrise: Date, sunset: Date}|null} Daylight window, or null if sun times are unknown
+ */
+export function getDaylightWindow(sunTimes, date) {
+    if (!sunTimes?.sunriseDate || !sunTimes?.sunsetDate) return null;
+
+    const sunrise = new Date(sunTimes.sunriseDate);
+    const targetDay = new Date(date);
+    targetDay.setHours(0, 0, 0, 0);
+    const sunriseDay = new Date(sunrise);
+    sunriseDay.setHours(0, 0, 0, 0);
+    const shiftMs = Math.round((targetDay - sunriseDay) / DAY_MS) * DAY_MS;
+
+    return {
+        sunrise: new Date(sunrise.getTime() + shiftMs),
+        sunset: new Date(new Date(sunTimes.sunsetDate).getTime() + shiftMs)
+    };
+}
+
+/**
+ * How good a moment is for birding, from 0 (dark) to 1 (peak activity).
+ * Uses the season's OPTIMAL_BIRDING_TIMES windows; when the daylight window
+ * is known, the golden hour after sunrise and before sunset count as peak
+ * and anything outside daylight scores zero.
+ * @param {Date} time - Moment to score
+ * @param {Object} [daylight] - Daylight window from getDaylightWindow()
+ * @param {Object} [location] - Where the birding happens {lat, lng}; seasons follow its region
+ * @returns {number} Activity weight
+ */
+export function getActivityWeight(time, daylight = null, location = null) {
+    if (daylight) {
+        if (time < daylight.sunrise || time >= daylight.sunset) return 0;
+        if (time - daylight.sunrise < HOUR_MS || daylight.sunset - time <= HOUR_MS) {
+            return ACTIVITY_WEIGHTS.high;
+        }
+    }
+
+    const hour = time.getHours() + time.getMinutes() / 60;
+    const activityWindow = Object.values(getOptimalBirdingTimes(time, location))
+        .find(w => hour >= w.start && hour < w.end);
+    return activityWindow ? ACTIVITY_WEIGHTS[activityWindow.activity] : OFF_PEAK_WEIGHT;
+}
+
+/**
+ * Turn a stop's opening hours into times on the itinerary's day
+ * @param {Object} [timeWindow] - {open, close} as 'HH:MM' (24-hour); either may be omitted
+ * @param {Date} departure - Itinerary departure, which sets the day
+ * @returns {{opens: Date|null, closes: Date|null}|null} null when the stop has no window
+ */
+function getTimeWindow(timeWindow, departure) {
+    if (!timeWindow || (!timeWindow.open && !timeWindow.close)) return null;
+    const at = (hhmm) => {
+        if (!hhmm) return null;
+        const [hours, minutes] = hhmm.split(':').map(Number);
+        const date = new Date(departure);
+        date.setHours(hours, minutes || 0, 0, 0);
+        return date;
+    };
+    return { opens: at(timeWindow.open), closes: at(timeWindow.close) };
+}
+
+/**
+ * Walk a routed stop order forward in time, assigning arrival, visit and
+ * departure times. With a daylight window, birding is cut off at sunset:
+ * visits running past it are shortened, and hotspots reached after it are
+ * flagged and given no visit time. Stops with a timeWindow are waited for
+ * until they open, and flagged if reached after they close. A stop's
+ * customVisitTime (minutes) replaces the suggested visit time.
+ * @param {Array} routeStops - Stops in visiting order
+ * @param {Array} legs - Legs between consecutive stops
+ * @param {Date} departure - Departure time from the first stop
+ * @param {Object} [daylight] - Daylight window from getDaylightWindow()
+ * @returns {Array} Scheduled stops
+ */
+function scheduleStops(routeStops, legs, departure, daylight) {
+    let currentTime = new Date(departure);
+
+    return routeStops.map((stop, index) => {
+        // Add travel time from previous stop before recording arrival, so the
+        // reported arrival time actually reflects the drive to reach this stop
+        if (index > 0 && legs[index - 1]) {
+            currentTime = new Date(currentTime.getTime() + legs[index - 1].duration * 1000);
+        }
+
+        const arrivalTime = new Date(currentTime);
+
+        // Wait for a stop's time window to open; flag arriving after it closes
+        const window = getTimeWindow(stop.timeWindow, departure);
+        let waitTime = 0;
+        if (window?.opens && window.opens > currentTime) {
+            waitTime = Math.round((window.opens - currentTime) / 60000);
+            currentTime = new Date(window.opens);
+        }
+        const missesTimeWindow = Boolean(window?.closes && arrivalTime > window.closes);
+        const visitStart = new Date(currentTime);
+
+        let visitTime = stop.type === 'hotspot'
+            ? stop.customVisitTime ?? calculateVisitTime(stop.speciesCount || 0)
+            : 0;
+
+        let arrivesAfterDark = false;
+        let visitTruncated = false;
+        if (daylight && stop.type === 'hotspot') {
+            const minutesToSunset = Math.floor((daylight.sunset - visitStart) / 60000);
+            if (minutesToSunset <= 0) {
+                arrivesAfterDark = true;
+                visitTime = 0;
+            } else if (visitTime > minutesToSunset) {
+                visitTruncated = true;
+                visitTime = minutesToSunset;
+            }
+        }
+
+        const departureTime = new Date(currentTime.getTime() + visitTime * 60 * 1000);
+        currentTime = departureTime;
+
+        return {
+            ...stop,
+            stopNumber: index + 1,
+            arrivalTime: index > 0 ? arrivalTime : null,
+            suggestedVisitTime: visitTime,
+            departureTime: stop.type !== 'end' ? departureTime : null,
+            legToNext: legs[index] || null,
+            activityWeight: index > 0 ? getActivityWeight(visitStart, daylight, stop) : null,
+            arrivesAfterDark,
+            visitTruncated,
+            waitTime,
+            missesTimeWindow
+        };
+    });
+}
+
+/**
+ * Score a schedule by how many species it reaches during active periods
+ * @param {Array} stops - Scheduled stops from scheduleStops()
+ * @returns {number} Higher is better
+ */
+function scoreSchedule(stops) {
+    return stops
+        .filter(s => s.type === 'hotspot')
+        .reduce((sum, s) => sum + (s.speciesCount || 0) * s.activityWeight, 0);
+}
+
+/**
+ * Turn a hotspot from the results into an itinerary stop
+ * @param {Object} hotspot - Hotspot with lat/lng, species data and optional timeWindow
+ * @returns {Object} Unscheduled stop
+ */
+export function createHotspotStop(hotspot) {
+    return {
+        lat: hotspot.lat,
+        lng: hotspot.lng,
+        name: hotspot.name,
+        type: 'hotspot',
+        locId: hotspot.locId,
+        speciesCount: hotspot.speciesCount,
+        address: hotspot.address,
+        birds: hotspot.birds,
+        weather: hotspot.weather,
+        recentObservations: hotspot.recentObservations,
+        timeWindow: hotspot.timeWindow
+    };
+}
+
+/**
+ * Order the stops on the client (see route-solver.js) when the routing
+ * engine can't reorder them or stops have time windows, then route through
+ * them in that order. Travel times come from a routing table where it
+ * answers, and straight-line estimates where it doesn't.
+ * @param {Array} waypoints - Start, hotspots and (unless a round trip) end
+ * @param {boolean} isRoundTrip
+ * @param {Date} departure - Departure from the start, for time windows
+ * @returns {Promise<Object|null>} Route in getOptimizedTrip() form, or null if routing failed
+ */
+async function solveRouteLocally(waypoints, isRoundTrip, departure) {
+    const table = await getDrivingDurationMatrix(waypoints);
+    const durations = waypoints.map((a, i) => waypoints.map((b, j) => {
+        if (i === j) return 0;
+        return table?.[i]?.[j] ?? estimateDriveMinutes(a, b) * 60;
+    }));
+
+    const toSeconds = date => (date ? (date - departure) / 1000 : null);
+    const { order } = solveRoute(durations, {
+        start: 0,
+        end: isRoundTrip ? null : waypoints.length - 1,
+        roundTrip: isRoundTrip,
+        serviceTimes: waypoints.map(wp => (wp.type === 'hotspot' ? calculateVisitTime(wp.speciesCount || 0) * 60 : 0)),
+        timeWindows: waypoints.map(wp => {
+            const window = getTimeWindow(wp.timeWindow, departure);
+            return window ? { earliest: toSeconds(window.opens), latest: toSeconds(window.closes) } : null;
+        })
+    });
+
+    // Route a round trip back to the start, so it has a leg per stop like a routed trip
+    const ordered = order.map(i => waypoints[i]);
+    const route = await getRouteThrough(isRoundTrip ? [...ordered, ordered[0]] : ordered);
+    if (!route) return null;
+
+    route.stops = ordered.map((wp, i) => ({
+        ...wp,
+        optimizedOrder: i,
+        originalIndex: order[i]
+    }));
+    return route;
+}
+
+/**
+ * Route through via points in the order given, with each hotspot kept on
+ * one leg between them: its `legIndex` if it has one, else the leg it adds
+ * least travel to. Within a leg the stops are ordered by the route solver.
+ * @param {Object} start - Start stop
+ * @param {Array} hotspotStops - Hotspot stops, optionally with legIndex
+ * @param {Array} vias - Via stops, in driving order
+ * @param {Object} end - End stop
+ * @returns {Promise<Object|null>} Route with the ordered stops, or null if routing failed
+ */
+async function routeThroughVias(start, hotspotStops, vias, end) {
+    const anchors = [start, ...vias, end];
+    const points = [...anchors, ...hotspotStops];
+    const table = await getDrivingDurationMatrix(points);
+    const seconds = (i, j) => (i === j ? 0 : table?.[i]?.[j] ?? estimateDriveMinutes(points[i], points[j]) * 60);
+
+    const legs = anchors.slice(1).map(() => []);
+    hotspotStops.forEach((stop, k) => {
+        const point = anchors.length + k;
+        let leg = stop.legIndex;
+        if (!Number.isInteger(leg) || leg < 0 || leg >= legs.length) {
+            let bestExtra = Infinity;
+            legs.forEach((_, i) => {
+                const extra = seconds(i, point) + seconds(point, i + 1) - seconds(i, i + 1);
+                if (extra < bestExtra) {
+                    bestExtra = extra;
+                    leg = i;
+                }
+            });
+        }
+        legs[leg].push(point);
+    });
+
+    const ordered = [start];
+    legs.forEach((legPoints, i) => {
+        const legIndices = [i, ...legPoints, i + 1];
+        const { order } = solveRoute(
+            legIndices.map(a => legIndices.map(b => seconds(a, b))),
+            { start: 0, end: legIndices.length - 1 }
+        );
+        ordered.push(...order.slice(1).map(k => points[legIndices[k]]));
+    });
+
+    const route = await getRouteThrough(ordered);
+    if (!route) return null;
+    route.stops = ordered;
+    return route;
+}
+
+/**
+ * Split a route through via points into sections, one per leg between the
+ * start, via points and end, with each section's travel and (given the
+ * direct route's legs) its detour for the birding stops
+ * @param {Array} stops - Scheduled stops, start and end included
+ * @param {Array} [directLegs] - {distance (km), duration (s)} per leg of the route straight through the via points
+ * @returns {Array<{fromIndex: number, toIndex: number, from: string, to: string, hotspotCount: number,
+ *   distance: number, travelTime: number, visitTime: number, detourDistance: number|null, detourTime: number|null}>}
+ *   Distances in km, times in minutes
+ */
+export function getRouteSections(stops, directLegs = null) {
+    const anchors = stops.map((stop, i) => (stop.type === 'hotspot' ? -1 : i)).filter(i => i !== -1);
+
+    return anchors.slice(1).map((toIndex, leg) => {
+        const fromIndex = anchors[leg];
+        const section = stops.slice(fromIndex, toIndex);
+        const distance = section.reduce((sum, stop) => sum + (stop.legToNext?.distance || 0), 0);
+        const travelTime = section.reduce((sum, stop) => sum + (stop.legToNext?.duration || 0), 0) / 60;
+        const direct = directLegs?.[leg];
+
+        return {
+            fromIndex,
+            toIndex,
+            from: stops[fromIndex].address || stops[fromIndex].name,
+            to: stops[toIndex].address || stops[toIndex].name,
+            hotspotCount: toIndex - fromIndex - 1,
+            distance,
+            travelTime,
+            visitTime: section.reduce((sum, stop) => sum + (stop.type === 'hotspot' ? stop.suggestedVisitTime || 0 : 0), 0),
+            detourDistance: direct ? distance - direct.distance : null,
+            detourTime: direct ? travelTime - direct.duration / 60 : null
+        };
+    });
+}
+
+/**
+ * Reverse a closed loop so it is driven the other way round, keeping the
+ * start first. Leg times are assumed symmetric.
+ * @param {Object} route - Route with stops, legs (one per stop, the last returning to start) and geometry
+ * @returns {Object} Reversed route
+ */
+function reverseLoop(route) {
+    const [first, ...rest] = route.stops;
+    const legs = [...route.legs].reverse().map((leg, i) => ({ ...leg, fromIndex: i, toIndex: i + 1 }));
+    return {
+        ...route,
+        stops: [first, ...rest.reverse()],
+        legs,
+        geometry: route.geometry?.coordinates
+            ? { ...route.geometry, coordinates: [...route.geometry.coordinates].reverse() }
+            : route.geometry
+    };
+}
+
+/**
+ * Look for a better-timed order for a one-way route: each hotspot is tried
+ * at every other place in the order, and the one whose schedule reaches the
+ * most species during active periods (see scoreSchedule()) wins, as long as
+ * it adds little driving. The start and end stay put.
+ * @param {Array} routeStops - Start, hotspots, end, in the routed order
+ * @param {Date} departure
+ * @param {Object} [daylight] - Daylight window from getDaylightWindow()
+ * @returns {Promise<Object|null>} Route through the new order, or null to keep the routed one
+ */
+async function reorderForActivity(routeStops, departure, daylight) {
+    const table = await getDrivingDurationMatrix(routeStops);
+    const seconds = (i, j) => (i === j ? 0 : table?.[i]?.[j] ?? estimateDriveMinutes(routeStops[i], routeStops[j]) * 60);
+    const evaluate = order => {
+        const legs = order.slice(1).map((to, k) => ({ distance: 0, duration: seconds(order[k], to) }));
+        const scheduled = scheduleStops(order.map(i => routeStops[i]), legs, departure, daylight);
+        return { travel: legs.reduce((sum, leg) => sum + leg.duration, 0), score: scoreSchedule(scheduled) };
+    };
+
+    const routed = routeStops.map((_, i) => i);
+    const { travel, score } = evaluate(routed);
+    const maxTravel = travel + Math.max(ACTIVITY_REORDER_EXTRA_SECONDS, travel * ACTIVITY_REORDER_EXTRA_SHARE);
+
+    let best = null;
+    let bestScore = score;
+    const last = routed.length - 1;
+    for (let from = 1; from < last; from++) {
+        for (let to = 1; to < last; to++) {
+            if (to === from) continue;
+            const order = routed.filter(i => i !== from);
+            order.splice(to, 0, from);
+            const candidate = evaluate(order);
+            if (candidate.travel <= maxTravel && candidate.score > bestScore + 1e-9) {
+                best = order;
+                bestScore = candidate.score;
+            }
+        }
+    }
+    if (!best) return null;
+
+    const ordered = best.map(i => routeStops[i]);
+    const route = await getRouteThrough(ordered);
+    if (!route) return null;
+    route.stops = ordered.map((stop, i) => ({ ...stop, optimizedOrder: i }));
+    return route;
+}
+
 /**
  * Build an optimized itinerary
  * @param {Object} start - Start location {lat, lng, address}
  * @param {Object} end - End location {lat, lng, address} (can be same as start for round trip)
- * @param {Array} hotspots - Available hotspots with species data
+ * @param {Array} hotspots - Available hotspots with species data; a hotspot's optional
+ *   timeWindow {open, close} ('HH:MM') keeps its visit within its opening hours
  * @param {Object} options - Itinerary options
  * @param {number} options.maxStops - Maximum number of hotspot stops (default: 5)
- * @param {string} options.priority - 'species', 'distance', or 'balanced' (default: 'balanced')
+ * @param {string} options.priority - 'species', 'distance', 'balanced' or 'coverage' (default: 'balanced')
  * @param {Function} options.onProgress - Progress callback
  * @param {string} [options.startTime] - Itinerary start time as 'HH:MM' (24-hour); defaults to 7:00 AM
- * @returns {Promise<Object>} Itinerary data
+ * @param {Date} [options.date] - Day the itinerary runs on; defaults to today
+ * @param {Object} [options.sunTimes] - sunriseDate/sunsetDate to schedule around; defaults to the first
+ *   hotspot weather that has them. Without sun times, no daylight cutoff is applied.
+ * @param {Object} [options.forecast] - Hourly forecast from getHourlyForecast(). Its sun times for
+ *   `date` take precedence, and each hotspot stop gets the forecast hour it's reached in.
+ * @param {Array} [options.vias] - Via points {lat, lng, address} to drive through in order between
+ *   start and end (A -> B -> C). Each hotspot stays on one leg: its `legIndex`, else the leg it adds
+ *   least travel to. The end is kept as a stop even if it's back at the start.
+ * @param {Array} [options.directLegs] - {distance, duration} per leg of the direct route through the
+ *   via points, to work out each section's detour
+ * @returns {Promise<Object>} Itinerary data; travelMode is the routing profile
+ *   ('car', 'foot' or 'bike') it was routed for. With via points, `sections` has a
+ *   getRouteSections() entry per leg.
  */
 export async function buildItinerary(start, end, hotspots, options = {}) {
     const {
         maxStops = 5,
         priority = 'balanced',
         onProgress = null,
-        startTime = null
+        startTime = null,
+        date = null,
+        sunTimes = null,
+        forecast = null,
+        vias = [],
+        directLegs = null
     } = options;
 
     if (onProgress) onProgress('Selecting optimal hotspots...', 10);
@@ -160,33 +650,51 @@ export async function buildItinerary(start, end, hotspots, options = {}) {
     }));
 
     // Select best hotspots
-    const selectedHotspots = selectHotspots(hotspotsWithDistance, maxStops, priority);
+    let selectedHotspots;
+    if (priority === 'coverage') {
+        if (onProgress) onProgress('Measuring drive times...', 15);
+        const candidates = [...hotspotsWithDistance]
+            .sort((a, b) => b.speciesCount - a.speciesCount)
+            .slice(0, MAX_COVERAGE_CANDIDATES);
+        const durations = await getDrivingDurationMatrix([start, end, ...candidates]);
+        selectedHotspots = selectHotspotsByCoverage(candidates, maxStops, { start, end, durations });
+    } else {
+        selectedHotspots = selectHotspots(hotspotsWithDistance, maxStops, priority);
+    }
 
     if (selectedHotspots.length === 0) {
         throw new Error('No hotspots available for itinerary');
     }
 
+    const day = date ? new Date(date) : new Date();
+    // A picked date is that calendar day at the location; no date means the location's today
+    const forecastDay = getForecastDay(forecast, date ? getCalendarDateKey(day) : day);
+    const daylight = getDaylightWindow(
+        (forecastDay?.sunriseDate && forecastDay) || sunTimes || hotspots.find(h => h.weather?.sunriseDate)?.weather,
+        day
+    );
+
+    // Depart at the requested time, else at sunrise when known, else 7 AM
+    let departure = new Date(day);
+    if (startTime) {
+        const [startHour, startMinute] = startTime.split(':').map(Number);
+        departure.setHours(startHour, startMinute, 0, 0);
+    } else if (daylight) {
+        departure = new Date(daylight.sunrise);
+    } else {
+        departure.setHours(7, 0, 0, 0); // Default start at 7 AM
+    }
+
     if (onProgress) onProgress('Optimizing route...', 30);
 
     // Build waypoints array: start -> hotspots -> end
     const ROUND_TRIP_TOLERANCE = 1e-6;
-    const isRoundTrip =
+    const isRoundTrip = vias.length === 0 &&
         Math.abs(start.lat - end.lat) < ROUND_TRIP_TOLERANCE &&
         Math.abs(start.lng - end.lng) < ROUND_TRIP_TOLERANCE;
     const waypoints = [
         { lat: start.lat, lng: start.lng, name: 'Start', type: 'start', address: start.address },
-        ...selectedHotspots.map(h => ({
-            lat: h.lat,
-            lng: h.lng,
-            name: h.name,
-            type: 'hotspot',
-            locId: h.locId,
-            speciesCount: h.speciesCount,
-            address: h.address,
-            birds: h.birds,
-            weather: h.weather,
-            recentObservations: h.recentObservations
-        }))
+        ...selectedHotspots.map(createHotspotStop)
     ];
 
     if (!isRoundTrip) {
@@ -206,63 +714,91 @@ export async function buildItinerary(start, end, hotspots, options = {}) {
         destination: isRoundTrip ? 'any' : 'last'
     };
 
-    let route = await getOptimizedTrip(waypoints, tripOptions);
+    // The routing engine's trip service knows nothing of opening hours, so
+    // stops with time windows are always ordered locally
+    const hasTimeWindows = waypoints.some(wp => getTimeWindow(wp.timeWindow, departure));
+    let route = null;
+    if (vias.length > 0) {
+        const viaStops = vias.map((via, i) => ({
+            lat: via.lat,
+            lng: via.lng,
+            name: via.name || `Via ${i + 1}`,
+            type: 'via',
+            address: via.address
+        }));
+        const hotspotStops = selectedHotspots.map(h => ({ ...createHotspotStop(h), legIndex: h.legIndex }));
+        route = await routeThroughVias(waypoints[0], hotspotStops, viaStops, waypoints[waypoints.length - 1]);
+        if (!route) {
+            throw new Error('Could not calculate a route for this itinerary right now. This can happen if the routing service is temporarily unavailable - please try again in a moment.');
+        }
+    } else if (!hasTimeWindows) {
+        route = await getOptimizedTrip(waypoints, tripOptions);
+    }
 
-    // Fallback to simple routing if optimization fails
+    // Fall back to ordering the stops ourselves if the engine can't
     if (!route) {
-        if (onProgress) onProgress('Using fallback routing...', 50);
-        route = await getRouteThrough(waypoints);
+        if (onProgress) onProgress('Optimizing route locally...', 50);
+        route = await solveRouteLocally(waypoints, isRoundTrip, departure);
 
         if (!route) {
             throw new Error('Could not calculate a route for this itinerary right now. This can happen if the routing service is temporarily unavailable - please try again in a moment.');
         }
-
-        // Add stops info to fallback route
-        route.stops = waypoints.map((wp, i) => ({
-            ...wp,
-            optimizedOrder: i,
-            originalIndex: i
-        }));
     }
 
     if (onProgress) onProgress('Calculating visit times...', 70);
 
-    // Add visit times and arrival/departure estimates
-    let currentTime = new Date();
-    if (startTime) {
-        const [startHour, startMinute] = startTime.split(':').map(Number);
-        currentTime.setHours(startHour, startMinute, 0, 0);
-    } else {
-        currentTime.setHours(7, 0, 0, 0); // Default start at 7 AM
+    let stops = scheduleStops(route.stops, route.legs, departure, daylight);
+
+    // A loop covers the same ground either way round; drive it in whichever
+    // direction reaches the species-rich stops during peak activity (unless
+    // opening hours already settled the direction)
+    if (isRoundTrip && !hasTimeWindows && route.legs.length === route.stops.length && route.stops.length > 2) {
+        const reversed = reverseLoop(route);
+        const reversedStops = scheduleStops(reversed.stops, reversed.legs, departure, daylight);
+        if (scoreSchedule(reversedStops) > scoreSchedule(stops)) {
+            route = reversed;
+            stops = reversedStops;
+        }
     }
 
-    const stops = route.stops.map((stop, index) => {
-        // Add travel time from previous stop before recording arrival, so the
-        // reported arrival time actually reflects the drive to reach this stop
-        if (index > 0 && route.legs[index - 1]) {
-            currentTime = new Date(currentTime.getTime() + route.legs[index - 1].duration * 1000);
+    // A one-way route's ends are fixed, but its stops can still be taken in
+    // an order that reaches the richest during peak activity
+    if (!isRoundTrip && vias.length === 0 && !hasTimeWindows && route.stops.length > 3) {
+        const reordered = await reorderForActivity(route.stops, departure, daylight);
+        if (reordered) {
+            route = reordered;
+            stops = scheduleStops(route.stops, route.legs, departure, daylight);
         }
+    }
 
-        const arrivalTime = new Date(currentTime);
-
-        const visitTime = stop.type === 'hotspot'
-            ? calculateVisitTime(stop.speciesCount || 0)
-            : 0;
-
-        const departureTime = new Date(currentTime.getTime() + visitTime * 60 * 1000);
-        currentTime = departureTime;
+    if (onProgress) onProgress('Finalizing itinerary...', 90);
 
-        return {
-            ...stop,
-            stopNumber: index + 1,
-            arrivalTime: index > 0 ? arrivalTime : null,
-            suggestedVisitTime: visitTime,
-            departureTime: stop.type !== 'end' ? departureTime : null,
-            legToNext: route.legs[index] || null
-        };
-    });
+    const itinerary = assembleItinerary(stops, route, daylight, isRoundTrip, forecast);
+    if (vias.length > 0) {
+        itinerary.sections = getRouteSections(itinerary.stops, directLegs);
+        // Kept so the sections' detours can be worked out again after an edit
+        itinerary.directLegs = directLegs;
+    }
+    return itinerary;
+}
 
-    if (onProgress) onProgress('Finalizing itinerary...', 90);
+/**
+ * Finish a scheduled itinerary: line each arrival up with its forecast hour
+ * and total up the trip
+ * @param {Array} stops - Scheduled stops from scheduleStops()
+ * @param {Object} route - Route with legs, geometry, totalDistance and totalDuration
+ * @param {Object|null} daylight - Daylight window the schedule was fitted to
+ * @param {boolean} isRoundTrip
+ * @param {Object} [forecast] - Hourly forecast from getHourlyForecast()
+ * @returns {Object} Itinerary data
+ */
+function assembleItinerary(stops, route, daylight, isRoundTrip, forecast) {
+    // Line each arrival up with that hour's forecast
+    if (forecast) {
+        stops = stops.map(stop => (stop.type === 'hotspot' && stop.arrivalTime
+            ? { ...stop, forecast: getForecastAt(forecast, stop.arrivalTime) }
+            : stop));
+    }
 
     // Calculate totals
     const totalVisitTime = stops
@@ -282,12 +818,56 @@ export async function buildItinerary(start, end, hotspots, options = {}) {
             totalVisitTime,
             totalTripTime: totalTravelTime + totalVisitTime,
             estimatedEndTime: new Date(stops[0].departureTime?.getTime() || Date.now() +
-                (totalTravelTime + totalVisitTime) * 60 * 1000)
+                (totalTravelTime + totalVisitTime) * 60 * 1000),
+            sunrise: daylight ? daylight.sunrise : null,
+            sunset: daylight ? daylight.sunset : null,
+            afterDarkStops: stops.filter(s => s.arrivesAfterDark).length
         },
-        isRoundTrip
+        isRoundTrip,
+        travelMode: getRoutingSettings().profile
     };
 }
 
+/**
+ * Re-route and re-time an itinerary whose stops were edited by hand
+ * (reordered, added, removed or given a custom visit time). The stops are
+ * driven in the order given; nothing is re-optimized.
+ * @param {Array} stops - Start, then hotspots, then the end unless a round trip
+ * @param {Object} options
+ * @param {Date} options.departure - Departure time from the start
+ * @param {boolean} options.isRoundTrip - Return to the start after the last stop
+ * @param {Object} [options.daylight] - {sunrise, sunset} to schedule around
+ * @param {Object} [options.forecast] - Hourly forecast from getHourlyForecast()
+ * @param {Array} [options.directLegs] - The itinerary's directLegs, for via-point section detours
+ * @returns {Promise<Object>} Itinerary data, as from buildItinerary()
+ */
+export async function retimeItinerary(stops, options) {
+    const { departure, isRoundTrip, daylight = null, forecast = null, directLegs = null } = options;
+
+    if (stops.filter(s => s.type === 'hotspot').length === 0) {
+        throw new Error('An itinerary needs at least one hotspot stop');
+    }
+
+    // Route a round trip back to the start, so there's a leg per stop
+    const route = await getRouteThrough(isRoundTrip ? [...stops, stops[0]] : stops);
+    if (!route) {
+        throw new Error('Could not calculate a route for this itinerary right now. This can happen if the routing service is temporarily unavailable - please try again in a moment.');
+    }
+
+    // A forecast from another arrival time would be misleading
+    const unscheduled = stops.map(({ forecast: _stale, ...stop }) => stop);
+    const scheduled = scheduleStops(unscheduled, route.legs, new Date(departure), daylight);
+    const itinerary = assembleItinerary(scheduled, route, daylight, isRoundTrip, forecast);
+    if (stops.some(s => s.type === 'via')) {
+        // The direct legs only line up while the via points are all still there
+        const sectionCount = stops.filter(s => s.type !== 'hotspot').length - 1;
+        const legs = directLegs?.length === sectionCount ? directLegs : null;
+        itinerary.sections = getRouteSections(itinerary.stops, legs);
+        itinerary.directLegs = legs;
+    }
+    return itinerary;
+}
+
 /**
  * Format duration for display
  * @param {number} minutes - Duration in minutes
@@ -0,0 +1,174 @@
+/**
+ * Itinerary Editor Service
+ * Hand edits to a built itinerary's stops: reorder, lock, add, remove and
+ * set visit times. Each edit returns a new stop list, ready for
+ * retimeItinerary() to re-route and re-time.
+ */
+
+import { createHotspotStop, estimateDriveMinutes } from './itinerary-builder.js';
+
+/**
+ * Whether a stop can be moved: hotspots that aren't locked in place
+ * @param {Object} stop
+ * @returns {boolean}
+ */
+function isMovable(stop) {
+    return stop.type === 'hotspot' && !stop.locked;
+}
+
+/**
+ * Move a stop to another place in the order. The start, the end and locked
+ * stops keep their places; the other stops shuffle around them.
+ * @param {Array} stops - Itinerary stops in order
+ * @param {number} from - Index of the stop to move
+ * @param {number} to - Index to move it to
+ * @returns {Array} Reordered stops (the same array if the move isn't allowed)
+ */
+export function moveStop(stops, from, to) {
+    const slots = stops.map((stop, i) => (isMovable(stop) ? i : -1)).filter(i => i !== -1);
+    const fromSlot = slots.indexOf(from);
+    const toSlot = slots.indexOf(to);
+    if (fromSlot === -1 || toSlot === -1 || fromSlot === toSlot) return stops;
+
+    const movable = slots.map(i => stops[i]);
+    const [moved] = movable.splice(fromSlot, 1);
+    movable.splice(toSlot, 0, moved);
+
+    const result = [...stops];
+    slots.forEach((stopIndex, k) => { result[stopIndex] = movable[k]; });
+    return result;
+}
+
+/**
+ * Move a stop one place earlier or later, skipping over locked stops
+ * @param {Array} stops
+ * @param {number} index - Index of the stop to move
+ * @param {number} direction - -1 for earlier, 1 for later
+ * @returns {Array}
+ */
+export function shiftStop(stops, index, direction) {
+    let target = index + direction;
+    while (target > 0 && target < stops.length && !isMovable(stops[target])) {
+        target += direction;
+    }
+    return moveStop(stops, index, target);
+}
+
+/**
+ * Lock a stop in place, or unlock it
+ * @param {Array} stops
+ * @param {number} index
+ * @returns {Array}
+ */
+export function toggleStopLock(stops, index) {
+    if (stops[index]?.type !== 'hotspot') return stops;
+    return stops.map((stop, i) => (i === index ? { ...stop, locked: !stop.locked } : stop));
+}
+
+/**
+ * Remove a hotspot stop
+ * @param {Array} stops
+ * @param {number} index
+ * @returns {Array}
+ */
+export function removeStop(stops, index) {
+    if (stops[index]?.type !== 'hotspot') return stops;
+    return stops.filter((_, i) => i !== index);
+}
+
+/**
+ * Set how long to spend at a stop, overriding the suggested visit time
+ * @param {Array} stops
+ * @param {number} index
+ * @param {number|null} minutes - null goes back to the suggested time
+ * @returns {Array}
+ */
+export function setStopVisitTime(stops, index, minutes) {
+    if (stops[index]?.type !== 'hotspot') return stops;
+    return stops.map((stop, i) => {
+        if (i !== index) return stop;
+        if (minutes === null || minutes === undefined) {
+            const { customVisitTime: _removed, ...rest } = stop;
+            return rest;
+        }
+        return { ...stop, customVisitTime: Math.max(0, Math.round(minutes)) };
+    });
+}
+
+/**
+ * Set a stop's opening hours, which the schedule waits for and flags
+ * arriving after. Either end may be left open.
+ * @param {Array} stops
+ * @param {number} index
+ * @param {Object|null} timeWindow - {open, close} as 'HH:MM' (24-hour), or null for none
+ * @returns {Array}
+ */
+export function setStopTimeWindow(stops, index, timeWindow) {
+    if (stops[index]?.type !== 'hotspot') return stops;
+    const valid = value => (/^([01]\d|2[0-3]):[0-5]\d$/.test(value || '') ? value : null);
+    const open = valid(timeWindow?.open);
+    const close = valid(timeWindow?.close);
+
+    return stops.map((stop, i) => {
+        if (i !== index) return stop;
+        if (!open && !close) {
+            const { timeWindow: _removed, ...rest } = stop;
+            return rest;
+        }
+        return { ...stop, timeWindow: { open, close } };
+    });
+}
+
+/**
+ * Add a hotspot from the results where it lengthens the trip least
+ * (cheapest insertion on estimated travel time), between the start and the
+ * end. A hotspot already in the itinerary isn't added twice.
+ * @param {Array} stops
+ * @param {Object} hotspot - Hotspot from the results
+ * @param {boolean} isRoundTrip - The last stop returns to the start
+ * @returns {Array}
+ */
+export function insertStop(stops, hotspot, isRoundTrip) {
+    if (stops.some(stop => stop.locId && stop.locId === hotspot.locId)) return stops;
+
+    const stop = createHotspotStop(hotspot);
+    const hasEnd = stops[stops.length - 1]?.type === 'end';
+    const lastPosition = hasEnd ? stops.length - 1 : stops.length;
+
+    let bestPosition = lastPosition;
+    let bestExtra = Infinity;
+    for (let position = 1; position <= lastPosition; position++) {
+        const prev = stops[position - 1];
+        const next = position < stops.length ? stops[position] : (isRoundTrip ? stops[0] : null);
+        const extra = estimateDriveMinutes(prev, stop) +
+            (next ? estimateDriveMinutes(stop, next) - estimateDriveMinutes(prev, next) : 0);
+        if (extra < bestExtra) {
+            bestExtra = extra;
+            bestPosition = position;
+        }
+    }
+
+    return [...stops.slice(0, bestPosition), stop, ...stops.slice(bestPosition)];
+}
+
+/**
+ * Turn a saved itinerary (from storage.getSavedItineraries()) back into
+ * what retimeItinerary() needs. Itineraries saved before editing existed
+ * only kept their stops, so the rest is worked out from those.
+ * @param {Object} saved - Saved itinerary
+ * @returns {{stops: Array, departure: Date, isRoundTrip: boolean, daylight: Object|null, directLegs: Array|null}}
+ */
+export function restoreSavedItinerary(saved) {
+    const stops = saved.stops || [];
+    const departure = saved.departure || stops[0]?.departureTime;
+
+    return {
+        stops,
+        departure: departure ? new Date(departure) : new Date(),
+        isRoundTrip: saved.isRoundTrip ?? !stops.some(stop => stop.type === 'end'),
+        daylight: saved.sunrise && saved.sunset
+            ? { sunrise: new Date(saved.sunrise), sunset: new Date(saved.sunset) }
+            : null,
+        directLegs: saved.directLegs || null
+    };
+}
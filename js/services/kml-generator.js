@@ -0,0 +1,334 @@
+/**
+ * KML/KMZ Generator Service
+ * Generates KML 2.2 documents (and zipped KMZ) for Google Earth, uMap and
+ * QGIS: styled placemarks with species lists, and the route as a LineString
+ */
+
+import { escapeXml } from './gpx-generator.js';
+import { getEbirdHotspotUrl } from '../utils/formatters.js';
+
+// Google Earth's stock paddle icons; colors are KML's aabbggrr
+const STYLES = {
+    start: { icon: 'https://maps.google.com/mapfiles/kml/paddle/grn-circle.png' },
+    end: { icon: 'https://maps.google.com/mapfiles/kml/paddle/red-circle.png' },
+    via: { icon: 'https://maps.google.com/mapfiles/kml/paddle/blu-circle.png' },
+    hotspot: { icon: 'https://maps.google.com/mapfiles/kml/paddle/ylw-stars.png' },
+    route: { color: 'ff356b3a', width: 4 }  // #3A6B35, the app's route green
+};
+
+/**
+ * Escape text for the HTML that goes inside a KML <description>
+ * (which is then XML-escaped as a whole)
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML description for a hotspot placemark: species count, eBird link and
+ * the species list, with notables and lifers marked
+ * @param {Object} hotspot - Hotspot or itinerary stop with speciesCount, locId and birds
+ * @returns {string} HTML
+ */
+function buildHotspotDescription(hotspot) {
+    let html = `<p>Birding hotspot with ${hotspot.speciesCount ?? 0} species observed recently.</p>`;
+    if (hotspot.address) {
+        html += `<p>${escapeHtml(hotspot.address)}</p>`;
+    }
+    if (hotspot.locId) {
+        html += `<p><a href="${escapeHtml(getEbirdHotspotUrl(hotspot.locId))}">View on eBird</a></p>`;
+    }
+
+    const birds = hotspot.birds || [];
+    if (birds.length > 0) {
+        const items = birds.map(bird => {
+            const tags = [bird.isNotable && 'notable', bird.isLifer && 'lifer'].filter(Boolean);
+            return `<li>${escapeHtml(bird.comName)}${tags.length > 0 ? ` (${tags.join(', ')})` : ''}</li>`;
+        }).join('');
+        html += `<ul>${items}</ul>`;
+    }
+    return html;
+}
+
+/**
+ * Build a point placemark
+ * @param {Object} point - {lat, lng}
+ * @param {string} name
+ * @param {string} descriptionHtml
+ * @param {string} styleId - Key of STYLES
+ * @param {string} [indent]
+ * @returns {string} KML
+ */
+function buildPointPlacemark(point, name, descriptionHtml, styleId, indent = '    ') {
+    return `${indent}<Placemark>
+${indent}  <name>${escapeXml(name)}</name>
+${indent}  <description>${escapeXml(descriptionHtml)}</description>
+${indent}  <styleUrl>#${styleId}</styleUrl>
+${indent}  <Point><coordinates>${point.lng},${point.lat},0</coordinates></Point>
+${indent}</Placemark>`;
+}
+
+/**
+ * Wrap KML features in the shared KML 2.2 envelope, with the styles and the
+ * same name/description/creator/time metadata as the GPX generator
+ * @param {string} name - Document name
+ * @param {string} description - Document description
+ * @param {string} bodyXml - Placemarks and folders
+ * @returns {string} Full KML document
+ */
+function buildKmlDocument(name, description, bodyXml) {
+    const now = new Date().toISOString();
+    const iconStyles = ['start', 'end', 'via', 'hotspot'].map(id => `    <Style id="${id}">
+      <IconStyle><Icon><href>${STYLES[id].icon}</href></Icon></IconStyle>
+    </Style>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <description>${escapeXml(description)}</description>
+    <ExtendedData>
+      <Data name="creator"><value>Birding Hotspots Finder</value></Data>
+      <Data name="time"><value>${now}</value></Data>
+    </ExtendedData>
+${iconStyles}
+    <Style id="route">
+      <LineStyle><color>${STYLES.route.color}</color><width>${STYLES.route.width}</width></LineStyle>
+    </Style>
+${bodyXml}
+  </Document>
+</kml>`;
+}
+
+/**
+ * Build a folder with one itinerary's stops and route
+ * @param {Object} itinerary - Itinerary data from buildItinerary()
+ * @param {string} name - Folder (and route) name
+ * @param {string} [labelPrefix] - Prepended to every stop name (e.g. 'Day 2 ')
+ * @returns {string} KML
+ */
+function buildItineraryFolder(itinerary, name, labelPrefix = '') {
+    const stops = itinerary.stops;
+
+    const getStopName = (stop, index) => labelPrefix + (stop.type === 'start' ? 'Start' :
+        stop.type === 'end' ? 'End' :
+            `${index}. ${stop.name}`);
+
+    const placemarks = stops.map((stop, index) => buildPointPlacemark(
+        stop,
+        getStopName(stop, index),
+        stop.type === 'hotspot' ? buildHotspotDescription(stop) : escapeHtml(stop.address || ''),
+        stop.type,
+        '      '
+    )).join('\n');
+
+    // The routed road geometry if there is one, else straight lines between stops
+    const coordinates = itinerary.geometry?.coordinates?.length > 0
+        ? itinerary.geometry.coordinates
+        : [...stops, ...(itinerary.isRoundTrip ? [stops[0]] : [])].map(stop => [stop.lng, stop.lat]);
+    const routeXml = `      <Placemark>
+        <name>${escapeXml(`${name} Route`)}</name>
+        <styleUrl>#route</styleUrl>
+        <LineString>
+          <tessellate>1</tessellate>
+          <coordinates>${coordinates.map(([lng, lat]) => `${lng},${lat},0`).join(' ')}</coordinates>
+        </LineString>
+      </Placemark>`;
+
+    return `    <Folder>
+      <name>${escapeXml(name)}</name>
+${placemarks}
+${routeXml}
+    </Folder>`;
+}
+
+/**
+ * Generate a KML document from itinerary data
+ * @param {Object} itinerary - Itinerary data from buildItinerary()
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Name of the route (default: 'Birding Itinerary')
+ * @param {string} options.description - Description of the route
+ * @returns {string} KML XML content
+ */
+export function generateKML(itinerary, options = {}) {
+    const {
+        name = 'Birding Itinerary',
+        description = 'Optimized birding route generated by Birding Hotspots Finder'
+    } = options;
+
+    return buildKmlDocument(name, description, buildItineraryFolder(itinerary, name));
+}
+
+/**
+ * Generate a KML document from a multi-day trip plan, with one folder per
+ * day. Days without stops are skipped.
+ * @param {Object} plan - Trip plan from planMultiDayTrip()
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Name of the trip (default: 'Birding Trip')
+ * @param {string} options.description - Description of the trip
+ * @returns {string} KML XML content
+ */
+export function generateTripPlanKML(plan, options = {}) {
+    const {
+        name = 'Birding Trip',
+        description = `${plan.summary.totalDays}-day birding trip generated by Birding Hotspots Finder`
+    } = options;
+
+    const folders = plan.days
+        .filter(day => day.itinerary)
+        .map(day => buildItineraryFolder(day.itinerary, `${name} - Day ${day.dayNumber}`, `Day ${day.dayNumber} `))
+        .join('\n');
+
+    return buildKmlDocument(name, description, folders);
+}
+
+/**
+ * Generate a placemarks-only KML document from a plain hotspot search
+ * result list, plus the search origin if provided
+ * @param {Object} [origin] - Search origin {lat, lng, address}
+ * @param {Array} hotspots - Hotspot search results with lat/lng/name/speciesCount/birds
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Name of the document (default: 'Birding Hotspots')
+ * @param {string} options.description - Description of the document
+ * @returns {string} KML XML content
+ */
+export function generateHotspotsKML(origin, hotspots, options = {}) {
+    const {
+        name = 'Birding Hotspots',
+        description = 'Birding hotspots found by Birding Hotspots Finder'
+    } = options;
+
+    const placemarks = [];
+    if (origin && Number.isFinite(origin.lat) && Number.isFinite(origin.lng)) {
+        placemarks.push(buildPointPlacemark(origin, 'Search Origin', escapeHtml(origin.address || ''), 'start'));
+    }
+    hotspots.forEach((hotspot, index) => {
+        placemarks.push(buildPointPlacemark(hotspot, `${index + 1}. ${hotspot.name}`, buildHotspotDescription(hotspot), 'hotspot'));
+    });
+
+    return buildKmlDocument(name, description, placemarks.join('\n'));
+}
+
+// ==================== KMZ ====================
+
+let crcTable = null;
+
+/**
+ * CRC-32 (the ZIP checksum)
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Package a KML document as a KMZ: a ZIP archive holding it as doc.kml.
+ * The entry is stored uncompressed, which every KMZ reader accepts and
+ * keeps this free of a compression library.
+ * @param {string} kml - KML document
+ * @returns {Uint8Array} KMZ file bytes
+ */
+export function generateKMZ(kml) {
+    const name = new TextEncoder().encode('doc.kml');
+    const data = new TextEncoder().encode(kml);
+    const crc = crc32(data);
+
+    // DOS date/time of "now" for the entry
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localHeaderSize = 30 + name.length;
+    const centralSize = 46 + name.length;
+    const bytes = new Uint8Array(localHeaderSize + data.length + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+
+    // Local file header
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);            // version needed
+    view.setUint16(6, 0x0800, true);        // UTF-8 names
+    view.setUint16(8, 0, true);             // stored
+    view.setUint16(10, dosTime, true);
+    view.setUint16(12, dosDate, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, data.length, true);  // compressed size
+    view.setUint32(22, data.length, true);  // uncompressed size
+    view.setUint16(26, name.length, true);
+    view.setUint16(28, 0, true);            // extra length
+    bytes.set(name, 30);
+    bytes.set(data, localHeaderSize);
+
+    // Central directory entry
+    const central = localHeaderSize + data.length;
+    view.setUint32(central, 0x02014b50, true);
+    view.setUint16(central + 4, 20, true);  // version made by
+    view.setUint16(central + 6, 20, true);  // version needed
+    view.setUint16(central + 8, 0x0800, true);
+    view.setUint16(central + 10, 0, true);
+    view.setUint16(central + 12, dosTime, true);
+    view.setUint16(central + 14, dosDate, true);
+    view.setUint32(central + 16, crc, true);
+    view.setUint32(central + 20, data.length, true);
+    view.setUint32(central + 24, data.length, true);
+    view.setUint16(central + 28, name.length, true);
+    // extra, comment, disk, attributes: all zero
+    view.setUint32(central + 42, 0, true);  // local header offset
+    bytes.set(name, central + 46);
+
+    // End of central directory
+    const end = central + centralSize;
+    view.setUint32(end, 0x06054b50, true);
+    view.setUint16(end + 8, 1, true);       // entries on this disk
+    view.setUint16(end + 10, 1, true);      // entries in total
+    view.setUint32(end + 12, centralSize, true);
+    view.setUint32(end + 16, central, true);
+
+    return bytes;
+}
+
+/**
+ * Download a KML document, or a KMZ packaging it
+ * @param {string} kmlContent - KML XML content
+ * @param {string} filename - Filename without extension
+ * @param {Object} [options]
+ * @param {boolean} [options.kmz=false] - Download as a zipped .kmz
+ */
+export function downloadKML(kmlContent, filename = 'birding-itinerary', { kmz = false } = {}) {
+    const blob = kmz
+        ? new Blob([generateKMZ(kmlContent)], { type: 'application/vnd.google-earth.kmz' })
+        : new Blob([kmlContent], { type: 'application/vnd.google-earth.kml+xml' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filename}.${kmz ? 'kmz' : 'kml'}`;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
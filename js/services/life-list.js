@@ -3,14 +3,23 @@
  * Manages the user's personal bird life list for identifying potential lifers
  */
 import { CONFIG } from '../utils/constants.js';
+import { parseChecklistHistory, getRegionalListKeys } from './ebird-data-import.js';
 
 const { STORAGE_KEYS, LIFE_LIST_IMPORT } = CONFIG;
 
+/**
+ * Lists lifers can be counted against. Everything but 'world' needs an
+ * imported checklist history.
+ */
+export const LIFER_SCOPES = ['world', 'country', 'state', 'county', 'year'];
+
 export class LifeListService {
     constructor() {
         this.storageKey = STORAGE_KEYS.LIFE_LIST;
         this._cachedCodes = null;
         this._cachedNames = null;
+        this._regionalLists = undefined; // undefined = not read yet, null = none imported
+        this._regionalSets = new Map();
     }
 
     /**
@@ -218,6 +227,273 @@ export class LifeListService {
         return result;
     }
 
+    /**
+     * Import a full "My eBird Data" checklist history export. The file is
+     * streamed, never read whole. Its world list is merged into the life
+     * list; country, state, county and year lists are stored alongside it
+     * (replacing any previous import) for regional lifer detection.
+     * @param {ReadableStream} stream - The CSV file's stream, e.g. File.stream()
+     * @param {Array} taxonomy - eBird taxonomy array for resolving species codes
+     * @param {Object} [options]
+     * @param {number} [options.totalBytes] - File size, for progress reporting
+     * @param {Function} [options.onProgress] - Called with percent of the file read
+     * @param {Function} [options.resolveCounties] - (stateCode) => Promise<Array<{code, name}>>, used
+     *   to key county lists by eBird region code (the export only has county names)
+     * @returns {Promise<Object>} Result with rows read, species imported/duplicates and notMatched names
+     */
+    async importChecklistHistory(stream, taxonomy = [], options = {}) {
+        const { totalBytes, onProgress, resolveCounties = null } = options;
+        const parsed = await parseChecklistHistory(stream, taxonomy, {
+            totalBytes,
+            onProgress,
+            fallbackCode: name => this._generateFallbackCode(name)
+        });
+
+        const result = { rows: parsed.rows, imported: 0, duplicates: 0, notMatched: parsed.notMatched };
+
+        // The world list goes into the regular life list
+        const existingCodes = this.getLifeListCodes();
+        const newSpecies = [];
+        for (const code of parsed.lists.get('world') || []) {
+            if (existingCodes.has(code)) {
+                result.duplicates++;
+            } else {
+                const species = parsed.species.get(code);
+                newSpecies.push({
+                    speciesCode: code,
+                    comName: species.comName,
+                    sciName: species.sciName || '',
+                    dateAdded: new Date().toISOString()
+                });
+            }
+        }
+        if (newSpecies.length > 0) {
+            this._saveList([...this.getLifeList(), ...newSpecies]);
+            result.imported = newSpecies.length;
+        }
+
+        // Hotspots carry county region codes (US-NY-109), the export only names
+        // (Tompkins) - look each state's counties up so lists can be keyed by code
+        const countyKeyByName = new Map();
+        const unresolvedStates = new Set();
+        const states = new Set([...parsed.counties.values()].map(c => c.stateCode));
+        for (const stateCode of states) {
+            let codeByName = null;
+            if (resolveCounties) {
+                try {
+                    const subregions = await resolveCounties(stateCode);
+                    codeByName = new Map(subregions.map(r => [r.name.toLowerCase(), r.code]));
+                } catch (e) {
+                    console.warn(`Could not look up counties for ${stateCode}:`, e);
+                }
+            }
+            for (const [key, county] of parsed.counties) {
+                if (county.stateCode !== stateCode) continue;
+                const code = codeByName?.get(county.countyName.toLowerCase());
+                if (code) {
+                    countyKeyByName.set(key, `county:${code}`);
+                } else {
+                    unresolvedStates.add(stateCode);
+                }
+            }
+        }
+
+        const lists = {};
+        const species = {};
+        for (const [key, codes] of parsed.lists) {
+            if (key === 'world') continue;
+            lists[countyKeyByName.get(key) || key] = [...codes];
+            for (const code of codes) {
+                if (!species[code]) species[code] = parsed.species.get(code).comName;
+            }
+        }
+
+        this._saveRegionalLists({
+            importedAt: new Date().toISOString(),
+            rows: parsed.rows,
+            species,
+            lists,
+            unresolvedCountyStates: [...unresolvedStates]
+        });
+
+        return result;
+    }
+
+    /**
+     * Get the regional and year lists from the last checklist history import
+     * @returns {Object|null} {importedAt, rows, species: {code: comName}, lists: {key: codes[]}, unresolvedCountyStates}
+     */
+    getRegionalLists() {
+        if (this._regionalLists === undefined) {
+            try {
+                const stored = localStorage.getItem(STORAGE_KEYS.REGIONAL_LIFE_LISTS);
+                this._regionalLists = stored ? JSON.parse(stored) : null;
+            } catch (e) {
+                console.warn('Could not read regional life lists from localStorage:', e);
+                this._regionalLists = null;
+            }
+        }
+        return this._regionalLists;
+    }
+
+    /**
+     * Save the regional and year lists
+     * @param {Object} regional - As returned by getRegionalLists()
+     */
+    _saveRegionalLists(regional) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.REGIONAL_LIFE_LISTS, JSON.stringify(regional));
+        } catch (e) {
+            console.warn('Could not save regional life lists to localStorage:', e);
+        }
+        this._regionalLists = regional;
+        this._regionalSets.clear();
+    }
+
+    /**
+     * Whether there are any regional or year lists, imported or added by hand
+     * @returns {boolean}
+     */
+    hasRegionalLists() {
+        return this.getRegionalLists() !== null;
+    }
+
+    /**
+     * Whether a checklist history has been imported. Lists started by hand
+     * don't count: a region missing from them says nothing about whether the
+     * user has birded there.
+     * @returns {boolean}
+     */
+    hasImportedHistory() {
+        return Boolean(this.getRegionalLists()?.importedAt);
+    }
+
+    /**
+     * Count the imported lists by kind, for display
+     * @returns {Object|null} {rows, countries, states, counties, years, importedAt}, or null if nothing imported
+     */
+    getRegionalListSummary() {
+        const regional = this.getRegionalLists();
+        if (!regional) return null;
+
+        const keys = Object.keys(regional.lists);
+        const count = prefix => keys.filter(k => k.startsWith(prefix)).length;
+        return {
+            rows: regional.rows,
+            countries: count('country:'),
+            states: count('state:'),
+            counties: count('county:'),
+            years: count('year:'),
+            importedAt: regional.importedAt
+        };
+    }
+
+    /**
+     * Get the list lifers are currently counted against
+     * @returns {string} One of LIFER_SCOPES
+     */
+    getLiferScope() {
+        try {
+            const scope = localStorage.getItem(STORAGE_KEYS.LIFER_SCOPE);
+            if (LIFER_SCOPES.includes(scope) && (scope === 'world' || this.hasImportedHistory())) {
+                return scope;
+            }
+        } catch (e) {
+            console.warn('Could not read lifer scope from localStorage:', e);
+        }
+        return 'world';
+    }
+
+    /**
+     * Choose the list lifers are counted against
+     * @param {string} scope - One of LIFER_SCOPES
+     */
+    setLiferScope(scope) {
+        if (!LIFER_SCOPES.includes(scope)) return;
+        try {
+            localStorage.setItem(STORAGE_KEYS.LIFER_SCOPE, scope);
+        } catch (e) {
+            console.warn('Could not save lifer scope to localStorage:', e);
+        }
+    }
+
+    /**
+     * Get the species a hotspot's sightings should be compared against to
+     * flag lifers, for the current lifer scope - e.g. the state list of the
+     * state the hotspot is in, or this year's list. Falls back to the life
+     * list when the hotspot's region can't be matched.
+     * @param {Object} region - Hotspot region {countryCode, subnational1Code, subnational2Code, subnational2Name}
+     * @param {Date} [date] - Date for year lists (default: today)
+     * @returns {{codes: Set<string>, names: Set<string>, hasList: boolean}} Arguments for processObservations()
+     */
+    getLiferReference(region = {}, date = new Date()) {
+        const lifeList = () => {
+            const codes = this.getLifeListCodes();
+            const names = this.getLifeListNames();
+            return { codes, names, hasList: codes.size > 0 || names.size > 0 };
+        };
+
+        const scope = this.getLiferScope();
+        if (scope === 'world') return lifeList();
+        return this._getRegionalReference(scope, region, date) || lifeList();
+    }
+
+    /**
+     * Get the species a hotspot's sightings should be compared against to
+     * flag year, state and county birds. Each list is null when the hotspot's
+     * region can't be matched, or has no list and no checklist history has
+     * been imported, so those flags are simply left off.
+     * @param {Object} region - Hotspot region {countryCode, subnational1Code, subnational2Code, subnational2Name}
+     * @param {Date} [date] - Date for the year list (default: today)
+     * @returns {{year: Object|null, state: Object|null, county: Object|null}} Each a
+     *   {codes, names, hasList} reference, as processObservations() takes them
+     */
+    getTickLists(region = {}, date = new Date()) {
+        return {
+            year: this._getRegionalReference('year', region, date),
+            state: this._getRegionalReference('state', region, date),
+            county: this._getRegionalReference('county', region, date)
+        };
+    }
+
+    /**
+     * Look up an imported regional or year list for a hotspot
+     * @param {string} scope - 'country', 'state', 'county' or 'year'
+     * @param {Object} region - Hotspot region
+     * @param {Date} date - Date for year lists
+     * @returns {{codes: Set<string>, names: Set<string>, hasList: boolean}|null} The list,
+     *   an empty one if the imported history shows the user has never birded
+     *   there, or null if it can't be told
+     */
+    _getRegionalReference(scope, region, date) {
+        const regional = this.getRegionalLists();
+        const keys = regional ? getRegionalListKeys(scope, region, date) : null;
+        if (!keys) return null;
+
+        const key = keys.find(k => regional.lists[k]);
+        if (!key) {
+            // Only hand-added lists: no list here doesn't mean never birded here
+            if (!regional.importedAt) return null;
+            // An unmatched county may just be one whose name couldn't be resolved to a code
+            if (scope === 'county' && !region.subnational2Name &&
+                regional.unresolvedCountyStates.includes(region.subnational1Code)) {
+                return null;
+            }
+            // Never birded here: every species counts
+            return { codes: new Set(), names: new Set(), hasList: true };
+        }
+
+        if (!this._regionalSets.has(key)) {
+            const codes = regional.lists[key];
+            this._regionalSets.set(key, {
+                codes: new Set(codes),
+                names: new Set(codes.map(code => regional.species[code]?.toLowerCase()).filter(Boolean)),
+                hasList: true
+            });
+        }
+        return this._regionalSets.get(key);
+    }
+
     /**
      * Parse a CSV line, handling quoted values
      * @param {string} line - CSV line
@@ -303,6 +579,79 @@ export class LifeListService {
         return true;
     }
 
+    /**
+     * The stored key of a year, state or county list
+     * @param {string} scope - 'year', 'state' or 'county'
+     * @param {string|number} regionCode - A year (2026), or an eBird state (US-NY) or county (US-NY-109) code
+     * @returns {string|null} null if the code doesn't fit the scope
+     */
+    _getTickListKey(scope, regionCode) {
+        const code = String(regionCode || '').trim().toUpperCase();
+        const patterns = {
+            year: /^\d{4}$/,
+            state: /^[A-Z]{2}-[A-Z0-9]{1,3}$/,
+            county: /^[A-Z]{2}-[A-Z0-9]{1,3}-[A-Z0-9]+$/
+        };
+        return patterns[scope]?.test(code) ? `${scope}:${code}` : null;
+    }
+
+    /**
+     * Whether a region code fits a year, state or county list
+     * @param {string} scope - 'year', 'state' or 'county'
+     * @param {string|number} regionCode
+     * @returns {boolean}
+     */
+    isValidTickRegion(scope, regionCode) {
+        return this._getTickListKey(scope, regionCode) !== null;
+    }
+
+    /**
+     * Add a species to a year, state or county list by hand, e.g. a bird
+     * seen since the last checklist history import. The list is started if
+     * there isn't one yet.
+     * @param {string} scope - 'year', 'state' or 'county'
+     * @param {string|number} regionCode - A year (2026), or an eBird state (US-NY) or county (US-NY-109) code
+     * @param {Object} species - Species object with speciesCode and comName
+     * @returns {boolean} True if added, false if already on the list or the region code is invalid
+     */
+    addTick(scope, regionCode, species) {
+        const key = this._getTickListKey(scope, regionCode);
+        if (!key || !species.speciesCode) return false;
+
+        const regional = this.getRegionalLists() ||
+            { importedAt: null, rows: 0, species: {}, lists: {}, unresolvedCountyStates: [] };
+        const codes = regional.lists[key] || [];
+        if (codes.includes(species.speciesCode)) return false;
+
+        this._saveRegionalLists({
+            ...regional,
+            species: { ...regional.species, [species.speciesCode]: species.comName || species.speciesCode },
+            lists: { ...regional.lists, [key]: [...codes, species.speciesCode] }
+        });
+        return true;
+    }
+
+    /**
+     * Remove a species from a year, state or county list
+     * @param {string} scope - 'year', 'state' or 'county'
+     * @param {string|number} regionCode - A year, or an eBird state or county code
+     * @param {string} speciesCode - Species code to remove
+     * @returns {boolean} True if removed, false if not found
+     */
+    removeTick(scope, regionCode, speciesCode) {
+        const key = this._getTickListKey(scope, regionCode);
+        const regional = this.getRegionalLists();
+        const codes = key && regional?.lists[key];
+        if (!codes || !codes.includes(speciesCode)) return false;
+
+        // The emptied list is kept: it still says every species counts there
+        this._saveRegionalLists({
+            ...regional,
+            lists: { ...regional.lists, [key]: codes.filter(code => code !== speciesCode) }
+        });
+        return true;
+    }
+
     /**
      * Check if a species is on the life list
      * @param {string} speciesCode - Species code to check
@@ -326,7 +675,11 @@ export class LifeListService {
     clear() {
         try {
             localStorage.removeItem(this.storageKey);
+            localStorage.removeItem(STORAGE_KEYS.REGIONAL_LIFE_LISTS);
+            localStorage.removeItem(STORAGE_KEYS.LIFER_SCOPE);
             this._invalidateCache();
+            this._regionalLists = null;
+            this._regionalSets.clear();
         } catch (e) {
             console.warn('Could not clear life list from localStorage:', e);
         }
@@ -326,7 +326,7 @@ function drawLegend(ctx, width, height) {
  * @param {Array} hotspots - Array of hotspot objects
  * @returns {Object} Bounds object with min/max lat/lng
  */
-function calculateBounds(centerLat, centerLng, hotspots) {
+export function calculateBounds(centerLat, centerLng, hotspots) {
     let minLat = centerLat;
     let maxLat = centerLat;
     let minLng = centerLng;
@@ -351,12 +351,48 @@ function calculateBounds(centerLat, centerLng, hotspots) {
     };
 }
 
+/**
+ * List the OpenStreetMap tile URLs covering a bounding box across a range of
+ * zoom levels, lowest zoom first. Zoom levels are added whole until the next
+ * one would exceed maxTiles, so a large area gets fewer zoom levels rather
+ * than a patchy top level.
+ *
+ * URLs use the bare tile.openstreetmap.org host. The {s} subdomain Leaflet
+ * picks varies per request, so this canonical form is what cached tiles are
+ * keyed by (see sw.js).
+ * @param {Object} bounds - Bounds object with min/max lat/lng
+ * @param {Object} [options]
+ * @param {number} [options.minZoom=8]
+ * @param {number} [options.maxZoom=14]
+ * @param {number} [options.maxTiles=400]
+ * @returns {string[]} Tile URLs
+ */
+export function getTileUrlsForBounds(bounds, { minZoom = 8, maxZoom = 14, maxTiles = 400 } = {}) {
+    const urls = [];
+
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const topLeft = latLngToTile(bounds.maxLat, bounds.minLng, zoom);
+        const bottomRight = latLngToTile(bounds.minLat, bounds.maxLng, zoom);
+        const levelCount = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+
+        if (urls.length + levelCount > maxTiles) break;
+
+        for (let y = topLeft.y; y <= bottomRight.y; y++) {
+            for (let x = topLeft.x; x <= bottomRight.x; x++) {
+                urls.push(`https://tile.openstreetmap.org/${zoom}/${x}/${y}.png`);
+            }
+        }
+    }
+
+    return urls;
+}
+
 /**
  * Calculate bounds that include route geometry and all stops
  * @param {Object} itinerary - Itinerary with stops and geometry
  * @returns {Object} Bounds object with min/max lat/lng
  */
-function calculateRouteBounds(itinerary) {
+export function calculateRouteBounds(itinerary) {
     let minLat = Infinity;
     let maxLat = -Infinity;
     let minLng = Infinity;
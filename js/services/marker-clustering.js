@@ -0,0 +1,36 @@
+/**
+ * Marker Clustering Service
+ * Groups map markers that would overlap at the current zoom, so a map with
+ * dozens of hotspots, sightings or route candidates stays readable. Works on
+ * screen positions, so the groups split apart as the map zooms in.
+ */
+
+/**
+ * Group points lying within cellSizePx of each other on screen. Each point
+ * joins the first cluster whose seed is close enough, else starts a new one,
+ * so the result only depends on the order of the points.
+ * @param {Array<{lat: number, lng: number}>} points - Extra properties are kept
+ * @param {Function} project - (lat, lng) => {x, y} screen pixels at the current zoom
+ * @param {number} cellSizePx - How close (in px) two markers must be to group
+ * @returns {Array<{lat: number, lng: number, members: Array}>} Clusters in order of their first
+ *   point, positioned at their members' average
+ */
+export function clusterPoints(points, project, cellSizePx) {
+    const clusters = [];
+
+    for (const point of points) {
+        const { x, y } = project(point.lat, point.lng);
+        const cluster = clusters.find(c => Math.abs(c.x - x) <= cellSizePx && Math.abs(c.y - y) <= cellSizePx);
+        if (cluster) {
+            cluster.members.push(point);
+        } else {
+            clusters.push({ x, y, members: [point] });
+        }
+    }
+
+    return clusters.map(({ members }) => ({
+        lat: members.reduce((sum, p) => sum + p.lat, 0) / members.length,
+        lng: members.reduce((sum, p) => sum + p.lng, 0) / members.length,
+        members
+    }));
+}
@@ -0,0 +1,156 @@
+/**
+ * Migration Radar Service
+ * Reads an hourly forecast for the nights when weather puts birds on the
+ * move: north winds behind a fall cold front ("big flight") and southerly
+ * spring flow that runs into rain by dawn ("possible fallout")
+ */
+
+import { CONFIG } from '../utils/constants.js';
+import { getWindDirection } from '../api/weather.js';
+
+/**
+ * Which migration a month falls in, flipped for the southern hemisphere
+ * @param {number} month - 1-12
+ * @param {number} lat - Latitude of the location
+ * @returns {'spring'|'fall'|null}
+ */
+function getMigrationSeason(month, lat) {
+    const northernMonth = lat < 0 ? ((month + 5) % 12) + 1 : month;
+    if (northernMonth >= 3 && northernMonth <= 5) return 'spring';
+    if (northernMonth >= 8 && northernMonth <= 11) return 'fall';
+    return null;
+}
+
+/**
+ * Whether a wind helps birds heading poleward (spring) or toward the
+ * equator (fall). Winds within 70° of straight behind them count.
+ * @param {number} degrees - Direction the wind blows from
+ * @param {'spring'|'fall'} season
+ * @param {number} lat - Latitude of the location
+ * @returns {boolean}
+ */
+function isTailwind(degrees, season, lat) {
+    const headingNorth = (season === 'spring') === (lat >= 0);
+    const from = headingNorth ? 180 : 0;
+    const diff = Math.abs(((degrees - from) % 360 + 540) % 360 - 180);
+    return diff <= 70;
+}
+
+/**
+ * Average wind direction (vector mean, so 350° and 10° average to N)
+ * @param {Array<number>} degrees
+ * @returns {number}
+ */
+function meanDirection(degrees) {
+    const x = degrees.reduce((sum, d) => sum + Math.cos(d * Math.PI / 180), 0);
+    const y = degrees.reduce((sum, d) => sum + Math.sin(d * Math.PI / 180), 0);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function average(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Whether a cold front came through in the hours before a night: the wind
+ * swung round from the spring (warm) quarter to the fall (cold) quarter, or
+ * it got markedly cooler than the day before
+ * @param {Array} before - The 24 forecast hours before the night
+ * @param {Array} dayBefore - The 24 hours before those
+ * @param {number} lat
+ * @returns {boolean}
+ */
+function hadColdFront(before, dayBefore, lat) {
+    const winds = before.filter(hour => hour.windDegrees !== null && hour.windDegrees !== undefined);
+    const firstWarm = winds.findIndex(hour => isTailwind(hour.windDegrees, 'spring', lat));
+    const windShift = firstWarm !== -1 && winds.slice(firstWarm + 1).some(hour => isTailwind(hour.windDegrees, 'fall', lat));
+    if (windShift) return true;
+
+    if (before.length < 12 || dayBefore.length < 12) return false;
+    const drop = average(dayBefore.map(hour => hour.temperatureC)) - average(before.map(hour => hour.temperatureC));
+    return drop >= CONFIG.MIGRATION_RADAR.FRONT_TEMP_DROP_C;
+}
+
+/**
+ * Find the mornings worth getting out for: in fall, a night of north winds
+ * after a cold front means a "big flight"; in spring, southerly flow overnight
+ * followed by rain by dawn means a "possible fallout". Each morning's night
+ * runs from 8 PM the evening before.
+ * @param {Object|null} forecast - From getHourlyForecast()
+ * @param {Object} options
+ * @param {number} options.lat - Latitude of the location (sets the hemisphere)
+ * @param {Date} [options.now] - "now", injectable for testing; mornings already over are skipped
+ * @returns {Array} Alerts sorted by date {type: 'big-flight'|'fallout', season, date ('YYYY-MM-DD' of the
+ *   morning), strength: 'high'|'moderate', windDirection, windSpeedMph, message, detail}
+ */
+export function getMigrationRadarAlerts(forecast, options) {
+    const { lat, now = new Date() } = options;
+    if (!forecast?.hours?.length) return [];
+
+    const radar = CONFIG.MIGRATION_RADAR;
+    const alerts = [];
+
+    forecast.days.forEach(day => {
+        const season = getMigrationSeason(Number(day.date.slice(5, 7)), lat);
+        if (!season) return;
+
+        // Night hours and the morning's dawn hours, by the location's wall clock
+        const dayStart = forecast.hours.findIndex(hour => hour.time.startsWith(day.date));
+        if (dayStart === -1) return;
+        const morningOver = forecast.hours[dayStart + 11];
+        if (morningOver && morningOver.date.getTime() + 3600000 <= now.getTime()) return;
+
+        const nightStart = dayStart - (24 - radar.NIGHT_START_HOUR);
+        const night = forecast.hours.slice(Math.max(0, nightStart), dayStart + radar.NIGHT_END_HOUR)
+            .filter(hour => hour.windDegrees !== null && hour.windDegrees !== undefined);
+        if (night.length < radar.MIN_NIGHT_HOURS) return;
+
+        const tailwindHours = night.filter(hour => isTailwind(hour.windDegrees, season, lat)).length;
+        const windSpeedMph = Math.round(average(night.map(hour => hour.windSpeedMph)));
+        if (tailwindHours / night.length < radar.TAILWIND_FRACTION) return;
+        if (windSpeedMph < radar.MIN_WIND_MPH || windSpeedMph > radar.MAX_WIND_MPH) return;
+
+        const windDirection = getWindDirection(meanDirection(night.map(hour => hour.windDegrees)));
+        const strength = tailwindHours / night.length >= 0.8 && windSpeedMph >= 10 ? 'high' : 'moderate';
+        const isRainy = hour => hour.precipitationProbability >= radar.RAIN_PROBABILITY ||
+            (hour.precipitationMm || 0) >= radar.RAIN_MM;
+
+        if (season === 'fall') {
+            // Rain grounds birds, so a wet night is no big flight
+            if (night.filter(isRainy).length / night.length > 0.3) return;
+
+            const before = forecast.hours.slice(Math.max(0, nightStart - 24), Math.max(0, nightStart));
+            const dayBefore = forecast.hours.slice(Math.max(0, nightStart - 48), Math.max(0, nightStart - 24));
+            if (!hadColdFront(before, dayBefore, lat)) return;
+
+            alerts.push({
+                type: 'big-flight',
+                season,
+                date: day.date,
+                strength,
+                windDirection,
+                windSpeedMph,
+                message: strength === 'high' ? 'Big flight likely' : 'Big flight possible',
+                detail: `${windDirection} winds averaging ${windSpeedMph} mph overnight behind a cold front`
+            });
+        } else {
+            const dawn = forecast.hours.slice(dayStart + radar.DAWN_RAIN_START_HOUR, dayStart + radar.DAWN_RAIN_END_HOUR);
+            const rain = dawn.filter(isRainy);
+            if (rain.length === 0) return;
+
+            const chance = Math.max(...rain.map(hour => hour.precipitationProbability));
+            alerts.push({
+                type: 'fallout',
+                season,
+                date: day.date,
+                strength,
+                windDirection,
+                windSpeedMph,
+                message: 'Possible fallout',
+                detail: `${windDirection} winds averaging ${windSpeedMph} mph overnight, then rain by dawn${chance > 0 ? ` (${chance}% chance)` : ''}`
+            });
+        }
+    });
+
+    return alerts;
+}
@@ -0,0 +1,235 @@
+/**
+ * Offline Trips Service
+ * Saves a finished search (enriched hotspots, notable sightings and an
+ * optional itinerary) together with the map tiles covering it, so the trip
+ * can be reopened with no connectivity. Trip data lives in IndexedDB; map
+ * tiles and the app shell live in Cache Storage and are served by sw.js.
+ *
+ * Map tiles are never downloaded in bulk - the OpenStreetMap tile usage
+ * policy forbids prefetching. sw.js keeps the tiles the map has already
+ * shown, and saving a trip keeps the ones covering it.
+ */
+
+import { CONFIG } from '../utils/constants.js';
+import { openDatabase } from './species-search.js';
+import { calculateBounds, calculateRouteBounds, getTileUrlsForBounds } from './map-service.js';
+
+const { OFFLINE_TRIPS_STORE_NAME } = CONFIG.SPECIES_DB;
+const { TILE_CACHE_NAME, RECENT_TILE_CACHE_NAME, APP_CACHE_NAME, TILE_MIN_ZOOM, TILE_MAX_ZOOM, MAX_TILES } = CONFIG.OFFLINE;
+
+/**
+ * Run a single request against the offline trips object store.
+ * @param {IDBTransactionMode} mode
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<any>}
+ */
+async function withTripStore(mode, makeRequest) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const store = db.transaction([OFFLINE_TRIPS_STORE_NAME], mode).objectStore(OFFLINE_TRIPS_STORE_NAME);
+            const request = makeRequest(store);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Merge two bounds objects into one covering both
+ * @param {Object} a - Bounds with min/max lat/lng
+ * @param {Object} b - Bounds with min/max lat/lng
+ * @returns {Object} Combined bounds
+ */
+function mergeBounds(a, b) {
+    return {
+        minLat: Math.min(a.minLat, b.minLat),
+        maxLat: Math.max(a.maxLat, b.maxLat),
+        minLng: Math.min(a.minLng, b.minLng),
+        maxLng: Math.max(a.maxLng, b.maxLng)
+    };
+}
+
+/**
+ * Build an offline trip pack from a displayed search result.
+ * @param {Object} trip
+ * @param {string} trip.name - Display name for the saved trip
+ * @param {Object} trip.results - The app's currentResults (origin, enriched hotspots, sort method, ...)
+ * @param {Object} [trip.itinerary] - Itinerary from buildItinerary(), if one was built
+ * @param {Array} [trip.notableObservations] - Notable observations behind the rare bird alert
+ * @returns {Object} Trip pack ready for saveOfflineTrip()
+ */
+export function buildOfflineTripPack({ name, results, itinerary = null, notableObservations = [] }) {
+    let bounds = calculateBounds(results.origin.lat, results.origin.lng, results.hotspots);
+    if (itinerary) {
+        bounds = mergeBounds(bounds, calculateRouteBounds(itinerary));
+    }
+
+    const createdAt = new Date();
+    return {
+        id: createdAt.getTime(),
+        name,
+        createdAt: createdAt.toISOString(),
+        results,
+        itinerary,
+        notableObservations,
+        bounds,
+        tileUrls: getTileUrlsForBounds(bounds, {
+            minZoom: TILE_MIN_ZOOM,
+            maxZoom: TILE_MAX_ZOOM,
+            maxTiles: MAX_TILES
+        })
+    };
+}
+
+/**
+ * Whether a loaded resource belongs to the app shell that must be cached for
+ * the app to boot offline: this origin's HTML/CSS/JS, plus the Leaflet CDN
+ * bundle and the pinned jsPDF/QRCode.js bundles PDF export loads. Analytics
+ * and the error-report endpoint are deliberately excluded.
+ * @param {string} url - Absolute resource URL
+ * @param {string} origin - The page's origin
+ * @returns {boolean}
+ */
+export function isAppShellUrl(url, origin) {
+    const parsed = new URL(url);
+    if (parsed.origin === origin) {
+        if (parsed.pathname.startsWith('/_vercel/') || parsed.pathname.startsWith('/api/')) return false;
+        return /\.(html|css|js)$/.test(parsed.pathname);
+    }
+    if (parsed.origin === 'https://unpkg.com' && parsed.pathname.startsWith('/leaflet@')) return true;
+    return Object.values(CONFIG.PDF_LIBRARIES).some(library => library.URL === url);
+}
+
+/**
+ * Cache the page and every app-shell resource it has loaded so far. Reading
+ * the list from the Performance API keeps it in sync with the module graph
+ * without maintaining a hand-written precache manifest.
+ * @returns {Promise<void>}
+ */
+async function cacheAppShell() {
+    if (typeof caches === 'undefined' || typeof performance === 'undefined') return;
+
+    // The PDF libraries are only in the resource list once something was
+    // exported, so they're always added
+    const urls = new Set([
+        `${location.origin}${location.pathname}`,
+        ...Object.values(CONFIG.PDF_LIBRARIES).map(library => library.URL)
+    ]);
+    for (const entry of performance.getEntriesByType('resource')) {
+        if (isAppShellUrl(entry.name, location.origin)) {
+            urls.add(entry.name);
+        }
+    }
+
+    const cache = await caches.open(APP_CACHE_NAME);
+    await Promise.all([...urls].map(url =>
+        cache.add(url).catch(e => console.warn(`Could not cache ${url} for offline use:`, e))
+    ));
+}
+
+/**
+ * Keep the trip's map tiles the user has already viewed: copy them from the
+ * recently viewed tiles (filled by sw.js) into the trip tile cache, where
+ * they stay until no saved trip needs them. Nothing is fetched.
+ * @param {string[]} tileUrls - Canonical tile URLs from getTileUrlsForBounds()
+ * @returns {Promise<{cached: number, missing: number}>}
+ */
+export async function keepViewedTiles(tileUrls) {
+    if (typeof caches === 'undefined') {
+        return { cached: 0, missing: tileUrls.length };
+    }
+
+    const [tripCache, recentCache] = await Promise.all([
+        caches.open(TILE_CACHE_NAME),
+        caches.open(RECENT_TILE_CACHE_NAME)
+    ]);
+    let cached = 0;
+
+    await Promise.all(tileUrls.map(async url => {
+        try {
+            if (await tripCache.match(url)) {
+                cached++;
+                return;
+            }
+            const viewed = await recentCache.match(url);
+            if (viewed) {
+                await tripCache.put(url, viewed);
+                cached++;
+            }
+        } catch (e) {
+            console.warn(`Could not keep map tile ${url}:`, e);
+        }
+    }));
+
+    return { cached, missing: tileUrls.length - cached };
+}
+
+/**
+ * Save a trip pack for offline use: stores the trip data, caches the app
+ * shell, then keeps the map tiles covering it that have already been viewed.
+ * @param {Object} pack - From buildOfflineTripPack()
+ * @returns {Promise<{tilesCached: number, tilesMissing: number}>}
+ */
+export async function saveOfflineTrip(pack) {
+    await withTripStore('readwrite', store => store.put(pack));
+    await cacheAppShell();
+    const { cached, missing } = await keepViewedTiles(pack.tileUrls);
+    return { tilesCached: cached, tilesMissing: missing };
+}
+
+/**
+ * Get all saved offline trips, newest first
+ * @returns {Promise<Array>} Trip packs (empty if IndexedDB is unavailable)
+ */
+export async function getOfflineTrips() {
+    if (typeof indexedDB === 'undefined') return [];
+    try {
+        const trips = await withTripStore('readonly', store => store.getAll());
+        return (trips || []).sort((a, b) => b.id - a.id);
+    } catch (e) {
+        console.warn('Could not read offline trips:', e);
+        return [];
+    }
+}
+
+/**
+ * Get a single saved offline trip
+ * @param {number} id - Trip ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getOfflineTrip(id) {
+    try {
+        return (await withTripStore('readonly', store => store.get(id))) || null;
+    } catch (e) {
+        console.warn('Could not read offline trip:', e);
+        return null;
+    }
+}
+
+/**
+ * Delete a saved offline trip and any cached tiles no other trip still uses
+ * @param {number} id - Trip ID
+ * @returns {Promise<boolean>} True if removed successfully
+ */
+export async function deleteOfflineTrip(id) {
+    try {
+        const trip = await getOfflineTrip(id);
+        await withTripStore('readwrite', store => store.delete(id));
+
+        if (trip && typeof caches !== 'undefined') {
+            const remaining = await getOfflineTrips();
+            const stillUsed = new Set(remaining.flatMap(t => t.tileUrls || []));
+            const cache = await caches.open(TILE_CACHE_NAME);
+            await Promise.all((trip.tileUrls || [])
+                .filter(url => !stillUsed.has(url))
+                .map(url => cache.delete(url)));
+        }
+        return true;
+    } catch (e) {
+        console.warn('Could not delete offline trip:', e);
+        return false;
+    }
+}
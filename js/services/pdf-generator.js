@@ -1,13 +1,22 @@
 /**
  * PDF Report generation service
  * Uses jsPDF library loaded via CDN
+ *
+ * Location and route reports are built from the same section renderers
+ * (header, migration radar, map, lifer summary, one section per hotspot or
+ * stop, footer), each of which the report options can switch off.
  */
 
-import { formatDistance, formatDuration, formatDate, getGoogleMapsDirectionsUrl, getEbirdHotspotUrl } from '../utils/formatters.js';
+import { formatDistance, formatDuration, formatDate, formatFrequency, getGoogleMapsDirectionsUrl, getEbirdHotspotUrl } from '../utils/formatters.js';
 import { generateCanvasMap, generateRouteMap } from './map-service.js';
 import { generateQRCode, isQRCodeAvailable } from './qr-generator.js';
 import { getSeasonalInsights, analyzeHotspotActivity } from './seasonal-insights.js';
 import { CONFIG } from '../utils/constants.js';
+import { getTravelMode } from '../api/routing.js';
+import { ACTIVITY_SLOT_KEYS } from './hotspot-comparison.js';
+import { resolveReportOptions, selectReportSpecies, buildLiferSummary } from './report-options.js';
+import { formatChecklistEffort } from './hotspot-checklists.js';
+import { formatItineraryTime } from './itinerary-builder.js';
 
 const PDF_COLORS = {
     primary:       [46, 125, 50],    // Forest green
@@ -19,17 +28,69 @@ const PDF_COLORS = {
     link:          [0, 102, 204]     // Blue for links
 };
 
+// Type sizes (pt) and spacing (mm) for a full report and a compact field card
+const DENSITY_STYLES = {
+    full: {
+        margin: 15,
+        titleSize: 24,
+        headingSize: 14,
+        bodySize: 10,
+        smallSize: 8,
+        lineHeight: 5,
+        wrapLineHeight: 4,
+        speciesSize: 8,
+        speciesColumns: 2,
+        speciesLineHeight: 4,
+        qrSize: 20,
+        mapAspect: 0.5,
+        sectionGap: 10,
+        placeGap: 12,
+        placeBaseHeight: 85,  // Rough height of a place's section before its species list
+        showLinks: true
+    },
+    compact: {
+        margin: 10,
+        titleSize: 16,
+        headingSize: 11,
+        bodySize: 8,
+        smallSize: 7,
+        lineHeight: 3.8,
+        wrapLineHeight: 3.3,
+        speciesSize: 6.5,
+        speciesColumns: 3,
+        speciesLineHeight: 3.2,
+        qrSize: 14,
+        mapAspect: 0.35,
+        sectionGap: 5,
+        placeGap: 6,
+        placeBaseHeight: 40,
+        // Links can't be tapped on a printed card; the GPS line and QR code stay
+        showLinks: false
+    }
+};
+
 /**
  * Format a one-line weather summary for a hotspot/stop, or null if no
  * weather data was fetched for it.
  * @param {Object|null} weather - Weather data object
  * @param {boolean} useFahrenheit - Whether to show °F (true) or °C (false)
+ * @param {string} [label] - Line prefix
  * @returns {string|null}
  */
-function formatWeatherLine(weather, useFahrenheit) {
+function formatWeatherLine(weather, useFahrenheit, label = 'Weather') {
     if (!weather) return null;
     const temp = useFahrenheit ? `${weather.temperatureF}°F` : `${weather.temperatureC}°C`;
-    return `Weather: ${temp}, ${weather.description}, wind ${weather.windSpeedMph} mph ${weather.windDirection}`;
+    return `${label}: ${temp}, ${weather.description}, wind ${weather.windSpeedMph} mph ${weather.windDirection}`;
+}
+
+/**
+ * Format a migration radar morning's 'YYYY-MM-DD' date
+ * @param {string} date
+ * @returns {string} e.g. "Sat, Oct 18 morning"
+ */
+function formatRadarDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return `${new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })} morning`;
 }
 
 /**
@@ -37,10 +98,11 @@ function formatWeatherLine(weather, useFahrenheit) {
  * the always-available date-based seasonal summary; appends the
  * observation-derived best time-of-day when timestamped data allows it.
  * @param {Array} observations - Raw recent observations for the hotspot
+ * @param {Object} [location] - The hotspot {lat, lng}, for its region's seasons
  * @returns {string}
  */
-function formatSeasonalLine(observations) {
-    const insights = getSeasonalInsights();
+function formatSeasonalLine(observations, location = null) {
+    const insights = getSeasonalInsights(new Date(), location);
     const activity = analyzeHotspotActivity(observations);
     return activity?.bestTime
         ? `${insights.summary} Peak activity here: ${activity.bestTime}.`
@@ -48,282 +110,448 @@ function formatSeasonalLine(observations) {
 }
 
 /**
- * Render a two-column "Species observed" bird list with notable/lifer/target
- * markers and a matching legend. Shared by generatePDFReport() and
- * generateRoutePDFReport() since both need identical marker handling.
- * @param {jsPDF} doc - The PDF document
+ * Format one checklist for a report's "Recent checklists" block
+ * @param {Object} summary - From summarizeChecklist()
+ * @returns {string} e.g. 'May 12, 2026 7:15 AM · Jane Doe · 42 species · Traveling · 1 hr'
+ */
+function formatChecklistLine(summary) {
+    const when = summary.date
+        ? `${formatDate(summary.date)}${summary.hasTime ? ` ${formatItineraryTime(summary.date)}` : ''}`
+        : 'Unknown date';
+    const effort = formatChecklistEffort(summary);
+    return `${when} · ${summary.observer} · ${summary.speciesCount} species${effort ? ` · ${effort}` : ''}`;
+}
+
+/**
+ * Start a report document laid out for the given options
+ * @param {Object} options - From resolveReportOptions()
+ * @returns {Object} The report: {doc, options, style, pageWidth, pageHeight, margin, contentWidth, y,
+ *   ensureSpace(mm), newPage()}; section renderers draw at report.y and move it down
+ */
+function createReport(options) {
+    // Get jsPDF from global scope (loaded via CDN)
+    const { jsPDF } = window.jspdf;
+
+    const doc = new jsPDF({
+        orientation: options.orientation,
+        unit: 'mm',
+        format: options.pageSize
+    });
+
+    const style = DENSITY_STYLES[options.density];
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const { margin } = style;
+
+    return {
+        doc,
+        options,
+        style,
+        pageWidth,
+        pageHeight,
+        margin,
+        contentWidth: pageWidth - (margin * 2),
+        y: margin,
+
+        /**
+         * Move to a new page if neededSpace won't fit on this one
+         * @param {number} neededSpace - mm
+         * @returns {boolean} Whether a page was added
+         */
+        ensureSpace(neededSpace) {
+            if (this.y + neededSpace > pageHeight - margin) {
+                this.newPage();
+                return true;
+            }
+            return false;
+        },
+
+        newPage() {
+            doc.addPage();
+            this.y = margin;
+        }
+    };
+}
+
+/**
+ * Render a report's title and the lines of metadata under it
+ * @param {Object} report - From createReport()
+ * @param {string} title
+ * @param {Array<string>} metaLines - Wrapped to the page width when too long
+ */
+function renderReportHeader(report, title, metaLines) {
+    const { doc, style, margin, contentWidth } = report;
+
+    doc.setFontSize(style.titleSize);
+    doc.setTextColor(...PDF_COLORS.primary);
+    doc.text(title, margin, report.y);
+    report.y += style.titleSize / 2;
+
+    doc.setFontSize(style.bodySize);
+    doc.setTextColor(...PDF_COLORS.textSecondary);
+    metaLines.forEach(line => {
+        // Print each line separately to avoid character spacing issues
+        doc.splitTextToSize(line, contentWidth).forEach(part => {
+            doc.text(part, margin, report.y);
+            report.y += style.wrapLineHeight;
+        });
+        report.y += style.lineHeight - style.wrapLineHeight;
+    });
+    report.y += style.sectionGap - style.lineHeight;
+}
+
+/**
+ * Render the migration radar's big-flight/fallout mornings, if there are any
+ * @param {Object} report - From createReport()
+ * @param {Array} alerts - From the migration radar
+ */
+function renderMigrationRadarSection(report, alerts) {
+    if (alerts.length === 0) return;
+    const { doc, style, margin, contentWidth } = report;
+
+    report.ensureSpace(style.lineHeight * 3);
+    doc.setFontSize(style.headingSize - 2);
+    doc.setTextColor(...PDF_COLORS.primary);
+    doc.text('Migration Radar', margin, report.y);
+    report.y += style.lineHeight + 1;
+
+    doc.setFontSize(style.bodySize - 1);
+    doc.setTextColor(...PDF_COLORS.textPrimary);
+    alerts.forEach(alert => {
+        const lines = doc.splitTextToSize(`${formatRadarDay(alert.date)}: ${alert.message} - ${alert.detail}`, contentWidth);
+        doc.text(lines, margin, report.y);
+        report.y += lines.length * style.wrapLineHeight + 1;
+    });
+    report.y += style.sectionGap / 2;
+}
+
+/**
+ * Render a map image across the page, kept short enough to leave room on
+ * a landscape page. A map that fails to draw is left out.
+ * @param {Object} report - From createReport()
+ * @param {Function} drawMap - ({width, height}) => Promise<string> image data URL
+ * @param {string} label - For the warning if the map can't be drawn
+ */
+async function renderMapSection(report, drawMap, label) {
+    const { doc, style, margin, contentWidth, pageHeight } = report;
+    const { mapAspect } = style;
+
+    try {
+        const mapDataUrl = await drawMap({ width: 800, height: Math.round(800 * mapAspect) });
+
+        const mapHeight = Math.min(contentWidth * mapAspect, (pageHeight - margin * 2) * 0.55);
+        const mapWidth = mapHeight / mapAspect; // Maintain aspect ratio
+
+        report.ensureSpace(mapHeight + style.sectionGap);
+
+        doc.addImage(mapDataUrl, 'PNG', margin, report.y, mapWidth, mapHeight);
+        report.y += mapHeight + style.sectionGap;
+    } catch (err) {
+        console.warn(`Could not generate ${label}:`, err);
+        // Continue without map
+    }
+}
+
+/**
+ * Generate the eBird QR code for each place in parallel, when the report
+ * shows them
+ * @param {Object} report - From createReport()
+ * @param {Array} places - Hotspots or stops
+ * @returns {Promise<Array<string|null>>} One data URL (or null) per place
+ */
+async function generatePlaceQRCodes(report, places) {
+    if (!report.options.sections.qrCodes || !isQRCodeAvailable()) return [];
+    return Promise.all(places.map(place => (place.locId
+        ? generateQRCode(getEbirdHotspotUrl(place.locId), { size: 150 }).catch(() => null)
+        : null)));
+}
+
+/**
+ * Draw items in columns, filled left to right a row at a time, with each
+ * item cut to its column's width (the suffix is never cut)
+ * @param {Object} report - From createReport()
+ * @param {Array<{text: string, suffix: string, color: Array<number>}>} items
+ * @param {number} columns
+ * @param {number} fontSize - pt
+ */
+function renderTextColumns(report, items, columns, fontSize) {
+    const { doc, style, margin, contentWidth } = report;
+    const columnGap = 10;
+    const colWidth = (contentWidth - columnGap * (columns - 1)) / columns;
+    // About how many characters fit in a column at this size
+    const maxChars = Math.floor(colWidth * 3.3 / fontSize);
+
+    doc.setFontSize(fontSize);
+    items.forEach((item, idx) => {
+        const row = Math.floor(idx / columns);
+        const x = margin + (idx % columns) * (colWidth + columnGap);
+        const maxLength = maxChars - item.suffix.length;
+        const truncated = item.text.length > maxLength ? item.text.substring(0, maxLength - 3) + '...' : item.text;
+        doc.setTextColor(...item.color);
+        doc.text(truncated + item.suffix, x, report.y + (row * style.speciesLineHeight));
+    });
+
+    report.y += Math.ceil(items.length / columns) * style.speciesLineHeight;
+}
+
+/**
+ * Species list columns for the report: one more on a landscape page
+ * @param {Object} report - From createReport()
+ * @returns {number}
+ */
+function getSpeciesColumns(report) {
+    return report.style.speciesColumns + (report.options.orientation === 'landscape' ? 1 : 0);
+}
+
+/**
+ * Render every potential lifer across the report's places, with the places
+ * reporting each one. Nothing is drawn when there are none.
+ * @param {Object} report - From createReport()
+ * @param {Array} places - Hotspots or stops, in report order
+ * @param {Function} labelPlace - (1-based place number) => short label, e.g. 'Stop 3'
+ */
+function renderLiferSummarySection(report, places, labelPlace) {
+    const lifers = buildLiferSummary(places);
+    if (lifers.length === 0) return;
+    const { doc, style, margin } = report;
+    const columns = getSpeciesColumns(report);
+
+    report.ensureSpace(style.lineHeight * 3 + Math.ceil(lifers.length / columns) * style.speciesLineHeight);
+    doc.setFontSize(style.headingSize - 2);
+    doc.setTextColor(...PDF_COLORS.lifer);
+    doc.text(`Potential Lifers (${lifers.length})`, margin, report.y);
+    report.y += style.lineHeight;
+
+    doc.setFontSize(style.smallSize);
+    doc.setTextColor(...PDF_COLORS.textSecondary);
+    doc.text('Not on your life list, rarest in this report first, with where each was reported', margin, report.y);
+    report.y += style.lineHeight;
+
+    renderTextColumns(report, lifers.map(lifer => ({
+        text: lifer.comName,
+        suffix: ` (${lifer.placeNumbers.map(labelPlace).join(', ')})`,
+        color: PDF_COLORS.lifer
+    })), columns, style.smallSize);
+    report.y += style.sectionGap;
+}
+
+/**
+ * Render a place's species list with notable/lifer/target markers and a
+ * legend for the markers used. Only the highlights are listed when the
+ * report asks for them.
+ * @param {Object} report - From createReport()
  * @param {Array} birds - Bird observations with comName/isNotable/isLifer/speciesCode
- * @param {Object} opts
- * @param {number} opts.yPos - Starting Y position
- * @param {number} opts.margin - Page margin
- * @param {number} opts.contentWidth - Usable content width
- * @param {Array<string>} [opts.targetCodes] - Species codes the user is targeting (route mode only)
- * @returns {number} The Y position after the bird list and legend
+ * @param {Array<string>} [targetCodes] - Species codes the user is targeting (route mode only)
  */
-function renderBirdListColumns(doc, birds, { yPos, margin, contentWidth, targetCodes = [] }) {
-    let y = yPos;
+function renderSpeciesList(report, birds, targetCodes = []) {
+    const { doc, style, margin, options } = report;
+    const highlightsOnly = options.speciesFilter === 'highlights';
+    const shown = selectReportSpecies(birds, options.speciesFilter, targetCodes);
 
-    doc.setFontSize(9);
+    doc.setFontSize(style.bodySize - 1);
     doc.setTextColor(...PDF_COLORS.textPrimary);
-    doc.text('Species observed:', margin, y);
-    y += 4;
+    doc.text(highlightsOnly ? 'Notables and potential lifers:' : 'Species observed:', margin, report.y);
+    report.y += style.speciesLineHeight;
 
-    if (!birds || birds.length === 0) {
-        doc.setFontSize(8);
+    if (shown.length === 0) {
+        doc.setFontSize(style.smallSize);
         doc.setTextColor(...PDF_COLORS.textSecondary);
-        doc.text('No recent observations available', margin, y);
-        return y;
+        const emptyText = highlightsOnly && birds?.length > 0
+            ? `None among the ${birds.length} species reported`
+            : 'No recent observations available';
+        doc.text(emptyText, margin, report.y);
+        return;
     }
 
-    const items = birds.map(bird => {
+    const items = shown.map(bird => {
         const isTarget = targetCodes.includes(bird.speciesCode);
         const marker = isTarget ? '^ ' : bird.isNotable ? '* ' : bird.isLifer ? '+ ' : '';
         const color = isTarget ? PDF_COLORS.target
             : bird.isNotable ? PDF_COLORS.notable
                 : bird.isLifer ? PDF_COLORS.lifer
                     : PDF_COLORS.textPrimary;
-        return { text: `${marker}${bird.comName}`, color };
+        const suffix = bird.frequency ? ` (${formatFrequency(bird.frequency, true)})` : '';
+        return { text: `${marker}${bird.comName}`, suffix, color };
     });
-
-    const colWidth = contentWidth / 2 - 5;
-    const leftCol = [];
-    const rightCol = [];
-    items.forEach((item, idx) => (idx % 2 === 0 ? leftCol : rightCol).push(item));
-
-    doc.setFontSize(8);
-
-    const drawColumn = (col, x) => {
-        col.forEach((item, idx) => {
-            doc.setTextColor(...item.color);
-            const truncated = item.text.length > 35 ? item.text.substring(0, 32) + '...' : item.text;
-            doc.text(truncated, x, y + (idx * 4));
-        });
-    };
-    drawColumn(leftCol, margin);
-    drawColumn(rightCol, margin + colWidth + 10);
-
-    y += Math.max(leftCol.length, rightCol.length) * 4;
+    renderTextColumns(report, items, getSpeciesColumns(report), style.speciesSize);
 
     // Legend for whichever markers actually appeared in this bird list
-    const hasTarget = targetCodes.length > 0 && birds.some(b => targetCodes.includes(b.speciesCode));
-    const hasNotable = birds.some(b => b.isNotable);
-    const hasLifer = birds.some(b => b.isLifer);
+    const hasTarget = targetCodes.length > 0 && shown.some(b => targetCodes.includes(b.speciesCode));
+    const hasNotable = shown.some(b => b.isNotable);
+    const hasLifer = shown.some(b => b.isLifer);
     const legendLines = [];
     if (hasTarget) legendLines.push({ text: '^ Target species', color: PDF_COLORS.target });
     if (hasNotable) legendLines.push({ text: '* Notable/rare species for this area', color: PDF_COLORS.notable });
     if (hasLifer) legendLines.push({ text: '+ Potential lifer (not on your life list)', color: PDF_COLORS.lifer });
+    if (shown.some(b => b.frequency)) {
+        legendLines.push({
+            text: `(n/m days) Reported on n of m sampled days this week over the past ${CONFIG.HISTORIC_FREQUENCY.YEARS_BACK} years`,
+            color: PDF_COLORS.textSecondary
+        });
+    }
 
     if (legendLines.length > 0) {
-        y += 2;
-        doc.setFontSize(7);
+        report.y += 2;
+        doc.setFontSize(style.smallSize - 1);
         legendLines.forEach(line => {
             doc.setTextColor(...line.color);
-            doc.text(line.text, margin, y);
-            y += 3.5;
+            doc.text(line.text, margin, report.y);
+            report.y += style.speciesLineHeight - 0.5;
         });
     }
-
-    return y;
 }
 
 /**
- * Generate the PDF report
- * @param {Object} data - Report data
- * @param {Function} onProgress - Progress callback (message, percent)
- * @returns {Promise<jsPDF>} The generated PDF document
+ * Render a place's latest checklists, one line each
+ * @param {Object} report - From createReport()
+ * @param {Array|null} checklists - Summaries from summarizeChecklist(), or null if they couldn't be loaded
  */
-export async function generatePDFReport(data, onProgress = () => {}) {
-    const {
-        origin,
-        hotspots,
-        sortMethod,
-        generatedDate,
-        searchRadiusKm = CONFIG.DEFAULT_SEARCH_RADIUS,
-        useFahrenheit = true
-    } = data;
-
-    // Get jsPDF from global scope (loaded via CDN)
-    const { jsPDF } = window.jspdf;
+function renderChecklistsBlock(report, checklists) {
+    const { doc, style, margin, contentWidth } = report;
 
-    const doc = new jsPDF({
-        orientation: 'portrait',
-        unit: 'mm',
-        format: 'a4'
-    });
-
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const pageHeight = doc.internal.pageSize.getHeight();
-    const margin = 15;
-    const contentWidth = pageWidth - (margin * 2);
-    let yPos = margin;
-
-    const { primary: primaryColor, textPrimary, textSecondary, link: linkColor } = PDF_COLORS;
+    report.y += 2;
+    doc.setFontSize(style.bodySize - 1);
+    doc.setTextColor(...PDF_COLORS.textPrimary);
+    doc.text('Recent checklists:', margin, report.y);
+    report.y += style.speciesLineHeight;
 
-    // Helper to check if we need a new page
-    function checkNewPage(neededSpace) {
-        if (yPos + neededSpace > pageHeight - margin) {
-            doc.addPage();
-            yPos = margin;
-            return true;
-        }
-        return false;
+    doc.setFontSize(style.smallSize);
+    if (!checklists || checklists.length === 0) {
+        doc.setTextColor(...PDF_COLORS.textSecondary);
+        doc.text(checklists ? 'No recent checklists' : 'Checklists unavailable', margin, report.y);
+        report.y += style.speciesLineHeight;
+        return;
     }
 
-    onProgress('Creating report header...', 5);
-
-    // ========== TITLE ==========
-    doc.setFontSize(24);
-    doc.setTextColor(...primaryColor);
-    doc.text('Birding Hotspots Report', margin, yPos);
-    yPos += 12;
-
-    // ========== METADATA ==========
-    doc.setFontSize(10);
-    doc.setTextColor(...textSecondary);
-    doc.text(`Generated: ${generatedDate}`, margin, yPos);
-    yPos += 5;
-    doc.text(`Starting Location: ${origin.address || `${origin.lat.toFixed(4)}, ${origin.lng.toFixed(4)}`}`, margin, yPos);
-    yPos += 5;
-    const sortLabels = { species: 'Most Species', distance: 'Closest Distance', driving: 'Shortest Drive', recency: 'Freshest Sightings' };
-    doc.text(`Sorted by: ${sortLabels[sortMethod] || sortMethod}`, margin, yPos);
-    yPos += 5;
-    const radiusMi = Math.round(searchRadiusKm * 0.621371);
-    doc.text(`Showing top ${hotspots.length} hotspots within ${radiusMi} miles`, margin, yPos);
-    yPos += 10;
-
-    // ========== MAP ==========
-    onProgress('Generating map...', 15);
+    doc.setTextColor(...PDF_COLORS.textPrimary);
+    checklists.forEach(summary => {
+        doc.text(fitTextLines(doc, formatChecklistLine(summary), contentWidth, 1), margin, report.y);
+        report.y += style.speciesLineHeight;
+    });
+}
 
-    try {
-        const mapDataUrl = await generateCanvasMap(origin.lat, origin.lng, hotspots, {
-            width: 800,
-            height: 400
-        });
+/**
+ * Render one hotspot or itinerary stop: its heading and details, then
+ * whichever of weather, seasonal line, QR code, species list and
+ * checklists the report keeps
+ * @param {Object} report - From createReport()
+ * @param {Object} place - Hotspot or stop with name/lat/lng/locId/address/birds/recentObservations
+ * @param {Object} opts
+ * @param {string} opts.heading - e.g. '3. Town Pond' or 'Stop 3: Town Pond'
+ * @param {Array<string>} opts.detailLines - Lines under the heading: species count, travel, timing...
+ * @param {string|null} opts.weatherLine - From formatWeatherLine()
+ * @param {Object} opts.directionsFrom - {lat, lng} the Google Maps directions start from
+ * @param {string|null} [opts.qrCode] - eBird QR code data URL
+ * @param {Array<string>} [opts.targetCodes] - Species codes the user is targeting
+ * @param {Array|null} [opts.checklists] - The place's recent checklist summaries
+ * @param {boolean} [opts.divider] - Draw a divider below (all but the last place)
+ */
+function renderPlaceSection(report, place, opts) {
+    const { heading, detailLines, weatherLine, directionsFrom, qrCode = null, targetCodes = [], checklists = null, divider = false } = opts;
+    const { doc, style, options, margin, contentWidth, pageWidth } = report;
+    const { sections } = options;
+
+    // Estimate space needed for this place (details + species columns +
+    // legend) so its section starts on a fresh page rather than being split
+    const shownBirds = sections.species ? selectReportSpecies(place.birds, options.speciesFilter, targetCodes) : [];
+    const checklistLines = sections.checklists ? (checklists?.length || 1) + 1 : 0;
+    const estimatedHeight = style.placeBaseHeight
+        + Math.ceil(shownBirds.length / getSpeciesColumns(report)) * style.speciesLineHeight
+        + checklistLines * style.speciesLineHeight;
+    report.ensureSpace(estimatedHeight);
+
+    // Place header
+    doc.setFontSize(style.headingSize);
+    doc.setTextColor(...PDF_COLORS.primary);
+    doc.text(heading, margin, report.y);
+    report.y += style.headingSize / 2;
+
+    // Details section
+    doc.setFontSize(style.bodySize);
+    doc.setTextColor(...PDF_COLORS.textPrimary);
 
-        const mapWidth = contentWidth;
-        const mapHeight = mapWidth * 0.5; // Maintain aspect ratio
+    const detailsStartY = report.y;
+    const textWidth = sections.qrCodes ? contentWidth - style.qrSize - 10 : contentWidth;
 
-        checkNewPage(mapHeight + 10);
+    detailLines.forEach(line => {
+        doc.text(line, margin, report.y);
+        report.y += style.lineHeight;
+    });
 
-        doc.addImage(mapDataUrl, 'PNG', margin, yPos, mapWidth, mapHeight);
-        yPos += mapHeight + 10;
-    } catch (err) {
-        console.warn('Could not generate map:', err);
-        // Continue without map
+    if (sections.weather && weatherLine) {
+        doc.text(weatherLine, margin, report.y);
+        report.y += style.lineHeight;
     }
 
-    // ========== PRE-GENERATE QR CODES IN PARALLEL ==========
-    onProgress('Generating QR codes...', 25);
+    // Seasonal / best-time insight
+    if (sections.seasonal) {
+        const seasonalLines = doc.splitTextToSize(formatSeasonalLine(place.recentObservations, place), textWidth);
+        doc.text(seasonalLines, margin, report.y);
+        report.y += seasonalLines.length * style.wrapLineHeight + 1;
+    }
 
-    let qrCodes = [];
-    if (isQRCodeAvailable()) {
-        const qrPromises = hotspots.map(hotspot => {
-            const ebirdUrl = getEbirdHotspotUrl(hotspot.locId);
-            return generateQRCode(ebirdUrl, { size: 150 }).catch(() => null);
+    // Address
+    if (place.address) {
+        // Print each line separately to avoid character spacing issues
+        doc.splitTextToSize(`Address: ${place.address}`, textWidth).forEach(line => {
+            doc.text(line, margin, report.y);
+            report.y += style.wrapLineHeight;
         });
-        qrCodes = await Promise.all(qrPromises);
+        report.y += 2;
     }
 
-    // ========== HOTSPOTS ==========
-    const qrSize = 20; // QR code size in mm
-
-    for (let i = 0; i < hotspots.length; i++) {
-        const hotspot = hotspots[i];
-        const progress = 30 + ((i / hotspots.length) * 60);
-        onProgress(`Adding hotspot ${i + 1} of ${hotspots.length}...`, progress);
-
-        // Estimate space needed for this hotspot (base + bird columns + the
-        // weather/seasonal lines and marker legend added below)
-        const birdLines = Math.ceil(hotspot.birds.length / 3); // Rough estimate
-        const estimatedHeight = 85 + (birdLines * 5); // +5 for the GPS coordinates line
-        checkNewPage(estimatedHeight);
+    // GPS coordinates in plain text — many birding hotspots have no cell signal,
+    // so this is what actually works: typeable into an offline maps app or a
+    // dedicated GPS unit, unlike the Google Maps link right below it.
+    doc.setTextColor(...PDF_COLORS.textSecondary);
+    doc.text(`GPS: ${place.lat.toFixed(5)}, ${place.lng.toFixed(5)}`, margin, report.y);
+    report.y += style.lineHeight;
 
-        // Hotspot header with number
-        doc.setFontSize(14);
-        doc.setTextColor(...primaryColor);
-        doc.text(`${i + 1}. ${hotspot.name}`, margin, yPos);
-        yPos += 7;
-
-        // Details section
-        doc.setFontSize(10);
-        doc.setTextColor(...textPrimary);
+    // Links
+    if (style.showLinks) {
+        doc.setTextColor(...PDF_COLORS.link);
 
-        const detailsStartY = yPos;
-
-        // Species count
-        doc.text(`Species (last 30 days): ${hotspot.speciesCount}`, margin, yPos);
-        yPos += 5;
-
-        // Straight-line distance
-        doc.text(`Distance: ${formatDistance(hotspot.distance)}`, margin, yPos);
-        yPos += 5;
-
-        // Driving distance (if available)
-        if (hotspot.drivingDistance != null && hotspot.drivingDuration != null) {
-            doc.text(`Driving: ${formatDistance(hotspot.drivingDistance)} · ${formatDuration(hotspot.drivingDuration)}`, margin, yPos);
-            yPos += 5;
-        }
+        const directionsUrl = getGoogleMapsDirectionsUrl(directionsFrom.lat, directionsFrom.lng, place.lat, place.lng);
+        doc.textWithLink('Get Directions (Google Maps)', margin, report.y, { url: directionsUrl });
+        report.y += style.lineHeight;
 
-        // Weather (if fetched for this hotspot)
-        const weatherLine = formatWeatherLine(hotspot.weather, useFahrenheit);
-        if (weatherLine) {
-            doc.text(weatherLine, margin, yPos);
-            yPos += 5;
+        if (place.locId) {
+            doc.textWithLink('View on eBird', margin, report.y, { url: getEbirdHotspotUrl(place.locId) });
+            report.y += style.lineHeight;
         }
+    }
 
-        // Seasonal / best-time insight
-        const seasonalLines = doc.splitTextToSize(formatSeasonalLine(hotspot.recentObservations), contentWidth - qrSize - 10);
-        doc.text(seasonalLines, margin, yPos);
-        yPos += seasonalLines.length * 4 + 1;
-
-        // Address
-        const addressLines = doc.splitTextToSize(`Address: ${hotspot.address}`, contentWidth - qrSize - 10);
-        doc.text(addressLines, margin, yPos);
-        yPos += addressLines.length * 4 + 2;
-
-        // GPS coordinates in plain text — many birding hotspots have no cell signal,
-        // so this is what actually works: typeable into an offline maps app or a
-        // dedicated GPS unit, unlike the Google Maps link right below it.
-        doc.setTextColor(...textSecondary);
-        doc.text(`GPS: ${hotspot.lat.toFixed(5)}, ${hotspot.lng.toFixed(5)}`, margin, yPos);
-        yPos += 5;
-
-        // Links
-        doc.setTextColor(...linkColor);
-
-        // Google Maps link
-        const directionsUrl = getGoogleMapsDirectionsUrl(origin.lat, origin.lng, hotspot.lat, hotspot.lng);
-        doc.textWithLink('Get Directions (Google Maps)', margin, yPos, { url: directionsUrl });
-        yPos += 5;
-
-        // eBird link
-        const ebirdUrl = getEbirdHotspotUrl(hotspot.locId);
-        doc.textWithLink('View on eBird', margin, yPos, { url: ebirdUrl });
-        yPos += 5;
+    // QR code for the eBird page, to the right of the details
+    if (sections.qrCodes && qrCode) {
+        doc.addImage(qrCode, 'PNG', pageWidth - margin - style.qrSize, detailsStartY - 2, style.qrSize, style.qrSize);
+        report.y = Math.max(report.y, detailsStartY + style.qrSize);
+    }
 
-        // QR code for eBird page (positioned to the right) - use pre-generated
-        if (qrCodes[i]) {
-            doc.addImage(qrCodes[i], 'PNG', pageWidth - margin - qrSize, detailsStartY - 2, qrSize, qrSize);
-        }
+    if (sections.species) {
+        report.y += style.lineHeight - 2;
+        renderSpeciesList(report, place.birds, targetCodes);
+    }
 
-        // Bird list
-        yPos += 3;
-        yPos = renderBirdListColumns(doc, hotspot.birds, { yPos, margin, contentWidth });
+    if (sections.checklists) {
+        renderChecklistsBlock(report, checklists);
+    }
 
-        yPos += 12; // Space between hotspots
+    report.y += style.placeGap; // Space between places
 
-        // Divider line (except for last hotspot)
-        if (i < hotspots.length - 1) {
-            doc.setDrawColor(224, 224, 224);
-            doc.setLineWidth(0.5);
-            doc.line(margin, yPos - 6, pageWidth - margin, yPos - 6);
-        }
+    if (divider) {
+        doc.setDrawColor(224, 224, 224);
+        doc.setLineWidth(0.5);
+        doc.line(margin, report.y - style.placeGap / 2, pageWidth - margin, report.y - style.placeGap / 2);
     }
+}
 
-    // ========== FOOTER ==========
-    onProgress('Finalizing report...', 95);
+/**
+ * Add the data attribution and page numbers to every page
+ * @param {Object} report - From createReport()
+ */
+function renderReportFooter(report) {
+    const { doc, style, margin, pageWidth, pageHeight } = report;
 
-    // Add footer to all pages
     const totalPages = doc.internal.getNumberOfPages();
     for (let i = 1; i <= totalPages; i++) {
         doc.setPage(i);
@@ -331,29 +559,111 @@ export async function generatePDFReport(data, onProgress = () => {}) {
         // Footer line
         doc.setDrawColor(224, 224, 224);
         doc.setLineWidth(0.5);
-        doc.line(margin, pageHeight - 15, pageWidth - margin, pageHeight - 15);
+        doc.line(margin, pageHeight - margin, pageWidth - margin, pageHeight - margin);
 
         // Footer text
-        doc.setFontSize(8);
-        doc.setTextColor(...textSecondary);
+        doc.setFontSize(style.smallSize);
+        doc.setTextColor(...PDF_COLORS.textSecondary);
         doc.text(
             'Data from eBird (Cornell Lab of Ornithology) - ebird.org/terms. Generated by Birding Hotspots Finder.',
             margin,
-            pageHeight - 10
+            pageHeight - margin + 5
         );
 
         // Page number
         doc.text(
             `Page ${i} of ${totalPages}`,
             pageWidth - margin,
-            pageHeight - 10,
+            pageHeight - margin + 5,
             { align: 'right' }
         );
     }
+}
+
+/**
+ * Generate the PDF report
+ * @param {Object} data - Report data
+ * @param {Object} [data.reportOptions] - Sections, page and density; see resolveReportOptions()
+ * @param {Map<string, Array>} [data.checklists] - Recent checklist summaries per locId, for the checklists section
+ * @param {Function} onProgress - Progress callback (message, percent)
+ * @returns {Promise<jsPDF>} The generated PDF document
+ */
+export async function generatePDFReport(data, onProgress = () => {}) {
+    const {
+        origin,
+        hotspots,
+        sortMethod,
+        generatedDate,
+        searchRadiusKm = CONFIG.DEFAULT_SEARCH_RADIUS,
+        travelTimeBudget = null,
+        useFahrenheit = true,
+        migrationRadar = [],
+        reportOptions = {},
+        checklists = new Map()
+    } = data;
+
+    const report = createReport(resolveReportOptions(reportOptions));
+    const { sections } = report.options;
+
+    onProgress('Creating report header...', 5);
+
+    const sortLabels = { species: 'Most Species', distance: 'Closest Distance', driving: 'Shortest Drive', recency: 'Freshest Sightings' };
+    const radiusMi = Math.round(searchRadiusKm * 0.621371);
+    const rangeText = travelTimeBudget ? `a ${travelTimeBudget} min ${getTravelMode().verb}` : `${radiusMi} miles`;
+    renderReportHeader(report, 'Birding Hotspots Report', [
+        `Generated: ${generatedDate}`,
+        `Starting Location: ${origin.address || `${origin.lat.toFixed(4)}, ${origin.lng.toFixed(4)}`}`,
+        `Sorted by: ${sortLabels[sortMethod] || sortMethod}`,
+        `Showing top ${hotspots.length} hotspots within ${rangeText}`
+    ]);
+
+    if (sections.seasonal) {
+        renderMigrationRadarSection(report, migrationRadar);
+    }
+
+    if (sections.map) {
+        onProgress('Generating map...', 15);
+        await renderMapSection(report, size => generateCanvasMap(origin.lat, origin.lng, hotspots, size), 'map');
+    }
+
+    if (sections.liferSummary) {
+        renderLiferSummarySection(report, hotspots, number => `#${number}`);
+    }
+
+    onProgress('Generating QR codes...', 25);
+    const qrCodes = await generatePlaceQRCodes(report, hotspots);
+
+    for (let i = 0; i < hotspots.length; i++) {
+        const hotspot = hotspots[i];
+        const progress = 30 + ((i / hotspots.length) * 60);
+        onProgress(`Adding hotspot ${i + 1} of ${hotspots.length}...`, progress);
+
+        const detailLines = [
+            `Species (last 30 days): ${hotspot.speciesCount}`,
+            `Distance: ${formatDistance(hotspot.distance)}`
+        ];
+        if (hotspot.drivingDistance != null && hotspot.drivingDuration != null) {
+            const travelLabel = getTravelMode(hotspot.travelMode).label;
+            detailLines.push(`${travelLabel}: ${formatDistance(hotspot.drivingDistance)} · ${formatDuration(hotspot.drivingDuration)}`);
+        }
+
+        renderPlaceSection(report, hotspot, {
+            heading: `${i + 1}. ${hotspot.name}`,
+            detailLines,
+            weatherLine: formatWeatherLine(hotspot.weather, useFahrenheit),
+            directionsFrom: origin,
+            qrCode: qrCodes[i],
+            checklists: checklists.get(hotspot.locId) ?? null,
+            divider: i < hotspots.length - 1
+        });
+    }
+
+    onProgress('Finalizing report...', 95);
+    renderReportFooter(report);
 
     onProgress('Report complete!', 100);
 
-    return doc;
+    return report.doc;
 }
 
 /**
@@ -381,7 +691,10 @@ export function downloadPDF(doc, sortMethod = 'species') {
  * @param {Object} data.start - Start location {address, lat, lng}
  * @param {Object} data.end - End location {address, lat, lng}
  * @param {Object} data.itinerary - Full itinerary object with stops, legs, geometry, summary
+ * @param {Object} [data.tripPlan] - Multi-day plan from planMultiDayTrip(); when given, each day is rendered in turn instead of data.itinerary
  * @param {string} data.generatedDate - Report generation date
+ * @param {Object} [data.reportOptions] - Sections, page and density; see resolveReportOptions()
+ * @param {Map<string, Array>} [data.checklists] - Recent checklist summaries per locId, for the checklists section
  * @param {Function} onProgress - Progress callback (message, percent)
  * @returns {Promise<jsPDF>} The generated PDF document
  */
@@ -390,257 +703,318 @@ export async function generateRoutePDFReport(data, onProgress = () => {}) {
         start,
         end,
         itinerary,
+        tripPlan = null,
         generatedDate,
         useFahrenheit = true,
-        targetSpeciesCodes = []
+        targetSpeciesCodes = [],
+        reportOptions = {},
+        checklists = new Map()
     } = data;
 
-    // Get jsPDF from global scope (loaded via CDN)
-    const { jsPDF } = window.jspdf;
-
-    const doc = new jsPDF({
-        orientation: 'portrait',
-        unit: 'mm',
-        format: 'a4'
-    });
-
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const pageHeight = doc.internal.pageSize.getHeight();
-    const margin = 15;
-    const contentWidth = pageWidth - (margin * 2);
-    let yPos = margin;
-
-    const { primary: primaryColor, textPrimary, textSecondary, link: linkColor } = PDF_COLORS;
-
-    // Helper to check if we need a new page
-    function checkNewPage(neededSpace) {
-        if (yPos + neededSpace > pageHeight - margin) {
-            doc.addPage();
-            yPos = margin;
-            return true;
-        }
-        return false;
-    }
+    // A single itinerary is rendered as one untitled section; a trip plan as
+    // one titled section per day that has stops
+    const daySections = tripPlan
+        ? tripPlan.days.filter(day => day.itinerary).map(day => ({
+            heading: `Day ${day.dayNumber}${day.date ? ` - ${formatDate(day.date)}` : ''}`,
+            dayNumber: day.dayNumber,
+            itinerary: day.itinerary,
+            start: day.itinerary.stops[0]
+        }))
+        : [{ heading: null, itinerary, start }];
+    const summary = tripPlan ? tripPlan.summary : itinerary.summary;
+    const travelMode = getTravelMode(daySections[0]?.itinerary.travelMode);
+
+    const report = createReport(resolveReportOptions(reportOptions));
+    const { sections } = report.options;
+    const { doc, style, margin } = report;
 
     onProgress('Creating route report header...', 5);
 
-    // ========== TITLE ==========
-    doc.setFontSize(24);
-    doc.setTextColor(...primaryColor);
-    doc.text('Birding Route Report', margin, yPos);
-    yPos += 12;
-
-    // ========== METADATA ==========
-    doc.setFontSize(10);
-    doc.setTextColor(...textSecondary);
-    doc.text(`Generated: ${generatedDate}`, margin, yPos);
-    yPos += 5;
-
-    // Route info
     const startLabel = start.address || `${start.lat.toFixed(4)}, ${start.lng.toFixed(4)}`;
     const endLabel = end.address || `${end.lat.toFixed(4)}, ${end.lng.toFixed(4)}`;
-    const routeText = doc.splitTextToSize(`Route: ${startLabel} to ${endLabel}`, contentWidth);
-    // Print each line separately to avoid character spacing issues
-    routeText.forEach(line => {
-        doc.text(line, margin, yPos);
-        yPos += 4;
-    });
-    yPos += 1;
-
-    // Summary stats
-    const hotspotStops = itinerary.stops.filter(s => s.type === 'hotspot');
-    doc.text(`Total Distance: ${formatDistance(itinerary.summary.totalDistance)}`, margin, yPos);
-    yPos += 5;
-    doc.text(`Driving Time: ${formatDuration(itinerary.summary.totalTravelTime * 60)}`, margin, yPos);
-    yPos += 5;
-    doc.text(`Birding Stops: ${hotspotStops.length}`, margin, yPos);
-    yPos += 10;
-
-    // ========== ROUTE MAP ==========
-    onProgress('Generating route map...', 15);
-
-    try {
-        const mapDataUrl = await generateRouteMap(itinerary, {
-            width: 800,
-            height: 400
-        });
-
-        const mapWidth = contentWidth;
-        const mapHeight = mapWidth * 0.5; // Maintain aspect ratio
-
-        checkNewPage(mapHeight + 10);
-
-        doc.addImage(mapDataUrl, 'PNG', margin, yPos, mapWidth, mapHeight);
-        yPos += mapHeight + 10;
-    } catch (err) {
-        console.warn('Could not generate route map:', err);
-        // Continue without map
-    }
-
-    // ========== PRE-GENERATE QR CODES IN PARALLEL ==========
-    onProgress('Generating QR codes...', 25);
-
-    let qrCodes = [];
-    if (isQRCodeAvailable()) {
-        const qrPromises = hotspotStops.map(stop => {
-            const ebirdUrl = getEbirdHotspotUrl(stop.locId);
-            return generateQRCode(ebirdUrl, { size: 150 }).catch(() => null);
-        });
-        qrCodes = await Promise.all(qrPromises);
+    renderReportHeader(report, tripPlan ? 'Birding Trip Plan' : 'Birding Route Report', [
+        `Generated: ${generatedDate}`,
+        `Route: ${startLabel} to ${endLabel}`,
+        ...(tripPlan ? [`Days: ${summary.totalDays} · Expected species: ${summary.totalExpectedSpecies}`] : []),
+        `Total Distance: ${formatDistance(summary.totalDistance)}`,
+        `${travelMode.label} Time: ${formatDuration(summary.totalTravelTime * 60)}`,
+        `Birding Stops: ${summary.totalStops}`
+    ]);
+
+    // Potential lifers across the whole trip, labelled by the stop numbers used below
+    if (sections.liferSummary) {
+        const stopLabels = daySections.flatMap(section => section.itinerary.stops
+            .filter(s => s.type === 'hotspot')
+            .map((stop, i) => ({ stop, label: tripPlan ? `Day ${section.dayNumber} #${i + 1}` : `Stop ${i + 1}` })));
+        renderLiferSummarySection(report, stopLabels.map(s => s.stop), number => stopLabels[number - 1].label);
     }
 
-    // ========== HOTSPOT DETAILS ==========
-    const qrSize = 20; // QR code size in mm
+    for (let sectionIndex = 0; sectionIndex < daySections.length; sectionIndex++) {
+        const { heading, itinerary: sectionItinerary, start: sectionStart } = daySections[sectionIndex];
+        const hotspotStops = sectionItinerary.stops.filter(s => s.type === 'hotspot');
+        const sectionProgress = pct => (pct + sectionIndex * 100) / daySections.length;
 
-    for (let i = 0; i < hotspotStops.length; i++) {
-        const stop = hotspotStops[i];
-        const progress = 30 + ((i / hotspotStops.length) * 60);
-        onProgress(`Adding stop ${i + 1} of ${hotspotStops.length}...`, progress);
+        if (heading) {
+            if (sectionIndex > 0) {
+                report.newPage();
+            }
+            doc.setFontSize(style.headingSize + 4);
+            doc.setTextColor(...PDF_COLORS.primary);
+            doc.text(heading, margin, report.y);
+            report.y += style.lineHeight + 1;
+            doc.setFontSize(style.bodySize);
+            doc.setTextColor(...PDF_COLORS.textSecondary);
+            doc.text(`${hotspotStops.length} stops · ${formatDistance(sectionItinerary.summary.totalDistance)} · ${formatDuration(sectionItinerary.summary.totalTravelTime * 60)} ${travelMode.googleMaps}`, margin, report.y);
+            report.y += style.lineHeight + 3;
+        }
 
-        // Estimate space needed for this hotspot (base + bird columns + the
-        // weather/seasonal lines and marker legend added below)
-        const birds = stop.birds || [];
-        const birdLines = Math.ceil(birds.length / 3);
-        const estimatedHeight = 90 + (birdLines * 5); // +5 for the GPS coordinates line
-        checkNewPage(estimatedHeight);
+        if (sections.map) {
+            onProgress('Generating route map...', sectionProgress(15));
+            await renderMapSection(report, size => generateRouteMap(sectionItinerary, size), 'route map');
+        }
 
-        // Stop header with number
-        doc.setFontSize(14);
-        doc.setTextColor(...primaryColor);
-        doc.text(`Stop ${i + 1}: ${stop.name}`, margin, yPos);
-        yPos += 7;
+        onProgress('Generating QR codes...', sectionProgress(25));
+        const qrCodes = await generatePlaceQRCodes(report, hotspotStops);
 
-        // Details section
-        doc.setFontSize(10);
-        doc.setTextColor(...textPrimary);
+        for (let i = 0; i < hotspotStops.length; i++) {
+            const stop = hotspotStops[i];
+            const progress = 30 + ((i / hotspotStops.length) * 60);
+            onProgress(`Adding stop ${i + 1} of ${hotspotStops.length}...`, sectionProgress(progress));
 
-        const detailsStartY = yPos;
+            const detailLines = [`Species (last 30 days): ${stop.speciesCount || 0}`];
 
-        // Species count
-        doc.text(`Species (last 30 days): ${stop.speciesCount || 0}`, margin, yPos);
-        yPos += 5;
+            // Travel from the previous stop
+            const stopIndex = sectionItinerary.stops.indexOf(stop);
+            const prevStop = stopIndex > 0 ? sectionItinerary.stops[stopIndex - 1] : null;
+            if (prevStop?.legToNext) {
+                const fromLabel = prevStop.type === 'start' ? 'start' : prevStop.type === 'via' ? prevStop.name : `Stop ${i}`;
+                detailLines.push(`${travelMode.label} from ${fromLabel}: ${formatDistance(prevStop.legToNext.distance)} · ${formatDuration(prevStop.legToNext.duration)}`);
+            }
 
-        // Driving info from previous stop
-        const stopIndex = itinerary.stops.indexOf(stop);
-        if (stopIndex > 0) {
-            const prevStop = itinerary.stops[stopIndex - 1];
-            if (prevStop.legToNext) {
-                const fromLabel = prevStop.type === 'start' ? 'start' : `Stop ${i}`;
-                doc.text(`Drive from ${fromLabel}: ${formatDistance(prevStop.legToNext.distance)} · ${formatDuration(prevStop.legToNext.duration)}`, margin, yPos);
-                yPos += 5;
+            if (stop.suggestedVisitTime) {
+                detailLines.push(`Suggested visit: ${stop.suggestedVisitTime} min`);
             }
-        }
 
-        // Suggested visit time
-        if (stop.suggestedVisitTime) {
-            doc.text(`Suggested visit: ${stop.suggestedVisitTime} min`, margin, yPos);
-            yPos += 5;
-        }
+            // Daylight cutoff
+            if (stop.arrivesAfterDark || stop.visitTruncated) {
+                detailLines.push(stop.arrivesAfterDark ? 'Arrives after sunset' : 'Visit cut short at sunset');
+            }
 
-        // Weather (if fetched for this stop)
-        const stopWeatherLine = formatWeatherLine(stop.weather, useFahrenheit);
-        if (stopWeatherLine) {
-            doc.text(stopWeatherLine, margin, yPos);
-            yPos += 5;
-        }
+            // Opening hours
+            if (stop.missesTimeWindow || stop.waitTime > 0) {
+                detailLines.push(stop.missesTimeWindow
+                    ? `Arrives after it closes (${stop.timeWindow.close})`
+                    : `Wait ${stop.waitTime} min for it to open`);
+            }
 
-        // Seasonal / best-time insight
-        const stopSeasonalLines = doc.splitTextToSize(formatSeasonalLine(stop.recentObservations), contentWidth - qrSize - 10);
-        doc.text(stopSeasonalLines, margin, yPos);
-        yPos += stopSeasonalLines.length * 4 + 1;
-
-        // Address
-        if (stop.address) {
-            const addressLines = doc.splitTextToSize(`Address: ${stop.address}`, contentWidth - qrSize - 10);
-            // Print each line separately to avoid character spacing issues
-            addressLines.forEach(line => {
-                doc.text(line, margin, yPos);
-                yPos += 4;
+            renderPlaceSection(report, stop, {
+                heading: `Stop ${i + 1}: ${stop.name}`,
+                detailLines,
+                // Forecast for the arrival hour, else current weather (if fetched for this stop)
+                weatherLine: stop.forecast
+                    ? formatWeatherLine(stop.forecast, useFahrenheit, 'Forecast at arrival')
+                    : formatWeatherLine(stop.weather, useFahrenheit),
+                directionsFrom: sectionStart,
+                qrCode: qrCodes[i],
+                targetCodes: targetSpeciesCodes,
+                checklists: checklists.get(stop.locId) ?? null,
+                divider: i < hotspotStops.length - 1
             });
-            yPos += 2;
         }
+    }
 
-        // GPS coordinates in plain text — works with no cell signal, unlike the
-        // Google Maps link right below it.
-        doc.setTextColor(...textSecondary);
-        doc.text(`GPS: ${stop.lat.toFixed(5)}, ${stop.lng.toFixed(5)}`, margin, yPos);
-        yPos += 5;
-
-        // Links
-        doc.setTextColor(...linkColor);
-
-        // Google Maps link (from start to this stop)
-        const directionsUrl = getGoogleMapsDirectionsUrl(start.lat, start.lng, stop.lat, stop.lng);
-        doc.textWithLink('Get Directions (Google Maps)', margin, yPos, { url: directionsUrl });
-        yPos += 5;
-
-        // eBird link
-        if (stop.locId) {
-            const ebirdUrl = getEbirdHotspotUrl(stop.locId);
-            doc.textWithLink('View on eBird', margin, yPos, { url: ebirdUrl });
-            yPos += 5;
-
-            // QR code for eBird page (positioned to the right)
-            if (qrCodes[i]) {
-                doc.addImage(qrCodes[i], 'PNG', pageWidth - margin - qrSize, detailsStartY - 2, qrSize, qrSize);
-            }
-        }
+    onProgress('Finalizing report...', 95);
+    renderReportFooter(report);
 
-        // Bird list
-        yPos += 3;
-        yPos = renderBirdListColumns(doc, birds, { yPos, margin, contentWidth, targetCodes: targetSpeciesCodes });
+    onProgress('Route report complete!', 100);
 
-        yPos += 12; // Space between stops
+    return report.doc;
+}
 
-        // Divider line (except for last stop)
-        if (i < hotspotStops.length - 1) {
-            doc.setDrawColor(224, 224, 224);
-            doc.setLineWidth(0.5);
-            doc.line(margin, yPos - 6, pageWidth - margin, yPos - 6);
-        }
+/**
+ * Download route PDF with generated filename
+ * @param {jsPDF} doc - The PDF document
+ */
+export function downloadRoutePDF(doc) {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    const hours = String(now.getHours()).padStart(2, '0');
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    const timestamp = `${month}-${day}-${year}_${hours}${minutes}`;
+    const filename = `birding-route-${timestamp}.pdf`;
+    doc.save(filename);
+}
+
+/**
+ * Split text into at most maxLines lines of a width, ending the last one
+ * with '...' when it had to be cut
+ * @param {jsPDF} doc
+ * @param {string} text
+ * @param {number} width - mm
+ * @param {number} maxLines
+ * @returns {Array<string>}
+ */
+function fitTextLines(doc, text, width, maxLines) {
+    const lines = doc.splitTextToSize(text, width);
+    if (lines.length <= maxLines) return lines;
+    const kept = lines.slice(0, maxLines);
+    let last = kept[maxLines - 1];
+    while (last.length > 0 && doc.getTextWidth(`${last}...`) > width) {
+        last = last.slice(0, -1);
     }
+    kept[maxLines - 1] = `${last.trimEnd()}...`;
+    return kept;
+}
 
-    // ========== FOOTER ==========
-    onProgress('Finalizing report...', 95);
+/**
+ * Generate a one-page PDF of a hotspot comparison: one column per hotspot,
+ * then the species they all share
+ * @param {Object} comparison - From compareHotspots()
+ * @param {Object} options
+ * @param {Object} options.origin - Search origin {address, lat, lng}
+ * @param {string} options.generatedDate - Report generation date
+ * @param {boolean} [options.useFahrenheit=true] - Whether to show °F (true) or °C (false)
+ * @returns {jsPDF} The generated PDF document
+ */
+export function generateComparisonPDF(comparison, options) {
+    const { origin, generatedDate, useFahrenheit = true } = options;
+    const { hotspots, sharedBirds } = comparison;
+    const { jsPDF } = window.jspdf;
 
-    // Add footer to all pages
-    const totalPages = doc.internal.getNumberOfPages();
-    for (let i = 1; i <= totalPages; i++) {
-        doc.setPage(i);
+    const doc = new jsPDF({
+        orientation: 'landscape',
+        unit: 'mm',
+        format: 'a4'
+    });
 
-        // Footer line
-        doc.setDrawColor(224, 224, 224);
-        doc.setLineWidth(0.5);
-        doc.line(margin, pageHeight - 15, pageWidth - margin, pageHeight - 15);
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 12;
+    const labelWidth = 34;
+    const columnGap = 4;
+    const columnWidth = (pageWidth - margin * 2 - labelWidth - columnGap * hotspots.length) / hotspots.length;
+    const columnX = index => margin + labelWidth + index * (columnWidth + columnGap);
+    const lineHeight = 3.8;
+    const { primary: primaryColor, textPrimary, textSecondary, notable: notableColor, lifer: liferColor } = PDF_COLORS;
+    let yPos = margin + 4;
 
-        // Footer text
-        doc.setFontSize(8);
+    // ========== TITLE ==========
+    doc.setFontSize(18);
+    doc.setTextColor(...primaryColor);
+    doc.text('Hotspot Comparison', margin, yPos);
+    yPos += 6;
+
+    doc.setFontSize(9);
+    doc.setTextColor(...textSecondary);
+    doc.text(`Generated: ${generatedDate} | From: ${origin.address || `${origin.lat.toFixed(4)}, ${origin.lng.toFixed(4)}`}`, margin, yPos);
+    yPos += 8;
+
+    // ========== HOTSPOT NAMES ==========
+    doc.setFontSize(11);
+    doc.setTextColor(...primaryColor);
+    const nameLines = hotspots.map(h => fitTextLines(doc, h.name, columnWidth, 2));
+    nameLines.forEach((lines, i) => doc.text(lines, columnX(i), yPos));
+    yPos += Math.max(...nameLines.map(lines => lines.length)) * 4.5 + 1;
+
+    doc.setDrawColor(224, 224, 224);
+    doc.setLineWidth(0.4);
+    doc.line(margin, yPos - 3, pageWidth - margin, yPos - 3);
+
+    /**
+     * One comparison row: a label, then each hotspot's value
+     * @param {string} label
+     * @param {Function} valueFor - (hotspot) => string
+     * @param {Object} [rowOptions]
+     * @param {number} [rowOptions.maxLines=2]
+     * @param {Array<number>} [rowOptions.color]
+     */
+    const addRow = (label, valueFor, { maxLines = 2, color = textPrimary } = {}) => {
+        doc.setFontSize(8.5);
         doc.setTextColor(...textSecondary);
-        doc.text(
-            'Data from eBird (Cornell Lab of Ornithology) - ebird.org/terms. Generated by Birding Hotspots Finder.',
-            margin,
-            pageHeight - 10
-        );
+        doc.text(label, margin, yPos);
+        doc.setTextColor(...color);
+        const cells = hotspots.map(h => fitTextLines(doc, valueFor(h) || '-', columnWidth, maxLines));
+        cells.forEach((lines, i) => doc.text(lines, columnX(i), yPos));
+        yPos += Math.max(...cells.map(lines => lines.length)) * lineHeight + 1.5;
+    };
 
-        // Page number
-        doc.text(
-            `Page ${i} of ${totalPages}`,
-            pageWidth - margin,
-            pageHeight - 10,
-            { align: 'right' }
-        );
-    }
+    const names = birds => birds.map(b => b.comName).join(', ');
+
+    addRow('Species (recent)', h => String(h.speciesCount));
+    addRow('Unique species', h => `${h.uniqueCount} (${h.overlapPercent}% shared)`);
+    addRow('Notable', h => (h.notableBirds.length > 0 ? `${h.notableBirds.length}: ${names(h.notableBirds)}` : 'None'),
+        { maxLines: 3, color: notableColor });
+    addRow('Potential lifers', h => (h.liferBirds.length > 0 ? `${h.liferBirds.length}: ${names(h.liferBirds)}` : 'None'),
+        { maxLines: 3, color: liferColor });
+    addRow('Distance', h => formatDistance(h.distance));
+    addRow('Travel', h => (h.travelDuration != null
+        ? `${formatDuration(h.travelDuration)} ${getTravelMode(h.travelMode).verb}${h.travelDistance != null ? ` (${formatDistance(h.travelDistance)})` : ''}`
+        : 'Not measured'));
+    addRow('Weather', h => {
+        if (!h.weather) return 'No forecast';
+        const temp = useFahrenheit ? `${h.weather.temperatureF}°F` : `${h.weather.temperatureC}°C`;
+        return `${h.conditions.score}/100 (${h.conditions.rating}) - ${temp}, wind ${h.weather.windSpeedMph} mph`;
+    });
+    addRow('Best time of day', h => (h.activity
+        ? `${h.activity.bestTime} (${ACTIVITY_SLOT_KEYS.map(slot => `${h.activity[slot].label} ${h.activity[slot].percentage}%`).join(', ')})`
+        : 'Not enough timed sightings'), { maxLines: 3 });
+    addRow('All-time', h => [
+        h.totalSpecies != null ? `${h.totalSpecies.toLocaleString()} species` : null,
+        h.totalChecklists != null ? `${h.totalChecklists.toLocaleString()} checklists` : null,
+        h.quality?.label
+    ].filter(Boolean).join(', '));
+
+    // ========== UNIQUE SPECIES ==========
+    yPos += 2;
+    doc.setFontSize(10);
+    doc.setTextColor(...primaryColor);
+    doc.text('Only here', margin, yPos);
+    yPos += 5;
 
-    onProgress('Route report complete!', 100);
+    // The unique lists share what's left of the page with the shared species,
+    // and start under the label column too to use the full width
+    const footerTop = pageHeight - 15;
+    const sharedHeight = 20;
+    const uniqueLines = Math.max(1, Math.floor((footerTop - sharedHeight - yPos) / lineHeight) - 1);
+    const uniqueWidth = (pageWidth - margin * 2 - columnGap * (hotspots.length - 1)) / hotspots.length;
+    doc.setFontSize(8.5);
+    hotspots.forEach((h, i) => {
+        const x = margin + i * (uniqueWidth + columnGap);
+        doc.setTextColor(...primaryColor);
+        doc.text(fitTextLines(doc, `${h.name} (${h.uniqueCount})`, uniqueWidth, 1), x, yPos);
+        doc.setTextColor(...textPrimary);
+        const list = h.uniqueBirds.length > 0 ? names(h.uniqueBirds) : 'Nothing the others lack';
+        doc.text(fitTextLines(doc, list, uniqueWidth, uniqueLines), x, yPos + lineHeight + 0.5);
+    });
+    yPos = footerTop - sharedHeight + 2;
+
+    // ========== SHARED SPECIES ==========
+    doc.setFontSize(10);
+    doc.setTextColor(...primaryColor);
+    doc.text(`Seen at all ${hotspots.length} (${sharedBirds.length})`, margin, yPos);
+    yPos += 4.5;
+    doc.setFontSize(8.5);
+    doc.setTextColor(...textPrimary);
+    doc.text(fitTextLines(doc, sharedBirds.length > 0 ? names(sharedBirds) : 'No species in common', pageWidth - margin * 2, 3), margin, yPos);
+
+    // ========== FOOTER ==========
+    doc.setDrawColor(224, 224, 224);
+    doc.setLineWidth(0.5);
+    doc.line(margin, pageHeight - 10, pageWidth - margin, pageHeight - 10);
+    doc.setFontSize(8);
+    doc.setTextColor(...textSecondary);
+    doc.text('Data from eBird (Cornell Lab of Ornithology) - ebird.org/terms. Generated by Birding Hotspots Finder.', margin, pageHeight - 6);
 
     return doc;
 }
 
 /**
- * Download route PDF with generated filename
+ * Download a comparison PDF with a generated filename
  * @param {jsPDF} doc - The PDF document
  */
-export function downloadRoutePDF(doc) {
+export function downloadComparisonPDF(doc) {
     const now = new Date();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
@@ -648,6 +1022,6 @@ export function downloadRoutePDF(doc) {
     const hours = String(now.getHours()).padStart(2, '0');
     const minutes = String(now.getMinutes()).padStart(2, '0');
     const timestamp = `${month}-${day}-${year}_${hours}${minutes}`;
-    const filename = `birding-route-${timestamp}.pdf`;
+    const filename = `hotspot-comparison-${timestamp}.pdf`;
     doc.save(filename);
 }
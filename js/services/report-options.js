@@ -0,0 +1,102 @@
+/**
+ * PDF Report Options Service
+ * What goes into a PDF report - which sections, page size and orientation,
+ * full report or compact field card, and whether species lists keep every
+ * bird or only the highlights - plus the species picks those options imply
+ */
+
+// Report sections the user can switch on and off, in the order they appear
+export const REPORT_SECTIONS = [
+    { key: 'map', label: 'Map' },
+    { key: 'weather', label: 'Weather' },
+    { key: 'seasonal', label: 'Seasonal insights & migration radar' },
+    { key: 'liferSummary', label: 'Lifer summary' },
+    { key: 'species', label: 'Species lists' },
+    { key: 'qrCodes', label: 'QR codes' },
+    { key: 'checklists', label: 'Recent checklists' }
+];
+
+export const PAGE_SIZES = ['a4', 'letter'];
+export const ORIENTATIONS = ['portrait', 'landscape'];
+// 'full' is the detailed report; 'compact' a small-type field card with just what's needed outdoors
+export const DENSITIES = ['full', 'compact'];
+// 'highlights' keeps only notables, potential lifers and targets
+export const SPECIES_FILTERS = ['all', 'highlights'];
+
+/**
+ * The report as it was before it could be configured: everything but the
+ * checklists, which cost an extra eBird request per checklist
+ */
+export const DEFAULT_REPORT_OPTIONS = {
+    pageSize: 'a4',
+    orientation: 'portrait',
+    density: 'full',
+    speciesFilter: 'all',
+    sections: {
+        map: true,
+        weather: true,
+        seasonal: true,
+        liferSummary: true,
+        species: true,
+        qrCodes: true,
+        checklists: false
+    }
+};
+
+/**
+ * Fill in report options, replacing anything missing or unknown with the default
+ * @param {Object} [options] - Partial options, e.g. as saved from the last report
+ * @returns {{pageSize: string, orientation: string, density: string, speciesFilter: string,
+ *   sections: Object<string, boolean>}}
+ */
+export function resolveReportOptions(options = {}) {
+    const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+    const sections = {};
+    REPORT_SECTIONS.forEach(({ key }) => {
+        const value = options.sections?.[key];
+        sections[key] = typeof value === 'boolean' ? value : DEFAULT_REPORT_OPTIONS.sections[key];
+    });
+
+    return {
+        pageSize: pick(options.pageSize, PAGE_SIZES, DEFAULT_REPORT_OPTIONS.pageSize),
+        orientation: pick(options.orientation, ORIENTATIONS, DEFAULT_REPORT_OPTIONS.orientation),
+        density: pick(options.density, DENSITIES, DEFAULT_REPORT_OPTIONS.density),
+        speciesFilter: pick(options.speciesFilter, SPECIES_FILTERS, DEFAULT_REPORT_OPTIONS.speciesFilter),
+        sections
+    };
+}
+
+/**
+ * The birds a report's species list shows for one place
+ * @param {Array} birds - With isNotable/isLifer/speciesCode
+ * @param {string} speciesFilter - 'all' or 'highlights'
+ * @param {Array<string>} [targetCodes] - Species codes the user is targeting
+ * @returns {Array}
+ */
+export function selectReportSpecies(birds, speciesFilter, targetCodes = []) {
+    if (speciesFilter !== 'highlights') return birds || [];
+    return (birds || []).filter(b => b.isNotable || b.isLifer || targetCodes.includes(b.speciesCode));
+}
+
+/**
+ * Every potential lifer across the report's places, with where each was
+ * reported - the ones found at the fewest places first, as those decide
+ * which stops matter
+ * @param {Array} places - Hotspots or stops, in report order, with birds
+ * @returns {Array<{speciesCode: string, comName: string, placeNumbers: Array<number>}>}
+ *   placeNumbers are 1-based positions in places
+ */
+export function buildLiferSummary(places) {
+    const lifers = new Map();
+    places.forEach((place, index) => {
+        (place.birds || []).filter(b => b.isLifer).forEach(bird => {
+            if (!lifers.has(bird.speciesCode)) {
+                lifers.set(bird.speciesCode, { speciesCode: bird.speciesCode, comName: bird.comName, placeNumbers: [] });
+            }
+            lifers.get(bird.speciesCode).placeNumbers.push(index + 1);
+        });
+    });
+
+    return [...lifers.values()].sort((a, b) =>
+        a.placeNumbers.length - b.placeNumbers.length || a.comName.localeCompare(b.comName));
+}
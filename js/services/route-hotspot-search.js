@@ -5,13 +5,14 @@
  * so coverage doesn't depend on how long the route is.
  */
 
-import { distanceToRouteLine, sampleRoutePoints } from '../utils/formatters.js';
+import { calculateDistance, distanceToRouteLine, sampleRoutePoints } from '../utils/formatters.js';
 
 /**
  * Build sample points along a route, adapting spacing/count to route length.
  * Always includes the route's actual start and end points so coverage near
  * the endpoints doesn't depend on route length.
- * @param {Array} routeCoords - Route coordinates [[lng, lat], ...] (OSRM GeoJSON order)
+ * @param {Array} routeCoords - Route coordinates [[lng, lat], ...] (OSRM GeoJSON order), or
+ *   MultiLineString coordinates for an imported track with gaps
  * @param {number} routeDistanceKm - Total route distance in km
  * @param {number} maxPoints - Maximum number of sample points (caps eBird API calls)
  * @param {number} targetIntervalKm - Desired spacing between sample points
@@ -67,7 +68,7 @@ export function dedupeHotspotsById(hotspotArrays) {
  * Filter hotspots to those within maxDetourKm of the actual route polyline,
  * attaching the computed distance to each surviving hotspot.
  * @param {Array} hotspots - Candidate hotspots with lat/lng
- * @param {Array} routeCoords - Route coordinates [[lng, lat], ...]
+ * @param {Array} routeCoords - Route coordinates [[lng, lat], ...], or MultiLineString coordinates
  * @param {number} maxDetourKm - Maximum allowed distance from the route line
  * @returns {Array} Filtered hotspots, each with a `.distance` field (km)
  */
@@ -128,3 +129,56 @@ export function sortEnrichedRouteHotspots(hotspots, { targetLocIds = new Set(),
         return a.distance - b.distance;
     });
 }
+
+/**
+ * Split a route polyline into one piece per leg at its via points, for a
+ * route driven through several waypoints (A -> B -> C). Each waypoint is
+ * matched to the nearest route coordinate at or after the previous one, so
+ * a route that doubles back past a waypoint still splits in order.
+ * @param {Array} routeCoords - Route coordinates [[lng, lat], ...]
+ * @param {Array<{lat:number,lng:number}>} waypoints - Start, via points and end, in order
+ * @returns {Array<Array>} One coordinate list per leg (waypoints.length - 1 of them)
+ */
+export function splitRouteAtWaypoints(routeCoords, waypoints) {
+    const cuts = [0];
+    for (let w = 1; w < waypoints.length - 1; w++) {
+        const from = cuts[cuts.length - 1];
+        let best = from;
+        let bestDistance = Infinity;
+        for (let i = from; i < routeCoords.length; i++) {
+            const distance = calculateDistance(waypoints[w].lat, waypoints[w].lng, routeCoords[i][1], routeCoords[i][0]);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        cuts.push(best);
+    }
+    cuts.push(routeCoords.length - 1);
+
+    // Neighbouring legs share the coordinate at the via point
+    return cuts.slice(1).map((cut, leg) => routeCoords.slice(cuts[leg], cut + 1));
+}
+
+/**
+ * Put each hotspot on the leg of a multi-waypoint route it lies closest to
+ * @param {Array} hotspots - Hotspots with lat/lng
+ * @param {Array<Array>} legCoords - Per-leg polylines from splitRouteAtWaypoints()
+ * @returns {Array} Hotspots (new objects) with a `.legIndex`
+ */
+export function assignHotspotsToLegs(hotspots, legCoords) {
+    return hotspots.map(hotspot => {
+        let legIndex = 0;
+        let bestDistance = Infinity;
+        legCoords.forEach((coords, i) => {
+            const distance = coords.length > 1
+                ? distanceToRouteLine(hotspot.lat, hotspot.lng, coords)
+                : calculateDistance(hotspot.lat, hotspot.lng, coords[0][1], coords[0][0]);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                legIndex = i;
+            }
+        });
+        return { ...hotspot, legIndex };
+    });
+}
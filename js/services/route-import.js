@@ -0,0 +1,311 @@
+/**
+ * Route Import Service
+ * Reads a planned route from a GPX, KML or GeoJSON file (a hiking track,
+ * paddling route or multi-stop road trip) so route mode can search along it
+ * instead of a routed line between two addresses
+ */
+
+import { calculateDistance } from '../utils/formatters.js';
+
+/**
+ * Work out a route file's format from its name, falling back to its content
+ * @param {string} filename
+ * @param {string} text - File content
+ * @returns {'gpx'|'kml'|'geojson'|null}
+ */
+export function detectRouteFormat(filename, text) {
+    const extension = (filename || '').toLowerCase().split('.').pop();
+    if (extension === 'gpx') return 'gpx';
+    if (extension === 'kml') return 'kml';
+    if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+    const head = (text || '').trimStart().slice(0, 1000);
+    if (head.startsWith('{')) return 'geojson';
+    if (/<gpx[\s>]/.test(head)) return 'gpx';
+    if (/<kml[\s>]/.test(head)) return 'kml';
+    return null;
+}
+
+/**
+ * Decode the XML entities and CDATA of a text node
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeXmlText(str) {
+    return str
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Text of the first <tag> inside an XML fragment
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function firstTagText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXmlText(match[1]) : null;
+}
+
+/**
+ * Every <tag>...</tag> (or self-closing <tag/>) in an XML fragment, with its
+ * attributes and body
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {Array<{attributes: Object, body: string}>}
+ */
+function findElements(xml, tag) {
+    const pattern = new RegExp(`<${tag}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+    return [...xml.matchAll(pattern)].map(([, attributeText = '', body = '']) => {
+        const attributes = {};
+        for (const [, name, , value] of attributeText.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+            attributes[name] = value;
+        }
+        return { attributes, body };
+    });
+}
+
+/**
+ * Whether a [lng, lat] pair is a real coordinate
+ * @param {Array<number>} coord
+ * @returns {boolean}
+ */
+function isValidCoord([lng, lat]) {
+    return Number.isFinite(lat) && Number.isFinite(lng) &&
+        Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * [lng, lat] from a GPX point's attributes
+ * @param {Object} attributes
+ * @returns {Array<number>}
+ */
+function gpxPointCoord(attributes) {
+    return [parseFloat(attributes.lon), parseFloat(attributes.lat)];
+}
+
+/**
+ * Parse a GPX file. Tracks win over routes, and routes over loose waypoints.
+ * @param {string} text
+ * @returns {{name: string|null, segments: Array, waypoints: Array}}
+ */
+function parseGpx(text) {
+    const segments = findElements(text, 'trkseg')
+        .map(({ body }) => findElements(body, 'trkpt').map(({ attributes }) => gpxPointCoord(attributes)).filter(isValidCoord));
+
+    // A <rte> is a list of points to travel between, like waypoints
+    const routes = findElements(text, 'rte')
+        .map(({ body }) => findElements(body, 'rtept').map(({ attributes, body: pointBody }) => ({
+            coord: gpxPointCoord(attributes),
+            name: firstTagText(pointBody, 'name')
+        })));
+    const routePoints = routes.find(points => points.length >= 2) || [];
+    const loosePoints = findElements(text, 'wpt').map(({ attributes, body }) => ({
+        coord: gpxPointCoord(attributes),
+        name: firstTagText(body, 'name')
+    }));
+
+    // Only the file's or a track's own name, not a waypoint's
+    const nameSources = [...findElements(text, 'metadata'), ...findElements(text, 'trk'), ...findElements(text, 'rte')];
+    const name = nameSources.map(({ body }) => firstTagText(body.replace(/<(trkseg|rtept)[\s\S]*$/, ''), 'name')).find(Boolean);
+
+    return {
+        name: name || null,
+        segments,
+        waypoints: (routePoints.length >= 2 ? routePoints : loosePoints).filter(p => isValidCoord(p.coord))
+    };
+}
+
+/**
+ * Parse a KML <coordinates> list ("lng,lat[,alt] lng,lat[,alt] ...")
+ * @param {string} text
+ * @returns {Array<Array<number>>}
+ */
+function parseKmlCoordinates(text) {
+    return text.trim().split(/\s+/)
+        .map(tuple => tuple.split(',').map(Number))
+        .map(([lng, lat]) => [lng, lat])
+        .filter(isValidCoord);
+}
+
+/**
+ * Parse a KML file: LineStrings (including each line of a MultiGeometry)
+ * and gx:Tracks become segments, Point placemarks become waypoints
+ * @param {string} text
+ * @returns {{name: string|null, segments: Array, waypoints: Array}}
+ */
+function parseKml(text) {
+    const segments = [
+        ...findElements(text, 'LineString').map(({ body }) => parseKmlCoordinates(firstTagText(body, 'coordinates') || '')),
+        ...findElements(text, 'gx:Track').map(({ body }) => findElements(body, 'gx:coord')
+            .map(({ body: coord }) => coord.trim().split(/\s+/).map(Number))
+            .map(([lng, lat]) => [lng, lat])
+            .filter(isValidCoord))
+    ];
+
+    const waypoints = findElements(text, 'Placemark')
+        .filter(({ body }) => /<Point[\s>]/.test(body))
+        .map(({ body }) => ({
+            coord: parseKmlCoordinates(firstTagText(findElements(body, 'Point')[0].body, 'coordinates') || '')[0],
+            name: firstTagText(body, 'name')
+        }))
+        .filter(p => p.coord);
+
+    return { name: firstTagText(text, 'name'), segments, waypoints };
+}
+
+/**
+ * Parse a GeoJSON file: LineStrings and MultiLineStrings become segments,
+ * Points become waypoints
+ * @param {string} text
+ * @returns {{name: string|null, segments: Array, waypoints: Array}}
+ */
+function parseGeoJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('This GeoJSON file could not be read.');
+    }
+
+    const segments = [];
+    const waypoints = [];
+    const toCoord = ([lng, lat]) => [lng, lat];
+
+    const addGeometry = (geometry, properties = {}) => {
+        if (!geometry) return;
+        switch (geometry.type) {
+            case 'LineString':
+                segments.push(geometry.coordinates.map(toCoord).filter(isValidCoord));
+                break;
+            case 'MultiLineString':
+                geometry.coordinates.forEach(line => segments.push(line.map(toCoord).filter(isValidCoord)));
+                break;
+            case 'Point':
+                if (isValidCoord(toCoord(geometry.coordinates))) {
+                    waypoints.push({ coord: toCoord(geometry.coordinates), name: properties?.name ?? null });
+                }
+                break;
+            case 'MultiPoint':
+                geometry.coordinates.map(toCoord).filter(isValidCoord)
+                    .forEach(coord => waypoints.push({ coord, name: properties?.name ?? null }));
+                break;
+            case 'GeometryCollection':
+                geometry.geometries.forEach(g => addGeometry(g, properties));
+                break;
+            default:
+                break;
+        }
+    };
+
+    if (data?.type === 'FeatureCollection') {
+        (data.features || []).forEach(feature => addGeometry(feature.geometry, feature.properties));
+    } else if (data?.type === 'Feature') {
+        addGeometry(data.geometry, data.properties);
+    } else {
+        addGeometry(data);
+    }
+
+    const name = data?.name || data?.properties?.name ||
+        data?.features?.find(f => f.geometry?.type?.includes('LineString'))?.properties?.name || null;
+    return { name, segments, waypoints };
+}
+
+/**
+ * Length of a polyline in km
+ * @param {Array<Array<number>>} coords - [[lng, lat], ...]
+ * @returns {number}
+ */
+function polylineLengthKm(coords) {
+    let total = 0;
+    for (let i = 1; i < coords.length; i++) {
+        total += calculateDistance(coords[i - 1][1], coords[i - 1][0], coords[i][1], coords[i][0]);
+    }
+    return total;
+}
+
+/**
+ * Thin a polyline to at most maxPoints, keeping both ends
+ * @param {Array<Array<number>>} coords
+ * @param {number} maxPoints
+ * @returns {Array<Array<number>>}
+ */
+function thinPolyline(coords, maxPoints) {
+    if (coords.length <= maxPoints) return coords;
+    const step = Math.ceil(coords.length / maxPoints);
+    const thinned = coords.filter((_, i) => i % step === 0);
+    if (thinned[thinned.length - 1] !== coords[coords.length - 1]) {
+        thinned.push(coords[coords.length - 1]);
+    }
+    return thinned;
+}
+
+/**
+ * Parse a GPX, KML or GeoJSON route file.
+ *
+ * Files with a track or line give a 'track': its segments are kept apart, in
+ * file order, so nothing is measured or searched across the gaps between
+ * them. Files with only waypoints (or a GPX <rte>) give 'waypoints', in file
+ * order, for the caller to route between.
+ * @param {string} text - File content
+ * @param {string} filename - File name, used to tell the format
+ * @param {Object} [options]
+ * @param {number} [options.maxTrackPoints=2000] - Tracks are thinned to this many points in all
+ * @returns {{name: string, format: string, kind: 'track'|'waypoints', coordinates: Array<Array<number>>,
+ *   segments: Array<Array<Array<number>>>, waypoints: Array<{lat: number, lng: number, name: string|null}>,
+ *   distanceKm: number, start: {lat: number, lng: number}, end: {lat: number, lng: number}}}
+ *   coordinates are every point in order, [lng, lat] like routing geometry; segments are the same
+ *   points split into the track's separate lines (a single line for waypoints), as MultiLineString
+ *   coordinates
+ * @throws {Error} If the format is unknown or the file has no usable route
+ */
+export function parseRouteFile(text, filename, { maxTrackPoints = 2000 } = {}) {
+    const format = detectRouteFormat(filename, text);
+    if (!format) {
+        throw new Error('Unsupported route file. Please choose a GPX, KML or GeoJSON file.');
+    }
+
+    const parsed = format === 'gpx' ? parseGpx(text) : format === 'kml' ? parseKml(text) : parseGeoJson(text);
+    const segments = parsed.segments.filter(segment => segment.length >= 2);
+    const waypoints = parsed.waypoints.map(({ coord: [lng, lat], name }) => ({ lat, lng, name }));
+
+    let kind;
+    let lines;
+    let distanceKm;
+    if (segments.length > 0) {
+        kind = 'track';
+        distanceKm = segments.reduce((sum, segment) => sum + polylineLengthKm(segment), 0);
+        // Each segment gets its share of the points
+        const pointCount = segments.reduce((sum, segment) => sum + segment.length, 0);
+        lines = segments.map(segment =>
+            thinPolyline(segment, Math.max(2, Math.floor(maxTrackPoints * segment.length / pointCount))));
+    } else if (waypoints.length >= 2) {
+        kind = 'waypoints';
+        lines = [waypoints.map(({ lat, lng }) => [lng, lat])];
+        distanceKm = polylineLengthKm(lines[0]);
+    } else {
+        throw new Error('No track, route or waypoints found in this file. A route needs at least two points.');
+    }
+
+    const coordinates = lines.flat();
+    const [startLng, startLat] = coordinates[0];
+    const [endLng, endLat] = coordinates[coordinates.length - 1];
+    return {
+        name: parsed.name || filename.replace(/\.[^.]+$/, ''),
+        format,
+        kind,
+        coordinates,
+        segments: lines,
+        waypoints,
+        distanceKm,
+        start: { lat: startLat, lng: startLng },
+        end: { lat: endLat, lng: endLng }
+    };
+}
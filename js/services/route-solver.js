@@ -0,0 +1,172 @@
+/**
+ * Route Solver
+ * Orders stops on the client when the routing engine can't: a nearest-neighbour
+ * tour improved with 2-opt and Or-opt moves, over any travel-time matrix (a
+ * routing table, or straight-line estimates). Handles a fixed start, a fixed
+ * end or a round trip, and soft per-stop time windows.
+ */
+
+// Each second of arriving after a stop's window closes costs this many
+// seconds of travel, so the solver only misses a window when it can't help it
+const LATENESS_PENALTY = 10;
+
+// Improvement passes stop after this many rounds even if still finding gains
+const MAX_IMPROVEMENT_ROUNDS = 50;
+
+// Or-opt moves chains of up to this many consecutive stops
+const MAX_OR_OPT_CHAIN = 3;
+
+/**
+ * Walk a tour through the matrix, waiting for windows to open
+ * @param {Array<number>} tour - Point indices in visiting order, including start and end
+ * @param {Array<Array<number>>} durations - Travel seconds, durations[i][j] from i to j
+ * @param {Array<number>} serviceTimes - Seconds spent at each point
+ * @param {Array<Object|null>} timeWindows - {earliest, latest} seconds after departure, per point
+ * @returns {{travel: number, finish: number, lateness: number, cost: number}}
+ */
+function evaluateTour(tour, durations, serviceTimes, timeWindows) {
+    let time = 0;
+    let travel = 0;
+    let lateness = 0;
+
+    for (let k = 1; k < tour.length; k++) {
+        const leg = durations[tour[k - 1]][tour[k]];
+        travel += leg;
+        time += (k > 1 ? serviceTimes[tour[k - 1]] || 0 : 0) + leg;
+
+        const window = timeWindows[tour[k]];
+        if (window) {
+            if (window.earliest != null && time < window.earliest) time = window.earliest;
+            if (window.latest != null && time > window.latest) lateness += time - window.latest;
+        }
+    }
+
+    return { travel, finish: time, lateness, cost: time + lateness * LATENESS_PENALTY };
+}
+
+/**
+ * Greedy construction: from the start, always go to the stop where the visit
+ * can begin soonest (nearest, or open soonest)
+ * @param {number} start
+ * @param {Array<number>} stops - Indices still to visit
+ * @param {Array<Array<number>>} durations
+ * @param {Array<number>} serviceTimes
+ * @param {Array<Object|null>} timeWindows
+ * @returns {Array<number>} Stops in visiting order
+ */
+function nearestNeighbour(start, stops, durations, serviceTimes, timeWindows) {
+    const order = [];
+    const remaining = [...stops];
+    let current = start;
+    let time = 0;
+
+    while (remaining.length > 0) {
+        let bestIndex = 0;
+        let bestTime = Infinity;
+        remaining.forEach((stop, i) => {
+            const earliest = timeWindows[stop]?.earliest ?? 0;
+            const begins = Math.max(time + durations[current][stop], earliest);
+            if (begins < bestTime) {
+                bestTime = begins;
+                bestIndex = i;
+            }
+        });
+        const [next] = remaining.splice(bestIndex, 1);
+        time = bestTime + (serviceTimes[next] || 0);
+        order.push(next);
+        current = next;
+    }
+
+    return order;
+}
+
+/**
+ * Find an efficient visiting order for a set of points
+ * @param {Array<Array<number|null>>} durations - Square travel-time matrix in seconds; null, missing or
+ *   non-finite entries are treated as unreachable
+ * @param {Object} [options]
+ * @param {number} [options.start=0] - Index of the fixed first point
+ * @param {number|null} [options.end=null] - Index of the fixed last point; null leaves the last stop free
+ * @param {boolean} [options.roundTrip=false] - Return to the start after the last stop (end is ignored)
+ * @param {Array<number>} [options.serviceTimes] - Seconds spent at each point
+ * @param {Array<Object|null>} [options.timeWindows] - Per point {earliest, latest} in seconds after
+ *   departure from the start. Arriving early waits; arriving late is allowed but penalised.
+ * @returns {{order: Array<number>, travelTime: number, finishTime: number, lateness: number}} order lists
+ *   every point once, start first (and end last when fixed); the return to the start of a round trip
+ *   is counted in the times but not repeated in order
+ */
+export function solveRoute(durations, options = {}) {
+    const {
+        start = 0,
+        end = null,
+        roundTrip = false,
+        serviceTimes = [],
+        timeWindows = []
+    } = options;
+
+    const size = durations.length;
+    const matrix = durations.map((row, i) => row.map((value, j) => {
+        if (i === j) return 0;
+        return typeof value === 'number' && Number.isFinite(value) ? value : Infinity;
+    }));
+
+    const fixedEnd = roundTrip ? null : end;
+    const stops = [];
+    for (let i = 0; i < size; i++) {
+        if (i !== start && i !== fixedEnd) stops.push(i);
+    }
+
+    // Tours always carry their fixed endpoints, so moves only touch the middle
+    const tail = roundTrip ? [start] : (fixedEnd !== null ? [fixedEnd] : []);
+    const toTour = middle => [start, ...middle, ...tail];
+    const evaluate = middle => evaluateTour(toTour(middle), matrix, serviceTimes, timeWindows);
+
+    let best = nearestNeighbour(start, stops, matrix, serviceTimes, timeWindows);
+    let bestCost = evaluate(best).cost;
+
+    for (let round = 0; round < MAX_IMPROVEMENT_ROUNDS; round++) {
+        let improved = false;
+
+        // 2-opt: reverse a run of stops
+        for (let i = 0; i < best.length - 1; i++) {
+            for (let j = i + 1; j < best.length; j++) {
+                const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+                const cost = evaluate(candidate).cost;
+                if (cost < bestCost) {
+                    best = candidate;
+                    bestCost = cost;
+                    improved = true;
+                }
+            }
+        }
+
+        // Or-opt: move a chain of 1-3 stops somewhere else in the tour
+        for (let length = 1; length <= MAX_OR_OPT_CHAIN; length++) {
+            for (let i = 0; i + length <= best.length; i++) {
+                const chain = best.slice(i, i + length);
+                const rest = [...best.slice(0, i), ...best.slice(i + length)];
+                for (let k = 0; k <= rest.length; k++) {
+                    if (k === i) continue;
+                    const candidate = [...rest.slice(0, k), ...chain, ...rest.slice(k)];
+                    const cost = evaluate(candidate).cost;
+                    if (cost < bestCost) {
+                        best = candidate;
+                        bestCost = cost;
+                        improved = true;
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (!improved) break;
+    }
+
+    const result = evaluate(best);
+    return {
+        order: roundTrip ? [start, ...best] : toTour(best),
+        travelTime: result.travel,
+        finishTime: result.finish,
+        lateness: result.lateness
+    };
+}
@@ -3,22 +3,51 @@
  * Provides seasonal analysis, migration alerts, and optimal birding times
  */
 
-import { MIGRATION_WINDOWS, OPTIMAL_BIRDING_TIMES, MONTHLY_ACTIVITY, SEASONS } from '../data/migration-patterns.js';
+import { OPTIMAL_BIRDING_TIMES, MIGRATION_REGIONS, COUNTRY_MIGRATION_REGIONS } from '../data/migration-patterns.js';
+
+// Edge of the tropics (Tropic of Cancer / Capricorn)
+const TROPIC_LATITUDE = 23.44;
+
+// Display names for seasons whose key isn't already readable
+const SEASON_NAMES = { wet: 'Wet season', dry: 'Dry season' };
+
+/**
+ * Get the migration region for a location: by latitude band when the
+ * latitude is known, otherwise by the eBird region code's country
+ * @param {Object} [location] - {lat} and/or {regionCode} (e.g. "AU-NSW");
+ *   without one, northern temperate is assumed
+ * @returns {Object} {key, name, seasons, windows, monthlyActivity, passageLabels}
+ */
+export function getMigrationRegion(location = null) {
+    let key = 'northTemperate';
+    const lat = location?.lat;
+
+    if (Number.isFinite(lat)) {
+        if (lat >= TROPIC_LATITUDE) key = 'northTemperate';
+        else if (lat >= 0) key = 'tropicsNorth';
+        else if (lat > -TROPIC_LATITUDE) key = 'tropicsSouth';
+        else key = 'southTemperate';
+    } else if (location?.regionCode) {
+        key = COUNTRY_MIGRATION_REGIONS[location.regionCode.split('-')[0].toUpperCase()] || key;
+    }
+
+    return { key, ...MIGRATION_REGIONS[key] };
+}
 
 /**
- * Get the current season based on date
+ * Get the current season based on date and location
  * @param {Date} date - Date to check (defaults to today)
- * @returns {string} Season name: 'spring', 'summer', 'fall', or 'winter'
+ * @param {Object} [location] - {lat} and/or {regionCode}; see getMigrationRegion()
+ * @returns {string} Season name: 'spring', 'summer', 'fall' or 'winter', or in
+ *   the tropics 'wet' or 'dry'
  */
-export function getCurrentSeason(date = new Date()) {
+export function getCurrentSeason(date = new Date(), location = null) {
     const month = date.getMonth() + 1;
     const day = date.getDate();
+    const seasons = Object.entries(getMigrationRegion(location).seasons);
 
-    // Check each season
-    if (isDateInRange(month, day, SEASONS.spring)) return 'spring';
-    if (isDateInRange(month, day, SEASONS.summer)) return 'summer';
-    if (isDateInRange(month, day, SEASONS.fall)) return 'fall';
-    return 'winter';
+    const match = seasons.find(([, range]) => isDateInRange(month, day, range));
+    return match ? match[0] : seasons[seasons.length - 1][0];
 }
 
 /**
@@ -83,12 +112,14 @@ function checkMigrationPeriod(date, period) {
 /**
  * Get active migration alerts for today
  * @param {Date} date - Date to check (defaults to today)
+ * @param {Object} [location] - {lat} and/or {regionCode}; see getMigrationRegion()
  * @returns {Array} Array of active migration alerts
  */
-export function getActiveMigrationAlerts(date = new Date()) {
+export function getActiveMigrationAlerts(date = new Date(), location = null) {
     const alerts = [];
+    const { windows, passageLabels } = getMigrationRegion(location);
 
-    for (const [key, migration] of Object.entries(MIGRATION_WINDOWS)) {
+    for (const [key, migration] of Object.entries(windows)) {
         // Check spring migration
         const springCheck = checkMigrationPeriod(date, migration.spring);
         if (springCheck.inPeriod) {
@@ -99,7 +130,7 @@ export function getActiveMigrationAlerts(date = new Date()) {
                 daysUntilPeak: springCheck.daysUntilPeak,
                 message: springCheck.isPeak
                     ? `Peak ${migration.name.toLowerCase()} migration!`
-                    : `${migration.name} spring migration underway`
+                    : `${migration.name} ${passageLabels.spring} migration underway`
             });
         }
 
@@ -113,7 +144,7 @@ export function getActiveMigrationAlerts(date = new Date()) {
                 daysUntilPeak: fallCheck.daysUntilPeak,
                 message: fallCheck.isPeak
                     ? `Peak ${migration.name.toLowerCase()} migration!`
-                    : `${migration.name} fall migration underway`
+                    : `${migration.name} ${passageLabels.fall} migration underway`
             });
         }
     }
@@ -130,29 +161,32 @@ export function getActiveMigrationAlerts(date = new Date()) {
 /**
  * Get optimal birding times for current season
  * @param {Date} date - Date to check (defaults to today)
+ * @param {Object} [location] - {lat} and/or {regionCode}; see getMigrationRegion()
  * @returns {Object} Optimal times with activity levels
  */
-export function getOptimalBirdingTimes(date = new Date()) {
-    const season = getCurrentSeason(date);
+export function getOptimalBirdingTimes(date = new Date(), location = null) {
+    const season = getCurrentSeason(date, location);
     return OPTIMAL_BIRDING_TIMES[season];
 }
 
 /**
  * Get monthly activity data for sparkline visualization
+ * @param {Object} [location] - {lat} and/or {regionCode}; see getMigrationRegion()
  * @returns {Array} Array of 12 monthly activity values (1-10)
  */
-export function getMonthlyActivityData() {
-    return Object.values(MONTHLY_ACTIVITY);
+export function getMonthlyActivityData(location = null) {
+    return Object.values(getMigrationRegion(location).monthlyActivity);
 }
 
 /**
  * Get activity level for current month
  * @param {Date} date - Date to check (defaults to today)
+ * @param {Object} [location] - {lat} and/or {regionCode}; see getMigrationRegion()
  * @returns {Object} { level: number, description: string }
  */
-export function getCurrentMonthActivity(date = new Date()) {
+export function getCurrentMonthActivity(date = new Date(), location = null) {
     const month = date.getMonth() + 1;
-    const level = MONTHLY_ACTIVITY[month];
+    const level = getMigrationRegion(location).monthlyActivity[month];
 
     let description;
     if (level >= 9) description = 'Excellent';
@@ -166,17 +200,19 @@ export function getCurrentMonthActivity(date = new Date()) {
 /**
  * Generate seasonal insights summary for display
  * @param {Date} date - Date to check (defaults to today)
+ * @param {Object} [location] - {lat} and/or {regionCode} of the place the advice
+ *   is for; see getMigrationRegion()
  * @returns {Object} Complete seasonal insights data
  */
-export function getSeasonalInsights(date = new Date()) {
-    const season = getCurrentSeason(date);
-    const migrationAlerts = getActiveMigrationAlerts(date);
-    const optimalTimes = getOptimalBirdingTimes(date);
-    const monthlyActivity = getMonthlyActivityData();
-    const currentActivity = getCurrentMonthActivity(date);
+export function getSeasonalInsights(date = new Date(), location = null) {
+    const season = getCurrentSeason(date, location);
+    const migrationAlerts = getActiveMigrationAlerts(date, location);
+    const optimalTimes = getOptimalBirdingTimes(date, location);
+    const monthlyActivity = getMonthlyActivityData(location);
+    const currentActivity = getCurrentMonthActivity(date, location);
 
     // Format season name
-    const seasonName = season.charAt(0).toUpperCase() + season.slice(1);
+    const seasonName = SEASON_NAMES[season] || season.charAt(0).toUpperCase() + season.slice(1);
 
     // Get best time recommendation - collect all high-activity periods
     const times = optimalTimes;
@@ -202,6 +238,7 @@ export function getSeasonalInsights(date = new Date()) {
 
     return {
         season: seasonName,
+        region: getMigrationRegion(location).name,
         currentActivity,
         migrationAlerts,
         optimalTimes,
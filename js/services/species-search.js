@@ -5,13 +5,15 @@
 
 import { CONFIG } from '../utils/constants.js';
 
-const { DB_NAME, DB_VERSION, STORE_NAME, CACHE_EXPIRY_DAYS } = CONFIG.SPECIES_DB;
+const { DB_NAME, DB_VERSION, STORE_NAME, RESPONSE_STORE_NAME, OFFLINE_TRIPS_STORE_NAME, CACHE_EXPIRY_DAYS } = CONFIG.SPECIES_DB;
 
 /**
- * Open IndexedDB database
+ * Open IndexedDB database.
+ * Shared with the eBird API client (persistent response cache) and the
+ * offline trips service, each of which has its own object store.
  * @returns {Promise<IDBDatabase>}
  */
-function openDatabase() {
+export function openDatabase() {
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
 
@@ -23,6 +25,12 @@ function openDatabase() {
             if (!db.objectStoreNames.contains(STORE_NAME)) {
                 db.createObjectStore(STORE_NAME, { keyPath: 'id' });
             }
+            if (!db.objectStoreNames.contains(RESPONSE_STORE_NAME)) {
+                db.createObjectStore(RESPONSE_STORE_NAME, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(OFFLINE_TRIPS_STORE_NAME)) {
+                db.createObjectStore(OFFLINE_TRIPS_STORE_NAME, { keyPath: 'id' });
+            }
         };
     });
 }
@@ -0,0 +1,102 @@
+/**
+ * Species Sightings Service
+ * Every recent report of one species around the results map - private
+ * locations included - graded by count and recency for the map's species layer
+ */
+
+import { CONFIG } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Marker colors by recency: fresh, recent, older
+export const SIGHTING_COLORS = {
+    fresh: '#C62828',
+    recent: '#EF6C00',
+    older: '#9E9D24'
+};
+
+/**
+ * Turn eBird observations of one species into map sightings, newest first.
+ * The same checklist at the same place is only kept once.
+ * @param {Array} observations - From getRecentSpeciesObservations()/getNearestSpeciesObservations()
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.daysBack] - Age at which recency reaches 0 (default: CONFIG.DEFAULT_DAYS_BACK)
+ * @returns {Array<{subId: string, locId: string, locName: string, lat: number, lng: number, isPrivate: boolean,
+ *   date: Date, count: number|null, ageDays: number, recency: number}>}
+ *   count is null when only presence was noted ('X'); recency runs from 1 (today) to 0 (daysBack ago)
+ */
+export function buildSpeciesSightings(observations, options = {}) {
+    const { now = new Date(), daysBack = CONFIG.DEFAULT_DAYS_BACK } = options;
+    const seen = new Set();
+    const sightings = [];
+
+    for (const obs of observations) {
+        const key = `${obs.subId}:${obs.locId}`;
+        if (seen.has(key) || !Number.isFinite(obs.lat) || !Number.isFinite(obs.lng)) continue;
+        seen.add(key);
+
+        const date = new Date(obs.obsDt);
+        const ageDays = Math.max(0, (now - date) / DAY_MS);
+        sightings.push({
+            subId: obs.subId,
+            locId: obs.locId,
+            locName: obs.locName,
+            lat: obs.lat,
+            lng: obs.lng,
+            isPrivate: obs.locationPrivate === true,
+            date,
+            count: Number.isFinite(obs.howMany) ? obs.howMany : null,
+            ageDays,
+            recency: Math.max(0, 1 - ageDays / daysBack)
+        });
+    }
+
+    return sightings.sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Marker style for a sighting: size grows with the count (relative to the
+ * biggest on the map), color and opacity fade with age
+ * @param {Object} sighting - From buildSpeciesSightings()
+ * @param {number} maxCount - Biggest count among the sightings shown
+ * @returns {{radius: number, color: string, fillOpacity: number}}
+ */
+export function getSightingMarkerStyle(sighting, maxCount) {
+    const { MIN_RADIUS, MAX_RADIUS, FRESH_DAYS, RECENT_DAYS } = CONFIG.SPECIES_LAYER;
+    const share = maxCount > 1 ? Math.sqrt(((sighting.count ?? 1) - 1) / (maxCount - 1)) : 0;
+    let color = SIGHTING_COLORS.older;
+    if (sighting.ageDays <= FRESH_DAYS) color = SIGHTING_COLORS.fresh;
+    else if (sighting.ageDays <= RECENT_DAYS) color = SIGHTING_COLORS.recent;
+
+    return {
+        radius: Math.round(MIN_RADIUS + (MAX_RADIUS - MIN_RADIUS) * Math.min(1, share)),
+        color,
+        fillOpacity: Math.round((0.35 + 0.5 * sighting.recency) * 100) / 100
+    };
+}
+
+/**
+ * Load a species' recent sightings around a point. When there are none in
+ * range, the nearest reports anywhere are used instead so a scarce species
+ * still shows where to go.
+ * @param {Object} ebirdApi - EBirdAPI instance
+ * @param {string} speciesCode
+ * @param {Object} center - {lat, lng}
+ * @param {number} radiusKm - Search radius (eBird allows up to 50)
+ * @param {Object} [options]
+ * @param {number} [options.daysBack] - default: CONFIG.DEFAULT_DAYS_BACK
+ * @returns {Promise<{sightings: Array, nearest: boolean}>} nearest is true when the fallback was used
+ */
+export async function loadSpeciesSightings(ebirdApi, speciesCode, center, radiusKm, options = {}) {
+    const { daysBack = CONFIG.DEFAULT_DAYS_BACK } = options;
+
+    const recent = await ebirdApi.getRecentSpeciesObservations(speciesCode, center.lat, center.lng, radiusKm, daysBack);
+    if (recent.length > 0) {
+        return { sightings: buildSpeciesSightings(recent, { daysBack }), nearest: false };
+    }
+
+    const nearest = await ebirdApi.getNearestSpeciesObservations(
+        speciesCode, center.lat, center.lng, daysBack, CONFIG.SPECIES_LAYER.NEAREST_MAX);
+    return { sightings: buildSpeciesSightings(nearest, { daysBack }), nearest: true };
+}
@@ -218,6 +218,88 @@ export const storage = {
         }
     },
 
+    /**
+     * Get routing provider and travel mode settings
+     * @returns {Object} {provider, profile, baseUrl, apiKey}, or {} for the defaults
+     */
+    getRoutingSettings() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEYS.ROUTING_SETTINGS);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Save routing provider and travel mode settings
+     * @param {Object} settings - {provider, profile, baseUrl, apiKey}
+     */
+    setRoutingSettings(settings) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.ROUTING_SETTINGS, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save routing settings:', e);
+        }
+    },
+
+    /**
+     * Get the options the last PDF report was built with
+     * @returns {Object} Report options (see resolveReportOptions()), or {} for the defaults
+     */
+    getReportOptions() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEYS.REPORT_OPTIONS);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Save PDF report options for the next report
+     * @param {Object} options - {pageSize, orientation, density, speciesFilter, sections}
+     */
+    setReportOptions(options) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.REPORT_OPTIONS, JSON.stringify(options));
+        } catch (e) {
+            console.warn('Could not save report options:', e);
+        }
+    },
+
+    /**
+     * Get the opening hours the user has given hotspots
+     * @returns {Object<string, {open: string|null, close: string|null}>} By locId, 'HH:MM' (24-hour)
+     */
+    getOpeningHours() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEYS.OPENING_HOURS);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Remember a hotspot's opening hours for later itineraries
+     * @param {string} locId - Hotspot ID
+     * @param {Object|null} timeWindow - {open, close} as 'HH:MM', or null to forget them
+     */
+    setOpeningHours(locId, timeWindow) {
+        try {
+            const hours = this.getOpeningHours();
+            if (timeWindow) {
+                hours[locId] = timeWindow;
+            } else {
+                delete hours[locId];
+            }
+            localStorage.setItem(STORAGE_KEYS.OPENING_HOURS, JSON.stringify(hours));
+        } catch (e) {
+            console.warn('Could not save opening hours:', e);
+        }
+    },
+
     // ==================== Recent Searches ====================
 
     /**
@@ -421,7 +503,8 @@ export const storage = {
 
     /**
      * Save a new itinerary
-     * @param {Object} itinerary - Itinerary object with name, stops, locationName
+     * @param {Object} itinerary - Itinerary object with name, stops, locationName, and what's needed
+     *   to load it back for editing: departure, isRoundTrip, and the sunrise/sunset it was fitted to
      * @returns {Object|null} The saved itinerary with generated ID, or null on failure
      */
     addSavedItinerary(itinerary) {
@@ -434,6 +517,11 @@ export const storage = {
                 stops: itinerary.stops || [],
                 stopCount: itinerary.stops ? itinerary.stops.length : 0,
                 totalDistance: itinerary.totalDistance || 0,
+                departure: itinerary.departure || null,
+                isRoundTrip: itinerary.isRoundTrip ?? null,
+                sunrise: itinerary.sunrise || null,
+                sunset: itinerary.sunset || null,
+                directLegs: itinerary.directLegs || null,
                 createdAt: new Date().toISOString()
             };
             itineraries.unshift(saved);
@@ -0,0 +1,244 @@
+/**
+ * Target List Planner
+ * Takes a list of target species, finds where each has been reported
+ * recently, and routes the fewest stops that together cover as many targets
+ * as possible
+ */
+
+import { CONFIG } from '../utils/constants.js';
+import { getDrivingDurationMatrix } from '../api/routing.js';
+import { calculateDistance } from '../utils/formatters.js';
+import { buildItinerary, estimateDriveMinutes } from './itinerary-builder.js';
+
+/**
+ * Merge per-species sighting locations into one entry per location listing
+ * every target reported there
+ * @param {Array<{species: Object, locations: Array}>} sightingsByTarget - One entry per
+ *   target: the species {speciesCode, commonName} and its findSpeciesHotspots() locations
+ * @returns {Array} Locations {locId, name, lat, lng, isHotspot, targets: [{speciesCode, commonName, lastSeen, highestCount}]}
+ */
+export function mergeTargetSightings(sightingsByTarget) {
+    const locationMap = new Map();
+
+    for (const { species, locations } of sightingsByTarget) {
+        for (const loc of locations) {
+            if (!locationMap.has(loc.locId)) {
+                locationMap.set(loc.locId, {
+                    locId: loc.locId,
+                    name: loc.name,
+                    lat: loc.lat,
+                    lng: loc.lng,
+                    isHotspot: loc.isHotspot,
+                    targets: []
+                });
+            }
+
+            const merged = locationMap.get(loc.locId);
+            if (!merged.targets.some(t => t.speciesCode === species.speciesCode)) {
+                merged.targets.push({
+                    speciesCode: species.speciesCode,
+                    commonName: species.commonName,
+                    lastSeen: loc.lastSeen,
+                    highestCount: loc.highestCount
+                });
+            }
+        }
+    }
+
+    return Array.from(locationMap.values());
+}
+
+/**
+ * Narrow the sighting locations down to the ones worth measuring drive times
+ * for: the best location for each target first (most targets, then nearest),
+ * then the richest of the rest
+ * @param {Array} locations - From mergeTargetSightings()
+ * @param {Object} start - {lat, lng}
+ * @param {number} limit - Maximum locations to keep
+ * @returns {Array} Candidate locations
+ */
+function pickCandidates(locations, start, limit) {
+    const ranked = locations
+        .map(loc => ({ loc, distance: calculateDistance(start.lat, start.lng, loc.lat, loc.lng) }))
+        .sort((a, b) => b.loc.targets.length - a.loc.targets.length || a.distance - b.distance)
+        .map(entry => entry.loc);
+
+    const candidates = new Set();
+    const represented = new Set();
+    for (const loc of ranked) {
+        if (candidates.size >= limit) break;
+        if (loc.targets.some(t => !represented.has(t.speciesCode))) {
+            candidates.add(loc);
+            loc.targets.forEach(t => represented.add(t.speciesCode));
+        }
+    }
+    for (const loc of ranked) {
+        if (candidates.size >= limit) break;
+        candidates.add(loc);
+    }
+
+    return [...candidates];
+}
+
+/**
+ * Choose the smallest set of stops covering the most targets (greedy set
+ * cover). Each step adds the location reporting the most still-uncovered
+ * targets, breaking ties by the extra driving needed to slot it into the tour
+ * so far. Stops made redundant by later picks are then dropped.
+ * @param {Array} locations - From mergeTargetSightings()
+ * @param {Object} options
+ * @param {Object} options.start - Start location {lat, lng}
+ * @param {Object} [options.end] - End location {lat, lng}; defaults to start
+ * @param {Array<Array<number|null>>} [options.durations] - Driving seconds between
+ *   [start, end, ...locations], as from getDrivingDurationMatrix(); missing entries are estimated
+ * @param {number} [options.maxStops] - Maximum stops (default: CONFIG.TARGET_LIST.MAX_STOPS)
+ * @returns {Array} Selected locations, in the order they were picked
+ */
+export function selectTargetStops(locations, options) {
+    const { start, end = start, durations = null, maxStops = CONFIG.TARGET_LIST.MAX_STOPS } = options;
+    const points = [start, end, ...locations];
+
+    const driveMinutes = (i, j) => {
+        const seconds = durations?.[i]?.[j];
+        return Number.isFinite(seconds) ? seconds / 60 : estimateDriveMinutes(points[i], points[j]);
+    };
+
+    // Tour as point indices: start (0) ... end (1); location k is point k + 2
+    const tour = [0, 1];
+    const selected = [];
+    const covered = new Set();
+    const remaining = new Set(locations.map((_, k) => k));
+
+    while (selected.length < maxStops && remaining.size > 0) {
+        let best = null;
+
+        for (const k of remaining) {
+            const gain = locations[k].targets.filter(t => !covered.has(t.speciesCode)).length;
+            if (gain === 0) continue;
+
+            const point = k + 2;
+            let insertAt = 1;
+            let insertMinutes = Infinity;
+            for (let i = 0; i < tour.length - 1; i++) {
+                const detour = driveMinutes(tour[i], point) + driveMinutes(point, tour[i + 1]) - driveMinutes(tour[i], tour[i + 1]);
+                if (detour < insertMinutes) {
+                    insertMinutes = detour;
+                    insertAt = i + 1;
+                }
+            }
+
+            if (!best || gain > best.gain || (gain === best.gain && insertMinutes < best.insertMinutes)) {
+                best = { k, insertAt, gain, insertMinutes };
+            }
+        }
+
+        if (!best) break;
+
+        const location = locations[best.k];
+        tour.splice(best.insertAt, 0, best.k + 2);
+        selected.push(location);
+        location.targets.forEach(t => covered.add(t.speciesCode));
+        remaining.delete(best.k);
+    }
+
+    // An early pick can end up fully covered by later ones; drop it, starting
+    // with the stops that were picked last (the least valuable)
+    for (let i = selected.length - 1; i >= 0; i--) {
+        const others = selected.filter((_, j) => j !== i);
+        const othersCover = new Set(others.flatMap(loc => loc.targets.map(t => t.speciesCode)));
+        if (selected[i].targets.every(t => othersCover.has(t.speciesCode))) {
+            selected.splice(i, 1);
+        }
+    }
+
+    return selected;
+}
+
+/**
+ * Plan a target list outing: look up recent sightings of every target, pick
+ * the fewest stops covering the most of them and route those stops
+ * @param {Object} speciesSearch - SpeciesSearch instance (for findSpeciesHotspots)
+ * @param {Array} targets - Target species {speciesCode, commonName}
+ * @param {Object} options
+ * @param {Object} options.start - Start location {lat, lng, address}
+ * @param {Object} [options.end] - End location; defaults to start (round trip)
+ * @param {number} [options.radius] - Sighting search radius in km (default: CONFIG.DEFAULT_SEARCH_RADIUS)
+ * @param {number} [options.daysBack] - Days of sightings to consider (default: CONFIG.DEFAULT_DAYS_BACK)
+ * @param {number} [options.maxStops] - Maximum stops (default: CONFIG.TARGET_LIST.MAX_STOPS)
+ * @param {string} [options.startTime] - Start time as 'HH:MM' (24-hour)
+ * @param {Function} [options.onProgress] - Progress callback (message, percent)
+ * @returns {Promise<Object>} Plan with the itinerary (null if no target has
+ *   recent reports), each stop's targetsCovered, and the covered, uncovered
+ *   (reported, but beyond maxStops) and missing (no recent reports) targets
+ */
+export async function planTargetRoute(speciesSearch, targets, options) {
+    const {
+        start,
+        end = start,
+        radius = CONFIG.DEFAULT_SEARCH_RADIUS,
+        daysBack = CONFIG.DEFAULT_DAYS_BACK,
+        maxStops = CONFIG.TARGET_LIST.MAX_STOPS,
+        startTime = null,
+        onProgress = null
+    } = options;
+
+    if (onProgress) onProgress('Finding recent sightings of your targets...', 5);
+
+    let done = 0;
+    const sightingsByTarget = await Promise.all(targets.map(async species => {
+        let locations = [];
+        try {
+            locations = await speciesSearch.findSpeciesHotspots(species.speciesCode, start.lat, start.lng, radius, daysBack);
+        } catch (e) {
+            console.warn(`Could not fetch sightings for ${species.commonName}:`, e);
+        }
+        done++;
+        if (onProgress) onProgress(`Checked ${done} of ${targets.length} targets...`, 5 + Math.round((done / targets.length) * 45));
+        return { species, locations };
+    }));
+
+    const missingTargets = sightingsByTarget
+        .filter(entry => entry.locations.length === 0)
+        .map(entry => entry.species);
+
+    const locations = mergeTargetSightings(sightingsByTarget);
+    if (locations.length === 0) {
+        return { itinerary: null, coveredTargets: [], uncoveredTargets: [], missingTargets };
+    }
+
+    if (onProgress) onProgress('Measuring drive times...', 55);
+
+    const candidates = pickCandidates(locations, start, CONFIG.TARGET_LIST.MAX_CANDIDATES);
+    const durations = await getDrivingDurationMatrix([start, end, ...candidates]);
+    const selected = selectTargetStops(candidates, { start, end, durations, maxStops });
+
+    if (onProgress) onProgress('Routing your stops...', 65);
+
+    const itinerary = await buildItinerary(start, end, selected.map(loc => ({
+        locId: loc.locId,
+        name: loc.name,
+        lat: loc.lat,
+        lng: loc.lng,
+        birds: loc.targets.map(t => ({ speciesCode: t.speciesCode, comName: t.commonName }))
+    })), {
+        maxStops: selected.length,
+        startTime
+    });
+
+    const byLocId = new Map(selected.map(loc => [loc.locId, loc]));
+    itinerary.stops.forEach(stop => {
+        if (stop.type === 'hotspot') {
+            stop.targetsCovered = byLocId.get(stop.locId)?.targets || [];
+        }
+    });
+
+    const coveredCodes = new Set(selected.flatMap(loc => loc.targets.map(t => t.speciesCode)));
+    const reported = sightingsByTarget.filter(entry => entry.locations.length > 0).map(entry => entry.species);
+
+    return {
+        itinerary,
+        coveredTargets: reported.filter(s => coveredCodes.has(s.speciesCode)),
+        uncoveredTargets: reported.filter(s => !coveredCodes.has(s.speciesCode)),
+        missingTargets
+    };
+}
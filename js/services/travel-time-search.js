@@ -0,0 +1,175 @@
+/**
+ * Travel Time Search Service
+ * Finds hotspots within a travel-time budget ("I have 45 minutes each way")
+ * rather than a straight-line radius: eBird is searched over every circle
+ * the budget could reach, and the routing table keeps only the hotspots
+ * that are really that close by road
+ */
+
+import { CONFIG } from '../utils/constants.js';
+import { calculateDistance } from '../utils/formatters.js';
+import { getRoutingSettings, getTravelTimesFrom } from '../api/routing.js';
+import { dedupeHotspotsById } from './route-hotspot-search.js';
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * The point a distance and compass bearing away (flat-earth approximation,
+ * fine at these distances)
+ * @param {Object} origin - {lat, lng}
+ * @param {number} distanceKm
+ * @param {number} bearingDeg - Degrees clockwise from north
+ * @returns {{lat: number, lng: number}}
+ */
+function offsetPoint(origin, distanceKm, bearingDeg) {
+    const bearing = bearingDeg * Math.PI / 180;
+    return {
+        lat: origin.lat + (distanceKm * Math.cos(bearing)) / KM_PER_DEGREE_LAT,
+        lng: origin.lng + (distanceKm * Math.sin(bearing)) / (KM_PER_DEGREE_LAT * Math.cos(origin.lat * Math.PI / 180))
+    };
+}
+
+/**
+ * Compass bearing from the origin to a point
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} point - {lat, lng}
+ * @returns {number} Degrees clockwise from north, 0-360
+ */
+function bearingTo(origin, point) {
+    const north = point.lat - origin.lat;
+    const east = (point.lng - origin.lng) * Math.cos(origin.lat * Math.PI / 180);
+    return (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Furthest straight-line distance a travel-time budget could cover
+ * @param {number} budgetMinutes
+ * @param {string} [profile] - 'car', 'foot' or 'bike' (default: the current routing profile)
+ * @returns {number} km
+ */
+export function getReachRadiusKm(budgetMinutes, profile = getRoutingSettings().profile) {
+    const speeds = CONFIG.TRAVEL_TIME_SEARCH.MAX_SPEED_KMH;
+    return (budgetMinutes / 60) * (speeds[profile] || speeds.car);
+}
+
+/**
+ * eBird search circles covering a reach radius: one circle when it fits in
+ * eBird's 50 km limit, else rings of overlapping circles around it
+ * @param {Object} origin - {lat, lng}
+ * @param {number} reachKm
+ * @returns {Array<{lat: number, lng: number, radiusKm: number}>}
+ */
+export function buildSearchCircles(origin, reachKm) {
+    const { CIRCLE_RADIUS_KM: radius, CIRCLE_SPACING_KM: spacing } = CONFIG.TRAVEL_TIME_SEARCH;
+    if (reachKm <= radius) {
+        return [{ lat: origin.lat, lng: origin.lng, radiusKm: Math.max(1, Math.ceil(reachKm)) }];
+    }
+
+    const circles = [{ lat: origin.lat, lng: origin.lng, radiusKm: radius }];
+    // A ring is needed while its circles reach back inside the reach radius
+    for (let ring = 1; ring * spacing - radius < reachKm; ring++) {
+        const ringRadius = ring * spacing;
+        const count = Math.ceil((2 * Math.PI * ringRadius) / spacing);
+        for (let i = 0; i < count; i++) {
+            circles.push({ ...offsetPoint(origin, ringRadius, (360 / count) * i), radiusKm: radius });
+        }
+    }
+    return circles;
+}
+
+/**
+ * Points spread over the reach area in every direction, measured alongside
+ * the hotspots so the drawn reachable area isn't limited to where hotspots are
+ * @param {Object} origin - {lat, lng}
+ * @param {number} reachKm
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function buildProbePoints(origin, reachKm) {
+    const { PROBE_DIRECTIONS: directions, PROBE_RINGS: rings } = CONFIG.TRAVEL_TIME_SEARCH;
+    const probes = [];
+    for (let ring = 1; ring <= rings; ring++) {
+        for (let i = 0; i < directions; i++) {
+            probes.push(offsetPoint(origin, (reachKm * ring) / rings, (360 / directions) * i));
+        }
+    }
+    return probes;
+}
+
+/**
+ * Outline of the area reachable in the budget: in each compass sector, out
+ * to the furthest point measured as reachable. Sectors where nothing was
+ * reachable (open water, no roads) pull the outline back to the origin.
+ * @param {Object} origin - {lat, lng}
+ * @param {Array<{lat: number, lng: number, duration: number|null}>} measured - Travel seconds per point
+ * @param {number} budgetSeconds
+ * @param {number} [sectors]
+ * @returns {Array<Array<number>>} Polygon [[lat, lng], ...]
+ */
+export function buildReachableArea(origin, measured, budgetSeconds, sectors = CONFIG.TRAVEL_TIME_SEARCH.AREA_SECTORS) {
+    const reach = new Array(sectors).fill(0);
+    measured.forEach(point => {
+        if (point.duration === null || point.duration === undefined || point.duration > budgetSeconds) return;
+        const sector = Math.floor(bearingTo(origin, point) / (360 / sectors)) % sectors;
+        reach[sector] = Math.max(reach[sector], calculateDistance(origin.lat, origin.lng, point.lat, point.lng));
+    });
+
+    return reach.map((distanceKm, sector) => {
+        const point = offsetPoint(origin, distanceKm, (sector + 0.5) * (360 / sectors));
+        return [point.lat, point.lng];
+    });
+}
+
+/**
+ * Find the hotspots within a travel-time budget of the origin
+ * @param {Object} ebirdApi - EBirdAPI instance
+ * @param {Object} origin - {lat, lng}
+ * @param {number} budgetMinutes - Travel time each way
+ * @param {Object} [options]
+ * @param {number} [options.daysBack] - Hotspots with sightings this recently (default: CONFIG.DEFAULT_DAYS_BACK)
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Progress callback (message)
+ * @returns {Promise<{hotspots: Array, reachableArea: Array<Array<number>>, reachKm: number}>}
+ *   Hotspots nearest first by travel time, each with travelDuration (s) and travelDistance (km)
+ * @throws {Error} If travel times could not be measured
+ */
+export async function findHotspotsWithinTravelTime(ebirdApi, origin, budgetMinutes, options = {}) {
+    const { daysBack = CONFIG.DEFAULT_DAYS_BACK, signal, onProgress = null } = options;
+    const reachKm = getReachRadiusKm(budgetMinutes);
+    const circles = buildSearchCircles(origin, reachKm);
+
+    const found = [];
+    for (let i = 0; i < circles.length; i++) {
+        if (onProgress) onProgress(`Searching area ${i + 1} of ${circles.length}...`);
+        const circle = circles[i];
+        found.push(await ebirdApi.getNearbyHotspots(circle.lat, circle.lng, circle.radiusKm, daysBack));
+    }
+
+    // Nothing past the reach radius can be within the budget
+    const candidates = dedupeHotspotsById(found)
+        .map(hotspot => ({ hotspot, straightKm: calculateDistance(origin.lat, origin.lng, hotspot.lat, hotspot.lng) }))
+        .filter(({ straightKm }) => straightKm <= reachKm)
+        .sort((a, b) => a.straightKm - b.straightKm)
+        .slice(0, CONFIG.TRAVEL_TIME_SEARCH.MAX_CANDIDATES)
+        .map(({ hotspot }) => hotspot);
+
+    if (onProgress) onProgress(`Measuring travel times to ${candidates.length} hotspots...`);
+    const probes = buildProbePoints(origin, reachKm);
+    const points = [...candidates, ...probes].map(({ lat, lng }) => ({ lat, lng }));
+    const times = await getTravelTimesFrom(origin, points, signal);
+    if (!times) {
+        throw new Error('Could not get travel times from the routing service right now. Please try again in a moment, or search by distance instead.');
+    }
+
+    const budgetSeconds = budgetMinutes * 60;
+    const hotspots = candidates
+        .map((hotspot, i) => ({ ...hotspot, travelDuration: times[i]?.duration ?? null, travelDistance: times[i]?.distance ?? null }))
+        .filter(hotspot => hotspot.travelDuration !== null && hotspot.travelDuration <= budgetSeconds)
+        .sort((a, b) => a.travelDuration - b.travelDuration);
+
+    const measured = points.map((point, i) => ({ ...point, duration: times[i]?.duration ?? null }));
+    return {
+        hotspots,
+        reachableArea: buildReachableArea(origin, measured, budgetSeconds),
+        reachKm
+    };
+}
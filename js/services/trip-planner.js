@@ -0,0 +1,200 @@
+/**
+ * Multi-Day Trip Planner
+ * Spreads hotspots over several days, each with its own start/lodging
+ * location and daily time budget, then routes each day with buildItinerary()
+ */
+
+import { buildItinerary, calculateUniquenessScore, calculateVisitTime, estimateDriveMinutes, getSeenSpeciesFromHotspots } from './itinerary-builder.js';
+
+/**
+ * Estimate the length of a day visiting the given hotspots: a nearest-neighbour
+ * tour from the day's start through every stop to its end, plus visit times
+ * @param {Object} day - Day with start and end locations
+ * @param {Array} stops - Hotspots assigned to the day
+ * @returns {number} Estimated minutes
+ */
+function estimateDayMinutes(day, stops) {
+    let minutes = 0;
+    let current = day.start;
+    const remaining = [...stops];
+
+    while (remaining.length > 0) {
+        let nearestIndex = 0;
+        let nearestMinutes = Infinity;
+        remaining.forEach((stop, i) => {
+            const drive = estimateDriveMinutes(current, stop);
+            if (drive < nearestMinutes) {
+                nearestMinutes = drive;
+                nearestIndex = i;
+            }
+        });
+        const [next] = remaining.splice(nearestIndex, 1);
+        minutes += nearestMinutes + calculateVisitTime(next.speciesCount || 0);
+        current = next;
+    }
+
+    return minutes + estimateDriveMinutes(current, day.end);
+}
+
+/**
+ * Assign hotspots to days so the trip covers as many species as possible.
+ * Greedy budgeted coverage: each step adds the hotspot/day pair with the most
+ * new species per extra minute, skipping pairs that would push the day over
+ * its time budget or stop limit. A hotspot is used at most once.
+ * @param {Array} hotspots - Hotspots with lat/lng, speciesCount and birds
+ * @param {Array} days - Days with start, end, timeBudgetMinutes and maxStops
+ * @returns {{assignments: Array<Array>, unassigned: Array}} Hotspots per day (same order as days) and leftovers
+ */
+export function allocateHotspotsToDays(hotspots, days) {
+    const assignments = days.map(() => []);
+    const seenSpecies = new Set();
+    let remaining = [...hotspots];
+
+    while (remaining.length > 0) {
+        let best = null;
+
+        days.forEach((day, dayIndex) => {
+            const assigned = assignments[dayIndex];
+            if (assigned.length >= day.maxStops) return;
+
+            const currentMinutes = estimateDayMinutes(day, assigned);
+
+            remaining.forEach(hotspot => {
+                const { uniqueCount } = calculateUniquenessScore(hotspot, seenSpecies);
+                if (uniqueCount === 0) return;
+
+                const newMinutes = estimateDayMinutes(day, [...assigned, hotspot]);
+                if (newMinutes > day.timeBudgetMinutes) return;
+
+                const value = uniqueCount / Math.max(newMinutes - currentMinutes, 1);
+                if (!best || value > best.value) {
+                    best = { dayIndex, hotspot, value };
+                }
+            });
+        });
+
+        if (!best) break;
+
+        assignments[best.dayIndex].push(best.hotspot);
+        best.hotspot.birds.forEach(b => seenSpecies.add(b.speciesCode));
+        remaining = remaining.filter(h => h !== best.hotspot);
+    }
+
+    return { assignments, unassigned: remaining };
+}
+
+/**
+ * Pick the stop whose removal loses the fewest species from the whole trip
+ * @param {Array} stops - Candidate stops (one day's hotspots)
+ * @param {Array} assignments - Hotspots per day for the whole trip
+ * @returns {Object} The least valuable stop
+ */
+function findLeastValuableStop(stops, assignments) {
+    let weakest = null;
+    let weakestCount = Infinity;
+
+    stops.forEach(stop => {
+        const others = assignments.flat().filter(h => h !== stop);
+        const { uniqueCount } = calculateUniquenessScore(stop, getSeenSpeciesFromHotspots(others));
+        if (uniqueCount < weakestCount) {
+            weakestCount = uniqueCount;
+            weakest = stop;
+        }
+    });
+
+    return weakest;
+}
+
+/**
+ * Plan a multi-day birding trip
+ * @param {Array} hotspots - Available hotspots with species data (enriched search results)
+ * @param {Array} days - One entry per day
+ * @param {Object} days[].start - Where the day starts {lat, lng, address}
+ * @param {Object} days[].end - Where the day ends (lodging) {lat, lng, address}
+ * @param {Date} days[].date - Calendar day
+ * @param {string} [days[].startTime] - Start time as 'HH:MM' (24-hour)
+ * @param {number} days[].timeBudgetMinutes - Driving + birding time available
+ * @param {number} [days[].maxStops] - Maximum hotspot stops (default: 10)
+ * @param {Object} options - Planner options
+ * @param {Function} options.onProgress - Progress callback (message, percent)
+ * @param {Object} [options.forecast] - Hourly forecast from getHourlyForecast(), passed on to each day's itinerary
+ * @returns {Promise<Object>} Trip plan with a buildItinerary() result per day (null for days with no stops)
+ */
+export async function planMultiDayTrip(hotspots, days, options = {}) {
+    const { onProgress = null, forecast = null } = options;
+
+    if (!days || days.length === 0) {
+        throw new Error('A trip needs at least one day');
+    }
+
+    const normalizedDays = days.map(day => ({ maxStops: 10, ...day }));
+
+    if (onProgress) onProgress('Spreading hotspots across days...', 5);
+
+    const { assignments, unassigned } = allocateHotspotsToDays(hotspots, normalizedDays);
+
+    if (assignments.every(a => a.length === 0)) {
+        throw new Error('No hotspots fit within the daily time budgets');
+    }
+
+    const plannedDays = [];
+    for (let i = 0; i < normalizedDays.length; i++) {
+        const day = normalizedDays[i];
+        if (onProgress) onProgress(`Routing day ${i + 1} of ${normalizedDays.length}...`, 10 + Math.round((i / normalizedDays.length) * 80));
+
+        let itinerary = null;
+        while (assignments[i].length > 0) {
+            itinerary = await buildItinerary(day.start, day.end, assignments[i], {
+                maxStops: assignments[i].length,
+                startTime: day.startTime || null,
+                date: day.date,
+                forecast
+            });
+
+            if (itinerary.summary.totalTripTime <= day.timeBudgetMinutes) break;
+
+            // Real drive times came in over budget: drop the stop adding the
+            // fewest species to the trip and route the day again
+            const weakest = findLeastValuableStop(assignments[i], assignments);
+            assignments[i] = assignments[i].filter(h => h !== weakest);
+            unassigned.push(weakest);
+            itinerary = null;
+        }
+
+        plannedDays.push({
+            dayNumber: i + 1,
+            date: day.date,
+            start: day.start,
+            end: day.end,
+            timeBudgetMinutes: day.timeBudgetMinutes,
+            itinerary
+        });
+    }
+
+    if (onProgress) onProgress('Finalizing trip plan...', 95);
+
+    // New species each day adds on top of the days before it
+    const tripSpecies = new Set();
+    plannedDays.forEach((day, i) => {
+        const before = tripSpecies.size;
+        getSeenSpeciesFromHotspots(assignments[i]).forEach(code => tripSpecies.add(code));
+        day.newSpeciesCount = tripSpecies.size - before;
+    });
+
+    const routedDays = plannedDays.filter(d => d.itinerary);
+    const sum = key => routedDays.reduce((total, d) => total + d.itinerary.summary[key], 0);
+
+    return {
+        days: plannedDays,
+        unassignedHotspots: unassigned,
+        summary: {
+            totalDays: plannedDays.length,
+            totalStops: sum('totalStops'),
+            totalDistance: sum('totalDistance'),
+            totalTravelTime: sum('totalTravelTime'),
+            totalVisitTime: sum('totalVisitTime'),
+            totalTripTime: sum('totalTripTime'),
+            totalExpectedSpecies: tripSpecies.size
+        }
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * Viewport Search Service
+ * "Search this area": works out the eBird search circle for what's on the
+ * results map and which of the hotspots found there are new to the results
+ */
+
+import { CONFIG } from '../utils/constants.js';
+import { calculateDistance } from '../utils/formatters.js';
+
+/**
+ * The eBird search circle covering a map view: centered on the view and
+ * reaching its corners, within eBird's 50 km limit
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ * @returns {{lat: number, lng: number, radiusKm: number}}
+ */
+export function getViewportSearchArea(bounds) {
+    const lat = (bounds.north + bounds.south) / 2;
+    const lng = (bounds.east + bounds.west) / 2;
+    const cornerKm = calculateDistance(lat, lng, bounds.north, bounds.east);
+    return { lat, lng, radiusKm: Math.min(50, Math.max(1, Math.ceil(cornerKm))) };
+}
+
+/**
+ * Hotspots found in a view that aren't in the results yet, nearest the
+ * view's center first and capped so a pan stays cheap to enrich
+ * @param {Array} found - From EBirdAPI.getNearbyHotspots()
+ * @param {Set<string>} knownIds - locIds already in the results
+ * @param {{lat: number, lng: number}} center
+ * @param {number} [max] - default: CONFIG.VIEWPORT_SEARCH.MAX_NEW_HOTSPOTS
+ * @returns {Array}
+ */
+export function pickNewViewportHotspots(found, knownIds, center, max = CONFIG.VIEWPORT_SEARCH.MAX_NEW_HOTSPOTS) {
+    return found
+        .filter(hotspot => !knownIds.has(hotspot.locId))
+        .map(hotspot => ({ hotspot, km: calculateDistance(center.lat, center.lng, hotspot.lat, hotspot.lng) }))
+        .sort((a, b) => a.km - b.km)
+        .slice(0, max)
+        .map(({ hotspot }) => hotspot);
+}
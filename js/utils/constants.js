@@ -33,21 +33,54 @@ export const CONFIG = {
 
     // Species confidence tiers - a recency-based proxy for "how likely am I to
     // see this species here", derived from the recent-observations window above.
-    // eBird's public API has no true frequency/bar-chart endpoint, so this is
-    // NOT a statistical detection rate - just how recently it was last reported.
+    // This is NOT a statistical detection rate - just how recently it was last
+    // reported. HISTORIC_FREQUENCY below gives the real rate where sampled.
     CONFIDENCE: {
         HIGH_MAX_DAYS: 3,
         MEDIUM_MAX_DAYS: 7
     },
 
+    // Historic frequency - samples eBird's historic observations for the same
+    // week in past years to get a real "reported on X of Y days" rate
+    HISTORIC_FREQUENCY: {
+        YEARS_BACK: 3,
+        DAY_OFFSETS: [-3, 0, 3],  // days sampled around the date each year - spans the week
+        MAX_HOTSPOTS: 8,          // top results that get frequencies
+        MAX_REQUESTS: 72,         // per search (YEARS_BACK x DAY_OFFSETS x MAX_HOTSPOTS)
+        BATCH_SIZE: 4             // hotspots sampled at once
+    },
+
+    // Travel time search ("within 45 minutes" instead of a radius). eBird
+    // only searches 50 km circles, so longer reaches are covered by a ring of
+    // circles; the routing table then keeps what is really within reach.
+    TRAVEL_TIME_SEARCH: {
+        MAX_SPEED_KMH: { car: 100, foot: 6, bike: 25 },  // fastest plausible straight-line progress
+        CIRCLE_RADIUS_KM: 50,       // eBird's largest search radius
+        CIRCLE_SPACING_KM: 70,      // close enough that neighbouring circles overlap
+        MAX_CANDIDATES: 300,        // nearest hotspots measured (3-4 table requests)
+        PROBE_DIRECTIONS: 16,       // extra points measured to trace the reachable area
+        PROBE_RINGS: 3,
+        AREA_SECTORS: 24            // corners of the drawn reachable area
+    },
+
     // Geocoding
     GEOCODE_TIMEOUT: 10000,  // 10 seconds
 
-    // OSRM routing (Open Source Routing Machine)
-    OSRM: {
-        BASE_URL: 'https://router.project-osrm.org/route/v1/driving',
-        TABLE_URL: 'https://router.project-osrm.org/table/v1/driving',
-        TRIP_URL: 'https://router.project-osrm.org/trip/v1/driving'
+    // Routing providers (see routing-providers.js). These are the public
+    // defaults; a self-hosted server's URL replaces them in the settings.
+    ROUTING: {
+        OSRM_URLS: {
+            car: 'https://router.project-osrm.org',           // the demo server only routes cars
+            foot: 'https://routing.openstreetmap.de/routed-foot',
+            bike: 'https://routing.openstreetmap.de/routed-bike'
+        },
+        GRAPHHOPPER_URL: 'https://graphhopper.com/api/1',     // needs an API key
+        VALHALLA_URL: 'https://valhalla1.openstreetmap.de',
+        // Origins of the self-hosted servers this deployment allows, e.g.
+        // 'https://osrm.example.org'. Each must also be in the connect-src of
+        // the Content-Security-Policy in index.html (and vercel.json), or the
+        // browser blocks it.
+        SELF_HOSTED_ORIGINS: []
     },
 
     // Route-mode hotspot search (multi-point sampling along the route)
@@ -58,34 +91,149 @@ export const CONFIG = {
         PREVIEW_MAX_SAMPLE_POINTS: 4, // lighter cap for the auto-firing route preview
         MAX_ENRICHMENT_HOTSPOTS: 25, // hotspots enriched with species data and shown for selection
         PREVIEW_MAX_HOTSPOTS: 15,    // preview map marker cap
-        MAX_DETOUR_SAFE_KM: 24       // ~15 mi, the "Max Detour" slider's max setting
+        MAX_DETOUR_SAFE_KM: 24,      // ~15 mi, the "Max Detour" slider's max setting
+        MAX_VIA_POINTS: 8            // "stops along the way" between the start and end
+    },
+
+    // GPX/KML/GeoJSON route files imported as the route-mode polyline
+    ROUTE_IMPORT: {
+        MAX_FILE_SIZE_BYTES: 10 * 1024 * 1024, // 10MB - a day-long 1s GPS log is a few MB
+        MAX_TRACK_POINTS: 2000,      // tracks are thinned to this many points for the detour checks
+        MAX_ROUTED_WAYPOINTS: 25     // waypoint-only files up to this size are routed between stops
+    },
+
+    // Target list planner
+    TARGET_LIST: {
+        MIN_SPECIES: 5,
+        MAX_SPECIES: 20,
+        MAX_STOPS: 10,          // upper bound on stops; the planner uses as few as it can
+        MAX_CANDIDATES: 60      // sighting locations kept for drive-time measurement
     },
 
     // Life list CSV import limits
     LIFE_LIST_IMPORT: {
         MAX_FILE_SIZE_BYTES: 5 * 1024 * 1024, // 5MB - generous for large world life lists
-        MAX_ROWS: 15000 // eBird's taxonomy is ~11,000 species; buffer for subspecies/forms.
+        MAX_ROWS: 15000, // eBird's taxonomy is ~11,000 species; buffer for subspecies/forms.
                          // A genuine life list can't exceed this - a full checklist-history
                          // export (one row per species per checklist) almost always will.
+        // Full "My eBird Data" checklist histories are streamed rather than read
+        // whole, so they get a much larger cap
+        MAX_HISTORY_FILE_SIZE_BYTES: 500 * 1024 * 1024
     },
 
     // Open-Meteo weather (no key required)
     OPEN_METEO_BASE: 'https://api.open-meteo.com/v1/forecast',
 
-    // Species taxonomy IndexedDB
+    // Hourly forecast and "best day this week" planner
+    FORECAST: {
+        DAYS: 7,
+        WINDOW_HOURS: 3     // length of the recommended morning window
+    },
+
+    // Migration radar - overnight wind/rain patterns that put birds on the move
+    MIGRATION_RADAR: {
+        NIGHT_START_HOUR: 20,       // night runs 8 PM to 6 AM, local to the location
+        NIGHT_END_HOUR: 6,
+        MIN_NIGHT_HOURS: 6,         // hours of forecast needed to judge a night
+        TAILWIND_FRACTION: 0.6,     // share of night hours with winds helping birds along
+        MIN_WIND_MPH: 4,            // calmer than this and there's no push
+        MAX_WIND_MPH: 30,           // stronger than this and birds stay put
+        FRONT_TEMP_DROP_C: 3,       // day-over-day cooling that marks a cold front
+        RAIN_PROBABILITY: 50,       // % chance of rain that counts as "rain by dawn"
+        RAIN_MM: 0.5,
+        DAWN_RAIN_START_HOUR: 3,    // fallout rain has to arrive between 3 and 9 AM
+        DAWN_RAIN_END_HOUR: 9
+    },
+
+    // Species taxonomy IndexedDB (also holds the persistent eBird response cache)
     SPECIES_DB: {
         DB_NAME: 'birding_hotspots_db',
-        DB_VERSION: 1,
+        DB_VERSION: 3,
         STORE_NAME: 'taxonomy',
+        RESPONSE_STORE_NAME: 'ebird_responses',
+        OFFLINE_TRIPS_STORE_NAME: 'offline_trips',
         CACHE_EXPIRY_DAYS: 7
     },
 
+    // Persistent eBird response cache (stale-while-revalidate).
+    // FRESH_MS: served with no network call. MAX_STALE_MS: served immediately
+    // while a background refresh runs. Older entries are treated as a miss.
+    EBIRD_CACHE: {
+        HOTSPOT_OBSERVATIONS: { FRESH_MS: 30 * 60 * 1000, MAX_STALE_MS: 3 * 24 * 60 * 60 * 1000 },
+        NOTABLE_OBSERVATIONS: { FRESH_MS: 30 * 60 * 1000, MAX_STALE_MS: 24 * 60 * 60 * 1000 },
+        NEARBY_HOTSPOTS: { FRESH_MS: 24 * 60 * 60 * 1000, MAX_STALE_MS: 7 * 24 * 60 * 60 * 1000 },
+        HOTSPOT_INFO: { FRESH_MS: 7 * 24 * 60 * 60 * 1000, MAX_STALE_MS: 30 * 24 * 60 * 60 * 1000 },
+        // Past days barely change (late checklists trickle in), so keep them for a year
+        HISTORIC_OBSERVATIONS: { FRESH_MS: 30 * 24 * 60 * 60 * 1000, MAX_STALE_MS: 365 * 24 * 60 * 60 * 1000 },
+        // A submitted checklist is only changed if its observer edits it
+        CHECKLIST: { FRESH_MS: 7 * 24 * 60 * 60 * 1000, MAX_STALE_MS: 90 * 24 * 60 * 60 * 1000 }
+    },
+
+    // Recent checklists drawer on hotspot cards
+    CHECKLISTS: {
+        MAX_RECENT: 10   // checklists listed, each one its own request for the effort details
+    },
+
+    // Species sightings layer on the results map
+    SPECIES_LAYER: {
+        FRESH_DAYS: 3,          // drawn in the strongest color
+        RECENT_DAYS: 10,        // older than this is drawn faintest
+        MIN_RADIUS: 5,          // px, a single bird
+        MAX_RADIUS: 16,         // px, the biggest count on the map
+        NEAREST_MAX: 30         // nearest sightings shown when none are in view
+    },
+
+    // Results map marker clustering
+    MAP_CLUSTERING: {
+        CELL_SIZE_PX: 40,       // markers closer than this on screen are grouped
+        MAX_ZOOM: 15            // from this zoom in, every marker is shown on its own
+    },
+
+    // "Search as I move the map" on the results map
+    VIEWPORT_SEARCH: {
+        DEBOUNCE_MS: 800,       // wait for panning to settle
+        MAX_NEW_HOTSPOTS: 15,   // per pan - each new hotspot costs several lookups
+        ENRICH_BATCH_SIZE: 5    // new hotspots are merged into the results in batches this size
+    },
+
+    // PDF report builder
+    PDF_REPORT: {
+        CHECKLISTS_PER_HOTSPOT: 3,  // each one its own request for the effort details
+        CHECKLIST_BATCH_SIZE: 4     // places whose checklists load at once
+    },
+
+    // Offline trip packs (see offline-trips.js and sw.js - cache names must match)
+    OFFLINE: {
+        TILE_CACHE_NAME: 'birding-map-tiles-v1',          // tiles kept by saved trips
+        RECENT_TILE_CACHE_NAME: 'birding-recent-tiles-v1', // tiles the map has shown, filled by sw.js
+        APP_CACHE_NAME: 'birding-app-shell-v1',
+        MAX_RECENT_TILES: 2000,      // oldest viewed tiles are dropped past this
+        TILE_MIN_ZOOM: 8,
+        TILE_MAX_ZOOM: 14,
+        MAX_TILES: 400               // per trip - tiles looked up in the viewed-tile cache, never downloaded
+    },
+
+    // Lazy-loaded PDF libraries (pinned, with SRI). Cached with the app shell
+    // so PDF export works in an offline trip pack - see sw.js
+    PDF_LIBRARIES: {
+        JSPDF: {
+            URL: 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+            INTEGRITY: 'sha512-qZvrmS2ekKPF2mSznTQsxqPgnpkI4DNTlrdUmTzrDgektczlKNRRhy5X5AAOnx5S09ydFYWWNSfcEqDTTHgtNA=='
+        },
+        QRCODE: {
+            URL: 'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js',
+            INTEGRITY: 'sha512-CNgIRecGo7nphbeZ04Sc13ka07paqdeTu0WR1IM4kNcpmBAUSHSQX0FslNhTDadL4O5SAGapGt4FodqL8My0mA=='
+        }
+    },
+
     // Local storage keys
     STORAGE_KEYS: {
         API_KEY: 'birding_ebird_api_key',
         FAVORITES: 'birding_favorite_locations',
         GEOAPIFY_KEY: 'birding_geoapify_key',
         LIFE_LIST: 'birding_life_list',
+        REGIONAL_LIFE_LISTS: 'birding_regional_life_lists',
+        LIFER_SCOPE: 'birding_lifer_scope',
         RECENT_SEARCHES: 'birding_recent_searches',
         FAVORITE_HOTSPOTS: 'birding_favorite_hotspots',
         THEME: 'birding_theme',
@@ -93,7 +241,10 @@ export const CONFIG = {
         ERROR_QUEUE: 'birding_error_queue',
         SAVED_ITINERARIES: 'birding_saved_itineraries',
         ONBOARDED: 'birding_onboarded',
-        ITINERARY_START_TIME: 'birding_itinerary_start_time'
+        ITINERARY_START_TIME: 'birding_itinerary_start_time',
+        ROUTING_SETTINGS: 'birding_routing_settings',
+        REPORT_OPTIONS: 'birding_report_options',
+        OPENING_HOURS: 'birding_opening_hours'
     }
 };
 
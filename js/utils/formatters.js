@@ -90,27 +90,42 @@ export function formatNumber(num) {
     return num.toLocaleString('en-US');
 }
 
+/**
+ * Format a species' historic frequency
+ * @param {{daysReported: number, daysWithData: number}} frequency - From getSpeciesFrequency()
+ * @param {boolean} [short] - Compact form for lists and PDFs
+ * @returns {string} e.g. "Reported on 4 of 6 past days this week", or "4/6 days" when short
+ */
+export function formatFrequency(frequency, short = false) {
+    const { daysReported, daysWithData } = frequency;
+    if (short) return `${daysReported}/${daysWithData} days`;
+    return `Reported on ${daysReported} of ${daysWithData} past ${daysWithData === 1 ? 'day' : 'days'} this week`;
+}
+
 /**
  * Generate a Google Maps directions URL
  * @param {number} originLat - Origin latitude
  * @param {number} originLng - Origin longitude
  * @param {number} destLat - Destination latitude
  * @param {number} destLng - Destination longitude
+ * @param {string} [travelMode] - 'driving', 'walking' or 'bicycling' (default: Google's choice)
  * @returns {string} Google Maps URL
  */
-export function getGoogleMapsDirectionsUrl(originLat, originLng, destLat, destLng) {
+export function getGoogleMapsDirectionsUrl(originLat, originLng, destLat, destLng, travelMode) {
     // Build URL manually to avoid URLSearchParams encoding commas as %2C
     const origin = `${Number(originLat)},${Number(originLng)}`;
     const dest = `${Number(destLat)},${Number(destLng)}`;
-    return `https://www.google.com/maps/dir/?api=1&origin=${origin}&destination=${dest}`;
+    const url = `https://www.google.com/maps/dir/?api=1&origin=${origin}&destination=${dest}`;
+    return travelMode ? `${url}&travelmode=${encodeURIComponent(travelMode)}` : url;
 }
 
 /**
  * Generate a Google Maps directions URL with waypoints
  * @param {Array} stops - Array of stop objects with lat, lng properties
+ * @param {string} [travelMode='driving'] - 'driving', 'walking' or 'bicycling'
  * @returns {string} Google Maps URL with waypoints
  */
-export function getGoogleMapsRouteUrl(stops) {
+export function getGoogleMapsRouteUrl(stops, travelMode = 'driving') {
     if (!stops || stops.length < 2) return '';
 
     // Build URL manually to avoid URLSearchParams encoding commas/pipes as %2C/%7C
@@ -126,7 +141,7 @@ export function getGoogleMapsRouteUrl(stops) {
         url += `&waypoints=${waypoints}`;
     }
 
-    url += '&travelmode=driving';
+    url += `&travelmode=${encodeURIComponent(travelMode)}`;
     return url;
 }
 
@@ -187,33 +202,48 @@ function toRad(deg) {
 }
 
 /**
- * Sample points along a route at regular intervals
- * @param {Array} coords - Route coordinates [[lng, lat], ...]
+ * A route's separate lines. An imported track can be several segments with
+ * gaps between them, given as MultiLineString coordinates.
+ * @param {Array} coords - [[lng, lat], ...], or one such list per line
+ * @returns {Array<Array>} One coordinate list per line
+ */
+function toRouteLines(coords) {
+    return Array.isArray(coords[0]?.[0]) ? coords : [coords];
+}
+
+/**
+ * Sample points along a route at regular intervals. Distance is measured
+ * along the route's lines only, so no sample falls in a gap between them.
+ * @param {Array} coords - Route coordinates [[lng, lat], ...], or MultiLineString coordinates
  * @param {number} intervalKm - Approximate interval between samples
  * @returns {Array<{lat, lng}>} Sample points
  */
 export function sampleRoutePoints(coords, intervalKm) {
+    const lines = toRouteLines(coords);
     const points = [];
     let accumulated = 0;
 
     // Always include start
-    points.push({ lat: coords[0][1], lng: coords[0][0] });
-
-    for (let i = 1; i < coords.length; i++) {
-        const dist = calculateDistance(
-            coords[i - 1][1], coords[i - 1][0],
-            coords[i][1], coords[i][0]
-        );
-        accumulated += dist;
-
-        if (accumulated >= intervalKm) {
-            points.push({ lat: coords[i][1], lng: coords[i][0] });
-            accumulated = 0;
+    points.push({ lat: lines[0][0][1], lng: lines[0][0][0] });
+
+    for (const line of lines) {
+        for (let i = 1; i < line.length; i++) {
+            const dist = calculateDistance(
+                line[i - 1][1], line[i - 1][0],
+                line[i][1], line[i][0]
+            );
+            accumulated += dist;
+
+            if (accumulated >= intervalKm) {
+                points.push({ lat: line[i][1], lng: line[i][0] });
+                accumulated = 0;
+            }
         }
     }
 
     // Always include end
-    const last = coords[coords.length - 1];
+    const lastLine = lines[lines.length - 1];
+    const last = lastLine[lastLine.length - 1];
     if (points[points.length - 1].lat !== last[1] || points[points.length - 1].lng !== last[0]) {
         points.push({ lat: last[1], lng: last[0] });
     }
@@ -225,19 +255,22 @@ export function sampleRoutePoints(coords, intervalKm) {
  * Calculate minimum distance from a point to a polyline (route)
  * @param {number} lat - Point latitude
  * @param {number} lng - Point longitude
- * @param {Array} routeCoords - Route coordinates [[lng, lat], ...]
+ * @param {Array} routeCoords - Route coordinates [[lng, lat], ...], or MultiLineString
+ *   coordinates (the gaps between lines don't count as route)
  * @returns {number} Distance in km
  */
 export function distanceToRouteLine(lat, lng, routeCoords) {
     let minDist = Infinity;
 
-    for (let i = 0; i < routeCoords.length - 1; i++) {
-        const segDist = pointToSegmentDistance(
-            lat, lng,
-            routeCoords[i][1], routeCoords[i][0],
-            routeCoords[i + 1][1], routeCoords[i + 1][0]
-        );
-        minDist = Math.min(minDist, segDist);
+    for (const line of toRouteLines(routeCoords)) {
+        for (let i = 0; i < line.length - 1; i++) {
+            const segDist = pointToSegmentDistance(
+                lat, lng,
+                line[i][1], line[i][0],
+                line[i + 1][1], line[i + 1][0]
+            );
+            minDist = Math.min(minDist, segDist);
+        }
     }
 
     return minDist;
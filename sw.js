@@ -0,0 +1,126 @@
+/**
+ * Service worker for offline trip packs.
+ *
+ * - Map tiles: cache-first from the tiles kept by saved trips, then from
+ *   the recently viewed tiles. Each tile the map loads from the network is
+ *   added to the recently viewed ones (capped at MAX_RECENT_TILES), so a trip
+ *   can only be saved with tiles the user has already looked at - the OSM
+ *   tile usage policy forbids bulk prefetching. Both caches are keyed by the
+ *   canonical tile.openstreetmap.org URL whatever {s} subdomain Leaflet
+ *   asked for.
+ * - App shell (this origin's pages/CSS/JS, the Leaflet CDN bundle and the
+ *   pinned jsPDF/QRCode.js bundles PDF export loads):
+ *   network-first, so deploys are picked up immediately, falling back to the
+ *   copy cached when a trip was saved.
+ * - Everything else (eBird, geocoding, routing, weather APIs) goes straight
+ *   to the network - live data is never served from here.
+ *
+ * Cache names and MAX_RECENT_TILES must match CONFIG.OFFLINE in js/utils/constants.js.
+ */
+
+const TILE_CACHE_NAME = 'birding-map-tiles-v1';
+const RECENT_TILE_CACHE_NAME = 'birding-recent-tiles-v1';
+const APP_CACHE_NAME = 'birding-app-shell-v1';
+const MAX_RECENT_TILES = 2000;
+const RECENT_TILE_TRIM_EVERY = 50;  // tiles added between trims
+
+const TILE_HOST_PATTERN = /^https:\/\/([abc]\.)?tile\.openstreetmap\.org\//;
+
+// Must match CONFIG.PDF_LIBRARIES in js/utils/constants.js
+const PDF_LIBRARY_URLS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js'
+];
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+let recentTilesAdded = 0;
+
+/**
+ * Drop the oldest recently viewed tiles past MAX_RECENT_TILES. Cache keys
+ * come back in insertion order, so the first ones are the oldest.
+ * @param {Cache} cache - The recently viewed tile cache
+ * @returns {Promise<void>}
+ */
+async function trimRecentTiles(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_RECENT_TILES)).map(key => cache.delete(key)));
+}
+
+/**
+ * Serve a tile from the offline caches if present, otherwise from the
+ * network, remembering it as recently viewed
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleTileRequest(event) {
+    const { request } = event;
+    const canonicalUrl = request.url.replace(TILE_HOST_PATTERN, 'https://tile.openstreetmap.org/');
+    const cached = await (await caches.open(TILE_CACHE_NAME)).match(canonicalUrl)
+        || await (await caches.open(RECENT_TILE_CACHE_NAME)).match(canonicalUrl);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Leaflet's <img> tiles come back opaque, so ok can't be checked for them
+    if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        event.waitUntil((async () => {
+            const recent = await caches.open(RECENT_TILE_CACHE_NAME);
+            await recent.put(canonicalUrl, copy);
+            if (++recentTilesAdded % RECENT_TILE_TRIM_EVERY === 0) await trimRecentTiles(recent);
+        })().catch(() => {}));
+    }
+    return response;
+}
+
+/**
+ * Network-first for app shell resources, refreshing the cached copy of
+ * anything already cached and falling back to it when offline
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleAppShellRequest(request) {
+    const cache = await caches.open(APP_CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok && await cache.match(request, { ignoreSearch: true })) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const page = await cache.match(new URL('./', self.registration.scope).href)
+                || await cache.match(new URL('index.html', self.registration.scope).href);
+            if (page) return page;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (TILE_HOST_PATTERN.test(request.url)) {
+        event.respondWith(handleTileRequest(event));
+        return;
+    }
+
+    const url = new URL(request.url);
+    const isOwnShell = url.origin === self.location.origin &&
+        !url.pathname.startsWith('/api/') && !url.pathname.startsWith('/_vercel/');
+    const isLeaflet = url.origin === 'https://unpkg.com' && url.pathname.startsWith('/leaflet@');
+    const isPdfLibrary = PDF_LIBRARY_URLS.includes(`${url.origin}${url.pathname}`);
+
+    if (isOwnShell || isLeaflet || isPdfLibrary) {
+        event.respondWith(handleAppShellRequest(request));
+    }
+});
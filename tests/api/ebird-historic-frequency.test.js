@@ -0,0 +1,64 @@
+import { assert } from '../run-tests.js';
+import {
+    EBirdAPI,
+    createRequestBudget,
+    getHistoricSampleDates,
+    summarizeHistoricFrequency,
+    getSpeciesFrequency,
+    getPersistentCachePolicy
+} from '../../js/api/ebird.js';
+
+function obs(speciesCode) {
+    return { speciesCode, comName: speciesCode };
+}
+
+export async function testHistoricSampleDatesCoverSameWeekInPastYears() {
+    const dates = getHistoricSampleDates(new Date(2026, 4, 15), 2, [-3, 0, 3]);
+    const labels = dates.map(d => `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`);
+    assert(labels.join(',') === '2025-5-12,2025-5-15,2025-5-18,2024-5-12,2024-5-15,2024-5-18',
+        `Unexpected sample dates: ${labels.join(',')}`);
+}
+
+export async function testSummarizeHistoricFrequencyIgnoresDaysWithoutChecklists() {
+    const summary = summarizeHistoricFrequency([
+        [obs('amecro'), obs('norcar')],
+        [obs('amecro')],
+        [],
+        [obs('amecro'), obs('amecro')]
+    ]);
+
+    assert(summary.daysSampled === 4 && summary.daysWithData === 3, 'An empty day should not count as a day with data');
+    assert(summary.species.amecro === 3, 'Duplicate reports on one day should count once');
+
+    const cardinal = getSpeciesFrequency(summary, 'norcar');
+    assert(cardinal.daysReported === 1 && cardinal.daysWithData === 3 && cardinal.percent === 33,
+        `Unexpected cardinal frequency: ${JSON.stringify(cardinal)}`);
+    assert(getSpeciesFrequency(summary, 'bkcchi').daysReported === 0, 'An unreported species should be 0 days');
+    assert(getSpeciesFrequency(summarizeHistoricFrequency([[], []]), 'amecro') === null, 'No data means no frequency');
+}
+
+export async function testGetHistoricFrequencyStopsWhenBudgetIsSpent() {
+    const urls = [];
+    global.fetch = async (url) => {
+        urls.push(String(url));
+        return { ok: true, json: async () => [obs('amecro')] };
+    };
+
+    const api = new EBirdAPI('testkey');
+    api.setPersistentCache(null);
+    const budget = createRequestBudget(4);
+
+    const first = await api.getHistoricFrequency('L1', { date: new Date(2026, 4, 15), yearsBack: 1, budget });
+    const second = await api.getHistoricFrequency('L2', { date: new Date(2026, 4, 15), yearsBack: 1, budget });
+    const third = await api.getHistoricFrequency('L3', { date: new Date(2026, 4, 15), yearsBack: 1, budget });
+
+    assert(urls.length === 4, `Expected the budget to cap requests at 4, got ${urls.length}`);
+    assert(urls[0].includes('/data/obs/L1/historic/2025/5/12'), `Unexpected first URL: ${urls[0]}`);
+    assert(first.daysSampled === 3 && second.daysSampled === 1, 'Requests should be spent on hotspots in order');
+    assert(third === null, 'A hotspot with no budget left should get no frequency');
+}
+
+export async function testHistoricObservationsArePersistentlyCached() {
+    const policy = getPersistentCachePolicy('/data/obs/L123/historic/2025/5/12');
+    assert(policy && policy.freshMs >= 24 * 60 * 60 * 1000, 'Historic days should be persisted for at least a day');
+}
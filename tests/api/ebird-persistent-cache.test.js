@@ -0,0 +1,134 @@
+import { assert } from '../run-tests.js';
+import { EBirdAPI, getPersistentCachePolicy, getExpiredResponseKeys } from '../../js/api/ebird.js';
+import { CONFIG } from '../../js/utils/constants.js';
+
+/**
+ * In-memory stand-in for the IndexedDB response cache. `seed` lets a test
+ * plant an entry fetched a given number of milliseconds ago.
+ */
+function createMemoryCache() {
+    const entries = new Map();
+    return {
+        entries,
+        async get(key) {
+            return entries.get(key) || null;
+        },
+        async put(key, data) {
+            entries.set(key, { data, fetchedAt: Date.now() });
+        },
+        seed(key, data, ageMs) {
+            entries.set(key, { data, fetchedAt: Date.now() - ageMs });
+        }
+    };
+}
+
+function installFetchMock(handler) {
+    global.fetch = async (url, opts) => handler(url, opts);
+}
+
+const OBS_KEY = '/data/obs/L12345/recent?back=30';
+
+export async function testPersistentCachePolicyCoversHotspotEndpointsOnly() {
+    assert(getPersistentCachePolicy('/data/obs/L12345/recent') !== null, 'Hotspot observations should be persisted');
+    assert(getPersistentCachePolicy('/ref/hotspot/info/L12345') !== null, 'Hotspot info should be persisted');
+    assert(getPersistentCachePolicy('/ref/hotspot/geo') !== null, 'Nearby hotspots should be persisted');
+    assert(getPersistentCachePolicy('/ref/taxonomy/ebird') === null, 'Taxonomy has its own cache and should not be persisted here');
+    assert(getPersistentCachePolicy('/product/lists/US-FL') === null, 'Regional checklists should not be persisted');
+    assert(getPersistentCachePolicy('/product/checklist/view/S123456789') !== null, 'Submitted checklists should be persisted');
+    assert(getPersistentCachePolicy('/product/lists/L12345') === null, 'A hotspot\'s latest checklists change too often to persist');
+}
+
+export async function testFreshPersistedResponseSkipsNetwork() {
+    let fetchCount = 0;
+    installFetchMock(async () => {
+        fetchCount++;
+        return { ok: true, json: async () => [] };
+    });
+
+    const cache = createMemoryCache();
+    cache.seed(OBS_KEY, [{ speciesCode: 'amero' }], 60 * 1000);
+
+    const api = new EBirdAPI('testkey');
+    api.setPersistentCache(cache);
+    const result = await api.getRecentObservations('L12345', 30);
+    await api.whenBackgroundRefreshesSettled();
+
+    assert(fetchCount === 0, `Expected no fetch for a fresh persisted entry, got ${fetchCount}`);
+    assert(result[0].speciesCode === 'amero', 'Should return the persisted data');
+    assert(api.getDataAsOf() !== null, 'Serving persisted data should set a data-as-of timestamp');
+}
+
+export async function testStalePersistedResponseIsServedThenRefreshed() {
+    let fetchCount = 0;
+    installFetchMock(async () => {
+        fetchCount++;
+        return { ok: true, json: async () => [{ speciesCode: 'norcar' }] };
+    });
+
+    const cache = createMemoryCache();
+    const staleAgeMs = CONFIG.EBIRD_CACHE.HOTSPOT_OBSERVATIONS.FRESH_MS + 60 * 1000;
+    cache.seed(OBS_KEY, [{ speciesCode: 'amero' }], staleAgeMs);
+
+    const api = new EBirdAPI('testkey');
+    api.setPersistentCache(cache);
+    const result = await api.getRecentObservations('L12345', 30);
+
+    assert(result[0].speciesCode === 'amero', 'Stale data should be served immediately');
+
+    await api.whenBackgroundRefreshesSettled();
+    assert(fetchCount === 1, `Expected one background refresh fetch, got ${fetchCount}`);
+    assert(cache.entries.get(OBS_KEY).data[0].speciesCode === 'norcar', 'Background refresh should update the persisted entry');
+}
+
+export async function testExpiredPersistedResponseFetchesAndStores() {
+    let fetchCount = 0;
+    installFetchMock(async () => {
+        fetchCount++;
+        return { ok: true, json: async () => [{ speciesCode: 'norcar' }] };
+    });
+
+    const cache = createMemoryCache();
+    const expiredAgeMs = CONFIG.EBIRD_CACHE.HOTSPOT_OBSERVATIONS.MAX_STALE_MS + 60 * 1000;
+    cache.seed(OBS_KEY, [{ speciesCode: 'amero' }], expiredAgeMs);
+
+    const api = new EBirdAPI('testkey');
+    api.setPersistentCache(cache);
+    const result = await api.getRecentObservations('L12345', 30);
+
+    assert(fetchCount === 1, `Expected a blocking fetch for an expired entry, got ${fetchCount}`);
+    assert(result[0].speciesCode === 'norcar', 'Should return the freshly fetched data');
+    assert(api.getDataAsOf() === null, 'Fresh network data should not set a data-as-of timestamp');
+    assert(Date.now() - cache.entries.get(OBS_KEY).fetchedAt < 1000, 'Fresh response should be persisted');
+}
+
+export async function testDataAsOfReportsOldestServedEntry() {
+    installFetchMock(async () => ({ ok: true, json: async () => [] }));
+
+    const cache = createMemoryCache();
+    cache.seed('/data/obs/L1/recent?back=30', [], 5 * 60 * 1000);
+    cache.seed('/data/obs/L2/recent?back=30', [], 20 * 60 * 1000);
+
+    const api = new EBirdAPI('testkey');
+    api.setPersistentCache(cache);
+    await api.getRecentObservations('L1', 30);
+    await api.getRecentObservations('L2', 30);
+
+    const ageMinutes = (Date.now() - api.getDataAsOf().getTime()) / 60000;
+    assert(Math.round(ageMinutes) === 20, `Expected data-as-of to be ~20 minutes ago, got ${ageMinutes.toFixed(1)}`);
+}
+
+export async function testPruneEvictsEachEntryByItsOwnPolicy() {
+    const now = Date.now();
+    const day = 24 * 60 * 60 * 1000;
+    const historicKey = '/data/obs/L12345/historic/2024/5/10?rank=mrec&detail=simple';
+    const records = [
+        { id: OBS_KEY, fetchedAt: now - CONFIG.EBIRD_CACHE.HOTSPOT_OBSERVATIONS.MAX_STALE_MS - day },
+        { id: historicKey, fetchedAt: now - 30 * day },
+        { id: '/product/lists/US-FL?maxResults=10', fetchedAt: now - 60 * 1000 }
+    ];
+
+    const expired = getExpiredResponseKeys(records, now);
+    assert(expired.includes(OBS_KEY), 'A recent-observations entry past its own max staleness should be evicted');
+    assert(!expired.includes(historicKey), 'A month-old historic entry is still within its year and should be kept');
+    assert(expired.includes('/product/lists/US-FL?maxResults=10'), 'Entries from endpoints that are not persisted should be evicted');
+}
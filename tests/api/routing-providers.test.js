@@ -0,0 +1,142 @@
+import { readFileSync } from 'node:fs';
+import { assert } from '../run-tests.js';
+import { decodePolyline, normalizeRoutingSettings, createRoutingProvider, isAllowedRoutingServer } from '../../js/api/routing-providers.js';
+import { CONFIG } from '../../js/utils/constants.js';
+
+/**
+ * Replace fetch with one that records each request and answers with respond(url, body)
+ */
+function mockFetch(respond) {
+    const calls = [];
+    global.fetch = async (url, init) => {
+        const body = init?.body ? JSON.parse(init.body) : null;
+        calls.push({ url, body });
+        return { ok: true, status: 200, json: async () => respond(url, body) };
+    };
+    return calls;
+}
+
+export async function testDecodePolylineAndNormalizeSettings() {
+    // Google's documented example polyline, at precision 5
+    const coords = decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@', 5);
+    assert(coords.length === 3, `Expected 3 points, got ${coords.length}`);
+    assert(coords[0][0] === -120.2 && coords[0][1] === 38.5, `First point should be [-120.2, 38.5], got ${coords[0]}`);
+    assert(coords[2][0] === -126.453 && coords[2][1] === 43.252, `Last point should be [-126.453, 43.252], got ${coords[2]}`);
+
+    const defaults = normalizeRoutingSettings({ provider: 'nope', profile: 'boat', baseUrl: 7 });
+    assert(defaults.provider === 'osrm' && defaults.profile === 'car' && defaults.baseUrl === '',
+        'Unknown settings should fall back to OSRM by car on the public server');
+    assert(normalizeRoutingSettings({ baseUrl: ' https://valhalla1.openstreetmap.de/ ' }).baseUrl === 'https://valhalla1.openstreetmap.de',
+        'Base URLs should be trimmed of whitespace and trailing slashes');
+    assert(normalizeRoutingSettings({ provider: 'valhalla', baseUrl: 'http://localhost:5000' }).baseUrl === '',
+        'A saved server the page may not call should fall back to the public one');
+}
+
+export async function testOSRMWalkingUsesFootServerAndReadsTripOrder() {
+    const calls = mockFetch(() => ({
+        code: 'Ok',
+        trips: [{ distance: 3000, duration: 2400, legs: [], geometry: null }],
+        // Input order: start, A, B. The trip visits start, B, A.
+        waypoints: [
+            { waypoint_index: 0, location: [-74, 40] },
+            { waypoint_index: 2, location: [-74.01, 40.01] },
+            { waypoint_index: 1, location: [-74.02, 40.02] }
+        ]
+    }));
+
+    const provider = createRoutingProvider({ profile: 'foot' });
+    const points = [{ lat: 40, lng: -74 }, { lat: 40.01, lng: -74.01 }, { lat: 40.02, lng: -74.02 }];
+    const trip = await provider.trip(points, { roundtrip: true, source: 'first', destination: 'any' });
+
+    assert(calls[0].url.startsWith('https://routing.openstreetmap.de/routed-foot/trip/v1/foot/'),
+        `Walking should use the FOSSGIS foot server: ${calls[0].url}`);
+    assert(trip.order.join(',') === '0,2,1', `Expected visit order 0,2,1, got ${trip.order}`);
+    assert(trip.snapped[1].lat === 40.02, 'Snapped coordinates should follow the visit order');
+    assert(trip.totalDistance === 3, 'Meters should be converted to km');
+
+    const allowed = CONFIG.ROUTING.SELF_HOSTED_ORIGINS;
+    CONFIG.ROUTING.SELF_HOSTED_ORIGINS = ['http://localhost:5000'];
+    try {
+        const selfHosted = createRoutingProvider({ profile: 'bike', baseUrl: 'http://localhost:5000' });
+        await selfHosted.route(points.slice(0, 2)).catch(() => {});
+    } finally {
+        CONFIG.ROUTING.SELF_HOSTED_ORIGINS = allowed;
+    }
+    assert(calls[1].url.startsWith('http://localhost:5000/route/v1/bike/'), `A self-hosted URL should replace the default: ${calls[1].url}`);
+}
+
+export async function testGraphHopperAndValhallaAdapters() {
+    const calls = mockFetch((url) => {
+        if (url.includes('/route?')) {
+            return {
+                paths: [{
+                    distance: 5000,
+                    time: 600000,
+                    points: { type: 'LineString', coordinates: [] },
+                    details: { leg_distance: [[0, 4, 2000], [4, 9, 3000]], leg_time: [[0, 4, 240000], [4, 9, 360000]] }
+                }]
+            };
+        }
+        if (url.endsWith('/sources_to_targets')) {
+            return { sources_to_targets: [[{ time: 0, distance: 0 }, { time: 900, distance: 12.5 }, { time: null, distance: null }]] };
+        }
+        return {};
+    });
+    const points = [{ lat: 40, lng: -74 }, { lat: 40.1, lng: -74.1 }, { lat: 40.2, lng: -74.2 }];
+
+    const graphhopper = createRoutingProvider({ provider: 'graphhopper', profile: 'bike', apiKey: 'abc 123' });
+    assert(graphhopper.supportsTrip === false, 'GraphHopper has no trip optimization here');
+    const route = await graphhopper.route(points);
+    assert(calls[0].url === 'https://graphhopper.com/api/1/route?key=abc%20123', `Unexpected GraphHopper URL: ${calls[0].url}`);
+    assert(calls[0].body.profile === 'bike', 'The bike profile should be sent to GraphHopper');
+    assert(route.legs.length === 2 && route.legs[1].distance === 3 && route.legs[1].duration === 360,
+        'Leg details should become per-leg km and seconds');
+
+    const valhalla = createRoutingProvider({ provider: 'valhalla', profile: 'foot' });
+    const table = await valhalla.table(points, { sources: [0] });
+    assert(calls[1].body.costing === 'pedestrian', 'Walking should use Valhalla\'s pedestrian costing');
+    assert(calls[1].body.sources.length === 1 && calls[1].body.targets.length === 3, 'Only the requested sources should be sent');
+    assert(table.durations[0][1] === 900 && table.distances[0][1] === 12.5, 'Times and km should pass straight through');
+    assert(table.durations[0][2] === null, 'Unreachable targets should be null');
+}
+
+export async function testOnlyAllowedRoutingServersAreAccepted() {
+    assert(isAllowedRoutingServer('') && isAllowedRoutingServer('https://valhalla1.openstreetmap.de/'),
+        'The public servers are always allowed');
+    assert(!isAllowedRoutingServer('http://localhost:5000') && !isAllowedRoutingServer('not a url'),
+        'A server the deployment has not allowed is rejected');
+
+    const allowed = CONFIG.ROUTING.SELF_HOSTED_ORIGINS;
+    CONFIG.ROUTING.SELF_HOSTED_ORIGINS = ['https://osrm.example.org'];
+    try {
+        assert(isAllowedRoutingServer('https://osrm.example.org/route/v1'), 'An allowed self-hosted origin is accepted');
+        assert(!isAllowedRoutingServer('http://osrm.example.org'), 'Only the exact origin is allowed');
+    } finally {
+        CONFIG.ROUTING.SELF_HOSTED_ORIGINS = allowed;
+    }
+}
+
+/**
+ * The connect-src sources of a Content-Security-Policy string
+ */
+function connectSources(policy) {
+    return policy.split(';').map(d => d.trim()).find(d => d.startsWith('connect-src '))?.split(/\s+/) || [];
+}
+
+export async function testDeployedPolicyAllowsEveryRoutingServer() {
+    const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+    const metaPolicy = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]*)"/)?.[1] || '';
+    const vercel = JSON.parse(readFileSync(new URL('../../vercel.json', import.meta.url), 'utf8'));
+    const headerPolicy = vercel.headers.flatMap(rule => rule.headers)
+        .find(header => header.key === 'Content-Security-Policy')?.value || '';
+
+    const { OSRM_URLS, GRAPHHOPPER_URL, VALHALLA_URL, SELF_HOSTED_ORIGINS } = CONFIG.ROUTING;
+    const origins = [...Object.values(OSRM_URLS), GRAPHHOPPER_URL, VALHALLA_URL, ...SELF_HOSTED_ORIGINS].map(url => new URL(url).origin);
+    for (const [where, policy] of [['index.html', metaPolicy], ['vercel.json', headerPolicy]]) {
+        const connectSrc = connectSources(policy);
+        const missing = origins.filter(origin => !connectSrc.includes(origin));
+        assert(connectSrc.length > 0 && missing.length === 0, `connect-src in ${where} should allow ${missing.join(', ')}`);
+        assert(!connectSrc.some(source => /localhost|127\.0\.0\.1|\*$/.test(source)), `No wildcard local servers should be allowed in ${where}`);
+    }
+    assert(metaPolicy === headerPolicy, 'The meta tag and the Vercel header should send the same policy');
+}
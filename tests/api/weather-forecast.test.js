@@ -0,0 +1,96 @@
+import { assert } from '../run-tests.js';
+
+// Mock localStorage (weather.js persists a cache there) before importing
+const _store = {};
+global.localStorage = {
+    getItem: (k) => _store[k] ?? null,
+    setItem: (k, v) => { _store[k] = v; },
+    removeItem: (k) => { delete _store[k]; }
+};
+
+const { getHourlyForecast, getForecastAt, getForecastDay, planBestBirdingDay } = await import('../../js/api/weather.js');
+
+/**
+ * A two-day Open-Meteo hourly response for a location at UTC-4. Day one is
+ * windy all morning except 9-11 AM; day two is calm and clear from 7 AM on.
+ */
+function mockForecastResponse() {
+    const time = [];
+    const wind = [];
+    const code = [];
+    for (const date of ['2026-05-12', '2026-05-13']) {
+        for (let h = 0; h < 24; h++) {
+            time.push(`${date}T${String(h).padStart(2, '0')}:00`);
+            const calm = date === '2026-05-13' ? h >= 7 : (h >= 9 && h < 12);
+            wind.push(calm ? 5 : 45);
+            code.push(calm ? 0 : 3);
+        }
+    }
+    return {
+        utc_offset_seconds: -4 * 3600,
+        hourly: {
+            time,
+            temperature_2m: time.map(() => 15),
+            precipitation_probability: time.map(() => 0),
+            weather_code: code,
+            wind_speed_10m: wind,
+            wind_direction_10m: time.map(() => 180)
+        },
+        daily: {
+            time: ['2026-05-12', '2026-05-13'],
+            sunrise: ['2026-05-12T05:40', '2026-05-13T05:39'],
+            sunset: ['2026-05-12T20:05', '2026-05-13T20:06']
+        }
+    };
+}
+
+function installFetchMock(response) {
+    for (const key of Object.keys(_store)) delete _store[key];
+    global.fetch = async () => ({ ok: true, json: async () => response });
+}
+
+export async function testHourlyForecastScoresEveryHourAtTrueInstants() {
+    installFetchMock(mockForecastResponse());
+    const forecast = await getHourlyForecast(40.71, -74.0, null, 2);
+
+    assert(forecast.hours.length === 48, `Expected 48 hours, got ${forecast.hours.length}`);
+    const nineAm = forecast.hours[9];
+    assert(nineAm.date.getTime() === Date.parse('2026-05-12T13:00:00Z'), '9 AM at UTC-4 should be 13:00 UTC');
+    assert(nineAm.rating === 'excellent', `A calm, clear 15°C hour should score excellent, got ${nineAm.rating}`);
+    assert(forecast.hours[6].score < nineAm.score, 'A windy overcast hour should score lower');
+    assert(forecast.days[1].sunrise === '5:39 AM', `Expected local sunrise, got ${forecast.days[1].sunrise}`);
+    assert(getForecastAt(forecast, new Date(Date.parse('2026-05-12T13:30:00Z'))) === nineAm, 'getForecastAt should find the covering hour');
+}
+
+export async function testPlanBestBirdingDayPicksBestMorningWindow() {
+    installFetchMock(mockForecastResponse());
+    const forecast = await getHourlyForecast(40.71, -74.0, null, 2);
+    const plan = planBestBirdingDay(forecast, { windowHours: 3, now: new Date(Date.parse('2026-05-12T08:00:00Z')) });
+
+    assert(plan.days[0].window.start === '09:00' && plan.days[0].window.end === '12:00',
+        `Day one's best window should be 9-12, got ${plan.days[0].window.start}-${plan.days[0].window.end}`);
+    assert(plan.days[1].window.start === '07:00', `Day two's best window should start at 7, got ${plan.days[1].window.start}`);
+    assert(plan.bestDay.date === '2026-05-12', 'Equal scores should favour the earlier day');
+    assert(plan.bestDay.window.label === '9:00 AM - 12:00 PM', `Unexpected label: ${plan.bestDay.window.label}`);
+}
+
+export async function testPlanBestBirdingDaySkipsHoursAlreadyPast() {
+    installFetchMock(mockForecastResponse());
+    const forecast = await getHourlyForecast(40.71, -74.0, null, 2);
+    // 11:30 AM local on day one: only the 11 AM hour is left, too short for a window
+    const plan = planBestBirdingDay(forecast, { windowHours: 3, now: new Date(Date.parse('2026-05-12T15:30:00Z')) });
+
+    assert(plan.days[0].window === null, 'A morning that has mostly passed should have no window');
+    assert(plan.bestDay.date === '2026-05-13', 'The next day should be recommended');
+}
+
+export async function testGetForecastDayUsesTheLocationsCalendar() {
+    installFetchMock(mockForecastResponse());
+    const forecast = await getHourlyForecast(40.71, -74.0, null, 2);
+
+    // 02:00 UTC on the 13th is still 10 PM on the 12th at UTC-4, whatever this device's timezone
+    const lateEvening = getForecastDay(forecast, new Date(Date.parse('2026-05-13T02:00:00Z')));
+    assert(lateEvening?.date === '2026-05-12', `An instant should map to the location's day, got ${lateEvening?.date}`);
+    assert(getForecastDay(forecast, '2026-05-13').sunrise === '5:39 AM', 'A picked calendar day is matched as is');
+    assert(getForecastDay(forecast, '2026-05-20') === null, 'A day beyond the forecast has no entry');
+}
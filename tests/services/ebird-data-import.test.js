@@ -0,0 +1,101 @@
+import { assert } from '../run-tests.js';
+import { createCSVRowParser, isChecklistHistoryHeader, parseChecklistHistory, getRegionalListKeys } from '../../js/services/ebird-data-import.js';
+
+const HEADER = 'Submission ID,Common Name,Scientific Name,Taxonomic Order,Count,State/Province,County,Location ID,Location,Latitude,Longitude,Date,Time,Observation Details';
+
+const TAXONOMY = [
+    { speciesCode: 'amecro', comName: 'American Crow', sciName: 'Corvus brachyrhynchos', category: 'species' },
+    { speciesCode: 'norcar', comName: 'Northern Cardinal', sciName: 'Cardinalis cardinalis', category: 'species' },
+    { speciesCode: 'yerwar', comName: 'Yellow-rumped Warbler', sciName: 'Setophaga coronata', category: 'species' },
+    { speciesCode: 'myrwar', comName: 'Yellow-rumped Warbler (Myrtle)', sciName: 'Setophaga coronata coronata', category: 'issf', reportAs: 'yerwar' },
+    { speciesCode: 'duck1', comName: 'duck sp.', sciName: 'Anatinae sp.', category: 'spuh' }
+];
+
+function row(commonName, state, county, date, details = '') {
+    return `S1,${commonName},,1,1,${state},${county},L1,Somewhere,0,0,${date},07:00,${details}`;
+}
+
+/**
+ * A ReadableStream delivering the text in fixed-size byte chunks, so rows
+ * and quoted fields get split across reads
+ */
+function streamOf(text, chunkSize = 7) {
+    const bytes = new TextEncoder().encode(text);
+    let offset = 0;
+    return new ReadableStream({
+        pull(controller) {
+            if (offset >= bytes.length) {
+                controller.close();
+                return;
+            }
+            controller.enqueue(bytes.slice(offset, offset + chunkSize));
+            offset += chunkSize;
+        }
+    });
+}
+
+export async function testIsChecklistHistoryHeaderDetectsFullExport() {
+    assert(isChecklistHistoryHeader(HEADER), 'MyEBirdData header should be detected');
+    assert(!isChecklistHistoryHeader('Row #,Taxon Order,Category,Common Name,Scientific Name,Count,Location,S/P,Date'), 'Life list download should not be detected');
+}
+
+export async function testCSVRowParserHandlesQuotesAcrossChunks() {
+    const rows = [];
+    const parser = createCSVRowParser(r => rows.push(r));
+    const csv = 'a,"b, with comma","multi\nline ""quoted"""\r\nc,d,e\n';
+    for (let i = 0; i < csv.length; i += 3) {
+        parser.push(csv.slice(i, i + 3));
+    }
+    parser.end();
+
+    assert(rows.length === 2, `Expected 2 rows, got ${rows.length}`);
+    assert(rows[0][1] === 'b, with comma', `Comma inside quotes should be kept, got ${rows[0][1]}`);
+    assert(rows[0][2] === 'multi\nline "quoted"', `Newline and doubled quotes should be kept, got ${JSON.stringify(rows[0][2])}`);
+    assert(rows[1].join('|') === 'c|d|e', 'Second row should parse normally');
+}
+
+export async function testParseChecklistHistoryBuildsRegionalAndYearLists() {
+    const csv = [
+        HEADER,
+        row('American Crow', 'US-NY', 'Tompkins', '2023-05-01', '"Flying over, calling\nloudly"'),
+        row('Northern Cardinal', 'US-NY', 'Cayuga', '2024-01-10'),
+        row('American Crow', 'US-PA', 'Erie', '2024-02-11'),
+        row('Yellow-rumped Warbler (Myrtle)', 'CA-ON', '', '2024-04-01'),
+        row('duck sp.', 'US-NY', 'Tompkins', '2024-04-02')
+    ].join('\n');
+
+    const progress = [];
+    const parsed = await parseChecklistHistory(streamOf(csv), TAXONOMY, {
+        totalBytes: new TextEncoder().encode(csv).length,
+        onProgress: p => progress.push(p)
+    });
+
+    const list = key => [...(parsed.lists.get(key) || [])].sort().join(',');
+    assert(parsed.rows === 5, `Expected 5 data rows, got ${parsed.rows}`);
+    assert(list('world') === 'amecro,norcar,yerwar', `Unexpected world list: ${list('world')}`);
+    assert(list('country:US') === 'amecro,norcar', `Unexpected US list: ${list('country:US')}`);
+    assert(list('state:US-PA') === 'amecro', `Unexpected PA list: ${list('state:US-PA')}`);
+    assert(list('county:US-NY:tompkins') === 'amecro', 'A spuh should not count toward a county list');
+    assert(list('year:2024') === 'amecro,norcar,yerwar', `Unexpected 2024 list: ${list('year:2024')}`);
+    assert(list('year:2023') === 'amecro', `Unexpected 2023 list: ${list('year:2023')}`);
+    assert(parsed.counties.get('county:US-NY:cayuga').countyName === 'Cayuga', 'County names should be kept for code lookup');
+    assert(progress[progress.length - 1] === 100, 'Progress should reach 100%');
+}
+
+export async function testParseChecklistHistoryRejectsOtherCSVs() {
+    let error = null;
+    try {
+        await parseChecklistHistory(streamOf('Common Name,Scientific Name\nAmerican Crow,Corvus brachyrhynchos\n'), TAXONOMY);
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('My eBird Data'), 'A CSV without State/Province and Date columns should be rejected');
+}
+
+export async function testGetRegionalListKeysPerScope() {
+    const region = { countryCode: 'US', subnational1Code: 'US-NY', subnational2Code: 'US-NY-109', subnational2Name: 'Tompkins' };
+    assert(getRegionalListKeys('state', region)[0] === 'state:US-NY', 'State scope should use the state code');
+    assert(getRegionalListKeys('county', region).join(',') === 'county:US-NY-109,county:US-NY:tompkins', 'County scope should try the code, then the name');
+    assert(getRegionalListKeys('year', region, new Date(2025, 5, 1))[0] === 'year:2025', 'Year scope should use the given year');
+    assert(getRegionalListKeys('county', { subnational1Code: 'US-NY' }) === null, 'County scope needs a county');
+}
@@ -0,0 +1,64 @@
+import { assert } from '../run-tests.js';
+import { generateGeoJSON, generateHotspotsGeoJSON, generateTripPlanGeoJSON } from '../../js/services/geojson-generator.js';
+
+function sampleItinerary() {
+    return {
+        stops: [
+            { type: 'start', name: 'Start', address: '123 Main St', lat: 10, lng: 20, departureTime: new Date(Date.UTC(2026, 4, 1, 6)) },
+            {
+                type: 'hotspot', name: 'Tom & Jerry\'s <Marsh>', locId: 'L1', speciesCount: 42, lat: 11, lng: 21,
+                arrivalTime: new Date(Date.UTC(2026, 4, 1, 6, 30)),
+                birds: [{ comName: 'Snowy Egret', sciName: 'Egretta thula', speciesCode: 'snoegr', isNotable: true }]
+            },
+            { type: 'end', name: 'End', address: '456 Oak Ave', lat: 12, lng: 22 }
+        ],
+        geometry: { coordinates: [[20, 10], [20.5, 10.5], [22, 12]] },
+        summary: { totalStops: 1, totalDistance: 12.5, totalTravelTime: 40 },
+        travelMode: 'foot'
+    };
+}
+
+export async function testGenerateGeoJSONRoundTripsStopsAndRoute() {
+    const collection = JSON.parse(generateGeoJSON(sampleItinerary(), { name: 'Birds & Bees' }));
+
+    assert(collection.type === 'FeatureCollection' && collection.name === 'Birds & Bees', 'Should be a named FeatureCollection');
+    assert(collection.creator === 'Birding Hotspots Finder' && !Number.isNaN(Date.parse(collection.time)),
+        'Should carry the same creator and time metadata as GPX');
+    assert(collection.features.length === 4, `Expected 3 stops and a route, got ${collection.features.length}`);
+
+    const [start, hotspot, end, route] = collection.features;
+    assert(start.properties.type === 'start' && end.properties.type === 'end', 'Stops should keep their types');
+    assert(hotspot.geometry.type === 'Point' && hotspot.geometry.coordinates.join(',') === '21,11',
+        'Points are [lng, lat]');
+    assert(hotspot.properties.name === '1. Tom & Jerry\'s <Marsh>', `Names are kept as-is in JSON, got ${hotspot.properties.name}`);
+    assert(hotspot.properties.order === 1 && hotspot.properties.speciesCount === 42 && hotspot.properties.locId === 'L1',
+        'Hotspot properties should be filled in');
+    assert(hotspot.properties.arrivalTime === '2026-05-01T06:30:00.000Z', 'Times should be ISO strings');
+    assert(hotspot.properties.species[0].comName === 'Snowy Egret' && hotspot.properties.species[0].isNotable,
+        'The species list should come through');
+    assert(hotspot.properties['marker-color'], 'Markers should be styled for uMap');
+
+    assert(route.geometry.type === 'LineString' && route.geometry.coordinates.length === 3, 'The route should follow the geometry');
+    assert(route.properties.distanceKm === 12.5 && route.properties.travelMode === 'foot', 'The route should carry its summary');
+}
+
+export async function testGenerateGeoJSONForHotspotListsAndTripPlans() {
+    const list = JSON.parse(generateHotspotsGeoJSON({ lat: 5, lng: 6, address: 'Home' }, [
+        { locId: 'a', name: 'Pond', speciesCount: 3, lat: 1, lng: 2, distance: 4.2 }
+    ]));
+    assert(list.features.length === 2 && list.features[0].properties.name === 'Search Origin', 'The origin should come first');
+    assert(list.features[1].properties.rank === 1 && list.features[1].properties.distanceKm === 4.2, 'Hotspots keep their rank');
+    assert(!list.features.some(f => f.geometry.type === 'LineString'), 'A plain hotspot list has no route');
+    assert(JSON.parse(generateHotspotsGeoJSON(null, [])).features.length === 0, 'No origin, no features');
+
+    const plan = {
+        days: [
+            { dayNumber: 1, itinerary: sampleItinerary() },
+            { dayNumber: 2, itinerary: null }
+        ],
+        summary: { totalDays: 2 }
+    };
+    const trip = JSON.parse(generateTripPlanGeoJSON(plan));
+    assert(trip.features.length === 4 && trip.features.every(f => f.properties.day === 1),
+        'Every feature should carry its day, and empty days are skipped');
+}
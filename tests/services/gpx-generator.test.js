@@ -1,5 +1,5 @@
 import { assert } from '../run-tests.js';
-import { generateGPX, generateHotspotsGPX } from '../../js/services/gpx-generator.js';
+import { generateGPX, generateHotspotsGPX, generateTripPlanGPX } from '../../js/services/gpx-generator.js';
 
 function sampleItinerary() {
     return {
@@ -59,3 +59,21 @@ export async function testGenerateHotspotsGPXEscapesXmlSpecialCharacters() {
     assert(!gpx.includes('<Reserve>'), 'Special characters in hotspot names must be XML-escaped');
     assert(gpx.includes('&amp;'), 'Ampersands must be escaped as &amp;');
 }
+
+export async function testGenerateTripPlanGPXHasOneRoutePerPlannedDay() {
+    const plan = {
+        days: [
+            { dayNumber: 1, itinerary: { ...sampleItinerary(), summary: { totalStops: 1 } } },
+            { dayNumber: 2, itinerary: null },
+            { dayNumber: 3, itinerary: { ...sampleItinerary(), summary: { totalStops: 1 } } }
+        ],
+        summary: { totalDays: 3 }
+    };
+
+    const gpx = generateTripPlanGPX(plan);
+
+    assert((gpx.match(/<rte>/g) || []).length === 2, 'Should include one route per day with stops');
+    assert((gpx.match(/<trk>/g) || []).length === 2, 'Should include one track per day with geometry');
+    assert(gpx.includes('Day 3 1. Marsh Overlook'), 'Stop names should be prefixed with their day');
+    assert((gpx.match(/<gpx /g) || []).length === 1, 'All days should share a single GPX document');
+}
@@ -0,0 +1,53 @@
+import { assert } from '../run-tests.js';
+import { EBirdAPI } from '../../js/api/ebird.js';
+import { loadRecentChecklists, formatChecklistEffort, getChecklistSpecies, summarizeVisits } from '../../js/services/hotspot-checklists.js';
+
+export async function testLoadRecentChecklistsFetchesEachChecklistsEffort() {
+    const requested = [];
+    global.fetch = async (url) => {
+        const path = new URL(url).pathname;
+        requested.push(path + new URL(url).search);
+        let body;
+        if (path === '/v2/product/lists/L123') {
+            body = [
+                { subId: 'S1', userDisplayName: 'Ann Observer', numSpecies: 52, isoObsDate: '2026-05-10 06:30' },
+                { subId: 'S2', userDisplayName: 'Bo Birder', numSpecies: 8, isoObsDate: '2026-05-12 17:05' }
+            ];
+        } else if (path === '/v2/product/checklist/view/S1') {
+            body = { subId: 'S1', protocolId: 'P22', durationHrs: 4.5, effortDistanceKm: 6.2, numObservers: 3, allObsReported: true, obsDt: '2026-05-10 06:30', obs: [] };
+        } else {
+            return { ok: false, status: 500, statusText: 'Server Error' };
+        }
+        return { ok: true, json: async () => body };
+    };
+
+    const api = new EBirdAPI('test-key');
+    api.setPersistentCache(null);
+    const checklists = await loadRecentChecklists(api, 'L123', { maxResults: 5 });
+
+    assert(requested[0] === '/v2/product/lists/L123?maxResults=5', `Unexpected list request: ${requested[0]}`);
+    assert(checklists.map(c => c.summary.subId).join(',') === 'S2,S1', 'Newest checklist first');
+
+    const [short, big] = checklists.map(c => c.summary);
+    assert(short.protocol === null && formatChecklistEffort(short) === '', 'A checklist whose details failed is listed without effort');
+    assert(big.durationMinutes === 270 && big.observer === 'Ann Observer' && big.speciesCount === 52, `Unexpected summary: ${JSON.stringify(big)}`);
+    assert(formatChecklistEffort(big) === 'Traveling · 4 hr 30 min · 3.9 mi · 3 observers', `Unexpected effort: ${formatChecklistEffort(big)}`);
+
+    const visits = summarizeVisits([short, big]);
+    assert(visits.checklists === 2 && visits.maxSpecies === 52 && visits.medianSpecies === 30 && visits.totalMinutes === 270,
+        `Unexpected visit summary: ${JSON.stringify(visits)}`);
+}
+
+export async function testGetChecklistSpeciesListsCountsInChecklistOrder() {
+    const view = {
+        obs: [
+            { speciesCode: 'mallar3', howManyStr: '12' },
+            { speciesCode: 'duck', howManyStr: 'X' },
+            { speciesCode: 'gbheron', howManyAtleast: 2 }
+        ]
+    };
+    const species = getChecklistSpecies(view, new Map([['mallar3', 'Mallard'], ['gbheron', 'Great Blue Heron']]));
+
+    assert(species.map(s => s.comName).join(',') === 'Mallard,duck,Great Blue Heron', 'Unknown codes fall back to the code, in checklist order');
+    assert(species.map(s => s.count).join(',') === '12,X,2', `Unexpected counts: ${species.map(s => s.count)}`);
+}
@@ -0,0 +1,56 @@
+import { assert } from '../run-tests.js';
+import { compareHotspots, getHotspotQualityTier } from '../../js/services/hotspot-comparison.js';
+
+const bird = (speciesCode, extra = {}) => ({ speciesCode, comName: speciesCode, ...extra });
+
+export async function testCompareHotspotsSplitsSharedAndUniqueSpecies() {
+    const pond = {
+        locId: 'L1', name: 'Town Pond', speciesCount: 4, drivingDuration: 900, drivingDistance: 12,
+        birds: [bird('mallar'), bird('amerob'), bird('grbher', { isNotable: true }), bird('woodu', { isLifer: true })],
+        weather: { temperatureF: 60, windSpeedMph: 3, precipitationProbability: 0, condition: 'clear' },
+        recentObservations: [{ obsDt: '2026-05-10 07:10' }, { obsDt: '2026-05-11 06:45' }, { obsDt: '2026-05-11 15:30' }],
+        totalSpecies: 180, totalChecklists: 620
+    };
+    const ridge = {
+        locId: 'L2', name: 'Far Ridge', speciesCount: 3,
+        birds: [bird('mallar'), bird('amerob'), bird('baleag', { isNotable: true })],
+        totalChecklists: 12
+    };
+    const marsh = {
+        locId: 'L3', name: 'Mill Marsh', speciesCount: 3,
+        birds: [bird('mallar'), bird('amerob'), bird('grbher')]
+    };
+
+    const { hotspots, sharedBirds } = compareHotspots([pond, ridge, marsh]);
+
+    assert(sharedBirds.map(b => b.speciesCode).join(',') === 'mallar,amerob', 'Only species at every hotspot are shared');
+    assert(hotspots.map(h => h.locId).join(',') === 'L1,L2,L3', 'Hotspots keep their order');
+
+    const [pondResult, ridgeResult, marshResult] = hotspots;
+    assert(pondResult.uniqueBirds.map(b => b.speciesCode).join(',') === 'woodu',
+        'Species another compared hotspot has are not unique');
+    assert(pondResult.uniqueLifers === 1 && pondResult.uniqueNotable === 0, 'Unique lifers and notables are counted');
+    assert(ridgeResult.uniqueCount === 1 && ridgeResult.uniqueNotable === 1, 'Far Ridge alone has the eagle');
+    assert(marshResult.uniqueCount === 0 && marshResult.overlapPercent === 100, 'Everything at Mill Marsh is elsewhere too');
+
+    assert(pondResult.notableBirds.length === 1 && pondResult.liferBirds.length === 1, 'All notables and lifers are listed');
+    assert(pondResult.travelDuration === 900 && ridgeResult.travelDuration === null, 'Travel time comes from the routing data');
+    assert(pondResult.conditions.score === 100 && ridgeResult.conditions === null, 'Weather is scored where a forecast exists');
+    assert(pondResult.activity?.earlyMorning.count === 2 && ridgeResult.activity === null, 'Time of day comes from timed sightings');
+    assert(pondResult.quality.tier === 'established' && ridgeResult.quality.tier === 'new' && marshResult.quality === null,
+        'Quality follows the checklist count');
+}
+
+export async function testCompareHotspotsNeedsTwoToFourHotspots() {
+    const spot = locId => ({ locId, name: locId, birds: [] });
+    for (const count of [1, 5]) {
+        let threw = false;
+        try {
+            compareHotspots(Array.from({ length: count }, (_, i) => spot(`L${i}`)));
+        } catch (e) {
+            threw = true;
+        }
+        assert(threw, `Comparing ${count} hotspots should be refused`);
+    }
+    assert(getHotspotQualityTier(50).label === 'Active', '50 checklists is an active hotspot');
+}
@@ -47,3 +47,18 @@ export async function testApplyHotspotFiltersDoesNotMutateInput() {
     applyHotspotFilters(hotspots, { notableOnly: true });
     assert(hotspots.length === 4, 'applyHotspotFilters should not mutate the input array');
 }
+
+export async function testApplyHotspotFiltersYearStateCountyBirds() {
+    const hotspots = [
+        { locId: 'none', speciesCount: 4, birds: [{ isYearBird: false, isStateBird: false, isCountyBird: false }] },
+        { locId: 'year', speciesCount: 4, birds: [{ isYearBird: true }] },
+        { locId: 'county', speciesCount: 4, birds: [{ isYearBird: true, isCountyBird: true }] },
+        { locId: 'state', speciesCount: 4, birds: [{ isStateBird: true }] }
+    ];
+    const ids = filters => applyHotspotFilters(hotspots, filters).map(h => h.locId).join(',');
+
+    assert(ids({ yearBirdsOnly: true }) === 'year,county', `yearBirdsOnly kept ${ids({ yearBirdsOnly: true })}`);
+    assert(ids({ stateBirdsOnly: true }) === 'state', `stateBirdsOnly kept ${ids({ stateBirdsOnly: true })}`);
+    assert(ids({ countyBirdsOnly: true }) === 'county', `countyBirdsOnly kept ${ids({ countyBirdsOnly: true })}`);
+    assert(ids({ yearBirdsOnly: true, stateBirdsOnly: true }) === '', 'Tick filters should AND-combine');
+}
@@ -0,0 +1,111 @@
+import { assert } from '../run-tests.js';
+import { generateICS, generateTripPlanICS } from '../../js/services/ics-generator.js';
+
+function sampleItinerary() {
+    const at = (h, m) => new Date(Date.UTC(2026, 4, 12, h, m));
+    return {
+        stops: [
+            { type: 'start', name: 'Start', address: 'Home', lat: 40, lng: -74, departureTime: at(10, 0), legToNext: { duration: 1200 } },
+            {
+                type: 'hotspot', name: 'Marsh; North, Side', locId: 'L123', address: '1 Marsh Rd', lat: 40.5, lng: -74.25,
+                speciesCount: 60, arrivalTime: at(10, 20), departureTime: at(11, 20), legToNext: { duration: 600 },
+                birds: [
+                    { comName: 'Mallard' },
+                    { comName: 'Snowy Egret', isNotable: true },
+                    { comName: 'Sora', isLifer: true }
+                ]
+            },
+            { type: 'hotspot', name: 'Pond', locId: 'L456', lat: 40.6, lng: -74.3, speciesCount: 10,
+                arrivalTime: at(11, 30), departureTime: at(12, 0), legToNext: { duration: 900 }, birds: [{ comName: 'Mallard' }] }
+        ],
+        isRoundTrip: true,
+        summary: { sunrise: at(9, 30) },
+        travelMode: 'foot'
+    };
+}
+
+/**
+ * Unfold an iCalendar file and split it into events
+ */
+function parseEvents(ics) {
+    const lines = ics.replace(/\r\n /g, '').split('\r\n');
+    const events = [];
+    let current = null;
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') current = { alarms: [] };
+        else if (line === 'END:VEVENT') { events.push(current); current = null; }
+        else if (current && line.startsWith('TRIGGER')) current.alarms.push(line);
+        else if (current) {
+            const [key, ...rest] = line.split(':');
+            if (!(key in current)) current[key] = rest.join(':');
+        }
+    });
+    return events;
+}
+
+export async function testGenerateICSHasAnEventPerVisit() {
+    const ics = generateICS(sampleItinerary());
+    assert(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n') && ics.endsWith('END:VCALENDAR\r\n'), 'Should be a CRLF VCALENDAR');
+    assert(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75), 'Lines should be folded at 75 octets');
+
+    const events = parseEvents(ics);
+    assert(events.length === 2, `Expected one event per hotspot, got ${events.length}`);
+
+    const [marsh, pond] = events;
+    assert(marsh.DTSTART === '20260512T102000Z' && marsh.DTEND === '20260512T112000Z', `Times should be UTC: ${marsh.DTSTART}`);
+    assert(marsh.SUMMARY === 'Birding: Marsh\\; North\\, Side', `Text should be escaped, got ${marsh.SUMMARY}`);
+    assert(marsh.GEO === '40.5;-74.25', 'Should carry geo coordinates');
+    assert(marsh.URL === 'https://ebird.org/hotspot/L123', 'Should link to the eBird hotspot');
+    assert(marsh.LOCATION.includes('1 Marsh Rd'), 'The location should include the address');
+    assert(marsh.DESCRIPTION.includes('Target species: Snowy Egret (notable)\\, Sora (lifer)') && !marsh.DESCRIPTION.includes('Mallard'),
+        `Targets should be listed: ${marsh.DESCRIPTION}`);
+    assert(pond.DESCRIPTION.includes('Recent species: Mallard'), 'Without targets the recent species are listed');
+
+    // Visit at 10:20, sunrise at 9:30: the alarm is an hour before sunrise, 8:30
+    assert(marsh.alarms.includes('TRIGGER:-PT1H50M'), `The first visit should have an alarm an hour before sunrise: ${marsh.alarms}`);
+    assert(pond.alarms.length === 1, 'Only the first visit gets the sunrise alarm');
+    assert(new Set(events.map(e => e.UID)).size === 2, 'UIDs should be unique');
+}
+
+export async function testGenerateICSKeepsUIDsWhenRetimed() {
+    const original = parseEvents(generateICS(sampleItinerary(), { includeTravel: true }));
+
+    // Leave an hour later and spend longer at the marsh
+    const retimed = sampleItinerary();
+    retimed.stops.forEach(stop => {
+        ['arrivalTime', 'departureTime'].forEach(key => {
+            if (stop[key]) stop[key] = new Date(stop[key].getTime() + 60 * 60 * 1000);
+        });
+    });
+    retimed.stops[1].departureTime = new Date(retimed.stops[1].departureTime.getTime() + 30 * 60 * 1000);
+    const updated = parseEvents(generateICS(retimed, { includeTravel: true }));
+
+    assert(updated.length === original.length && updated.every((e, i) => e.UID === original[i].UID),
+        'Re-timing an itinerary should keep every event UID, so a calendar updates instead of duplicating');
+    assert(original[0].DTSTART !== updated[0].DTSTART, 'The times themselves should change');
+}
+
+export async function testGenerateICSSequenceGrowsWithEachExport() {
+    const events = parseEvents(generateICS(sampleItinerary(), { includeTravel: true }));
+    const sequence = Number(events[0].SEQUENCE);
+    assert(Number.isInteger(sequence) && events.every(e => e.SEQUENCE === events[0].SEQUENCE),
+        'Every event should carry the export\'s SEQUENCE');
+
+    // Seconds since 2024 at DTSTAMP, so a later export always has a higher one
+    const [, y, mo, d, h, mi, sec] = events[0].DTSTAMP.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/).map(Number);
+    const expected = (Date.UTC(y, mo - 1, d, h, mi, sec) - Date.UTC(2024, 0, 1)) / 1000;
+    assert(sequence === expected, `SEQUENCE ${sequence} should count seconds to DTSTAMP (${expected})`);
+    assert(sequence < 2 ** 31, 'SEQUENCE must fit an iCalendar INTEGER');
+}
+
+export async function testGenerateICSTravelEventsAreOptional() {
+    const events = parseEvents(generateICS(sampleItinerary(), { includeTravel: true }));
+    const travel = events.filter(e => e.SUMMARY.startsWith('Walk to'));
+    assert(travel.length === 3, `Expected a leg to each stop and the walk home, got ${travel.length}`);
+    assert(travel[0].DTSTART === '20260512T100000Z' && travel[0].DTEND === '20260512T102000Z', 'Travel runs from departure for the leg duration');
+    assert(travel[2].SUMMARY === 'Walk to start', 'A round trip ends with the trip home');
+
+    const plan = { days: [{ dayNumber: 2, itinerary: sampleItinerary() }, { dayNumber: 3, itinerary: null }] };
+    const tripEvents = parseEvents(generateTripPlanICS(plan));
+    assert(tripEvents.length === 2 && tripEvents[0].SUMMARY.startsWith('Day 2: '), 'Trip events are labelled by day');
+}
@@ -1,5 +1,5 @@
 import { assert } from '../run-tests.js';
-import { selectHotspots, canShowGenericItineraryButton, buildItinerary } from '../../js/services/itinerary-builder.js';
+import { selectHotspots, selectHotspotsByCoverage, canShowGenericItineraryButton, buildItinerary, getDaylightWindow, getActivityWeight, getRouteSections } from '../../js/services/itinerary-builder.js';
 
 /**
  * Mocks global fetch with a single successful OSRM Trip API response for a
@@ -110,3 +110,359 @@ export async function testBuildItineraryArrivalTimeIncludesTravelFromPreviousSto
     assert(hotspotStop.arrivalTime.getHours() === 9 && hotspotStop.arrivalTime.getMinutes() === 25,
         `Expected hotspot arrival at 9:25 AM (9:15 start + 10 min travel), got ${hotspotStop.arrivalTime.toTimeString()}`);
 }
+
+export async function testBuildItineraryRunsOnRequestedDate() {
+    installOptimizedTripMock();
+    const { start, end, hotspots } = roundTripArgs();
+
+    const date = new Date(2026, 4, 12);
+    const itinerary = await buildItinerary(start, end, hotspots, { maxStops: 5, startTime: '06:30', date });
+    const startStop = itinerary.stops[0];
+
+    assert(startStop.departureTime.toDateString() === date.toDateString(),
+        `Expected departure on ${date.toDateString()}, got ${startStop.departureTime.toDateString()}`);
+    assert(startStop.departureTime.getHours() === 6 && startStop.departureTime.getMinutes() === 30,
+        'Start time should still apply on the requested date');
+}
+
+/**
+ * Mocks OSRM for a round trip from the start through two hotspots:
+ * start -> A (10 min) -> B (60 min) -> start (10 min).
+ */
+function installTwoStopLoopMock() {
+    global.fetch = async () => ({
+        ok: true,
+        json: async () => ({
+            code: 'Ok',
+            trips: [{
+                distance: 80000,
+                duration: 4800,
+                legs: [
+                    { distance: 10000, duration: 600 },
+                    { distance: 60000, duration: 3600 },
+                    { distance: 10000, duration: 600 }
+                ],
+                geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1], [2, 2], [0, 0]] }
+            }],
+            waypoints: [
+                { waypoint_index: 0, location: [0, 0] },
+                { waypoint_index: 1, location: [1, 1] },
+                { waypoint_index: 2, location: [2, 2] }
+            ]
+        })
+    });
+}
+
+function sunTimesOn(date, sunriseHour, sunsetHour) {
+    const sunriseDate = new Date(date);
+    sunriseDate.setHours(sunriseHour, 0, 0, 0);
+    const sunsetDate = new Date(date);
+    sunsetDate.setHours(sunsetHour, 0, 0, 0);
+    return { sunriseDate, sunsetDate };
+}
+
+export async function testGetDaylightWindowShiftsSunTimesToItineraryDate() {
+    const today = new Date(2026, 10, 2);
+    const daylight = getDaylightWindow(sunTimesOn(today, 6, 17), new Date(2026, 10, 5));
+
+    assert(daylight.sunrise.getDate() === 5 && daylight.sunrise.getHours() === 6, 'Sunrise should move to the itinerary date');
+    assert(daylight.sunset.getDate() === 5 && daylight.sunset.getHours() === 17, 'Sunset should move to the itinerary date');
+    assert(getDaylightWindow(null, today) === null, 'Unknown sun times should give no daylight window');
+}
+
+export async function testGetActivityWeightIsZeroInTheDark() {
+    const day = new Date(2026, 10, 2);
+    const daylight = getDaylightWindow(sunTimesOn(day, 6, 17), day);
+
+    const night = new Date(day);
+    night.setHours(20, 0, 0, 0);
+    const goldenHour = new Date(day);
+    goldenHour.setHours(6, 30, 0, 0);
+
+    assert(getActivityWeight(night, daylight) === 0, 'After sunset should score zero');
+    assert(getActivityWeight(goldenHour, daylight) === 1, 'The hour after sunrise should score as peak activity');
+}
+
+export async function testBuildItineraryDepartsAtSunriseWithoutStartTime() {
+    installOptimizedTripMock();
+    const { start, end, hotspots } = roundTripArgs();
+    const date = new Date(2026, 10, 2);
+
+    const itinerary = await buildItinerary(start, end, hotspots, {
+        maxStops: 5,
+        date,
+        sunTimes: sunTimesOn(date, 6, 17)
+    });
+
+    assert(itinerary.stops[0].departureTime.getHours() === 6 && itinerary.stops[0].departureTime.getMinutes() === 0,
+        `Expected departure at sunrise (6:00), got ${itinerary.stops[0].departureTime.toTimeString()}`);
+    assert(itinerary.summary.sunset.getHours() === 17, 'Summary should report the sunset used');
+}
+
+export async function testBuildItineraryFlagsStopsArrivingAfterSunset() {
+    installOptimizedTripMock();
+    const { start, end, hotspots } = roundTripArgs();
+    const date = new Date(2026, 10, 2);
+
+    // 16:55 start + 10 min drive arrives at 17:05, after a 17:00 sunset
+    const itinerary = await buildItinerary(start, end, hotspots, {
+        maxStops: 5,
+        date,
+        startTime: '16:55',
+        sunTimes: sunTimesOn(date, 6, 17)
+    });
+    const hotspotStop = itinerary.stops.find(s => s.type === 'hotspot');
+
+    assert(hotspotStop.arrivesAfterDark === true, 'Stop reached after sunset should be flagged');
+    assert(hotspotStop.suggestedVisitTime === 0, 'No birding time should be scheduled after sunset');
+    assert(itinerary.summary.afterDarkStops === 1, 'Summary should count after-dark stops');
+}
+
+export async function testBuildItineraryCutsVisitsShortAtSunset() {
+    installOptimizedTripMock();
+    const { start, end, hotspots } = roundTripArgs();
+    const date = new Date(2026, 10, 2);
+
+    // Arrives 16:50 with a 31-minute suggested visit and 10 minutes of daylight left
+    const itinerary = await buildItinerary(start, end, hotspots, {
+        maxStops: 5,
+        date,
+        startTime: '16:40',
+        sunTimes: sunTimesOn(date, 6, 17)
+    });
+    const hotspotStop = itinerary.stops.find(s => s.type === 'hotspot');
+
+    assert(hotspotStop.visitTruncated === true, 'Visit running past sunset should be marked as cut short');
+    assert(hotspotStop.suggestedVisitTime === 10, `Expected 10 minutes of birding before sunset, got ${hotspotStop.suggestedVisitTime}`);
+}
+
+export async function testBuildItineraryDrivesLoopToReachRichStopDuringMorningPeak() {
+    installTwoStopLoopMock();
+    // Temperate latitudes - seasons (and so the morning peak) follow the location
+    const start = { lat: 40, lng: 0, address: 'Start' };
+    const hotspots = [
+        { locId: 'poor', name: 'Poor', lat: 41, lng: 1, speciesCount: 5, distance: 0 },
+        { locId: 'rich', name: 'Rich', lat: 42, lng: 2, speciesCount: 120, distance: 0 }
+    ];
+    const date = new Date(2026, 3, 15);
+
+    // Default order is start -> poor -> rich; a 9:00 start would reach the rich
+    // stop only after 10:00, once spring's morning peak is over
+    const itinerary = await buildItinerary(start, start, hotspots, {
+        maxStops: 5,
+        date,
+        startTime: '09:00',
+        sunTimes: sunTimesOn(date, 6, 20)
+    });
+    const hotspotIds = itinerary.stops.filter(s => s.type === 'hotspot').map(s => s.locId);
+
+    assert(hotspotIds[0] === 'rich', `Expected the loop to visit the rich stop first, got ${hotspotIds.join(', ')}`);
+    assert(itinerary.legs[0].duration === 600, 'Legs should follow the reversed direction');
+}
+
+export async function testBuildItineraryReordersOneWayRouteToReachRichStopDuringMorningPeak() {
+    // Drive minutes between the start, a poor and a rich stop and the end
+    const places = { '0,40': 'start', '0,40.1': 'poor', '0.1,40.1': 'rich', '0.1,40.2': 'end' };
+    const minutes = { 'start-poor': 5, 'start-rich': 10, 'poor-rich': 15, 'poor-end': 15, 'rich-end': 5, 'start-end': 12 };
+    const drive = (a, b) => (a === b ? 0 : (minutes[`${a}-${b}`] ?? minutes[`${b}-${a}`]) * 60);
+    const engineOrder = ['start', 'poor', 'rich', 'end'];
+
+    global.fetch = async (url) => {
+        const names = url.split('/').pop().split('?')[0].split(';').map(coord => places[coord]);
+        let body;
+        if (url.includes('/table/')) {
+            body = { code: 'Ok', durations: names.map(a => names.map(b => drive(a, b))) };
+        } else {
+            // The trip service knows only travel time: start -> poor -> rich -> end
+            const order = url.includes('/trip/') ? engineOrder : names;
+            const legs = order.slice(1).map((to, i) => ({ distance: 1000, duration: drive(order[i], to) }));
+            const route = { distance: 1000 * legs.length, duration: legs.reduce((sum, l) => sum + l.duration, 0), legs, geometry: { type: 'LineString', coordinates: [] } };
+            body = url.includes('/trip/')
+                ? { code: 'Ok', trips: [route], waypoints: names.map(name => ({ waypoint_index: engineOrder.indexOf(name) })) }
+                : { code: 'Ok', routes: [route] };
+        }
+        return { ok: true, json: async () => body };
+    };
+
+    const hotspots = [
+        { locId: 'poor', name: 'Poor', lat: 40.1, lng: 0, speciesCount: 5, distance: 0 },
+        { locId: 'rich', name: 'Rich', lat: 40.1, lng: 0.1, speciesCount: 120, distance: 0 }
+    ];
+    const date = new Date(2026, 3, 15);
+
+    // Poor first is the shortest drive, but reaches the rich stop at 10:11,
+    // after spring's morning peak; rich first adds 15 minutes of driving
+    const itinerary = await buildItinerary({ lat: 40, lng: 0, address: 'Start' }, { lat: 40.2, lng: 0.1, address: 'End' }, hotspots, {
+        maxStops: 5,
+        date,
+        startTime: '09:20',
+        sunTimes: sunTimesOn(date, 6, 20)
+    });
+    const ids = itinerary.stops.map(s => s.locId || s.type).join(',');
+    const rich = itinerary.stops.find(s => s.locId === 'rich');
+
+    assert(ids === 'start,rich,poor,end', `Expected the rich stop first on the way, got ${ids}`);
+    assert(rich.arrivalTime.getHours() === 9 && rich.arrivalTime.getMinutes() === 30, `The rich stop should be reached at 9:30, got ${rich.arrivalTime}`);
+    assert(itinerary.legs.map(l => l.duration).join(',') === '600,900,900', 'Legs should follow the new order');
+}
+
+function birdsFor(codes, flags = {}) {
+    return codes.map(speciesCode => ({ speciesCode, ...flags }));
+}
+
+export async function testSelectHotspotsByCoverageSkipsOverlappingBirdLists() {
+    const start = { lat: 0, lng: 0 };
+    const hotspots = [
+        { locId: 'marsh', lat: 0.01, lng: 0.01, speciesCount: 4, birds: birdsFor(['a', 'b', 'c', 'd']) },
+        { locId: 'marsh2', lat: 0.02, lng: 0.01, speciesCount: 4, birds: birdsFor(['a', 'b', 'c', 'd']) },
+        { locId: 'forest', lat: 0.01, lng: 0.02, speciesCount: 3, birds: birdsFor(['e', 'f', 'g']) }
+    ];
+
+    const selected = selectHotspotsByCoverage(hotspots, 2, { start });
+    const ids = selected.map(h => h.locId);
+
+    assert(ids.includes('forest'), 'Hotspot with a different bird list should be picked');
+    assert(!(ids.includes('marsh') && ids.includes('marsh2')), 'Hotspots with identical bird lists should not both be picked');
+}
+
+export async function testSelectHotspotsByCoverageWeightsLifers() {
+    const start = { lat: 0, lng: 0 };
+    const hotspots = [
+        { locId: 'common', lat: 0.01, lng: 0.01, speciesCount: 3, birds: birdsFor(['a', 'b', 'c']) },
+        { locId: 'lifers', lat: 0.01, lng: 0.01, speciesCount: 2, birds: birdsFor(['x', 'y'], { isLifer: true }) }
+    ];
+
+    const selected = selectHotspotsByCoverage(hotspots, 1, { start });
+    assert(selected[0].locId === 'lifers', 'Two new lifers should outweigh three new common species');
+}
+
+export async function testSelectHotspotsByCoverageUsesRealDriveTimes() {
+    const start = { lat: 0, lng: 0 };
+    const hotspots = [
+        { locId: 'near', lat: 0.01, lng: 0.01, speciesCount: 5, birds: birdsFor(['a', 'b', 'c', 'd', 'e']) },
+        { locId: 'acrossRiver', lat: 0.01, lng: 0.011, speciesCount: 5, birds: birdsFor(['f', 'g', 'h', 'i', 'j']) }
+    ];
+    // Both are close as the crow flies, but the second is a 2-hour drive each way
+    const s = 60;
+    const durations = [
+        [0, 0, 2 * s, 7200],
+        [0, 0, 2 * s, 7200],
+        [2 * s, 2 * s, 0, 7200],
+        [7200, 7200, 7200, 0]
+    ];
+
+    const selected = selectHotspotsByCoverage(hotspots, 1, { start, durations });
+    assert(selected[0].locId === 'near', 'The stop that is actually quick to drive to should win');
+}
+
+export async function testSelectHotspotsByCoverageStopsWhenNothingNewIsLeft() {
+    const start = { lat: 0, lng: 0 };
+    const hotspots = [
+        { locId: 'a', lat: 0.01, lng: 0.01, speciesCount: 2, birds: birdsFor(['a', 'b']) },
+        { locId: 'b', lat: 0.02, lng: 0.02, speciesCount: 1, birds: birdsFor(['a']) }
+    ];
+
+    const selected = selectHotspotsByCoverage(hotspots, 5, { start });
+    assert(selected.length === 1, `Expected only the stop adding new species, got ${selected.length}`);
+}
+
+export async function testBuildItineraryLinesArrivalsUpWithForecast() {
+    installOptimizedTripMock();
+    const { start, end, hotspots } = roundTripArgs();
+
+    const date = new Date(2026, 4, 12);
+    const hour = (h, rating) => ({ time: `2026-05-12T${String(h).padStart(2, '0')}:00`, date: new Date(2026, 4, 12, h), rating });
+    const forecast = {
+        hours: [hour(5, 'fair'), hour(6, 'excellent'), hour(7, 'poor')],
+        days: [{ date: '2026-05-12', sunriseDate: new Date(2026, 4, 12, 5, 50), sunsetDate: new Date(2026, 4, 12, 20, 10) }]
+    };
+
+    const itinerary = await buildItinerary(start, end, hotspots, { maxStops: 5, date, forecast });
+    const hotspotStop = itinerary.stops.find(s => s.type === 'hotspot');
+
+    assert(itinerary.stops[0].departureTime.getHours() === 5 && itinerary.stops[0].departureTime.getMinutes() === 50,
+        'Without a start time the itinerary should depart at that day\'s forecast sunrise');
+    assert(hotspotStop.forecast && hotspotStop.forecast.rating === 'excellent',
+        `The 6:00 arrival should carry the 6 AM forecast, got ${JSON.stringify(hotspotStop.forecast)}`);
+}
+
+export async function testBuildItineraryOrdersTimeWindowStopsLocally() {
+    // Routing table: start -> early (10 min), start -> closing (20 min), early <-> closing (15 min)
+    const durations = [[0, 600, 1200], [600, 0, 900], [1200, 900, 0]];
+    const requested = [];
+    global.fetch = async (url) => {
+        requested.push(url);
+        const coords = url.split('/').pop().split('?')[0].split(';');
+        const body = url.includes('/table/')
+            ? { code: 'Ok', durations }
+            : {
+                code: 'Ok',
+                routes: [{
+                    distance: 10000,
+                    duration: 600 * (coords.length - 1),
+                    legs: coords.slice(1).map(() => ({ distance: 10000 / (coords.length - 1), duration: 600 })),
+                    geometry: { type: 'LineString', coordinates: [] }
+                }]
+            };
+        return { ok: true, json: async () => body };
+    };
+
+    const start = { lat: 40, lng: -74, address: 'Start' };
+    const hotspots = [
+        { locId: 'early', name: 'Opens at 9', lat: 40.01, lng: -74, speciesCount: 10, timeWindow: { open: '09:00' } },
+        { locId: 'closing', name: 'Closes at 7:30', lat: 40.02, lng: -74, speciesCount: 10, timeWindow: { close: '07:30' } }
+    ];
+
+    const itinerary = await buildItinerary(start, start, hotspots, { maxStops: 5, date: new Date(2026, 4, 12), startTime: '07:00' });
+    const ids = itinerary.stops.map(s => s.locId || s.type);
+
+    assert(!requested.some(url => url.includes('/trip/')), 'The trip service ignores opening hours, so it should not be asked');
+    assert(ids.join(',') === 'start,closing,early', `The stop about to close should come first, got ${ids}`);
+    const early = itinerary.stops.find(s => s.locId === 'early');
+    assert(early.waitTime > 0 && early.departureTime.getHours() >= 9, 'The early stop should be waited for until it opens');
+    assert(!itinerary.stops.some(s => s.missesTimeWindow), 'No stop should be reached after it closes');
+}
+
+export async function testBuildItineraryKeepsViaPointsInOrderWithSections() {
+    // No distance table: drive times are estimated, and every routed leg is 10 min / 5 km
+    global.fetch = async (url) => {
+        const coords = url.split('/').pop().split('?')[0].split(';');
+        const body = url.includes('/table/')
+            ? { code: 'NoTable' }
+            : {
+                code: 'Ok',
+                routes: [{
+                    distance: 5000 * (coords.length - 1),
+                    duration: 600 * (coords.length - 1),
+                    legs: coords.slice(1).map(() => ({ distance: 5000, duration: 600 })),
+                    geometry: { type: 'LineString', coordinates: [] }
+                }]
+            };
+        return { ok: true, json: async () => body };
+    };
+
+    const start = { lat: 40, lng: -74, address: 'Home' };
+    const end = { lat: 40.3, lng: -74, address: 'Cabin' };
+    const vias = [{ lat: 40.15, lng: -74, address: 'Motel' }];
+    const hotspots = [
+        { locId: 'late', name: 'North Marsh', lat: 40.25, lng: -74, speciesCount: 10, legIndex: 1 },
+        { locId: 'early', name: 'South Pond', lat: 40.05, lng: -74, speciesCount: 10, legIndex: 0 }
+    ];
+
+    const itinerary = await buildItinerary(start, end, hotspots, {
+        maxStops: 5, date: new Date(2026, 4, 12), startTime: '07:00', vias,
+        directLegs: [{ distance: 8, duration: 900 }, { distance: 8, duration: 900 }]
+    });
+    const ids = itinerary.stops.map(s => s.locId || s.type).join(',');
+
+    assert(ids === 'start,early,via,late,end', `Each hotspot should be visited on its own leg, got ${ids}`);
+    assert(itinerary.isRoundTrip === false, 'A route through via points is not a round trip');
+    assert(itinerary.sections.length === 2, `Expected a section per leg, got ${itinerary.sections?.length}`);
+
+    const [first, second] = itinerary.sections;
+    assert(first.from === 'Home' && first.to === 'Motel' && second.to === 'Cabin', 'Sections should run between the via points');
+    assert(first.hotspotCount === 1 && first.distance === 10 && first.travelTime === 20,
+        `Unexpected first section: ${JSON.stringify(first)}`);
+    assert(first.detourDistance === 2 && first.detourTime === 5, 'The detour is the section against the direct leg');
+    assert(getRouteSections(itinerary.stops)[0].detourTime === null, 'Without the direct legs there is no detour');
+}
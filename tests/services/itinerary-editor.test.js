@@ -0,0 +1,155 @@
+import { assert } from '../run-tests.js';
+import { moveStop, shiftStop, toggleStopLock, removeStop, setStopVisitTime, setStopTimeWindow, insertStop, restoreSavedItinerary } from '../../js/services/itinerary-editor.js';
+import { retimeItinerary } from '../../js/services/itinerary-builder.js';
+
+function stopsFor(ids, { end = false } = {}) {
+    return [
+        { type: 'start', name: 'Start', lat: 40, lng: -74 },
+        ...ids.map((id, i) => ({ type: 'hotspot', locId: id, name: id, lat: 40 + (i + 1) * 0.1, lng: -74, speciesCount: 20 })),
+        ...(end ? [{ type: 'end', name: 'End', lat: 41, lng: -74 }] : [])
+    ];
+}
+
+const idsOf = stops => stops.map(s => s.locId || s.type).join(',');
+
+export async function testMoveStopKeepsEndpointsAndLockedStopsInPlace() {
+    const stops = toggleStopLock(stopsFor(['a', 'b', 'c', 'd'], { end: true }), 2);
+    assert(stops[2].locked === true, 'Stop b should be locked');
+
+    const moved = moveStop(stops, 1, 4);
+    assert(idsOf(moved) === 'start,c,b,d,a,end', `a should move to the end, around the locked b: ${idsOf(moved)}`);
+    assert(moveStop(stops, 2, 4) === stops, 'A locked stop should not move');
+    assert(moveStop(stops, 1, 0) === stops, 'Nothing should move onto the start');
+
+    assert(idsOf(shiftStop(stops, 3, -1)) === 'start,c,b,a,d,end', 'Moving earlier should hop over the locked stop');
+    assert(shiftStop(stops, 1, -1) === stops, 'The first movable stop cannot go earlier');
+}
+
+export async function testInsertRemoveAndVisitTimeEdits() {
+    const stops = stopsFor(['a', 'c'], { end: true }); // a at 40.1, c at 40.2, end at 41
+    const inserted = insertStop(stops, { locId: 'b', name: 'b', lat: 40.15, lng: -74, speciesCount: 5 }, false);
+    assert(idsOf(inserted) === 'start,a,b,c,end', `The new stop should go where it adds least travel: ${idsOf(inserted)}`);
+    assert(insertStop(inserted, { locId: 'b', lat: 40.15, lng: -74 }, false) === inserted, 'A stop already in the itinerary should not be added twice');
+
+    // A loop round a square: a and b out, z on the way home
+    const loop = [stops[0], { ...stops[1], lat: 40.2 }, { type: 'hotspot', locId: 'b', lat: 40.2, lng: -73.8 }];
+    const homeward = insertStop(loop, { locId: 'z', name: 'z', lat: 40, lng: -73.8 }, true);
+    assert(idsOf(homeward) === 'start,a,b,z', `On a round trip the stop can go last, before the drive home: ${idsOf(homeward)}`);
+
+    assert(idsOf(removeStop(inserted, 2)) === 'start,a,c,end', 'Removing should drop the stop');
+    assert(removeStop(inserted, 0) === inserted, 'The start cannot be removed');
+
+    const timed = setStopVisitTime(inserted, 1, 90);
+    assert(timed[1].customVisitTime === 90, 'Visit time should be set');
+    assert(!('customVisitTime' in setStopVisitTime(timed, 1, null)[1]), 'null should go back to the suggested time');
+}
+
+export async function testRetimeRoutesEditedStopsAndRestoresSavedOnes() {
+    global.fetch = async (url) => {
+        const legCount = url.split('/').pop().split('?')[0].split(';').length - 1;
+        return {
+            ok: true,
+            json: async () => ({
+                code: 'Ok',
+                routes: [{
+                    distance: 5000 * legCount,
+                    duration: 900 * legCount,
+                    legs: Array.from({ length: legCount }, () => ({ distance: 5000, duration: 900 })),
+                    geometry: { type: 'LineString', coordinates: [] }
+                }]
+            })
+        };
+    };
+
+    const departure = new Date(2026, 4, 12, 6, 0);
+    const stops = setStopVisitTime(stopsFor(['a', 'b']), 2, 60);
+    const itinerary = await retimeItinerary(stops, { departure, isRoundTrip: true });
+
+    assert(itinerary.legs.length === 3, `A round trip should have a leg home, got ${itinerary.legs.length} legs`);
+    const [, a, b] = itinerary.stops;
+    assert(a.arrivalTime.getHours() === 6 && a.arrivalTime.getMinutes() === 15, 'First stop is 15 minutes out');
+    assert(b.suggestedVisitTime === 60, `The custom visit time should be used, got ${b.suggestedVisitTime}`);
+    assert(itinerary.summary.totalVisitTime === 92 && itinerary.summary.totalTravelTime === 45,
+        `Unexpected totals: ${JSON.stringify(itinerary.summary)}`);
+
+    // Saved to localStorage and back: dates come back as strings
+    const saved = JSON.parse(JSON.stringify({ stops: itinerary.stops, departure: departure.toISOString(), isRoundTrip: true }));
+    const restored = restoreSavedItinerary(saved);
+    assert(restored.departure.getTime() === departure.getTime() && restored.isRoundTrip, 'Departure and round trip should be restored');
+    assert(restored.daylight === null, 'No sun times were saved');
+
+    const legacy = restoreSavedItinerary({ stops: JSON.parse(JSON.stringify(stopsFor(['a'], { end: true }).map((s, i) => (i === 0 ? { ...s, departureTime: departure } : s)))) });
+    assert(legacy.isRoundTrip === false && legacy.departure.getTime() === departure.getTime(),
+        'Older saves without the extra fields should be worked out from their stops');
+}
+
+export async function testEditingAViaPointItineraryKeepsItsSections() {
+    // Every routed leg is 10 min / 5 km
+    global.fetch = async (url) => {
+        const legCount = url.split('/').pop().split('?')[0].split(';').length - 1;
+        return {
+            ok: true,
+            json: async () => ({
+                code: 'Ok',
+                routes: [{
+                    distance: 5000 * legCount,
+                    duration: 600 * legCount,
+                    legs: Array.from({ length: legCount }, () => ({ distance: 5000, duration: 600 })),
+                    geometry: { type: 'LineString', coordinates: [] }
+                }]
+            })
+        };
+    };
+
+    const departure = new Date(2026, 4, 12, 7, 0);
+    const [start, a, b, end] = stopsFor(['a', 'b'], { end: true });
+    const stops = [start, a, { type: 'via', name: 'Motel', address: 'Motel', lat: 40.15, lng: -74 }, b, end];
+    const directLegs = [{ distance: 8, duration: 900 }, { distance: 8, duration: 900 }];
+    const itinerary = await retimeItinerary(stops, { departure, isRoundTrip: false, directLegs });
+    assert(itinerary.sections?.length === 2 && itinerary.sections[0].detourDistance === 2,
+        `A via-point itinerary should have its sections: ${JSON.stringify(itinerary.sections)}`);
+
+    const edited = await retimeItinerary(removeStop(itinerary.stops, 1), {
+        departure, isRoundTrip: false, directLegs: itinerary.directLegs
+    });
+    const [first, second] = edited.sections || [];
+    assert(first?.hotspotCount === 0 && first.detourDistance === -3, `The edited section should be re-measured: ${JSON.stringify(first)}`);
+    assert(second?.hotspotCount === 1 && second.detourTime === 5, `The untouched section should keep its detour: ${JSON.stringify(second)}`);
+
+    // Saved to localStorage and back
+    const saved = JSON.parse(JSON.stringify({ stops: edited.stops, departure: departure.toISOString(), isRoundTrip: false, directLegs: edited.directLegs }));
+    const restored = restoreSavedItinerary(saved);
+    const reopened = await retimeItinerary(restored.stops, restored);
+    assert(reopened.sections?.length === 2 && reopened.sections[1].detourTime === 5, 'A reopened itinerary should keep its sections');
+}
+
+export async function testOpeningHoursSetInTheEditorAreKeptToWhenRetimed() {
+    global.fetch = async (url) => {
+        const legCount = url.split('/').pop().split('?')[0].split(';').length - 1;
+        return {
+            ok: true,
+            json: async () => ({
+                code: 'Ok',
+                routes: [{
+                    distance: 5000 * legCount,
+                    duration: 900 * legCount,
+                    legs: Array.from({ length: legCount }, () => ({ distance: 5000, duration: 900 })),
+                    geometry: { type: 'LineString', coordinates: [] }
+                }]
+            })
+        };
+    };
+
+    const departure = new Date(2026, 4, 12, 6, 0);
+    let stops = setStopTimeWindow(stopsFor(['a', 'b']), 1, { open: '07:00', close: '' });
+    stops = setStopTimeWindow(stops, 2, { open: null, close: '06:10' });
+    assert(stops[1].timeWindow.open === '07:00' && stops[1].timeWindow.close === null, 'A missing end is left open');
+    assert(setStopTimeWindow(stops, 0, { open: '07:00' }) === stops, 'Only hotspots have opening hours');
+    assert(!('timeWindow' in setStopTimeWindow(stops, 1, { open: '7am' })[1]), 'Invalid times clear the hours');
+
+    const itinerary = await retimeItinerary(stops, { departure, isRoundTrip: true });
+    const [, a, b] = itinerary.stops;
+    assert(a.waitTime === 45 && a.departureTime.getHours() === 7 && a.departureTime.getMinutes() === 32,
+        `The first stop should be waited for until it opens: ${a.waitTime} min, leaving ${a.departureTime}`);
+    assert(b.missesTimeWindow === true, 'Reaching the second stop after it closes should be flagged');
+}
@@ -0,0 +1,108 @@
+import { assert } from '../run-tests.js';
+import { generateKML, generateHotspotsKML, generateTripPlanKML, generateKMZ } from '../../js/services/kml-generator.js';
+
+function sampleItinerary() {
+    return {
+        stops: [
+            { type: 'start', name: 'Start', address: '123 Main St', lat: 10, lng: 20 },
+            {
+                type: 'hotspot', name: 'Tom & Jerry\'s <Marsh>', locId: 'L1', speciesCount: 42, lat: 11, lng: 21,
+                birds: [
+                    { comName: 'Snowy Egret', isNotable: true },
+                    { comName: 'Mallard' }
+                ]
+            },
+            { type: 'end', name: 'End', address: '456 Oak Ave', lat: 12, lng: 22 }
+        ],
+        geometry: { coordinates: [[20, 10], [20.5, 10.5], [22, 12]] }
+    };
+}
+
+function unescapeXml(str) {
+    return str.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+}
+
+/**
+ * Read placemarks back out of a KML document
+ */
+function parsePlacemarks(kml) {
+    return [...kml.matchAll(/<Placemark>([\s\S]*?)<\/Placemark>/g)].map(([, body]) => ({
+        name: unescapeXml(body.match(/<name>([\s\S]*?)<\/name>/)?.[1] || ''),
+        description: unescapeXml(body.match(/<description>([\s\S]*?)<\/description>/)?.[1] || ''),
+        style: body.match(/<styleUrl>#(\w+)<\/styleUrl>/)?.[1],
+        coordinates: (body.match(/<coordinates>([\s\S]*?)<\/coordinates>/)?.[1] || '')
+            .trim().split(/\s+/).map(triple => triple.split(',').map(Number))
+    }));
+}
+
+export async function testGenerateKMLRoundTripsPlacemarksAndRoute() {
+    const kml = generateKML(sampleItinerary(), { name: 'Birds & Bees' });
+    assert(kml.includes('<kml xmlns="http://www.opengis.net/kml/2.2">'), 'Should be a KML 2.2 document');
+    assert(kml.includes('<name>Birds &amp; Bees</name>'), 'The document name should be XML-escaped');
+    assert(!kml.includes('<Marsh>'), 'Hotspot names must be escaped');
+
+    const placemarks = parsePlacemarks(kml);
+    assert(placemarks.length === 4, `Expected 3 stops and a route, got ${placemarks.length}`);
+
+    const [start, hotspot, end, route] = placemarks;
+    assert(start.name === 'Start' && start.style === 'start', 'Start placemark should use the start style');
+    assert(hotspot.name === '1. Tom & Jerry\'s <Marsh>', `The name should survive escaping, got ${hotspot.name}`);
+    assert(hotspot.style === 'hotspot' && end.style === 'end', 'Hotspot and end styles should be applied');
+    assert(hotspot.coordinates[0].join(',') === '21,11,0', 'Point coordinates are lng,lat,alt');
+    assert(hotspot.description.includes('42 species') && hotspot.description.includes('<li>Snowy Egret (notable)</li>') &&
+        hotspot.description.includes('<li>Mallard</li>'), `The description should list the species: ${hotspot.description}`);
+    assert(hotspot.description.includes('https://ebird.org/hotspot/L1'), 'The description should link to eBird');
+
+    assert(route.style === 'route' && kml.includes('<LineString>'), 'The route should be a styled LineString');
+    assert(route.coordinates.map(c => c.slice(0, 2).join(',')).join(' ') === '20,10 20.5,10.5 22,12',
+        'The route should follow the routed geometry');
+}
+
+export async function testGenerateKMLFallsBackToStraightLinesAndGroupsTripDays() {
+    const noGeometry = { stops: sampleItinerary().stops.slice(0, 2), isRoundTrip: true };
+    const route = parsePlacemarks(generateKML(noGeometry)).pop();
+    assert(route.coordinates.map(c => c.slice(0, 2).join(',')).join(' ') === '20,10 21,11 20,10',
+        'Without geometry a round trip should join the stops and return to the start');
+
+    const plan = {
+        days: [
+            { dayNumber: 1, itinerary: sampleItinerary() },
+            { dayNumber: 2, itinerary: null },
+            { dayNumber: 3, itinerary: sampleItinerary() }
+        ],
+        summary: { totalDays: 3 }
+    };
+    const kml = generateTripPlanKML(plan);
+    assert((kml.match(/<Folder>/g) || []).length === 2, 'Should have one folder per day with stops');
+    assert(kml.includes('Day 3 1. Tom &amp; Jerry'), 'Stop names should be prefixed with their day');
+
+    const hotspots = generateHotspotsKML({ lat: 5, lng: 6, address: 'Home' }, [{ name: 'Pond', speciesCount: 3, lat: 1, lng: 2 }]);
+    const names = parsePlacemarks(hotspots).map(p => p.name);
+    assert(names.join('|') === 'Search Origin|1. Pond' && !hotspots.includes('<LineString>'),
+        `A hotspot list has points only: ${names}`);
+}
+
+export async function testGenerateKMZIsAZipHoldingTheDocument() {
+    const kml = generateKML(sampleItinerary());
+    const kmz = generateKMZ(kml);
+    const view = new DataView(kmz.buffer, kmz.byteOffset, kmz.byteLength);
+
+    assert(view.getUint32(0, true) === 0x04034b50, 'Should start with a ZIP local file header');
+    assert(view.getUint16(8, true) === 0, 'The entry should be stored');
+    const size = view.getUint32(18, true);
+    const nameLength = view.getUint16(26, true);
+    const name = new TextDecoder().decode(kmz.subarray(30, 30 + nameLength));
+    assert(name === 'doc.kml', `The entry should be doc.kml, got ${name}`);
+
+    const data = kmz.subarray(30 + nameLength, 30 + nameLength + size);
+    assert(new TextDecoder().decode(data) === kml, 'The entry should hold the KML unchanged');
+
+    // CRC-32 of "123456789" is the standard check value
+    const known = generateKMZ('123456789');
+    assert(new DataView(known.buffer).getUint32(14, true) === 0xcbf43926, 'CRC-32 should match the standard check value');
+
+    const endOffset = kmz.length - 22;
+    assert(view.getUint32(endOffset, true) === 0x06054b50 && view.getUint16(endOffset + 10, true) === 1,
+        'Should end with a central directory listing one entry');
+}
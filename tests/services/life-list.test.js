@@ -10,9 +10,12 @@ global.localStorage = {
 
 const { LifeListService } = await import('../../js/services/life-list.js');
 const { CONFIG } = await import('../../js/utils/constants.js');
+const { processObservations } = await import('../../js/api/ebird.js');
 
 function clearLifeList() {
     delete _store[CONFIG.STORAGE_KEYS.LIFE_LIST];
+    delete _store[CONFIG.STORAGE_KEYS.REGIONAL_LIFE_LISTS];
+    delete _store[CONFIG.STORAGE_KEYS.LIFER_SCOPE];
 }
 
 const TAXONOMY = [
@@ -83,3 +86,149 @@ export async function testImportFromCSVSkipsAlreadyOwnedSpecies() {
     assert(result.imported === 0, 'Re-importing an already-owned species should not count as newly imported');
     assert(result.duplicates === 1, `Expected 1 duplicate, got ${result.duplicates}`);
 }
+
+const HISTORY_CSV = [
+    'Submission ID,Common Name,Scientific Name,Count,State/Province,County,Date',
+    'S1,American Crow,Corvus brachyrhynchos,1,US-NY,Tompkins,2024-05-01',
+    'S2,Northern Cardinal,Cardinalis cardinalis,1,US-PA,Erie,2023-05-01'
+].join('\n');
+
+async function importHistory(service, resolveCounties = null) {
+    return service.importChecklistHistory(new Blob([HISTORY_CSV]).stream(), TAXONOMY, { resolveCounties });
+}
+
+export async function testImportChecklistHistoryMergesWorldListIntoLifeList() {
+    clearLifeList();
+    const service = new LifeListService();
+    service.importFromCSV('Common Name,Scientific Name\nAmerican Crow,Corvus brachyrhynchos\n', TAXONOMY);
+
+    const result = await importHistory(service);
+
+    assert(result.rows === 2, `Expected 2 rows read, got ${result.rows}`);
+    assert(result.imported === 1 && result.duplicates === 1, `Expected 1 new and 1 duplicate species, got ${result.imported}/${result.duplicates}`);
+    assert(service.getCount() === 2, 'Life list should now hold both species');
+    assert(service.getRegionalListSummary().states === 2, 'Two state lists should be stored');
+}
+
+export async function testLiferReferenceUsesStateListForChosenScope() {
+    clearLifeList();
+    const service = new LifeListService();
+    await importHistory(service);
+    service.setLiferScope('state');
+
+    const ny = service.getLiferReference({ countryCode: 'US', subnational1Code: 'US-NY' });
+    assert(ny.codes.has('amecro') && !ny.codes.has('norcar'), 'NY reference should be the NY state list');
+
+    const observations = [
+        { speciesCode: 'amecro', comName: 'American Crow', obsDt: new Date().toISOString() },
+        { speciesCode: 'norcar', comName: 'Northern Cardinal', obsDt: new Date().toISOString() }
+    ];
+    const birds = processObservations(observations, new Set(), ny.codes, ny.names, ny.hasList);
+    assert(birds.find(b => b.speciesCode === 'norcar').isLifer, 'A life bird never seen in NY should be a state lifer');
+    assert(!birds.find(b => b.speciesCode === 'amecro').isLifer, 'A bird on the NY list should not be a state lifer');
+
+    const vt = service.getLiferReference({ countryCode: 'US', subnational1Code: 'US-VT' });
+    assert(vt.hasList && vt.codes.size === 0, 'A never-birded state should make every species a state lifer');
+}
+
+export async function testLiferReferenceMatchesCountiesByResolvedCode() {
+    clearLifeList();
+    const service = new LifeListService();
+    await importHistory(service, async stateCode => (stateCode === 'US-NY' ? [{ code: 'US-NY-109', name: 'Tompkins' }] : []));
+    service.setLiferScope('county');
+
+    const tompkins = service.getLiferReference({ subnational1Code: 'US-NY', subnational2Code: 'US-NY-109' });
+    assert(tompkins.codes.has('amecro'), 'County list should be found by its eBird region code');
+
+    // Erie couldn't be resolved to a code, so a PA hotspot with only a code falls back to the life list
+    const erie = service.getLiferReference({ subnational1Code: 'US-PA', subnational2Code: 'US-PA-049' });
+    assert(erie.codes.has('amecro') && erie.codes.has('norcar'), 'Unresolvable county should fall back to the life list');
+}
+
+export async function testLiferScopeFallsBackToWorldWithoutHistory() {
+    clearLifeList();
+    const service = new LifeListService();
+    service.setLiferScope('year');
+    assert(service.getLiferScope() === 'world', 'Regional scopes need an imported checklist history');
+}
+
+export async function testTickListsFlagYearStateAndCountyBirds() {
+    clearLifeList();
+    const service = new LifeListService();
+    await importHistory(service, async stateCode => (stateCode === 'US-NY' ? [{ code: 'US-NY-109', name: 'Tompkins' }] : []));
+
+    const ticks = service.getTickLists({ countryCode: 'US', subnational1Code: 'US-NY', subnational2Code: 'US-NY-109' }, new Date(2024, 6, 1));
+    const observations = [
+        { speciesCode: 'amecro', comName: 'American Crow', obsDt: new Date().toISOString() },
+        { speciesCode: 'norcar', comName: 'Northern Cardinal', obsDt: new Date().toISOString() }
+    ];
+    const birds = processObservations(observations, new Set(), new Set(), new Set(), false, ticks);
+    const crow = birds.find(b => b.speciesCode === 'amecro');
+    const cardinal = birds.find(b => b.speciesCode === 'norcar');
+
+    assert(!crow.isStateBird && !crow.isCountyBird, 'A bird already seen in Tompkins, NY is neither a state nor county bird');
+    assert(cardinal.isStateBird && cardinal.isCountyBird, 'A bird never seen in NY is both a state and county bird');
+    assert(!crow.isYearBird && cardinal.isYearBird, 'Only the bird not seen in 2024 should be a 2024 year bird');
+}
+
+export async function testTickListsAreOffWithoutHistory() {
+    clearLifeList();
+    const service = new LifeListService();
+    const ticks = service.getTickLists({ subnational1Code: 'US-NY', subnational2Code: 'US-NY-109' });
+    assert(ticks.year === null && ticks.state === null && ticks.county === null, 'No lists should be returned without a checklist history');
+
+    const [bird] = processObservations([{ speciesCode: 'amecro', comName: 'American Crow', obsDt: new Date().toISOString() }], new Set(), new Set(), new Set(), false, ticks);
+    assert(!bird.isYearBird && !bird.isStateBird && !bird.isCountyBird, 'No tick flags should be set without lists');
+}
+
+export async function testHandTicksAloneLeaveOtherRegionsUnflagged() {
+    clearLifeList();
+    const service = new LifeListService();
+    service.addTick('year', 2024, { speciesCode: 'amecro', comName: 'American Crow' });
+
+    const ticks = service.getTickLists({ countryCode: 'US', subnational1Code: 'US-NY', subnational2Code: 'US-NY-109' }, new Date(2024, 6, 1));
+    assert(ticks.year.codes.has('amecro'), 'The hand-started year list should still be used');
+    assert(ticks.state === null && ticks.county === null, 'Without an import, regions with no list should not count every species');
+    assert(service.getTickLists({}, new Date(2025, 0, 1)).year === null, 'Other years should not count every species either');
+
+    const [bird] = processObservations([{ speciesCode: 'norcar', comName: 'Northern Cardinal', obsDt: new Date().toISOString() }], new Set(), new Set(), new Set(), false, ticks);
+    assert(!bird.isStateBird && !bird.isCountyBird, 'No state or county flags should be set from a year tick alone');
+
+    service.setLiferScope('state');
+    assert(!service.hasImportedHistory() && service.getLiferScope() === 'world', 'Hand ticks alone should not unlock the regional lifer scopes');
+}
+
+export async function testTicksCanBeAddedAndRemovedByHand() {
+    clearLifeList();
+    const service = new LifeListService();
+    const crow = { speciesCode: 'amecro', comName: 'American Crow' };
+
+    assert(service.addTick('state', 'us-ny', crow), 'A state tick should start the state list');
+    assert(!service.addTick('state', 'US-NY', crow), 'A tick already on the list is not added twice');
+    assert(!service.addTick('county', 'US-NY', crow) && !service.isValidTickRegion('year', '26'), 'Region codes must fit the list');
+    assert(service.addTick('year', 2024, crow) && service.addTick('county', 'US-NY-109', crow), 'Year and county ticks can be added');
+
+    const region = { countryCode: 'US', subnational1Code: 'US-NY', subnational2Code: 'US-NY-109' };
+    let ticks = service.getTickLists(region, new Date(2024, 6, 1));
+    assert(ticks.year.codes.has('amecro') && ticks.state.codes.has('amecro') && ticks.county.codes.has('amecro'),
+        'Hand-added ticks should be on the lists');
+    assert(ticks.state.names.has('american crow'), 'The species name is kept for matching by name');
+    assert(service.getRegionalListSummary().states === 1, 'The summary counts the new lists');
+
+    assert(service.removeTick('state', 'US-NY', 'amecro'), 'A tick can be removed');
+    assert(!service.removeTick('state', 'US-NY', 'amecro') && !service.removeTick('state', 'US-VT', 'amecro'), 'Only ticks on a list can be removed');
+    ticks = service.getTickLists(region, new Date(2024, 6, 1));
+    assert(ticks.state.hasList && !ticks.state.codes.has('amecro') && ticks.county.codes.has('amecro'),
+        'Removing a state tick leaves the other lists alone');
+}
+
+export async function testHandTicksAddToAnImportedHistory() {
+    clearLifeList();
+    const service = new LifeListService();
+    await importHistory(service);
+
+    assert(service.addTick('state', 'US-PA', { speciesCode: 'amecro', comName: 'American Crow' }), 'A tick can be added to an imported list');
+    const pa = service.getTickLists({ subnational1Code: 'US-PA' }).state;
+    assert(pa.codes.has('amecro') && pa.codes.has('norcar'), 'The imported ticks should be kept');
+    assert(service.getRegionalListSummary().rows === 2, 'The import details should be kept');
+}
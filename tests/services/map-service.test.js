@@ -1,5 +1,5 @@
 import { assert } from '../run-tests.js';
-import { generateCanvasMap } from '../../js/services/map-service.js';
+import { generateCanvasMap, getTileUrlsForBounds } from '../../js/services/map-service.js';
 
 // Minimal mock for document and canvas so generateCanvasMap can run in Node.
 function installDomMocks() {
@@ -73,3 +73,15 @@ export async function testGenerateCanvasMapProducesDataUrl() {
     assert(dataUrl.startsWith('data:image/png'), 'Expected PNG data URL from generateCanvasMap');
 }
 
+export async function testGetTileUrlsForBoundsRespectsTileCap() {
+    const bounds = { minLat: 40.6, maxLat: 40.9, minLng: -74.1, maxLng: -73.8 };
+
+    const urls = getTileUrlsForBounds(bounds, { minZoom: 8, maxZoom: 14, maxTiles: 100 });
+    assert(urls.length > 0 && urls.length <= 100, `Expected 1-100 tiles, got ${urls.length}`);
+    assert(urls.every(u => u.startsWith('https://tile.openstreetmap.org/')), 'Tile URLs should use the canonical host');
+    assert(urls.some(u => u.startsWith('https://tile.openstreetmap.org/8/')), 'Lowest zoom level should always be included');
+    assert(new Set(urls).size === urls.length, 'Tile URLs should be unique');
+
+    const more = getTileUrlsForBounds(bounds, { minZoom: 8, maxZoom: 14, maxTiles: 1000 });
+    assert(more.length > urls.length, 'A larger cap should add deeper zoom levels');
+}
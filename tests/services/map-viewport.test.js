@@ -0,0 +1,40 @@
+import { assert } from '../run-tests.js';
+import { clusterPoints } from '../../js/services/marker-clustering.js';
+import { getViewportSearchArea, pickNewViewportHotspots } from '../../js/services/viewport-search.js';
+
+export async function testClusterPointsGroupsMarkersCloseOnScreen() {
+    // One degree is 100 px on this flat "map"
+    const project = (lat, lng) => ({ x: lng * 100, y: -lat * 100 });
+    const points = [
+        { id: 'a', lat: 40, lng: -74 },
+        { id: 'b', lat: 40.2, lng: -74.1 },   // 20 px from a
+        { id: 'c', lat: 41, lng: -74 },       // 100 px away
+        { id: 'd', lat: 40.1, lng: -73.8 }    // 20 px from a on both axes
+    ];
+
+    const clusters = clusterPoints(points, project, 30);
+    assert(clusters.length === 2, `Expected 2 clusters, got ${clusters.length}`);
+    assert(clusters[0].members.map(p => p.id).join(',') === 'a,b,d', 'Nearby markers group with the first one');
+    assert(Math.abs(clusters[0].lat - 40.1) < 1e-9 && Math.abs(clusters[0].lng - (-73.9667)) < 1e-3,
+        'A cluster sits at its members\' average');
+    assert(clusters[1].members[0].id === 'c' && clusters[1].lat === 41, 'A lone marker stays where it is');
+
+    assert(clusterPoints(points, project, 5).length === 4, 'Zoomed in far enough, nothing groups');
+}
+
+export async function testViewportSearchFindsNewHotspotsInView() {
+    const small = getViewportSearchArea({ north: 40.1, south: 39.9, east: -73.9, west: -74.1 });
+    assert(Math.abs(small.lat - 40) < 1e-9 && Math.abs(small.lng + 74) < 1e-9, 'The search is centered on the view');
+    assert(small.radiusKm >= 14 && small.radiusKm <= 16, `The circle should reach the corners, got ${small.radiusKm} km`);
+    const wide = getViewportSearchArea({ north: 42, south: 38, east: -72, west: -76 });
+    assert(wide.radiusKm === 50, 'eBird searches stop at 50 km');
+
+    const found = [
+        { locId: 'L1', lat: 40.3, lng: -74 },
+        { locId: 'L2', lat: 40.01, lng: -74 },
+        { locId: 'L3', lat: 40.1, lng: -74 },
+        { locId: 'L4', lat: 40.2, lng: -74 }
+    ];
+    const picked = pickNewViewportHotspots(found, new Set(['L2']), { lat: 40, lng: -74 }, 2);
+    assert(picked.map(h => h.locId).join(',') === 'L3,L4', `Known hotspots are skipped, nearest first: ${picked.map(h => h.locId)}`);
+}
@@ -0,0 +1,82 @@
+import { assert } from '../run-tests.js';
+import { getMigrationRadarAlerts } from '../../js/services/migration-radar.js';
+
+/**
+ * A forecast in getHourlyForecast() shape for a location at UTC, with each
+ * hour's weather from weatherAt(date, hour)
+ */
+function buildForecast(dates, weatherAt) {
+    const hours = [];
+    for (const date of dates) {
+        for (let h = 0; h < 24; h++) {
+            const time = `${date}T${String(h).padStart(2, '0')}:00`;
+            hours.push({
+                time,
+                date: new Date(`${time}Z`),
+                temperatureC: 15,
+                windSpeedMph: 12,
+                windDegrees: 180,
+                precipitationProbability: 0,
+                precipitationMm: 0,
+                ...weatherAt(date, h)
+            });
+        }
+    }
+    return { hours, days: dates.map(date => ({ date })) };
+}
+
+// A cold front on the afternoon of Oct 14: warm southerlies swing to cool north winds
+function coldFront(date, h) {
+    const behindFront = date > '2026-10-14' || h >= 15;
+    return behindFront ? { windDegrees: 315, temperatureC: 8 } : { windDegrees: 200, temperatureC: 18 };
+}
+
+export async function testBigFlightAfterFallColdFront() {
+    const forecast = buildForecast(['2026-10-14', '2026-10-15'], coldFront);
+    const alerts = getMigrationRadarAlerts(forecast, { lat: 42, now: new Date('2026-10-14T00:00:00Z') });
+
+    const bigFlight = alerts.find(alert => alert.date === '2026-10-15');
+    assert(bigFlight && bigFlight.type === 'big-flight', 'North winds behind a cold front should flag a big flight the next morning');
+    assert(bigFlight.strength === 'high', `Steady 12 mph tailwinds should be a high-strength alert, got ${bigFlight.strength}`);
+    assert(bigFlight.windDirection === 'NW', `Expected NW winds, got ${bigFlight.windDirection}`);
+    assert(!alerts.some(alert => alert.date === '2026-10-14'), 'The southerly night before the front should not be flagged');
+
+    const later = getMigrationRadarAlerts(forecast, { lat: 42, now: new Date('2026-10-15T13:00:00Z') });
+    assert(later.length === 0, 'A morning that is already over should be skipped');
+
+    const wet = buildForecast(['2026-10-14', '2026-10-15'], (date, h) => ({ ...coldFront(date, h), precipitationProbability: 90 }));
+    assert(getMigrationRadarAlerts(wet, { lat: 42, now: new Date('2026-10-14T00:00:00Z') }).length === 0,
+        'A rainy night grounds birds, so it should not be a big flight');
+}
+
+export async function testPossibleFalloutWhenSpringFlowMeetsDawnRain() {
+    const rainAtDawn = (date, h) => ({
+        windDegrees: 190,
+        precipitationProbability: date === '2026-05-11' && h >= 5 && h < 8 ? 80 : 0
+    });
+    const forecast = buildForecast(['2026-05-10', '2026-05-11'], rainAtDawn);
+    const alerts = getMigrationRadarAlerts(forecast, { lat: 30, now: new Date('2026-05-10T00:00:00Z') });
+
+    assert(alerts.length === 1, `Expected one alert, got ${alerts.length}`);
+    assert(alerts[0].type === 'fallout' && alerts[0].date === '2026-05-11', 'Southerly flow into dawn rain should flag a possible fallout');
+    assert(alerts[0].detail.includes('80% chance'), `Detail should give the rain chance: ${alerts[0].detail}`);
+
+    const dry = buildForecast(['2026-05-10', '2026-05-11'], () => ({ windDegrees: 190 }));
+    assert(getMigrationRadarAlerts(dry, { lat: 30, now: new Date('2026-05-10T00:00:00Z') }).length === 0,
+        'Southerly flow without rain should not be a fallout');
+}
+
+export async function testSouthernHemisphereFlipsSeasonsAndWinds() {
+    // October is spring in the south, when birds fly south on north winds
+    const forecast = buildForecast(['2026-10-14', '2026-10-15'], (date, h) => ({
+        windDegrees: 10,
+        precipitationProbability: date === '2026-10-15' && h === 6 ? 70 : 0
+    }));
+
+    const south = getMigrationRadarAlerts(forecast, { lat: -34, now: new Date('2026-10-14T00:00:00Z') });
+    assert(south.some(alert => alert.type === 'fallout' && alert.season === 'spring'),
+        'North winds into dawn rain in a southern October should be a spring fallout');
+
+    const north = getMigrationRadarAlerts(forecast, { lat: 42, now: new Date('2026-10-14T00:00:00Z') });
+    assert(!north.some(alert => alert.type === 'fallout'), 'The same weather in a northern October is fall, not fallout season');
+}
@@ -0,0 +1,110 @@
+import { readFileSync } from 'node:fs';
+import { assert } from '../run-tests.js';
+import { buildOfflineTripPack, isAppShellUrl, getOfflineTrips, keepViewedTiles } from '../../js/services/offline-trips.js';
+import { CONFIG } from '../../js/utils/constants.js';
+
+const RESULTS = {
+    origin: { lat: 40.75, lng: -73.98, address: 'New York, NY' },
+    hotspots: [
+        { locId: 'L1', lat: 40.78, lng: -73.96 },
+        { locId: 'L2', lat: 40.66, lng: -73.97 }
+    ],
+    sortMethod: 'species',
+    generatedDate: 'May 1, 2026'
+};
+
+export async function testBuildOfflineTripPackCoversHotspotsAndItinerary() {
+    const itinerary = {
+        start: { lat: 40.75, lng: -73.98 },
+        end: { lat: 40.75, lng: -73.98 },
+        stops: [{ lat: 40.78, lng: -73.96 }],
+        geometry: { coordinates: [[-74.3, 40.75], [-73.96, 40.78]] }
+    };
+
+    const pack = buildOfflineTripPack({ name: 'NYC', results: RESULTS, itinerary });
+
+    assert(typeof pack.id === 'number', 'Pack should have a numeric id');
+    assert(pack.results === RESULTS, 'Pack should carry the results unchanged');
+    assert(pack.bounds.minLat <= 40.66 && pack.bounds.maxLat >= 40.78, 'Bounds should cover all hotspots');
+    assert(pack.bounds.minLng <= -74.3, 'Bounds should include the itinerary route geometry');
+    assert(pack.tileUrls.length > 0, 'Pack should list the map tiles to keep');
+    assert(pack.tileUrls.length <= CONFIG.OFFLINE.MAX_TILES, `Tile count ${pack.tileUrls.length} exceeds MAX_TILES`);
+}
+
+export async function testIsAppShellUrl() {
+    const origin = 'https://birding.example.com';
+    assert(isAppShellUrl(`${origin}/js/app.js`, origin), 'Own JS should be app shell');
+    assert(isAppShellUrl(`${origin}/css/styles.css`, origin), 'Own CSS should be app shell');
+    assert(isAppShellUrl('https://unpkg.com/leaflet@1.9.4/dist/leaflet.js', origin), 'Leaflet CDN bundle should be app shell');
+    assert(isAppShellUrl(CONFIG.PDF_LIBRARIES.JSPDF.URL, origin) && isAppShellUrl(CONFIG.PDF_LIBRARIES.QRCODE.URL, origin),
+        'The pinned PDF libraries should be app shell, so PDF export works offline');
+    assert(!isAppShellUrl('https://cdnjs.cloudflare.com/ajax/libs/jquery/3.7.1/jquery.min.js', origin),
+        'Other cdnjs bundles should not be app shell');
+    assert(!isAppShellUrl(`${origin}/_vercel/insights/script.js`, origin), 'Analytics should not be app shell');
+    assert(!isAppShellUrl(`${origin}/api/report-error`, origin), 'API endpoints should not be app shell');
+    assert(!isAppShellUrl('https://api.ebird.org/v2/data/obs/geo/recent', origin), 'Third-party APIs should not be app shell');
+}
+
+export async function testGetOfflineTripsWithoutIndexedDb() {
+    const trips = await getOfflineTrips();
+    assert(Array.isArray(trips) && trips.length === 0, 'Should return an empty list when IndexedDB is unavailable');
+}
+
+/**
+ * Whether a CSP source expression lets the page fetch url: a path ending in
+ * '/' covers everything under it, anything else names an exact origin or file
+ */
+function sourceAllows(source, url) {
+    return source.endsWith('/') ? url.startsWith(source) : url === source || new URL(url).origin === source;
+}
+
+export async function testPolicyLetsTripPacksFetchThePdfLibraries() {
+    const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+    const metaPolicy = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]*)"/)?.[1] || '';
+    const vercel = JSON.parse(readFileSync(new URL('../../vercel.json', import.meta.url), 'utf8'));
+    const headerPolicy = vercel.headers.flatMap(rule => rule.headers)
+        .find(header => header.key === 'Content-Security-Policy')?.value || '';
+
+    for (const [where, policy] of [['index.html', metaPolicy], ['vercel.json', headerPolicy]]) {
+        const connectSrc = policy.split(';').map(d => d.trim()).find(d => d.startsWith('connect-src '))?.split(/\s+/).slice(1) || [];
+        for (const { URL: url } of Object.values(CONFIG.PDF_LIBRARIES)) {
+            assert(connectSrc.some(source => sourceAllows(source, url)),
+                `connect-src in ${where} should allow ${url}, or caching it for offline use is blocked`);
+        }
+    }
+}
+
+export async function testSavingKeepsOnlyTilesAlreadyViewed() {
+    const stores = new Map();
+    global.caches = {
+        async open(name) {
+            if (!stores.has(name)) stores.set(name, new Map());
+            const entries = stores.get(name);
+            return {
+                async match(url) { return entries.get(url); },
+                async put(url, response) { entries.set(url, response); }
+            };
+        }
+    };
+    let fetchCount = 0;
+    global.fetch = async () => {
+        fetchCount++;
+        return { ok: true };
+    };
+
+    const [viewed, kept, unseen] = ['8/75/96', '9/150/192', '10/301/385'].map(t => `https://tile.openstreetmap.org/${t}.png`);
+    try {
+        (await caches.open(CONFIG.OFFLINE.RECENT_TILE_CACHE_NAME)).put(viewed, 'viewed tile');
+        (await caches.open(CONFIG.OFFLINE.TILE_CACHE_NAME)).put(kept, 'kept tile');
+
+        const result = await keepViewedTiles([viewed, kept, unseen]);
+        const tripTiles = stores.get(CONFIG.OFFLINE.TILE_CACHE_NAME);
+
+        assert(result.cached === 2 && result.missing === 1, `Expected 2 tiles kept and 1 missing, got ${JSON.stringify(result)}`);
+        assert(tripTiles.get(viewed) === 'viewed tile', 'A viewed tile should be copied into the trip tiles');
+        assert(!tripTiles.has(unseen), 'A tile that was never viewed should not be kept');
+        assert(fetchCount === 0, `Saving a trip should never download tiles, got ${fetchCount} fetches`);
+    } finally {
+        delete global.caches;
+    }
+}
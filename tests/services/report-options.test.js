@@ -0,0 +1,116 @@
+import { assert } from '../run-tests.js';
+import { resolveReportOptions, selectReportSpecies, buildLiferSummary, DEFAULT_REPORT_OPTIONS } from '../../js/services/report-options.js';
+import { generatePDFReport } from '../../js/services/pdf-generator.js';
+
+// Records what a report draws, in place of jsPDF
+class FakePdf {
+    constructor(options) {
+        this.options = options;
+        this.texts = [];
+        this.images = 0;
+        this.pages = 1;
+        const [width, height] = options.format === 'letter' ? [215.9, 279.4] : [210, 297];
+        const landscape = options.orientation === 'landscape';
+        this.internal = {
+            pageSize: { getWidth: () => (landscape ? height : width), getHeight: () => (landscape ? width : height) },
+            getNumberOfPages: () => this.pages
+        };
+    }
+    text(text) { this.texts.push([].concat(text).join(' ')); }
+    textWithLink(text) { this.texts.push(text); }
+    splitTextToSize(text) { return [text]; }
+    getTextWidth(text) { return text.length; }
+    addImage() { this.images++; }
+    addPage() { this.pages++; }
+    setPage() {}
+    setFontSize() {}
+    setTextColor() {}
+    setDrawColor() {}
+    setLineWidth() {}
+    line() {}
+}
+
+const bird = (speciesCode, extra = {}) => ({ speciesCode, comName: speciesCode, ...extra });
+
+export async function testResolveReportOptionsFillsInDefaults() {
+    const defaults = resolveReportOptions();
+    assert(JSON.stringify(defaults) === JSON.stringify(DEFAULT_REPORT_OPTIONS), 'No options gives the default report');
+
+    const options = resolveReportOptions({
+        pageSize: 'letter',
+        orientation: 'sideways',
+        density: 'compact',
+        sections: { map: false, checklists: true, weather: 'yes' }
+    });
+    assert(options.pageSize === 'letter' && options.density === 'compact', 'Known choices are kept');
+    assert(options.orientation === 'portrait', 'An unknown orientation falls back to portrait');
+    assert(!options.sections.map && options.sections.checklists, 'Sections can be switched on and off');
+    assert(options.sections.weather === true && options.sections.species === true, 'Missing or invalid sections keep their default');
+}
+
+export async function testReportSpeciesHighlightsAndLiferSummary() {
+    const birds = [bird('mallar'), bird('grbher', { isNotable: true }), bird('woodu', { isLifer: true }), bird('amerob')];
+    assert(selectReportSpecies(birds, 'all').length === 4, 'Every bird is listed by default');
+    assert(selectReportSpecies(birds, 'highlights', ['amerob']).map(b => b.speciesCode).join(',') === 'grbher,woodu,amerob',
+        'Highlights keep notables, lifers and targets');
+
+    const summary = buildLiferSummary([
+        { birds: [bird('woodu', { isLifer: true }), bird('baleag', { isLifer: true })] },
+        { birds: [bird('mallar')] },
+        { birds: [bird('woodu', { isLifer: true })] }
+    ]);
+    assert(summary.map(l => `${l.speciesCode}:${l.placeNumbers.join('+')}`).join(',') === 'baleag:1,woodu:1+3',
+        `Lifers found at the fewest places come first: ${JSON.stringify(summary)}`);
+}
+
+export async function testGeneratePDFReportFollowsReportOptions() {
+    const hadWindow = 'window' in globalThis;
+    const previousJsPdf = globalThis.window?.jspdf;
+    if (!hadWindow) globalThis.window = globalThis;
+    let created;
+    window.jspdf = { jsPDF: class extends FakePdf { constructor(options) { super(options); created = this; } } };
+
+    const hotspot = {
+        locId: 'L1', name: 'Town Pond', lat: 40.1, lng: -74, address: '1 Pond Rd', speciesCount: 3, distance: 5,
+        birds: [bird('Mallard'), bird('Great Blue Heron', { isNotable: true }), bird('Wood Duck', { isLifer: true })],
+        weather: { temperatureF: 60, temperatureC: 16, description: 'Clear', windSpeedMph: 3, windDirection: 'N' },
+        recentObservations: []
+    };
+    const data = {
+        origin: { address: 'Home', lat: 40, lng: -74 },
+        hotspots: [hotspot],
+        sortMethod: 'species',
+        generatedDate: '5/12/2026'
+    };
+
+    try {
+        await generatePDFReport({
+            ...data,
+            reportOptions: {
+                pageSize: 'letter',
+                orientation: 'landscape',
+                density: 'compact',
+                speciesFilter: 'highlights',
+                sections: { map: false, weather: false, seasonal: false, qrCodes: false, checklists: true }
+            },
+            checklists: new Map([['L1', [{ date: null, hasTime: false, observer: 'Jane Doe', speciesCount: 12, protocol: null }]]])
+        });
+        const compactText = created.texts.join('\n');
+        assert(created.options.format === 'letter' && created.options.orientation === 'landscape', 'The page follows the options');
+        assert(created.images === 0, 'No map or QR code images when those sections are off');
+        assert(!compactText.includes('Weather:') && !compactText.includes('Get Directions'), 'Weather is left out and a field card has no links');
+        assert(compactText.includes('Potential Lifers (1)') && compactText.includes('Wood Duck (#1)'), 'The lifer summary lists where each lifer is');
+        assert(compactText.includes('* Great Blue Heron') && !compactText.includes('Mallard'), 'Only the highlights are listed');
+        assert(compactText.includes('Unknown date · Jane Doe · 12 species'), 'Recent checklists are listed');
+
+        await generatePDFReport({ ...data, reportOptions: { sections: { map: false } } });
+        const fullText = created.texts.join('\n');
+        assert(created.options.format === 'a4' && fullText.includes('Weather: 60°F') && fullText.includes('Mallard'),
+            'The default report keeps weather and every species');
+        assert(fullText.includes('Get Directions (Google Maps)') && !fullText.includes('Recent checklists'),
+            'The full report has links, and no checklists unless asked');
+    } finally {
+        if (hadWindow) window.jspdf = previousJsPdf;
+        else delete globalThis.window;
+    }
+}
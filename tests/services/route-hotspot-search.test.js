@@ -1,10 +1,12 @@
 import { assert } from '../run-tests.js';
 import {
+    assignHotspotsToLegs,
     buildRouteSamplePoints,
     dedupeHotspotsById,
     filterHotspotsByRouteDistance,
     rankHotspotsForEnrichment,
-    sortEnrichedRouteHotspots
+    sortEnrichedRouteHotspots,
+    splitRouteAtWaypoints
 } from '../../js/services/route-hotspot-search.js';
 
 // Helper: build a straight north-south route of `lengthKm` starting at (40, -75),
@@ -182,3 +184,28 @@ export async function testSortEnrichedRouteHotspotsIgnoresLifersWhenDisabled() {
     const sorted = sortEnrichedRouteHotspots(hotspots);
     assert(sorted[0].locId === 'noLifer', 'Without boostLifers, ordering should fall back to species count as before');
 }
+
+export async function testSplitRouteAtWaypointsCutsAtEachViaPoint() {
+    // 100km north, with via points about 30km and 70km along
+    const routeCoords = straightRoute(100);
+    const waypoints = [
+        { lat: 40, lng: -75 },
+        { lat: 40 + 30 / 111, lng: -75.01 },
+        { lat: 40 + 70 / 111, lng: -75.01 },
+        { lat: 40 + 100 / 111, lng: -75 }
+    ];
+    const legs = splitRouteAtWaypoints(routeCoords, waypoints);
+
+    assert(legs.length === 3, `Expected one polyline per leg, got ${legs.length}`);
+    assert(legs[0][0] === routeCoords[0] && legs[2][legs[2].length - 1] === routeCoords[routeCoords.length - 1],
+        'The legs should run from the route start to the route end');
+    assert(legs[0][legs[0].length - 1] === legs[1][0] && legs[1][legs[1].length - 1] === legs[2][0],
+        'Neighbouring legs should meet at the via point');
+    assert(Math.abs((legs[0][legs[0].length - 1][1] - 40) * 111 - 30) <= 2.5, 'The first cut should be near the first via point');
+
+    const [south, north] = assignHotspotsToLegs([
+        { locId: 'south', lat: 40 + 10 / 111, lng: -75.02 },
+        { locId: 'north', lat: 40 + 90 / 111, lng: -74.98 }
+    ], legs);
+    assert(south.legIndex === 0 && north.legIndex === 2, `Hotspots should go on their nearest leg, got ${south.legIndex} and ${north.legIndex}`);
+}
@@ -0,0 +1,132 @@
+import { assert } from '../run-tests.js';
+import { parseRouteFile, detectRouteFormat } from '../../js/services/route-import.js';
+import { generateKML } from '../../js/services/kml-generator.js';
+import { generateGeoJSON } from '../../js/services/geojson-generator.js';
+import { buildRouteSamplePoints, filterHotspotsByRouteDistance } from '../../js/services/route-hotspot-search.js';
+
+const MULTI_SEGMENT_GPX = `<?xml version="1.0"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Ridge &amp; River Hike</name></metadata>
+  <wpt lat="40.0" lon="-74.0"><name>Trailhead</name></wpt>
+  <trk>
+    <name>Ridge Hike</name>
+    <trkseg>
+      <trkpt lat="40.0" lon="-74.0"><ele>10</ele></trkpt>
+      <trkpt lon="-74.0" lat="40.1"/>
+    </trkseg>
+    <trkseg>
+      <trkpt lat='40.1' lon='-73.9'></trkpt>
+      <trkpt lat="40.2" lon="-73.9"></trkpt>
+      <trkpt lat="bad" lon="-73.9"></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+export async function testParseGpxJoinsTrackSegments() {
+    const route = parseRouteFile(MULTI_SEGMENT_GPX, 'hike.gpx');
+
+    assert(route.format === 'gpx' && route.kind === 'track', `Expected a GPX track, got ${route.format}/${route.kind}`);
+    assert(route.name === 'Ridge & River Hike', `The name should be decoded, got ${route.name}`);
+    assert(route.coordinates.map(c => c.join(',')).join(' ') === '-74,40 -74,40.1 -73.9,40.1 -73.9,40.2',
+        `Segments should be joined in order and bad points dropped: ${JSON.stringify(route.coordinates)}`);
+    // Two ~11.1km segments; the gap between them isn't counted
+    assert(Math.abs(route.distanceKm - 22.24) < 0.1, `Expected about 22.2km, got ${route.distanceKm}`);
+    assert(route.start.lat === 40 && route.end.lat === 40.2 && route.end.lng === -73.9, 'Start and end come from the track ends');
+
+    assert(route.segments.length === 2 && route.segments[1][0].join(',') === '-73.9,40.1', 'The segments are kept apart too');
+
+    // The imported geometry drives the route search directly
+    const { points } = buildRouteSamplePoints(route.segments, route.distanceKm, 8, 5);
+    assert(points.length >= 2 && points[0].lat === 40, 'Sample points should follow the imported track');
+    const near = filterHotspotsByRouteDistance([
+        { locId: 'on', lat: 40.15, lng: -73.9 },
+        { locId: 'off', lat: 40.15, lng: -73.0 }
+    ], route.segments, 5);
+    assert(near.map(h => h.locId).join(',') === 'on', 'Only hotspots near the track should be kept');
+}
+
+export async function testTrackSegmentGapsAreNotSearched() {
+    // Two ~11km segments with a ~100km gap between them
+    const trkseg = fromLat => `<trkseg>${Array.from({ length: 11 },
+        (_, i) => `<trkpt lat="${(fromLat + i / 100).toFixed(2)}" lon="-74"/>`).join('')}</trkseg>`;
+    const route = parseRouteFile(`<gpx><trk>${trkseg(40)}${trkseg(41)}</trk></gpx>`, 'gap.gpx');
+    assert(route.segments.length === 2, `Expected two segments, got ${route.segments.length}`);
+
+    const { points } = buildRouteSamplePoints(route.segments, route.distanceKm, 20, 2);
+    const inGap = points.filter(p => p.lat > 40.1 && p.lat < 41);
+    assert(points.length > 4 && inGap.length === 0, `No sample should fall in the gap: ${JSON.stringify(inGap)}`);
+    assert(points.some(p => p.lat === 40.1) && points[points.length - 1].lat === 41.1, 'Both segments are sampled to their ends');
+
+    const near = filterHotspotsByRouteDistance([
+        { locId: 'gap', lat: 40.5, lng: -74 },
+        { locId: 'second', lat: 41.05, lng: -74.01 }
+    ], route.segments, 5);
+    assert(near.map(h => h.locId).join(',') === 'second', 'A hotspot in the gap is off the route');
+}
+
+export async function testParseWaypointOnlyFilesAndThinLongTracks() {
+    const gpx = `<gpx><wpt lat="40" lon="-74"><name>Motel</name></wpt><wpt lat="41" lon="-74"><name>Lake</name></wpt>
+        <wpt lat="42" lon="-74"><name>Refuge</name></wpt></gpx>`;
+    const route = parseRouteFile(gpx, 'trip.gpx');
+    assert(route.kind === 'waypoints' && route.waypoints.map(w => w.name).join(',') === 'Motel,Lake,Refuge',
+        'Loose waypoints should be kept in file order');
+    assert(route.coordinates.length === 3 && route.name === 'trip', 'The file name stands in for a missing name');
+
+    const rte = '<gpx><wpt lat="1" lon="1"/><rte><rtept lat="40" lon="-74"/><rtept lat="41" lon="-75"/></rte></gpx>';
+    assert(parseRouteFile(rte, 'r.gpx').waypoints.length === 2, 'A GPX route is used over loose waypoints');
+
+    const trkpts = Array.from({ length: 5001 }, (_, i) => `<trkpt lat="${40 + i / 10000}" lon="-74"/>`).join('');
+    const long = parseRouteFile(`<gpx><trk><trkseg>${trkpts}</trkseg></trk></gpx>`, 'long.gpx', { maxTrackPoints: 1000 });
+    assert(long.coordinates.length <= 1001, `Long tracks should be thinned, got ${long.coordinates.length}`);
+    assert(long.end.lat === 40.5, 'Thinning keeps the last point');
+
+    let error = null;
+    try {
+        parseRouteFile('<gpx><wpt lat="1" lon="1"/></gpx>', 'one.gpx');
+    } catch (e) {
+        error = e;
+    }
+    assert(error && /at least two points/.test(error.message), 'A single point is not a route');
+}
+
+export async function testParseKmlAndGeoJSONIncludingOurOwnExports() {
+    const kml = `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2"><Document><name>Paddle</name>
+        <Placemark><MultiGeometry>
+          <LineString><coordinates>-74,40,0 -74,40.1,0</coordinates></LineString>
+          <LineString><coordinates>
+            -74,40.1 -74,40.2
+          </coordinates></LineString>
+        </MultiGeometry></Placemark>
+        <Placemark><gx:Track><gx:coord>-74 40.2 0</gx:coord><gx:coord>-74 40.3 0</gx:coord></gx:Track></Placemark>
+        </Document></kml>`;
+    const paddle = parseRouteFile(kml, 'paddle.kml');
+    assert(paddle.kind === 'track' && paddle.coordinates.length === 6 && paddle.end.lat === 40.3,
+        `MultiGeometry lines and gx:Tracks should all be read: ${JSON.stringify(paddle.coordinates)}`);
+
+    const itinerary = {
+        stops: [
+            { type: 'start', name: 'Start', lat: 40, lng: -74 },
+            { type: 'hotspot', name: 'Marsh', locId: 'L1', speciesCount: 5, lat: 40.5, lng: -74.5 },
+            { type: 'end', name: 'End', lat: 41, lng: -74 }
+        ],
+        geometry: { coordinates: [[-74, 40], [-74.5, 40.5], [-74, 41]] }
+    };
+    const fromKml = parseRouteFile(generateKML(itinerary, { name: 'Saved Trip' }), 'saved.kml');
+    assert(fromKml.kind === 'track' && fromKml.coordinates.length === 3 && fromKml.name === 'Saved Trip',
+        'An exported KML should import as its route line');
+
+    const fromGeoJson = parseRouteFile(generateGeoJSON(itinerary), 'saved.geojson');
+    assert(fromGeoJson.kind === 'track' && fromGeoJson.end.lat === 41, 'An exported GeoJSON should import as its route line');
+
+    const points = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [-74, 40] }, properties: { name: 'A' } },
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [-75, 41] }, properties: { name: 'B' } }
+        ]
+    });
+    assert(parseRouteFile(points, 'points.json').kind === 'waypoints', 'GeoJSON points should give waypoints');
+
+    assert(detectRouteFormat('export', '  <?xml version="1.0"?><gpx version="1.1">') === 'gpx', 'Format can be sniffed from content');
+    assert(detectRouteFormat('notes.txt', 'hello') === null, 'Unknown files are not guessed at');
+}
@@ -0,0 +1,56 @@
+import { assert } from '../run-tests.js';
+import { solveRoute } from '../../js/services/route-solver.js';
+
+/**
+ * Travel-time matrix (seconds) for points on a line, 60s per unit apart
+ */
+function lineMatrix(positions) {
+    return positions.map(a => positions.map(b => Math.abs(a - b) * 60));
+}
+
+export async function testSolveRouteUntanglesFixedStartAndEnd() {
+    // Start at 0, end at 10; stops given in a zig-zag order
+    const positions = [0, 8, 2, 6, 4, 10];
+    const { order, travelTime } = solveRoute(lineMatrix(positions), { start: 0, end: 5 });
+
+    assert(order[0] === 0 && order[order.length - 1] === 5, `Start and end should stay fixed: ${order}`);
+    assert(order.map(i => positions[i]).join(',') === '0,2,4,6,8,10', `Stops should be visited along the line, got ${order.map(i => positions[i])}`);
+    assert(travelTime === 600, `Expected 600s of travel, got ${travelTime}`);
+}
+
+export async function testSolveRouteRoundTripFindsTheLoop() {
+    // Four corners of a square around the start; a crossing tour is longer
+    const points = [[0, 0], [0, 10], [10, 10], [10, 0], [5, -2]];
+    const durations = points.map(([ax, ay]) => points.map(([bx, by]) => Math.round(Math.hypot(ax - bx, ay - by) * 60)));
+
+    const { order, travelTime } = solveRoute(durations, { start: 0, roundTrip: true });
+    assert(order.length === 5 && order[0] === 0, `A round trip lists every point once, start first: ${order}`);
+    assert(new Set(order).size === 5, 'No point should be repeated');
+    // Perimeter: 0 -> (0,10) -> (10,10) -> (10,0) -> (5,-2) -> 0
+    const perimeter = 600 + 600 + 600 + Math.round(Math.hypot(5, 2) * 60) + Math.round(Math.hypot(5, 2) * 60);
+    assert(travelTime === perimeter, `Expected the perimeter loop (${perimeter}s), got ${travelTime}`);
+
+    const unreachable = durations.map(row => [...row]);
+    unreachable[0][1] = null;
+    unreachable[1][0] = null;
+    const detour = solveRoute(unreachable, { start: 0, roundTrip: true });
+    assert(Number.isFinite(detour.travelTime), 'A missing pair should be routed around, not taken');
+}
+
+export async function testSolveRouteHonoursTimeWindows() {
+    // Stop 1 is nearest but doesn't open for an hour; stop 2 closes in 20 minutes
+    const positions = [0, 1, 5];
+    const timeWindows = [null, { earliest: 3600, latest: null }, { earliest: null, latest: 1200 }];
+    const serviceTimes = [0, 1800, 1800];
+
+    const withWindows = solveRoute(lineMatrix(positions), { start: 0, serviceTimes, timeWindows });
+    assert(withWindows.order.join(',') === '0,2,1', `The stop about to close should come first, got ${withWindows.order}`);
+    assert(withWindows.lateness === 0, `No window should be missed, got ${withWindows.lateness}s late`);
+
+    const without = solveRoute(lineMatrix(positions), { start: 0, serviceTimes });
+    assert(without.order.join(',') === '0,1,2', `Without windows the nearest stop comes first, got ${without.order}`);
+
+    // An impossible window is missed rather than dropping the stop
+    const impossible = solveRoute(lineMatrix(positions), { start: 0, timeWindows: [null, null, { latest: 60 }] });
+    assert(impossible.order.length === 3 && impossible.lateness === 240, `Expected 240s late, got ${impossible.lateness}`);
+}
@@ -0,0 +1,43 @@
+import { assert } from '../run-tests.js';
+import { getMigrationRegion, getCurrentSeason, getActiveMigrationAlerts, getSeasonalInsights } from '../../js/services/seasonal-insights.js';
+
+const NEW_YORK = { lat: 40.7, lng: -74.0 };
+const SYDNEY = { lat: -33.9, lng: 151.2 };
+const SAN_JOSE_CR = { lat: 9.9, lng: -84.1 };
+
+export async function testMigrationRegionByLatitudeAndRegionCode() {
+    assert(getMigrationRegion(NEW_YORK).key === 'northTemperate', 'New York is northern temperate');
+    assert(getMigrationRegion(SAN_JOSE_CR).key === 'tropicsNorth', 'Costa Rica is in the northern tropics');
+    assert(getMigrationRegion({ lat: -12 }).key === 'tropicsSouth', 'Lima-ish latitudes are in the southern tropics');
+    assert(getMigrationRegion(SYDNEY).key === 'southTemperate', 'Sydney is southern temperate');
+    assert(getMigrationRegion({ regionCode: 'AU-NSW' }).key === 'southTemperate', 'Without a latitude the country code should decide');
+    assert(getMigrationRegion().key === 'northTemperate', 'No location should keep the old northern default');
+}
+
+export async function testSeasonsFlipSouthAndBecomeWetDryInTropics() {
+    const july = new Date(2026, 6, 15);
+    assert(getCurrentSeason(july) === 'summer', 'July defaults to northern summer');
+    assert(getCurrentSeason(july, SYDNEY) === 'winter', 'July is winter in Sydney');
+    assert(getCurrentSeason(july, SAN_JOSE_CR) === 'wet', 'July is the wet season in Costa Rica');
+    assert(getCurrentSeason(new Date(2026, 1, 10), SAN_JOSE_CR) === 'dry', 'February is the dry season in Costa Rica');
+
+    const insights = getSeasonalInsights(july, SAN_JOSE_CR);
+    assert(insights.season === 'Wet season', `Expected "Wet season", got ${insights.season}`);
+    assert(insights.optimalTimes.morning.activity === 'high', 'Tropical mornings should be the best time');
+}
+
+export async function testMigrationAlertsFollowTheRegion() {
+    const october = new Date(2026, 9, 12);
+
+    const sydney = getActiveMigrationAlerts(october, SYDNEY);
+    assert(sydney.some(alert => alert.group === 'Shorebirds' && alert.type === 'spring' && alert.isPeak),
+        'Mid-October should be peak spring shorebird arrival in Australia');
+    assert(!sydney.some(alert => alert.group === 'Waterfowl'), 'North American waterfowl windows should not apply in Australia');
+
+    const costaRica = getActiveMigrationAlerts(october, SAN_JOSE_CR);
+    const raptors = costaRica.find(alert => alert.group === 'Raptors');
+    assert(raptors && raptors.message === 'Peak raptors migration!', 'October is peak raptor passage in Costa Rica');
+
+    const autumn = getActiveMigrationAlerts(new Date(2026, 2, 1), SYDNEY).find(alert => alert.group === 'Shorebirds');
+    assert(autumn.message === 'Shorebirds autumn migration underway', `Unexpected southern autumn message: ${autumn.message}`);
+}
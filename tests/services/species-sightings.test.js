@@ -0,0 +1,43 @@
+import { assert } from '../run-tests.js';
+import { buildSpeciesSightings, getSightingMarkerStyle, loadSpeciesSightings, SIGHTING_COLORS } from '../../js/services/species-sightings.js';
+
+const now = new Date(2026, 4, 20, 12, 0);
+
+export async function testBuildSpeciesSightingsGradesCountAndRecency() {
+    const sightings = buildSpeciesSightings([
+        { subId: 'S1', locId: 'L1', locName: 'Backyard', lat: 40, lng: -74, obsDt: '2026-05-05 08:00', howMany: 1, locationPrivate: true },
+        { subId: 'S2', locId: 'L2', locName: 'Town Pond', lat: 40.1, lng: -74, obsDt: '2026-05-19 07:30', howMany: 40, locationPrivate: false },
+        { subId: 'S2', locId: 'L2', locName: 'Town Pond', lat: 40.1, lng: -74, obsDt: '2026-05-19 07:30', howMany: 40, locationPrivate: false },
+        { subId: 'S3', locId: 'L3', locName: 'Mill Creek', lat: 40.2, lng: -74, obsDt: '2026-05-13' }
+    ], { now, daysBack: 30 });
+
+    assert(sightings.map(s => s.subId).join(',') === 'S2,S3,S1', 'Sightings are newest first, each checklist once');
+    assert(sightings[2].isPrivate && !sightings[0].isPrivate, 'Private locations are kept and marked');
+    assert(sightings[1].count === null, 'A species only marked present has no count');
+
+    const [pond, creek, backyard] = sightings.map(s => getSightingMarkerStyle(s, 40));
+    assert(pond.radius > backyard.radius && creek.radius === backyard.radius, 'Bigger counts get bigger markers');
+    assert(pond.color === SIGHTING_COLORS.fresh && creek.color === SIGHTING_COLORS.recent && backyard.color === SIGHTING_COLORS.older,
+        'Color follows how recent the sighting is');
+    assert(pond.fillOpacity > backyard.fillOpacity, 'Older sightings are fainter');
+}
+
+export async function testLoadSpeciesSightingsFallsBackToNearest() {
+    const calls = [];
+    const ebirdApi = {
+        getRecentSpeciesObservations: async (code, lat, lng, dist) => {
+            calls.push(`recent:${code}:${dist}`);
+            return [];
+        },
+        getNearestSpeciesObservations: async (code) => {
+            calls.push(`nearest:${code}`);
+            return [{ subId: 'S9', locId: 'L9', locName: 'Far Marsh', lat: 41, lng: -75, obsDt: '2026-05-18 09:00', howMany: 2 }];
+        }
+    };
+
+    const result = await loadSpeciesSightings(ebirdApi, 'sancra', { lat: 40, lng: -74 }, 20);
+
+    assert(calls.join(',') === 'recent:sancra:20,nearest:sancra', `The nearest reports are only fetched when none are in range: ${calls}`);
+    assert(result.nearest && result.sightings.length === 1 && result.sightings[0].locName === 'Far Marsh',
+        'The nearest sightings are shown instead');
+}
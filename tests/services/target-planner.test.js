@@ -0,0 +1,126 @@
+import { assert } from '../run-tests.js';
+import { mergeTargetSightings, selectTargetStops, planTargetRoute } from '../../js/services/target-planner.js';
+
+const BASE = { lat: 40, lng: -75, address: 'Base Camp' };
+
+function species(speciesCode) {
+    return { speciesCode, commonName: `Bird ${speciesCode}` };
+}
+
+function location(locId, lat, lng, speciesCodes) {
+    return {
+        locId,
+        name: `Spot ${locId}`,
+        lat,
+        lng,
+        targets: speciesCodes.map(code => ({ speciesCode: code, commonName: `Bird ${code}` }))
+    };
+}
+
+function sighting(locId, lat, lng, lastSeen = '2026-05-01 07:00') {
+    return { locId, name: `Spot ${locId}`, lat, lng, isHotspot: true, lastSeen, highestCount: 1 };
+}
+
+/**
+ * Mocks OSRM: an empty duration table (so drive times are estimated) and a
+ * round trip from the base through one stop.
+ */
+function installRoutingMock() {
+    global.fetch = async (url) => ({
+        ok: true,
+        json: async () => {
+            if (url.includes('/table/')) {
+                return { code: 'Ok', durations: [] };
+            }
+            return {
+                code: 'Ok',
+                trips: [{
+                    distance: 20000,
+                    duration: 1200,
+                    legs: [{ distance: 10000, duration: 600 }, { distance: 10000, duration: 600 }],
+                    geometry: { type: 'LineString', coordinates: [[-75, 40], [-75.05, 40.05], [-75, 40]] }
+                }],
+                waypoints: [
+                    { waypoint_index: 0, location: [-75, 40] },
+                    { waypoint_index: 1, location: [-75.05, 40.05] }
+                ]
+            };
+        }
+    });
+}
+
+export async function testMergeTargetSightingsGroupsTargetsByLocation() {
+    const merged = mergeTargetSightings([
+        { species: species('a'), locations: [sighting('L1', 40.1, -75.1), sighting('L2', 40.2, -75.2)] },
+        { species: species('b'), locations: [sighting('L1', 40.1, -75.1, '2026-05-02 08:00')] }
+    ]);
+
+    assert(merged.length === 2, `Expected 2 locations, got ${merged.length}`);
+    const l1 = merged.find(loc => loc.locId === 'L1');
+    assert(l1.targets.map(t => t.speciesCode).join(',') === 'a,b', 'L1 should list both targets');
+    assert(l1.targets[1].lastSeen === '2026-05-02 08:00', 'Each target should keep its own last-seen date');
+}
+
+export async function testSelectTargetStopsPrefersOneStopCoveringEverything() {
+    const selected = selectTargetStops([
+        location('ab', 40.01, -75.01, ['a', 'b']),
+        location('c', 40.02, -75.02, ['c']),
+        location('abc', 40.3, -75.3, ['a', 'b', 'c'])
+    ], { start: BASE });
+
+    assert(selected.length === 1, `Expected a single stop, got ${selected.length}`);
+    assert(selected[0].locId === 'abc', 'The stop covering every target should be chosen even though it is farther');
+}
+
+export async function testSelectTargetStopsDropsStopsMadeRedundant() {
+    // All three cover two targets; the nearest is picked first, then the
+    // other two are needed for c and d and between them cover a and b too
+    const selected = selectTargetStops([
+        location('ab', 40.01, -75.01, ['a', 'b']),
+        location('ac', 40.2, -75.2, ['a', 'c']),
+        location('bd', 40.2, -74.8, ['b', 'd'])
+    ], { start: BASE });
+
+    const ids = selected.map(loc => loc.locId).sort();
+    assert(ids.join(',') === 'ac,bd', `Expected the redundant first pick to be dropped, got ${ids.join(',')}`);
+}
+
+export async function testSelectTargetStopsRespectsMaxStops() {
+    const selected = selectTargetStops([
+        location('a', 40.01, -75.01, ['a']),
+        location('b', 40.02, -75.02, ['b']),
+        location('c', 40.03, -75.03, ['c'])
+    ], { start: BASE, maxStops: 2 });
+
+    assert(selected.length === 2, `Expected 2 stops, got ${selected.length}`);
+}
+
+export async function testPlanTargetRouteReportsMissingTargetsAndCoverage() {
+    installRoutingMock();
+    const speciesSearch = {
+        async findSpeciesHotspots(speciesCode) {
+            if (speciesCode === 'nope') return [];
+            return [sighting('L1', 40.05, -75.05)];
+        }
+    };
+
+    const plan = await planTargetRoute(speciesSearch, [species('a'), species('b'), species('nope')], { start: BASE });
+
+    assert(plan.missingTargets.map(s => s.speciesCode).join(',') === 'nope', 'Target with no recent reports should be listed as missing');
+    assert(plan.coveredTargets.length === 2, `Expected 2 covered targets, got ${plan.coveredTargets.length}`);
+    assert(plan.uncoveredTargets.length === 0, 'No reported target should be left uncovered');
+
+    const stop = plan.itinerary.stops.find(s => s.type === 'hotspot');
+    assert(stop.locId === 'L1', 'The sighting location should be the itinerary stop');
+    assert(stop.targetsCovered.map(t => t.speciesCode).join(',') === 'a,b', 'The stop should list the targets it covers');
+}
+
+export async function testPlanTargetRouteWithNoReportsReturnsNoItinerary() {
+    installRoutingMock();
+    const speciesSearch = { async findSpeciesHotspots() { return []; } };
+
+    const plan = await planTargetRoute(speciesSearch, [species('x'), species('y')], { start: BASE });
+
+    assert(plan.itinerary === null, 'No itinerary should be built without any sightings');
+    assert(plan.missingTargets.length === 2, 'Every target should be reported missing');
+}
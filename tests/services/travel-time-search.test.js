@@ -0,0 +1,70 @@
+import { assert } from '../run-tests.js';
+import { buildSearchCircles, buildReachableArea, findHotspotsWithinTravelTime } from '../../js/services/travel-time-search.js';
+import { calculateDistance } from '../../js/utils/formatters.js';
+
+const origin = { lat: 40, lng: -74 };
+
+export async function testBuildSearchCirclesCoversReachBeyondEbirdLimit() {
+    const single = buildSearchCircles(origin, 30);
+    assert(single.length === 1 && single[0].radiusKm === 30, 'A reach within 50 km should be one circle');
+
+    const circles = buildSearchCircles(origin, 100);
+    assert(circles.length > 1 && circles.every(c => c.radiusKm === 50), 'A longer reach needs several 50 km circles');
+
+    // Every point out to the reach should fall inside some circle
+    for (let bearing = 0; bearing < 360; bearing += 10) {
+        for (const km of [20, 60, 100]) {
+            const rad = bearing * Math.PI / 180;
+            const lat = origin.lat + (km * Math.cos(rad)) / 111.32;
+            const lng = origin.lng + (km * Math.sin(rad)) / (111.32 * Math.cos(origin.lat * Math.PI / 180));
+            assert(circles.some(c => calculateDistance(c.lat, c.lng, lat, lng) <= c.radiusKm),
+                `${km} km at ${bearing}° should be covered`);
+        }
+    }
+}
+
+export async function testBuildReachableAreaFollowsFurthestReachablePoints() {
+    const measured = [
+        { lat: 40.2, lng: -74, duration: 1200 },   // 22 km north, reachable
+        { lat: 40.4, lng: -74, duration: 4000 },   // further north, over budget
+        { lat: 39.9, lng: -74, duration: null }    // south, unreachable
+    ];
+    const area = buildReachableArea(origin, measured, 1800, 4);
+
+    assert(area.length === 4, 'One corner per sector');
+    const northKm = calculateDistance(origin.lat, origin.lng, area[0][0], area[0][1]);
+    assert(Math.abs(northKm - 22.2) < 0.5, `The northern corner should reach the reachable point, got ${northKm}`);
+    assert(calculateDistance(origin.lat, origin.lng, area[2][0], area[2][1]) < 0.01, 'Nothing reachable to the south');
+}
+
+export async function testFindHotspotsWithinTravelTimeKeepsOnlyReachableOnes() {
+    // 60 km/h by road, but nothing east of -73.9 (across the water) can be reached
+    global.fetch = async (url) => {
+        const points = url.split('/').pop().split('?')[0].split(';').map(pair => pair.split(',').map(Number));
+        const [originLng, originLat] = points[0];
+        const row = points.map(([lng, lat]) => (lng > -73.9 ? null : calculateDistance(originLat, originLng, lat, lng) * 60));
+        return { ok: true, json: async () => ({ code: 'Ok', durations: [row], distances: [row.map(s => (s === null ? null : s * 1000 / 60))] }) };
+    };
+    const hotspots = [
+        { locId: 'far', name: 'Far Ridge', lat: 40.4, lng: -74 },        // ~44 km: 44 minutes
+        { locId: 'near', name: 'Town Pond', lat: 40.1, lng: -74 },       // ~11 km
+        { locId: 'island', name: 'Island Point', lat: 40, lng: -73.8 },  // close, but no road
+        { locId: 'mid', name: 'Mill Creek', lat: 40.25, lng: -74 }       // ~28 km
+    ];
+    const requests = [];
+    const ebirdApi = {
+        getNearbyHotspots: async (lat, lng, dist) => {
+            requests.push(dist);
+            return hotspots;
+        }
+    };
+
+    const result = await findHotspotsWithinTravelTime(ebirdApi, origin, 30);
+
+    assert(requests.length === 1 && requests[0] === 50, `30 minutes by car fits one 50 km search, got ${requests}`);
+    assert(result.hotspots.map(h => h.locId).join(',') === 'near,mid',
+        `Only hotspots within 30 minutes should be kept, nearest first: ${result.hotspots.map(h => h.locId)}`);
+    assert(Math.abs(result.hotspots[0].travelDuration - 11.1 * 60) < 10 && Math.abs(result.hotspots[0].travelDistance - 11.1) < 0.2,
+        'Hotspots should carry their travel time and distance');
+    assert(result.reachableArea.length > 0, 'The reachable area should be outlined');
+}
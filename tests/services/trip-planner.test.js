@@ -0,0 +1,119 @@
+import { assert } from '../run-tests.js';
+import { allocateHotspotsToDays, planMultiDayTrip } from '../../js/services/trip-planner.js';
+
+const BASE = { lat: 40, lng: -75, address: 'Base Camp' };
+
+function hotspot(locId, lat, lng, speciesCodes) {
+    return {
+        locId,
+        name: `Hotspot ${locId}`,
+        lat,
+        lng,
+        speciesCount: speciesCodes.length,
+        birds: speciesCodes.map(speciesCode => ({ speciesCode }))
+    };
+}
+
+function day(overrides = {}) {
+    return { start: BASE, end: BASE, timeBudgetMinutes: 8 * 60, maxStops: 5, ...overrides };
+}
+
+/**
+ * Mocks OSRM for round trips from the base through a single hotspot:
+ * a 600-second leg each way.
+ */
+function installSingleStopTripMock() {
+    global.fetch = async () => ({
+        ok: true,
+        json: async () => ({
+            code: 'Ok',
+            trips: [{
+                distance: 20000,
+                duration: 1200,
+                legs: [{ distance: 10000, duration: 600 }, { distance: 10000, duration: 600 }],
+                geometry: { type: 'LineString', coordinates: [[-75, 40], [-75.05, 40.05], [-75, 40]] }
+            }],
+            waypoints: [
+                { waypoint_index: 0, location: [-75, 40] },
+                { waypoint_index: 1, location: [-75.05, 40.05] }
+            ]
+        })
+    });
+}
+
+export async function testAllocatePrefersNewSpeciesOverDuplicates() {
+    const rich = hotspot('rich', 40.05, -75.05, ['a', 'b', 'c', 'd']);
+    const richTwin = hotspot('twin', 40.06, -75.06, ['a', 'b', 'c', 'd']);
+    const different = hotspot('diff', 40.1, -75.1, ['e', 'f']);
+
+    const { assignments, unassigned } = allocateHotspotsToDays(
+        [rich, richTwin, different],
+        [day({ maxStops: 1 }), day({ maxStops: 1 })]
+    );
+
+    const chosen = assignments.flat().map(h => h.locId);
+    assert(chosen.length === 2, `Expected one stop per day, got ${chosen.length}`);
+    assert(chosen.includes('diff'), 'Hotspot with species not seen elsewhere should be chosen');
+    assert(!(chosen.includes('rich') && chosen.includes('twin')), 'Two hotspots with identical species should not both be used');
+    assert(unassigned.length === 1, 'The duplicate hotspot should be left unassigned');
+}
+
+export async function testAllocateNeverRepeatsHotspots() {
+    const hotspots = [
+        hotspot('h1', 40.01, -75.01, ['a']),
+        hotspot('h2', 40.02, -75.02, ['b']),
+        hotspot('h3', 40.03, -75.03, ['c'])
+    ];
+
+    const { assignments } = allocateHotspotsToDays(hotspots, [day(), day(), day()]);
+    const ids = assignments.flat().map(h => h.locId);
+
+    assert(ids.length === 3, `Expected all 3 hotspots assigned, got ${ids.length}`);
+    assert(new Set(ids).size === ids.length, 'No hotspot should be assigned to more than one day');
+}
+
+export async function testAllocateRespectsDailyTimeBudget() {
+    const near = hotspot('near', 40.01, -75.01, ['a']);
+    // Roughly 300 km away: several hours' drive each way
+    const far = hotspot('far', 42.7, -75, ['b', 'c', 'd', 'e']);
+
+    const { assignments, unassigned } = allocateHotspotsToDays([near, far], [day({ timeBudgetMinutes: 3 * 60 })]);
+
+    assert(assignments[0].map(h => h.locId).join() === 'near', 'Only the hotspot that fits the budget should be assigned');
+    assert(unassigned[0].locId === 'far', 'The out-of-budget hotspot should be left unassigned');
+}
+
+export async function testPlanMultiDayTripRoutesEachDayOnItsDate() {
+    installSingleStopTripMock();
+    const hotspots = [
+        hotspot('h1', 40.05, -75.05, ['a', 'b']),
+        hotspot('h2', 40.06, -75.06, ['c'])
+    ];
+    const days = [
+        day({ maxStops: 1, date: new Date(2026, 4, 1), startTime: '06:00' }),
+        day({ maxStops: 1, date: new Date(2026, 4, 2), startTime: '06:00' })
+    ];
+
+    const plan = await planMultiDayTrip(hotspots, days);
+
+    assert(plan.days.length === 2, `Expected 2 planned days, got ${plan.days.length}`);
+    plan.days.forEach((planned, i) => {
+        assert(planned.itinerary !== null, `Day ${i + 1} should have an itinerary`);
+        assert(planned.itinerary.stops[0].departureTime.getDate() === i + 1,
+            `Day ${i + 1} should depart on May ${i + 1}`);
+    });
+    assert(plan.days[0].newSpeciesCount + plan.days[1].newSpeciesCount === 3, 'New species per day should add up to the trip total');
+    assert(plan.summary.totalExpectedSpecies === 3, `Expected 3 species across the trip, got ${plan.summary.totalExpectedSpecies}`);
+    assert(plan.summary.totalStops === 2, `Expected 2 stops across the trip, got ${plan.summary.totalStops}`);
+}
+
+export async function testPlanMultiDayTripThrowsWhenNothingFits() {
+    const far = hotspot('far', 45, -75, ['a']);
+    let threw = false;
+    try {
+        await planMultiDayTrip([far], [day({ timeBudgetMinutes: 60 })]);
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Should throw when no hotspot fits any day');
+}